@@ -13,6 +13,8 @@ APP_TITLE = "GalaChain Leaderboard"
 BALANCES_CSV = "balances.csv"
 STARTING_BALANCES_CSV = "startingbalances.csv"
 COINGECKO_GALA_PRICE_URL = "https://api.coingecko.com/api/v3/simple/price?ids=gala&vs_currencies=usd"
+# The web server's price oracle; CoinGecko is only queried directly when it is unreachable
+PRICE_ORACLE_URL = os.environ.get("PRICE_ORACLE_URL", "http://localhost:3001/api/prices?tokens=GALA")
 PRICE_CACHE_TTL_SEC = 60
 
 
@@ -61,6 +63,16 @@ def get_gala_usd_price() -> float:
     cached = _price_cache.get("gala_usd")
     if cached and (now - cached[1] < PRICE_CACHE_TTL_SEC):
         return cached[0]
+    try:
+        resp = requests.get(PRICE_ORACLE_URL, timeout=5)
+        resp.raise_for_status()
+        quote = ((resp.json() or {}).get("prices") or {}).get("GALA") or {}
+        if quote.get("price") is not None:
+            price = parse_float(quote.get("price"))
+            _price_cache["gala_usd"] = (price, now)
+            return price
+    except Exception:
+        pass
     try:
         resp = requests.get(COINGECKO_GALA_PRICE_URL, timeout=10)
         resp.raise_for_status()
@@ -1,31 +1,85 @@
 import { GSwap, PrivateKeySigner, GSwapSDKError } from '@gala-chain/gswap-sdk';
 import BigNumber from 'bignumber.js';
 import fetch from 'node-fetch';
-import fs from 'fs';
 import path from 'path';
-import { BotConfig, SwapParams, SwapResult, QuoteResult, PortfolioSummary, BotStatus } from './types';
+import { BotConfig, SwapParams, SwapResult, QuoteResult, PortfolioSummary, BotStatus, RouteHop, LiquidityPosition, AddLiquidityParams, LiquidityResult, StrategyAttribution } from './types';
 import { Logger } from './utils/logger';
-import { COMMON_TOKENS, FEE_TIERS, DEFAULT_SLIPPAGE, getTokenSymbol } from './constants/tokens';
+import { PaperLedger } from './utils/paperLedger';
+import { StrategySnapshot, StrategyStateStore } from './utils/strategyStateStore';
+import { StrategyPerformance, TransactionPage, TransactionQuery, TransactionStore } from './utils/transactionStore';
+import { PriceOracle, createPriceOracle, normalizeSymbol } from './pricing/PriceOracle';
+import { SwapRouter, describeRoute } from './routing/SwapRouter';
+import { bestQuote, isExactOutput } from './utils/swapParams';
+import { RecoveryPolicy } from './execution/ArbitrageExecutor';
+import { ConditionalOrder, OrderEngine, OrderParams, OrderStatus } from './execution/OrderEngine';
+import { TwapExecution, TwapExecutor, TwapParams } from './execution/TwapExecutor';
+import { RiskLimitError, RiskLimits, RiskManager, RiskUsage } from './risk/RiskManager';
+import { CircuitBreaker, CircuitBreakerState, CircuitBreakerTrigger } from './risk/CircuitBreaker';
+import { CapitalAllocator, TokenBudget } from './risk/CapitalAllocator';
+import { COST_BASIS_METHODS, CostBasisLedger, CostBasisMethod, PnLReport, parseUsd } from './utils/costBasisLedger';
+import { Strategy, StrategyMetadata, StrategyRegistry } from './strategies/StrategyRegistry';
+import './strategies/builtInStrategies';
+import { TokenSwapConfig } from './strategies/TokenSwapStrategy';
+import { COMMON_TOKENS, FEE_TIERS, DEFAULT_SLIPPAGE, GAS_FEE_GALA, TICK_SPACINGS, getTokenSymbol } from './constants/tokens';
 
 // Polyfill fetch for Node.js
 (global as any).fetch = fetch;
 
+// How long a fee tier without a pool is skipped before it is quoted again
+const MISSING_POOL_TTL_MS = 10 * 60 * 1000;
+const MISSING_POOL_CODES = ['OBJECT_NOT_FOUND', 'NO_POOL_AVAILABLE'];
+
+// collectFees takes a cap per token; this collects everything owed
+const COLLECT_ALL = '999999999';
+
 export interface TransactionRecord {
   id: string;
   timestamp: string;
-  type: 'swap' | 'arbitrage' | 'quote';
-  tokenIn: string;
-  tokenOut: string;
-  amountIn: string;
-  amountOut: string;
+  type: 'swap' | 'arbitrage' | 'twap' | 'quote' | 'liquidity';
+  tokenIn: string; // Liquidity records: token0
+  tokenOut: string; // Liquidity records: token1
+  amountIn: string; // Liquidity records: amount of token0 deposited, withdrawn or collected
+  amountOut: string; // Liquidity records: amount of token1
   transactionHash?: string;
   feeTier?: number;
   priceImpact?: string;
-  status: 'pending' | 'completed' | 'failed';
-  strategy?: string;
+  status: 'pending' | 'completed' | 'failed' | 'blocked'; // Blocked swaps were stopped by a risk limit and never sent
+  blockedReason?: string;
+  strategy?: string; // Instance ID of the strategy that placed the swap
+  runId?: string; // Which run of that strategy
   profit?: string;
   pnl?: string; // Profit or Loss for the transaction
   pnlPercentage?: string; // PnL as a percentage
+  valueUsd?: string; // USD value of amountIn when the swap was placed
+  gasUsd?: string; // Gas fee in USD
+  realizedPnl?: string; // Cost-basis PnL realized by disposing of tokenIn, net of gas
+  realizedPnlPercentage?: string; // Realized PnL against the disposed cost basis
+  simulated?: boolean; // Filled by paper-trading mode, not on-chain
+  exactOutput?: boolean; // amountOut was fixed and amountIn quoted
+  route?: RouteHop[]; // Hops of a multi-hop swap, with each executed hop's hash
+  liquidityAction?: 'add' | 'remove' | 'collect';
+  positionId?: string;
+  arbitrageId?: string; // Swap records: the arbitrage record this swap is a leg of
+  twapId?: string; // Swap records: the TWAP/VWAP execution this swap is a slice of
+  legs?: string[]; // Arbitrage and TWAP records: IDs of the swaps placed for it, in order
+  recovery?: RecoveryPolicy; // Arbitrage records: the policy that ran after the second leg failed
+}
+
+export interface PoolSharkInstance {
+  id: string;
+  config: TokenSwapConfig;
+  isRunning: boolean;
+  swapCount: number;
+  nextSwapTime: Date | null;
+  results: any[]; // Most recent results recorded by this instance
+}
+
+/**
+ * A quote measured against independent oracle prices; null where there is none
+ */
+interface QuoteReference {
+  deviationPercent: number | null;
+  valueOutUsd: number | null;
 }
 
 export class CicadaBot {
@@ -35,16 +89,67 @@ export class CicadaBot {
   private isConnected: boolean = false;
   private errorCount: number = 0;
   private lastActivity?: Date;
-  private transactionHistory: TransactionRecord[] = [];
-  private transactionHistoryFile: string;
+  private transactionStore: TransactionStore;
+  private costBasisLedger: CostBasisLedger;
+  private priceOracle: PriceOracle;
+  private router: SwapRouter;
+  private missingPools: Map<string, number> = new Map(); // Pool key → when to quote it again
+  private paperLedger: PaperLedger | null = null;
+  private strategyStateStore: StrategyStateStore;
+  private riskManager: RiskManager;
+  private circuitBreaker: CircuitBreaker;
+  private circuitBreakerMonitor: NodeJS.Timeout | null = null;
+  private capitalAllocator: CapitalAllocator;
+  private orderEngine: OrderEngine;
+  private twapExecutor: TwapExecutor;
 
   constructor(config: BotConfig) {
     this.config = config;
     this.logger = Logger;
     
-    // Initialize transaction history file
-    this.transactionHistoryFile = path.join(process.cwd(), 'data', 'transaction-history.json');
-    this.loadTransactionHistory();
+    // Append-only transaction log (imports data/transaction-history.json on first run)
+    this.transactionStore = new TransactionStore();
+    this.costBasisLedger = this.rebuildCostBasis(config.costBasisMethod || 'fifo');
+    this.riskManager = new RiskManager(config.riskLimits || {});
+    // Paper state is kept apart so simulated trading never trips the live
+    // breaker or moves live budgets
+    this.circuitBreaker = new CircuitBreaker(
+      config.circuitBreaker || {},
+      config.paperTrading ? path.join(process.cwd(), 'data', 'paper-circuit-breaker.json') : undefined
+    );
+    this.capitalAllocator = new CapitalAllocator(
+      config.paperTrading ? path.join(process.cwd(), 'data', 'paper-allocations.json') : undefined
+    );
+    this.orderEngine = new OrderEngine(
+      this,
+      config.orderCheckInterval,
+      config.paperTrading ? path.join(process.cwd(), 'data', 'paper-orders.json') : undefined
+    );
+    this.twapExecutor = new TwapExecutor(this);
+
+    // Paper-trading mode fills swaps against a virtual ledger
+    if (config.paperTrading) {
+      this.paperLedger = new PaperLedger(config.paperBalances || {});
+      this.logger.info('📝 Paper trading enabled - swaps will not be sent on-chain', {
+        balances: this.paperLedger.getBalances()
+      });
+    }
+
+    // Pool Shark configs survive restarts whether or not auto-resume is on
+    this.strategyStateStore = new StrategyStateStore();
+    const savedState = this.strategyStateStore.load();
+    if (savedState) {
+      for (const [id, poolSharkConfig] of Object.entries(savedState.poolSharks)) {
+        this.poolSharks.set(id, poolSharkConfig);
+      }
+    }
+
+    // Periodic snapshot catches strategy state that changes between results
+    setInterval(() => {
+      if (this.currentStrategy || this.strategies.size > 0) {
+        this.saveStrategyState();
+      }
+    }, 30000).unref();
     
     // Initialize GSwap SDK
     this.gswap = new GSwap({
@@ -54,6 +159,24 @@ export class CicadaBot {
       transactionWaitTimeoutMs: config.transactionWaitTimeoutMs,
     });
 
+    this.priceOracle = createPriceOracle({
+      quote: async (tokenIn, tokenOut, amountIn, feeTier) => {
+        const quote = await this.gswap.quoting.quoteExactInput(tokenIn, tokenOut, amountIn, feeTier);
+        return quote.outTokenAmount.toString();
+      },
+      tokenSources: config.priceSources || {},
+      stubPrices: config.priceStub || {},
+      overrides: config.priceOverrides || {}
+    });
+
+    this.router = new SwapRouter(
+      (tokenIn, tokenOut, amount, feeTier, exactOutput) => this.quotePool(tokenIn, tokenOut, amount, feeTier, exactOutput),
+      {
+        ...(config.routingIntermediates ? { intermediates: config.routingIntermediates } : {}),
+        ...(config.maxRouteHops ? { maxHops: config.maxRouteHops } : {})
+      }
+    );
+
     this.logger.info('Cicada Bot initialized', {
       walletAddress: config.walletAddress,
       gatewayBaseUrl: config.gatewayBaseUrl || 'default'
@@ -70,6 +193,8 @@ export class CicadaBot {
       // Connect to event socket for real-time transaction monitoring
       await GSwap.events.connectEventSocket();
       this.isConnected = true;
+      this.startCircuitBreakerMonitor();
+      this.orderEngine.start();
       
       this.logger.info('Cicada Bot initialized successfully', {
         connected: this.isConnected,
@@ -90,41 +215,56 @@ export class CicadaBot {
       connected: this.isConnected,
       walletAddress: this.config.walletAddress,
       lastActivity: this.lastActivity,
-      errorCount: this.errorCount
+      errorCount: this.errorCount,
+      paperTrading: this.isPaperTrading(),
+      circuitBreaker: this.circuitBreaker.getState()
     };
   }
 
   /**
-   * Get a quote for a token swap
+   * Whether swaps are being filled against the paper ledger
+   */
+  public isPaperTrading(): boolean {
+    return this.paperLedger !== null;
+  }
+
+  /**
+   * Get the paper-trading ledger (null when trading live)
+   */
+  public getPaperLedger(): PaperLedger | null {
+    return this.paperLedger;
+  }
+
+  /**
+   * Get a quote for a token swap. With amountOut set the quote is for buying
+   * exactly that much tokenOut, and amountIn is the input it will cost.
+   * feeTier 'best' quotes every tier of the direct pool and returns the best
+   * with all of them in `tierQuotes`. feeTier 'route' has the router also
+   * search intermediate tokens; a multi-hop result carries its hops in `route`.
+   * Without a feeTier the SDK picks the direct pool's tier.
    */
   public async getQuote(params: SwapParams): Promise<QuoteResult> {
     try {
+      const exactOutput = isExactOutput(params);
+      const amount = (exactOutput ? params.amountOut : params.amountIn) as string;
       this.logger.info('Getting quote for swap', {
         tokenIn: getTokenSymbol(params.tokenIn),
         tokenOut: getTokenSymbol(params.tokenOut),
-        amountIn: params.amountIn
+        ...(exactOutput ? { amountOut: params.amountOut } : { amountIn: params.amountIn })
       });
 
-      const quote = await this.gswap.quoting.quoteExactInput(
-        params.tokenIn,
-        params.tokenOut,
-        params.amountIn,
-        params.feeTier
-      );
-
-      const result: QuoteResult = {
-        amountIn: quote.inTokenAmount.toString(),
-        amountOut: quote.outTokenAmount.toString(),
-        priceImpact: quote.priceImpact.toString(),
-        feeTier: quote.feeTier,
-        currentPrice: quote.currentPrice.toString(),
-        newPrice: quote.newPrice.toString()
-      };
+      const result = params.feeTier === 'route'
+        ? await this.getRouteQuote(params.tokenIn, params.tokenOut, amount, exactOutput)
+        : params.feeTier === 'best'
+          ? await this.getBestTierQuote(params.tokenIn, params.tokenOut, amount, exactOutput)
+          : await this.quotePool(params.tokenIn, params.tokenOut, amount, params.feeTier, exactOutput);
 
       this.logger.info('Quote received', {
+        amountIn: result.amountIn,
         amountOut: result.amountOut,
         priceImpact: result.priceImpact,
-        feeTier: result.feeTier
+        feeTier: result.feeTier,
+        ...(result.route ? { route: describeRoute({ hops: result.route }) } : {})
       });
 
       return result;
@@ -136,81 +276,274 @@ export class CicadaBot {
   }
 
   /**
-   * Execute a token swap
+   * Quote one pool at one fee tier, or at the tier the SDK picks when none
+   * is given. Tiers the SDK reports as having no pool are remembered and
+   * fail fast for MISSING_POOL_TTL_MS.
+   */
+  private async quotePool(tokenIn: string, tokenOut: string, amount: string, feeTier: number | undefined, exactOutput: boolean): Promise<QuoteResult> {
+    const poolKey = [tokenIn, tokenOut].sort().join(':') + `@${feeTier ?? 'any'}`;
+    const retryAt = this.missingPools.get(poolKey);
+    if (retryAt !== undefined && Date.now() < retryAt) {
+      const tier = feeTier === undefined ? '' : ` at fee tier ${feeTier}`;
+      throw new GSwapSDKError(`No ${getTokenSymbol(tokenIn)}/${getTokenSymbol(tokenOut)} pool${tier}`, 'OBJECT_NOT_FOUND');
+    }
+
+    let quote;
+    try {
+      quote = exactOutput
+        ? await this.gswap.quoting.quoteExactOutput(tokenIn, tokenOut, amount, feeTier)
+        : await this.gswap.quoting.quoteExactInput(tokenIn, tokenOut, amount, feeTier);
+    } catch (error) {
+      if (error instanceof GSwapSDKError && MISSING_POOL_CODES.includes((error as GSwapSDKError).code)) {
+        this.missingPools.set(poolKey, Date.now() + MISSING_POOL_TTL_MS);
+      }
+      throw error;
+    }
+    this.missingPools.delete(poolKey);
+
+    return {
+      amountIn: quote.inTokenAmount.toString(),
+      amountOut: quote.outTokenAmount.toString(),
+      priceImpact: quote.priceImpact.toString(),
+      feeTier: quote.feeTier,
+      currentPrice: quote.currentPrice.toString(),
+      newPrice: quote.newPrice.toString()
+    };
+  }
+
+  /**
+   * Quote every fee tier of the direct pool in parallel and return the best,
+   * with each tier that quoted in tierQuotes
+   */
+  private async getBestTierQuote(tokenIn: string, tokenOut: string, amount: string, exactOutput: boolean): Promise<QuoteResult> {
+    const failures: unknown[] = [];
+    const quotes = (await Promise.all(
+      Object.values(FEE_TIERS).map(feeTier => this.quotePool(tokenIn, tokenOut, amount, feeTier, exactOutput).catch(error => {
+        failures.push(error);
+        return null;
+      }))
+    )).filter((quote): quote is QuoteResult => quote !== null && new BigNumber(quote.amountOut).isGreaterThan(0));
+
+    if (quotes.length === 0) {
+      throw failures[0] || new Error(`No fee tier quotes ${getTokenSymbol(tokenIn)} to ${getTokenSymbol(tokenOut)}`);
+    }
+
+    return { ...bestQuote(quotes, exactOutput), tierQuotes: quotes };
+  }
+
+  /**
+   * Best route across every fee tier and intermediate token, net of gas
+   * (1 GALA per hop). A direct route is returned as a plain pool quote.
+   */
+  private async getRouteQuote(tokenIn: string, tokenOut: string, amount: string, exactOutput: boolean): Promise<QuoteResult> {
+    // Without a GALA price gas can't be netted, so routes compare raw amounts
+    const prices = await this.getTokenPrices();
+    const route = await this.router.findBestRoute({
+      tokenIn,
+      tokenOut,
+      amount,
+      exactOutput,
+      ...(prices['GALA'] !== undefined ? { prices, gasPerHopUsd: GAS_FEE_GALA * prices['GALA'] } : {})
+    });
+
+    if (route.hops.length === 1) {
+      return route.quotes[0];
+    }
+
+    // Pool prices don't compose across hops, so report the effective rate
+    const rate = new BigNumber(route.amountOut).dividedBy(route.amountIn).toFixed();
+    return {
+      amountIn: route.amountIn,
+      amountOut: route.amountOut,
+      priceImpact: route.priceImpact,
+      feeTier: route.hops[0].feeTier,
+      currentPrice: rate,
+      newPrice: rate,
+      route: route.hops
+    };
+  }
+
+  /**
+   * Execute a token swap. Exact-input swaps sell amountIn with an
+   * amountOutMinimum; exact-output swaps buy amountOut with an
+   * amountInMaximum. Both limits are derived from slippageTolerance, and an
+   * explicit params.amountOutMinimum tightens the floor further. Swaps that
+   * would break a risk limit are recorded as blocked and not sent.
    */
   public async executeSwap(params: SwapParams): Promise<SwapResult> {
     let transactionId: string | undefined;
+
+    if (this.circuitBreaker.isTripped()) {
+      return this.haltedSwapResult(params);
+    }
     
     try {
+      const exactOutput = isExactOutput(params);
       this.logger.info('Executing swap', {
         tokenIn: getTokenSymbol(params.tokenIn),
         tokenOut: getTokenSymbol(params.tokenOut),
-        amountIn: params.amountIn
+        ...(exactOutput ? { amountOut: params.amountOut } : { amountIn: params.amountIn })
       });
 
-      // Get quote first to determine output amount
+      // Get quote first to determine the amount on the other side
       const quote = await this.getQuote(params);
-      
-      // Calculate PnL for the swap (includes gas fees and real-time prices)
-      const pnl = await this.calculateSwapPnL(params.amountIn, quote.amountOut, params.tokenIn, params.tokenOut);
-      
-      // Record transaction as pending
-      transactionId = this.addTransaction({
-        type: 'swap',
+      const amountIn = exactOutput ? quote.amountIn : params.amountIn as string;
+      const amountOut = exactOutput ? params.amountOut as string : quote.amountOut;
+
+      // What every record of this swap carries, whether it is sent or refused
+      const record = {
+        type: 'swap' as const,
         tokenIn: getTokenSymbol(params.tokenIn),
         tokenOut: getTokenSymbol(params.tokenOut),
-        amountIn: params.amountIn,
-        amountOut: quote.amountOut,
+        amountIn,
+        amountOut,
         feeTier: quote.feeTier,
         priceImpact: quote.priceImpact,
-        status: 'pending',
+        ...(exactOutput ? { exactOutput: true } : {}),
+        ...(quote.route ? { route: quote.route } : {}),
+        ...(params.strategy ? { strategy: params.strategy } : {}),
+        ...(params.runId ? { runId: params.runId } : {}),
+        ...(params.arbitrageId ? { arbitrageId: params.arbitrageId } : {}),
+        ...(params.twapId ? { twapId: params.twapId } : {}),
+        ...(this.paperLedger ? { simulated: true } : {})
+      };
+      // A swap refused before it is sent is recorded as blocked, with the reason
+      const refuse = (reason: string): SwapResult => ({
+        success: false,
+        amountIn,
+        amountOut: '0',
+        priceImpact: quote.priceImpact,
+        error: reason,
+        ...(this.paperLedger ? { simulated: true } : {}),
+        transactionId: this.addTransaction({ ...record, status: 'blocked', blockedReason: reason })
+      });
+
+      // The caller's own impact cap, e.g. a TWAP slice, is judged on this same quote
+      const impactPercent = Math.abs(parseFloat(quote.priceImpact) || 0) * 100;
+      if (params.maxPriceImpact !== undefined && impactPercent > params.maxPriceImpact) {
+        const error = `Swap would move the price ${impactPercent.toFixed(2)}%, over the ${params.maxPriceImpact}% limit`;
+        this.logger.warn(`📉 Swap refused: ${error}`, { strategy: params.strategy });
+        return refuse(error);
+      }
+
+      // A quote far from the oracle price points at a broken pool or feed
+      const reference = await this.getQuoteReference(params.tokenIn, params.tokenOut, amountIn, amountOut);
+      if (this.circuitBreaker.checkQuote(`${getTokenSymbol(params.tokenIn)}/${getTokenSymbol(params.tokenOut)}`, reference.deviationPercent)) {
+        this.haltStrategies();
+        return refuse(this.haltedSwapResult(params).error as string);
+      }
+
+      const overBudget = await this.checkBudget(params, amountIn);
+      if (overBudget) {
+        this.logger.warn(`💼 Swap refused: ${overBudget}`, { strategy: params.strategy });
+        return refuse(overBudget);
+      }
+      
+      // Calculate PnL for the swap (includes gas fees and real-time prices)
+      const pnl = await this.calculateSwapPnL(amountIn, amountOut, params.tokenIn, params.tokenOut);
+      const violation = await this.checkRiskLimits(params, quote, reference, pnl.valueUsd);
+      
+      // Record transaction as pending, or blocked by a risk limit
+      transactionId = this.addTransaction({
+        ...record,
+        status: violation ? 'blocked' : 'pending',
+        ...(violation ? { blockedReason: violation.message } : {}),
         pnl: pnl.absolute,
-        pnlPercentage: pnl.percentage
+        pnlPercentage: pnl.percentage,
+        ...(pnl.valueUsd ? { valueUsd: pnl.valueUsd, gasUsd: pnl.gasUsd } : {})
       });
+      if (violation) {
+        throw violation;
+      }
+
+      // A quote already under the caller's floor would only fail on-chain
+      if (!exactOutput && params.amountOutMinimum && new BigNumber(quote.amountOut).isLessThan(params.amountOutMinimum)) {
+        throw new GSwapSDKError(`Quoted ${quote.amountOut} ${getTokenSymbol(params.tokenOut)}, below the minimum of ${params.amountOutMinimum}`, 'SLIPPAGE_TOLERANCE_EXCEEDED');
+      }
       
-      // Calculate minimum output with slippage protection
+      // Slippage protection: a floor on the output for exact input,
+      // a ceiling on the input for exact output
       const slippage = params.slippageTolerance || DEFAULT_SLIPPAGE;
-      const slippageMultiplier = (100 - slippage) / 100;
-      const amountOutMinimum = new BigNumber(quote.amountOut)
-        .multipliedBy(slippageMultiplier)
+      const amountOutMinimum = BigNumber.max(
+        new BigNumber(quote.amountOut).multipliedBy((100 - slippage) / 100),
+        params.amountOutMinimum || 0
+      ).toFixed();
+      const amountInMaximum = new BigNumber(quote.amountIn)
+        .multipliedBy((100 + slippage) / 100)
         .toFixed();
 
       this.logger.info('Swap parameters calculated', {
-        expectedOutput: quote.amountOut,
-        minimumOutput: amountOutMinimum,
+        ...(exactOutput
+          ? { expectedInput: amountIn, maximumInput: amountInMaximum }
+          : { expectedOutput: amountOut, minimumOutput: amountOutMinimum }),
         slippageTolerance: slippage
       });
 
-      // Execute the swap
-      const swapResult = await this.gswap.swaps.swap(
-        params.tokenIn,
-        params.tokenOut,
-        quote.feeTier,
-        {
-          exactIn: params.amountIn,
-          amountOutMinimum: amountOutMinimum
-        },
-        this.config.walletAddress
-      );
+      // Paper trading: fill at the quoted amounts against the virtual ledger
+      if (this.paperLedger) {
+        this.paperLedger.applySwap(params.tokenIn, params.tokenOut, amountIn, amountOut);
+        this.lastActivity = new Date();
+        this.circuitBreaker.recordSwap(true);
+        this.capitalAllocator.recordFill(params.strategy || 'manual', params.tokenIn, amountIn, params.tokenOut, amountOut);
+
+        if (transactionId) {
+          this.updateTransactionStatus(transactionId, 'completed');
+        }
+
+        this.logger.info('📝 Paper swap filled', {
+          amountIn,
+          amountOut
+        });
+
+        return {
+          success: true,
+          amountIn,
+          amountOut,
+          priceImpact: quote.priceImpact,
+          feeTier: quote.feeTier,
+          simulated: true,
+          transactionId
+        };
+      }
+
+      let transactionHash: string;
+      if (quote.route) {
+        transactionHash = await this.executeRoute(quote.route, exactOutput, slippage, transactionId);
+      } else {
+        // Execute the swap
+        const swapResult = await this.gswap.swaps.swap(
+          params.tokenIn,
+          params.tokenOut,
+          quote.feeTier,
+          exactOutput
+            ? { exactOut: amountOut, amountInMaximum }
+            : { exactIn: amountIn, amountOutMinimum },
+          this.config.walletAddress
+        );
 
-      this.logger.info('Swap transaction submitted');
+        this.logger.info('Swap transaction submitted');
 
-      // Wait for transaction completion
-      const completed = await swapResult.wait();
+        // Wait for transaction completion
+        const completed = await swapResult.wait();
+        transactionHash = completed.transactionHash;
+      }
       this.lastActivity = new Date();
+      this.circuitBreaker.recordSwap(true);
+      this.capitalAllocator.recordFill(params.strategy || 'manual', params.tokenIn, amountIn, params.tokenOut, amountOut);
 
       const result: SwapResult = {
         success: true,
-        transactionHash: completed.transactionHash,
-        amountIn: params.amountIn,
-        amountOut: quote.amountOut,
+        transactionHash,
+        amountIn,
+        amountOut,
         priceImpact: quote.priceImpact,
-        feeTier: quote.feeTier
+        feeTier: quote.feeTier,
+        transactionId
       };
 
       // Update transaction status to completed
       if (transactionId) {
-        this.updateTransactionStatus(transactionId, 'completed', completed.transactionHash);
+        this.updateTransactionStatus(transactionId, 'completed', transactionHash);
       }
 
       this.logger.info('Swap completed successfully', {
@@ -221,23 +554,452 @@ export class CicadaBot {
 
       return result;
     } catch (error) {
-      this.errorCount++;
-      this.logger.error('Swap execution failed', error);
-      
-      // Update transaction status to failed
-      if (transactionId) {
-        this.updateTransactionStatus(transactionId, 'failed');
+      if (error instanceof RiskLimitError) {
+        this.logger.warn(`🚫 Swap blocked: ${error.message}`, {
+          limit: error.limit,
+          strategy: params.strategy
+        });
+      } else {
+        this.errorCount++;
+        this.logger.error('Swap execution failed', error);
+
+        // Update transaction status to failed
+        if (transactionId) {
+          this.updateTransactionStatus(transactionId, 'failed');
+        }
+
+        if (this.circuitBreaker.recordSwap(false)) {
+          this.haltStrategies();
+        }
       }
       
       return {
         success: false,
-        amountIn: params.amountIn,
+        amountIn: params.amountIn || '0',
         amountOut: '0',
-        error: error instanceof GSwapSDKError ? error.message : 'Unknown error'
+        error: error instanceof GSwapSDKError || error instanceof RiskLimitError || (this.paperLedger && error instanceof Error) ? error.message : 'Unknown error',
+        ...(error instanceof RiskLimitError ? { riskLimit: error.limit } : {}),
+        ...(this.paperLedger ? { simulated: true } : {}),
+        transactionId
       };
     }
   }
 
+  /**
+   * Execute a multi-hop route one pool at a time. The slippage tolerance is
+   * split so the hops compound to at most the overall tolerance, and each hop
+   * carries its own amountOutMinimum (or amountInMaximum for exact output).
+   * Exact-input hops after the first sell what the previous hop delivered,
+   * measured as the change in the wallet's balance of its output token, or
+   * its amountOutMinimum when the balance doesn't show it, so other holdings
+   * of an intermediate token are never sold. If a hop fails, the tokens from
+   * earlier hops stay in the wallet and the record keeps the hashes of the
+   * hops that completed.
+   */
+  private async executeRoute(hops: RouteHop[], exactOutput: boolean, slippage: number, transactionId?: string): Promise<string> {
+    const hopSlippage = 1 - Math.pow(1 - slippage / 100, 1 / hops.length);
+    const executed: RouteHop[] = hops.map(hop => ({ ...hop }));
+    let transactionHash = '';
+    let delivered: string | null = null;
+
+    for (const [index, hop] of executed.entries()) {
+      const amountIn = delivered ?? hop.amountIn;
+      const chained = !exactOutput && index < executed.length - 1;
+      const balanceBefore = chained ? new BigNumber(await this.getTokenBalance(hop.tokenOut)) : null;
+
+      const amountOutMinimum = new BigNumber(hop.amountOut)
+        .multipliedBy(amountIn)
+        .dividedBy(hop.amountIn)
+        .multipliedBy(1 - hopSlippage)
+        .toFixed();
+      const amountInMaximum = new BigNumber(hop.amountIn)
+        .multipliedBy(1 + hopSlippage)
+        .toFixed();
+
+      this.logger.info(`Executing route hop ${index + 1}/${executed.length}`, {
+        tokenIn: getTokenSymbol(hop.tokenIn),
+        tokenOut: getTokenSymbol(hop.tokenOut),
+        feeTier: hop.feeTier,
+        ...(exactOutput
+          ? { amountOut: hop.amountOut, maximumInput: amountInMaximum }
+          : { amountIn, minimumOutput: amountOutMinimum })
+      });
+
+      try {
+        const swapResult = await this.gswap.swaps.swap(
+          hop.tokenIn,
+          hop.tokenOut,
+          hop.feeTier,
+          exactOutput
+            ? { exactOut: hop.amountOut, amountInMaximum }
+            : { exactIn: amountIn, amountOutMinimum },
+          this.config.walletAddress
+        );
+        const completed = await swapResult.wait();
+        transactionHash = completed.transactionHash;
+      } catch (error) {
+        if (index > 0) {
+          this.logger.warn(`⚠️ Route stopped at hop ${index + 1}; holding ${getTokenSymbol(hop.tokenIn)} from earlier hops`, {
+            route: describeRoute({ hops: executed })
+          });
+        }
+        throw error;
+      }
+
+      let amountOut = hop.amountOut;
+      if (balanceBefore) {
+        const received = new BigNumber(await this.getTokenBalance(hop.tokenOut)).minus(balanceBefore);
+        amountOut = received.isGreaterThan(0) ? received.toFixed() : amountOutMinimum;
+        delivered = amountOut;
+      }
+
+      executed[index] = { ...hop, amountIn, amountOut, transactionHash };
+      if (transactionId) {
+        this.transactionStore.update(transactionId, { route: executed });
+      }
+    }
+
+    return transactionHash;
+  }
+
+  /**
+   * The risk limit the swap would break, or null when it is within all of them
+   */
+  private async checkRiskLimits(params: SwapParams, quote: QuoteResult, reference: QuoteReference, valueUsd?: string): Promise<RiskLimitError | null> {
+    if (!this.riskManager.isEnabled()) return null;
+
+    try {
+      this.riskManager.check({
+        tokenOut: getTokenSymbol(params.tokenOut),
+        valueUsd: valueUsd ? parseFloat(valueUsd) : null,
+        priceImpactPercent: Math.abs(parseFloat(quote.priceImpact) || 0) * 100,
+        oracleDeviationPercent: reference.deviationPercent,
+        valueOutUsd: reference.valueOutUsd
+      }, await this.getRiskUsage());
+      return null;
+    } catch (error) {
+      if (error instanceof RiskLimitError) return error;
+      throw error;
+    }
+  }
+
+  /**
+   * Volume and realized PnL of today's swaps (UTC), and the USD value of
+   * each token held when a share limit needs it. Pending swaps count
+   * towards volume; blocked and failed ones do not.
+   */
+  private async getRiskUsage(): Promise<RiskUsage> {
+    const midnight = new Date();
+    midnight.setUTCHours(0, 0, 0, 0);
+    const { transactions } = this.transactionStore.query({ from: midnight, type: 'swap', limit: this.transactionStore.count() });
+
+    let dailyVolumeUsd = 0;
+    let dailyRealizedPnlUsd = 0;
+    for (const tx of transactions) {
+      if (tx.status !== 'completed' && tx.status !== 'pending') continue;
+      dailyVolumeUsd += parseFloat(tx.valueUsd || '0') || 0;
+      dailyRealizedPnlUsd += parseUsd(tx.realizedPnl) ?? 0;
+    }
+
+    const holdingsUsd = this.riskManager.needsHoldings() ? (await this.getHoldingsUsd()).holdingsUsd : null;
+    return { dailyVolumeUsd, dailyRealizedPnlUsd, holdingsUsd };
+  }
+
+  /**
+   * USD value of each token in the wallet (or paper ledger) that has a price,
+   * and the symbols of held tokens that have none
+   */
+  private async getHoldingsUsd(): Promise<{ holdingsUsd: Record<string, number>; unpriced: string[] }> {
+    const prices = await this.getTokenPrices();
+    const tokens = this.paperLedger ? this.paperLedger.getBalances() : (await this.getPortfolioSummary()).tokens;
+    const holdingsUsd: Record<string, number> = {};
+    const unpriced: string[] = [];
+    for (const token of tokens) {
+      // Wallet assets use GalaChain symbols (GUSDC); prices and swaps use display symbols (USDC)
+      const symbol = getTokenSymbol(`${token.symbol}|Unit|none|none`);
+      const price = prices[symbol];
+      if (typeof price === 'number' && price > 0) {
+        holdingsUsd[symbol] = (holdingsUsd[symbol] || 0) + parseFloat(token.balance) * price;
+      } else if (parseFloat(token.balance) > 0 && !unpriced.includes(symbol)) {
+        unpriced.push(symbol);
+      }
+    }
+    return { holdingsUsd, unpriced };
+  }
+
+  /**
+   * How far a quote's rate is from the oracle's, and the output's USD value,
+   * for the breaker and risk limits to share. Only prices some source other
+   * than the pools backed count, since pool quotes would vouch for a broken
+   * pool by themselves; stale and fallback prices do not count either.
+   * Prices are only fetched when a check needs them.
+   */
+  private async getQuoteReference(tokenIn: string, tokenOut: string, amountIn: string, amountOut: string): Promise<QuoteReference> {
+    if (this.circuitBreaker.getConfig().maxPriceDeviationPercent === undefined && !this.riskManager.needsOraclePrices()) {
+      return { deviationPercent: null, valueOutUsd: null };
+    }
+
+    const prices = await this.priceOracle.getPrices([tokenIn, tokenOut]);
+    const [priceIn, priceOut] = [tokenIn, tokenOut].map(token => {
+      const price = prices[normalizeSymbol(token)];
+      const trusted = price && !price.stale && !price.fallback && price.sources.some(source => source !== 'pool');
+      return trusted ? price.price : null;
+    });
+    if (!priceIn || !priceOut) {
+      this.logger.warn(`⚠️ No independent oracle price for ${getTokenSymbol(tokenIn)}/${getTokenSymbol(tokenOut)}, skipping the quote deviation check`);
+    }
+
+    const quotedRate = parseFloat(amountOut) / parseFloat(amountIn);
+    return {
+      deviationPercent: priceIn && priceOut && quotedRate > 0 ? Math.abs(quotedRate / (priceIn / priceOut) - 1) * 100 : null,
+      valueOutUsd: priceOut ? parseFloat(amountOut) * priceOut : null
+    };
+  }
+
+  /**
+   * Why a swap would overspend its strategy's budget, or null when it fits.
+   * Swaps without a strategy spend from the unreserved balance as 'manual'.
+   */
+  private async checkBudget(params: SwapParams, amountIn: string): Promise<string | null> {
+    const strategy = params.strategy || 'manual';
+    if (!this.capitalAllocator.hasBudget(strategy) && this.capitalAllocator.reserved(params.tokenIn).isZero()) {
+      return null;
+    }
+
+    const available = await this.getStrategyBalance(strategy, params.tokenIn);
+    if (new BigNumber(amountIn).isGreaterThan(available)) {
+      const symbol = getTokenSymbol(params.tokenIn);
+      const budget = this.capitalAllocator.hasBudget(strategy)
+        ? `${strategy}'s ${symbol} budget`
+        : `the ${symbol} outside other strategies' budgets (${strategy} has none)`;
+      return `Swap needs ${amountIn} ${symbol} but ${budget} has ${available} left`;
+    }
+    return null;
+  }
+
+  private haltedSwapResult(params: SwapParams): SwapResult {
+    const state = this.circuitBreaker.getState();
+    this.logger.warn('🛑 Swap refused: circuit breaker is tripped', {
+      trigger: state.trigger,
+      strategy: params.strategy
+    });
+    return {
+      success: false,
+      amountIn: params.amountIn || '0',
+      amountOut: '0',
+      error: `Trading halted by circuit breaker: ${state.reason}`,
+      ...(this.paperLedger ? { simulated: true } : {})
+    };
+  }
+
+  /**
+   * Stop every running strategy after the breaker trips. Runs in the
+   * background so a strategy's own swap can trip it without waiting on itself.
+   */
+  private haltStrategies(): void {
+    this.twapExecutor.stopAll('Circuit breaker tripped');
+    this.stopArbitrageStrategy().catch(error => {
+      this.logger.error('Failed to stop strategies after the circuit breaker tripped', error);
+    });
+  }
+
+  /**
+   * Poll the event socket and portfolio value for the triggers that are set
+   */
+  private startCircuitBreakerMonitor(): void {
+    const config = this.circuitBreaker.getConfig();
+    if (!config.haltOnSocketLoss && config.maxDrawdownPercent === undefined) return;
+    if (this.circuitBreakerMonitor) clearInterval(this.circuitBreakerMonitor);
+
+    let checking = false;
+    this.circuitBreakerMonitor = setInterval(async () => {
+      if (checking || this.circuitBreaker.isTripped()) return;
+      checking = true;
+      try {
+        if (config.haltOnSocketLoss && !GSwap.events.eventSocketConnected()) {
+          this.tripCircuitBreaker('socketLost', 'Event socket disconnected');
+          return;
+        }
+        if (config.maxDrawdownPercent !== undefined) {
+          const { holdingsUsd, unpriced } = await this.getHoldingsUsd();
+          if (unpriced.length > 0) {
+            // Leaving a held token out of equity would read as a drawdown
+            this.logger.warn(`⚠️ No price for ${unpriced.join(', ')}, skipping the drawdown check`);
+          } else if (this.circuitBreaker.recordEquity(Object.values(holdingsUsd).reduce((sum, value) => sum + value, 0))) {
+            this.haltStrategies();
+          }
+        }
+      } catch (error) {
+        this.logger.warn('Circuit breaker check failed', error);
+      } finally {
+        checking = false;
+      }
+    }, config.checkInterval || 60000);
+    this.circuitBreakerMonitor.unref();
+  }
+
+  private tripCircuitBreaker(trigger: CircuitBreakerTrigger, reason: string): void {
+    if (this.circuitBreaker.trip(trigger, reason)) {
+      this.haltStrategies();
+    }
+  }
+
+  /**
+   * Trip the circuit breaker by hand and stop every strategy and TWAP/VWAP
+   * execution
+   */
+  public async kill(reason: string = 'Kill switch'): Promise<CircuitBreakerState> {
+    this.circuitBreaker.trip('manual', reason);
+    this.twapExecutor.stopAll(reason);
+    if (this.currentStrategy || this.strategies.size > 0) {
+      await this.stopArbitrageStrategy();
+    }
+    return this.circuitBreaker.getState();
+  }
+
+  /**
+   * Re-arm a tripped circuit breaker. Strategies stay stopped until started again.
+   */
+  public resetCircuitBreaker(): CircuitBreakerState {
+    this.circuitBreaker.reset();
+    return this.circuitBreaker.getState();
+  }
+
+  public getCircuitBreakerState(): CircuitBreakerState {
+    return this.circuitBreaker.getState();
+  }
+
+  /**
+   * The configured risk limits and how much of each today's trading has used
+   */
+  public async getRiskStatus(): Promise<{ limits: RiskLimits; usage: RiskUsage; blockedToday: number }> {
+    const midnight = new Date();
+    midnight.setUTCHours(0, 0, 0, 0);
+    return {
+      limits: this.riskManager.getLimits(),
+      usage: await this.getRiskUsage(),
+      blockedToday: this.transactionStore.query({ from: midnight, status: 'blocked', limit: 0 }).total
+    };
+  }
+
+  public getRiskManager(): RiskManager {
+    return this.riskManager;
+  }
+
+  /**
+   * What a strategy may spend of a token: its budget when it has one,
+   * otherwise the part of the wallet no strategy has reserved. Strategies
+   * size their swaps from this instead of getTokenBalance.
+   */
+  public async getStrategyBalance(strategy: string, tokenClassKey: string): Promise<string> {
+    return this.capitalAllocator.available(strategy, tokenClassKey, await this.getTokenBalance(tokenClassKey));
+  }
+
+  /**
+   * Budgets by strategy with which strategies are running, and per token
+   * how much of the wallet is reserved
+   */
+  public async getAllocationStatus(): Promise<{
+    strategies: Array<{ strategy: string; running: boolean; budgets: Array<TokenBudget & { token: string; symbol: string }> }>;
+    tokens: Array<{ token: string; symbol: string; wallet: string; reserved: string; unreserved: string }>;
+  }> {
+    const allocations = this.capitalAllocator.getAllocations();
+    const running = [
+      ...(this.currentStrategyName ? [this.currentStrategyName] : []),
+      ...Array.from(this.strategies.keys())
+    ];
+
+    const strategies = Array.from(new Set([...running, ...Object.keys(allocations)])).map(strategy => ({
+      strategy,
+      running: running.includes(strategy),
+      budgets: Object.entries(allocations[strategy] || {}).map(([token, budget]) => ({
+        token,
+        symbol: getTokenSymbol(token),
+        ...budget
+      }))
+    }));
+
+    const budgetedTokens = new Set(Object.values(allocations).flatMap(budgets => Object.keys(budgets)));
+    const tokens = await Promise.all(Array.from(budgetedTokens).map(async token => {
+      const wallet = new BigNumber(await this.getTokenBalance(token));
+      const reserved = this.capitalAllocator.reserved(token);
+      return {
+        token,
+        symbol: getTokenSymbol(token),
+        wallet: wallet.toFixed(),
+        reserved: reserved.toFixed(),
+        unreserved: BigNumber.max(wallet.minus(reserved), 0).toFixed()
+      };
+    }));
+
+    return { strategies, tokens };
+  }
+
+  /**
+   * Reserve an amount of a token for a strategy; 0 releases it. Throws when
+   * the wallet cannot cover every budget of that token.
+   */
+  public async setAllocation(strategy: string, tokenClassKey: string, amount: string): Promise<TokenBudget | null> {
+    return this.capitalAllocator.setAllocation(strategy, tokenClassKey, amount, await this.getTokenBalance(tokenClassKey));
+  }
+
+  /**
+   * Release every budget of a strategy, returning it to the shared balance
+   */
+  public removeAllocations(strategy: string): boolean {
+    return this.capitalAllocator.removeStrategy(strategy);
+  }
+
+  /**
+   * Register a stop-loss, take-profit, trailing-stop or OCO order against a
+   * held token. Throws when it is invalid or the amount is not held.
+   */
+  public async placeOrder(params: OrderParams): Promise<ConditionalOrder> {
+    return this.orderEngine.place(params);
+  }
+
+  /**
+   * Cancel an open order; undefined when no order has that ID
+   */
+  public cancelOrder(id: string): ConditionalOrder | undefined {
+    return this.orderEngine.cancel(id);
+  }
+
+  public getOrders(filter: { status?: OrderStatus; strategy?: string } = {}): ConditionalOrder[] {
+    return this.orderEngine.list(filter);
+  }
+
+  public getOrder(id: string): ConditionalOrder | undefined {
+    return this.orderEngine.get(id);
+  }
+
+  /**
+   * Sell a large amount as slices spread over a duration, pausing slices
+   * whose price impact is over the limit. Throws when the parameters are
+   * invalid; the slices run in the background.
+   */
+  public executeTwap(params: TwapParams): TwapExecution {
+    if (this.circuitBreaker.isTripped()) {
+      throw new Error(`Circuit breaker is tripped: ${this.circuitBreaker.getState().reason}`);
+    }
+    return this.twapExecutor.start(params);
+  }
+
+  public getTwapExecutions(): TwapExecution[] {
+    return this.twapExecutor.list();
+  }
+
+  public getTwapExecution(id: string): TwapExecution | undefined {
+    return this.twapExecutor.get(id);
+  }
+
+  /**
+   * Stop a running execution; undefined when none has that ID
+   */
+  public cancelTwap(id: string): TwapExecution | undefined {
+    return this.twapExecutor.cancel(id);
+  }
+
   /**
    * Get user's portfolio summary
    */
@@ -245,6 +1007,20 @@ export class CicadaBot {
     try {
       this.logger.info('Fetching portfolio summary');
 
+      if (this.paperLedger) {
+        const balances = this.paperLedger.getBalances();
+        return {
+          totalTokens: balances.length,
+          tokens: balances.map(token => ({
+            symbol: token.symbol,
+            balance: token.balance,
+            decimals: 8,
+            verified: true
+          })),
+          positions: []
+        };
+      }
+
       // Get user assets with better error handling
       let assets;
       try {
@@ -284,87 +1060,472 @@ export class CicadaBot {
         }))
       };
 
-      this.logger.info('Portfolio summary retrieved', {
-        totalTokens: summary.totalTokens,
-        activePositions: summary.positions.length
-      });
+      this.logger.info('Portfolio summary retrieved', {
+        totalTokens: summary.totalTokens,
+        activePositions: summary.positions.length
+      });
+
+      return summary;
+    } catch (error) {
+      this.errorCount++;
+      this.logger.error('Failed to get portfolio summary', error);
+      
+      // Return empty portfolio instead of throwing error
+      return {
+        totalTokens: 0,
+        tokens: [],
+        positions: []
+      };
+    }
+  }
+
+  /**
+   * Get balance for a specific token
+   */
+  public async getTokenBalance(tokenClassKey: string): Promise<string> {
+    if (this.paperLedger) {
+      return this.paperLedger.getBalance(tokenClassKey);
+    }
+
+    try {
+      const assets = await this.gswap.assets.getUserAssets(this.config.walletAddress, 1, 10);
+      
+      this.logger.debug('Available tokens:', assets.tokens.map(t => ({
+        symbol: t.symbol,
+        quantity: t.quantity,
+        fullKey: `${t.symbol}|Unit|none|none`
+      })));
+      
+      this.logger.debug('Looking for token:', {
+        tokenClassKey: tokenClassKey,
+        expectedSymbol: getTokenSymbol(tokenClassKey)
+      });
+      
+      const token = assets.tokens.find(t => 
+        `${t.symbol}|Unit|none|none` === tokenClassKey || 
+        t.symbol === getTokenSymbol(tokenClassKey)
+      );
+      
+      this.logger.debug('Token found:', token ? {
+        symbol: token.symbol,
+        quantity: token.quantity
+      } : 'No token found');
+      
+      return token ? token.quantity : '0';
+    } catch (error) {
+      this.errorCount++;
+      this.logger.error('Failed to get token balance', error);
+      // Return '0' instead of throwing error for better UX
+      return '0';
+    }
+  }
+
+  /**
+   * Get current price for a token pair
+   */
+  public async getCurrentPrice(tokenIn: string, tokenOut: string, feeTier?: number): Promise<string> {
+    try {
+      const quote = await this.gswap.quoting.quoteExactInput(
+        tokenIn,
+        tokenOut,
+        '1', // 1 unit for price calculation
+        feeTier
+      );
+      
+      return quote.currentPrice.toString();
+    } catch (error) {
+      this.errorCount++;
+      this.logger.error('Failed to get current price', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Concentrated-liquidity positions held by the wallet, with whether each
+   * is in range at the pool's current tick and its uncollected fees
+   */
+  public async getLiquidityPositions(): Promise<LiquidityPosition[]> {
+    try {
+      const positions = await this.fetchUserPositions();
+      const poolTicks: Map<string, Promise<{ tick: number; price: string } | null>> = new Map();
+      return await Promise.all(positions.map(position => this.describePosition(position, poolTicks)));
+    } catch (error) {
+      this.errorCount++;
+      this.logger.error('Failed to get liquidity positions', error);
+      throw error;
+    }
+  }
+
+  public async getLiquidityPosition(positionId: string): Promise<LiquidityPosition | undefined> {
+    const positions = await this.fetchUserPositions();
+    const position = positions.find(candidate => candidate.positionId === positionId);
+    return position ? this.describePosition(position, new Map()) : undefined;
+  }
+
+  /**
+   * Open a position, or add to one when positionId is set. The range is
+   * given as prices (addLiquidityByPrice) or ticks (addLiquidityByTicks);
+   * amount0Min/amount1Min allow slippageTolerance below the desired amounts.
+   */
+  public async addLiquidity(params: AddLiquidityParams): Promise<LiquidityResult> {
+    let transactionId: string | undefined;
+
+    try {
+      this.requireLiveLiquidity();
+
+      const byTicks = params.tickLower !== undefined && params.tickUpper !== undefined;
+      if (!byTicks && (!params.minPrice || !params.maxPrice)) {
+        throw new Error('Provide either minPrice and maxPrice or tickLower and tickUpper');
+      }
+
+      const tickSpacing = TICK_SPACINGS[params.fee];
+      if (!tickSpacing) {
+        throw new Error(`Unsupported fee tier ${params.fee}`);
+      }
+
+      const slippage = params.slippageTolerance ?? DEFAULT_SLIPPAGE;
+      const minimum = (amount: string) => new BigNumber(amount).multipliedBy((100 - slippage) / 100).toFixed();
+      const common = {
+        walletAddress: this.config.walletAddress,
+        positionId: params.positionId || '',
+        token0: params.token0,
+        token1: params.token1,
+        fee: params.fee,
+        tickSpacing,
+        amount0Desired: params.amount0Desired,
+        amount1Desired: params.amount1Desired,
+        amount0Min: minimum(params.amount0Desired),
+        amount1Min: minimum(params.amount1Desired)
+      };
+
+      this.logger.info('Adding liquidity', {
+        pair: `${getTokenSymbol(params.token0)}/${getTokenSymbol(params.token1)}`,
+        fee: params.fee,
+        range: byTicks ? `${params.tickLower}..${params.tickUpper} (ticks)` : `${params.minPrice}..${params.maxPrice}`,
+        amount0Desired: params.amount0Desired,
+        amount1Desired: params.amount1Desired,
+        positionId: params.positionId || 'new'
+      });
+
+      transactionId = this.recordLiquidity('add', params, params.amount0Desired, params.amount1Desired, params.positionId, params);
+
+      const pending = byTicks
+        ? await this.gswap.positions.addLiquidityByTicks({ ...common, tickLower: params.tickLower, tickUpper: params.tickUpper })
+        : await this.gswap.positions.addLiquidityByPrice({ ...common, minPrice: params.minPrice, maxPrice: params.maxPrice });
+      const completed = await pending.wait();
+      this.lastActivity = new Date();
+
+      // A new position's ID is looked up from the ticks it was opened at
+      let positionId = params.positionId;
+      if (!positionId) {
+        const tickLower = byTicks ? params.tickLower : this.gswap.pools.calculateTicksForPrice(params.minPrice as string, tickSpacing);
+        const tickUpper = byTicks ? params.tickUpper : this.gswap.pools.calculateTicksForPrice(params.maxPrice as string, tickSpacing);
+        const positions = await this.fetchUserPositions();
+        positionId = positions.find(position =>
+          classKeyString(position.token0ClassKey) === params.token0 &&
+          classKeyString(position.token1ClassKey) === params.token1 &&
+          position.fee === params.fee &&
+          position.tickLower === tickLower &&
+          position.tickUpper === tickUpper
+        )?.positionId;
+      }
+
+      this.logger.info('✅ Liquidity added', { positionId, transactionHash: completed.transactionHash });
+      if (positionId && !params.positionId) {
+        this.transactionStore.update(transactionId, { positionId });
+      }
+      this.updateTransactionStatus(transactionId, 'completed', completed.transactionHash);
+
+      return {
+        success: true,
+        transactionHash: completed.transactionHash,
+        amount0: params.amount0Desired,
+        amount1: params.amount1Desired,
+        ...(positionId ? { positionId } : {})
+      };
+    } catch (error) {
+      this.errorCount++;
+      this.logger.error('Failed to add liquidity', error);
+      if (transactionId) {
+        this.updateTransactionStatus(transactionId, 'failed');
+      }
+      return { success: false, error: error instanceof Error ? error.message : 'Unknown error' };
+    }
+  }
+
+  /**
+   * Tokens that removing a percentage of a position's liquidity would return
+   */
+  public async estimateRemoveLiquidity(positionId: string, percentage: number = 100): Promise<{ liquidity: string; amount0: string; amount1: string }> {
+    return this.estimateRemoval(await this.requirePosition(positionId), percentage);
+  }
+
+  private async estimateRemoval(position: LiquidityPosition, percentage: number): Promise<{ liquidity: string; amount0: string; amount1: string }> {
+    const liquidity = removalLiquidity(position.liquidity, percentage);
+    const estimate = await this.gswap.positions.estimateRemoveLiquidity({ positionId: position.positionId, liquidity });
+
+    return {
+      liquidity,
+      amount0: estimate.amount0.toString(),
+      amount1: estimate.amount1.toString()
+    };
+  }
+
+  /**
+   * Withdraw a percentage of a position's liquidity. The estimate less
+   * slippageTolerance sets the minimum amounts received.
+   */
+  public async removeLiquidity(positionId: string, percentage: number = 100, slippageTolerance: number = DEFAULT_SLIPPAGE, attribution: StrategyAttribution = {}): Promise<LiquidityResult> {
+    let transactionId: string | undefined;
+
+    try {
+      this.requireLiveLiquidity();
+
+      const position = await this.requirePosition(positionId);
+      const estimate = await this.estimateRemoval(position, percentage);
+      const minimum = (amount: string) => new BigNumber(amount).multipliedBy((100 - slippageTolerance) / 100).toFixed();
+
+      this.logger.info('Removing liquidity', { positionId, percentage, ...estimate });
+
+      transactionId = this.recordLiquidity('remove', position, estimate.amount0, estimate.amount1, positionId, attribution);
+
+      const pending = await this.gswap.positions.removeLiquidity({
+        walletAddress: this.config.walletAddress,
+        positionId,
+        liquidity: estimate.liquidity,
+        amount0Min: minimum(estimate.amount0),
+        amount1Min: minimum(estimate.amount1)
+      });
+      const completed = await pending.wait();
+      this.lastActivity = new Date();
+
+      this.logger.info('✅ Liquidity removed', { positionId, transactionHash: completed.transactionHash });
+      this.updateTransactionStatus(transactionId, 'completed', completed.transactionHash);
+
+      return {
+        success: true,
+        positionId,
+        transactionHash: completed.transactionHash,
+        amount0: estimate.amount0,
+        amount1: estimate.amount1
+      };
+    } catch (error) {
+      this.errorCount++;
+      this.logger.error('Failed to remove liquidity', error);
+      if (transactionId) {
+        this.updateTransactionStatus(transactionId, 'failed');
+      }
+      return { success: false, positionId, error: error instanceof Error ? error.message : 'Unknown error' };
+    }
+  }
+
+  /**
+   * Collect every fee a position has earned
+   */
+  public async collectFees(positionId: string, attribution: StrategyAttribution = {}): Promise<LiquidityResult> {
+    let transactionId: string | undefined;
+
+    try {
+      this.requireLiveLiquidity();
+
+      const position = await this.requirePosition(positionId);
+
+      this.logger.info('Collecting fees', {
+        positionId,
+        [position.token0Symbol]: position.tokensOwed0,
+        [position.token1Symbol]: position.tokensOwed1
+      });
+
+      transactionId = this.recordLiquidity('collect', position, position.tokensOwed0, position.tokensOwed1, positionId, attribution);
+
+      const pending = await this.gswap.positions.collectFees({
+        walletAddress: this.config.walletAddress,
+        positionId,
+        amount0Max: COLLECT_ALL,
+        amount1Max: COLLECT_ALL
+      });
+      const completed = await pending.wait();
+      this.lastActivity = new Date();
+
+      this.logger.info('✅ Fees collected', { positionId, transactionHash: completed.transactionHash });
+      this.updateTransactionStatus(transactionId, 'completed', completed.transactionHash);
+
+      return {
+        success: true,
+        positionId,
+        transactionHash: completed.transactionHash,
+        amount0: position.tokensOwed0,
+        amount1: position.tokensOwed1
+      };
+    } catch (error) {
+      this.errorCount++;
+      this.logger.error('Failed to collect fees', error);
+      if (transactionId) {
+        this.updateTransactionStatus(transactionId, 'failed');
+      }
+      return { success: false, positionId, error: error instanceof Error ? error.message : 'Unknown error' };
+    }
+  }
+
+  /**
+   * Withdraw all liquidity from a position and collect what it is owed
+   */
+  public async closePosition(positionId: string, slippageTolerance: number = DEFAULT_SLIPPAGE, attribution: StrategyAttribution = {}): Promise<LiquidityResult> {
+    const removed = await this.removeLiquidity(positionId, 100, slippageTolerance, attribution);
+    if (!removed.success) {
+      return removed;
+    }
+
+    const collected = await this.collectFees(positionId, attribution);
+    if (!collected.success) {
+      this.logger.warn(`⚠️ Position ${positionId} emptied but fee collection failed; collect it again later`, { error: collected.error });
+    }
+    return removed;
+  }
+
+  /**
+   * A pool's current tick and price (token1 per token0)
+   */
+  public async getPoolTick(token0: string, token1: string, fee: number): Promise<{ tick: number; price: string }> {
+    const pool = await this.gswap.pools.getPoolData(token0, token1, fee);
+    // sqrtPrice² is token1 per token0; tick = log base 1.0001 of the price
+    const price = new BigNumber(pool.sqrtPrice.toString()).pow(2);
+    return { tick: Math.floor(Math.log(price.toNumber()) / Math.log(1.0001)), price: price.toFixed() };
+  }
+
+  /**
+   * The tick for a price (token1 per token0), snapped to the fee tier's tick spacing
+   */
+  public calculateTickForPrice(price: string, fee: number): number {
+    const tickSpacing = TICK_SPACINGS[fee];
+    if (!tickSpacing) {
+      throw new Error(`Unsupported fee tier ${fee}`);
+    }
+    return this.gswap.pools.calculateTicksForPrice(price, tickSpacing);
+  }
+
+  /**
+   * Liquidity operations need a live wallet and, like swaps, stop while the
+   * circuit breaker is tripped
+   */
+  private requireLiveLiquidity(): void {
+    if (this.paperLedger) {
+      throw new Error('Liquidity positions are not available in paper trading mode');
+    }
+    if (this.circuitBreaker.isTripped()) {
+      throw new Error(`Circuit breaker is tripped: ${this.circuitBreaker.getState().reason}`);
+    }
+  }
 
-      return summary;
-    } catch (error) {
-      this.errorCount++;
-      this.logger.error('Failed to get portfolio summary', error);
-      
-      // Return empty portfolio instead of throwing error
-      return {
-        totalTokens: 0,
-        tokens: [],
-        positions: []
-      };
+  private async requirePosition(positionId: string): Promise<LiquidityPosition> {
+    const position = await this.getLiquidityPosition(positionId);
+    if (!position) {
+      throw new Error(`Position ${positionId} not found`);
     }
+    return position;
   }
 
   /**
-   * Get balance for a specific token
+   * Record a pending liquidity operation. The pair goes in tokenIn/tokenOut
+   * and the token amounts in amountIn/amountOut.
    */
-  public async getTokenBalance(tokenClassKey: string): Promise<string> {
-    try {
-      const assets = await this.gswap.assets.getUserAssets(this.config.walletAddress, 1, 10);
-      
-      this.logger.debug('Available tokens:', assets.tokens.map(t => ({
-        symbol: t.symbol,
-        quantity: t.quantity,
-        fullKey: `${t.symbol}|Unit|none|none`
-      })));
-      
-      this.logger.debug('Looking for token:', {
-        tokenClassKey: tokenClassKey,
-        expectedSymbol: getTokenSymbol(tokenClassKey)
-      });
-      
-      const token = assets.tokens.find(t => 
-        `${t.symbol}|Unit|none|none` === tokenClassKey || 
-        t.symbol === getTokenSymbol(tokenClassKey)
-      );
-      
-      this.logger.debug('Token found:', token ? {
-        symbol: token.symbol,
-        quantity: token.quantity
-      } : 'No token found');
-      
-      return token ? token.quantity : '0';
-    } catch (error) {
-      this.errorCount++;
-      this.logger.error('Failed to get token balance', error);
-      // Return '0' instead of throwing error for better UX
-      return '0';
+  private recordLiquidity(
+    action: 'add' | 'remove' | 'collect',
+    pool: { token0: string; token1: string; fee: number },
+    amount0: string,
+    amount1: string,
+    positionId: string | undefined,
+    attribution: StrategyAttribution
+  ): string {
+    return this.addTransaction({
+      type: 'liquidity',
+      liquidityAction: action,
+      tokenIn: getTokenSymbol(pool.token0),
+      tokenOut: getTokenSymbol(pool.token1),
+      amountIn: amount0,
+      amountOut: amount1,
+      feeTier: pool.fee,
+      status: 'pending',
+      ...(positionId ? { positionId } : {}),
+      ...(attribution.strategy ? { strategy: attribution.strategy } : {}),
+      ...(attribution.runId ? { runId: attribution.runId } : {})
+    });
+  }
+
+  /**
+   * Every position the wallet holds, following the pagination bookmark
+   */
+  private async fetchUserPositions(): Promise<any[]> {
+    const positions: any[] = [];
+    let bookmark: string | undefined;
+
+    for (let page = 0; page < 20; page++) {
+      const result = await this.gswap.positions.getUserPositions(this.config.walletAddress, 50, bookmark);
+      const batch = result.positions || [];
+      positions.push(...batch);
+      if (batch.length === 0 || !result.bookmark || result.bookmark === bookmark) break;
+      bookmark = result.bookmark;
     }
+    return positions;
   }
 
   /**
-   * Get current price for a token pair
+   * Add range status and owed fees to a getUserPositions entry. Pool ticks
+   * are shared through poolTicks so each pool is read once.
    */
-  public async getCurrentPrice(tokenIn: string, tokenOut: string, feeTier?: number): Promise<string> {
-    try {
-      const quote = await this.gswap.quoting.quoteExactInput(
-        tokenIn,
-        tokenOut,
-        '1', // 1 unit for price calculation
-        feeTier
-      );
-      
-      return quote.currentPrice.toString();
-    } catch (error) {
-      this.errorCount++;
-      this.logger.error('Failed to get current price', error);
-      throw error;
+  private async describePosition(position: any, poolTicks: Map<string, Promise<{ tick: number; price: string } | null>>): Promise<LiquidityPosition> {
+    const token0 = classKeyString(position.token0ClassKey);
+    const token1 = classKeyString(position.token1ClassKey);
+    const poolKey = `${token0}:${token1}@${position.fee}`;
+
+    if (!poolTicks.has(poolKey)) {
+      poolTicks.set(poolKey, this.getPoolTick(token0, token1, position.fee)
+        .catch((error: unknown) => {
+          this.logger.warn(`Failed to read pool ${getTokenSymbol(token0)}/${getTokenSymbol(token1)} at ${position.fee}`, error);
+          return null;
+        }));
     }
+
+    const [detail, pool] = await Promise.all([
+      this.gswap.positions.getPosition(this.config.walletAddress, {
+        token0ClassKey: position.token0ClassKey,
+        token1ClassKey: position.token1ClassKey,
+        fee: position.fee,
+        tickLower: position.tickLower,
+        tickUpper: position.tickUpper
+      }).catch((error: unknown) => {
+        this.logger.warn(`Failed to read position ${position.positionId}`, error);
+        return null;
+      }),
+      poolTicks.get(poolKey) as Promise<{ tick: number; price: string } | null>
+    ]);
+
+    return {
+      positionId: position.positionId,
+      token0,
+      token1,
+      token0Symbol: position.token0Symbol || getTokenSymbol(token0),
+      token1Symbol: position.token1Symbol || getTokenSymbol(token1),
+      fee: position.fee,
+      tickLower: position.tickLower,
+      tickUpper: position.tickUpper,
+      priceLower: this.gswap.pools.calculatePriceForTicks(position.tickLower).toString(),
+      priceUpper: this.gswap.pools.calculatePriceForTicks(position.tickUpper).toString(),
+      liquidity: (detail?.liquidity ?? position.liquidity).toString(),
+      currentTick: pool ? pool.tick : null,
+      currentPrice: pool ? pool.price : null,
+      inRange: pool ? pool.tick >= position.tickLower && pool.tick < position.tickUpper : null,
+      tokensOwed0: detail ? detail.tokensOwed0.toString() : '0',
+      tokensOwed1: detail ? detail.tokensOwed1.toString() : '0',
+      ...(position.createdAt ? { createdAt: position.createdAt } : {})
+    };
   }
 
   /**
    * Check if the bot is ready for trading
    */
   public isReady(): boolean {
-    return this.isConnected && this.errorCount < 10; // Allow up to 10 errors
+    return this.isConnected && this.errorCount < 10 && !this.circuitBreaker.isTripped(); // Allow up to 10 errors
   }
 
   /**
@@ -372,6 +1533,16 @@ export class CicadaBot {
    */
   public async disconnect(): Promise<void> {
     try {
+      if (this.circuitBreakerMonitor) {
+        clearInterval(this.circuitBreakerMonitor);
+        this.circuitBreakerMonitor = null;
+      }
+      this.orderEngine.stop();
+      this.twapExecutor.stopAll('Bot stopped');
+
+      // Keep running strategies in the snapshot so they can be resumed
+      this.saveStrategyState();
+      this.transactionStore.close();
       GSwap.events.disconnectEventSocket();
       this.isConnected = false;
       this.logger.info('Cicada Bot disconnected');
@@ -395,298 +1566,129 @@ export class CicadaBot {
   }
 
   /**
-   * Get real-time token prices from pools
+   * Get metadata for every registered strategy
    */
-  private async getTokenPrices(): Promise<{ [key: string]: number }> {
-    try {
-      const prices: { [key: string]: number } = {
-        'USDC': 1.0,      // USDC is always $1.00
-        'USDT': 1.0,      // USDT is always $1.00
-      };
-
-      // Optional GALA override via env for backfill/recalc scenarios
-      const overrideGala = parseFloat(process.env.GALA_PRICE_OVERRIDE_USD as any);
-      if (!isNaN(overrideGala) && overrideGala > 0) {
-        prices['GALA'] = overrideGala;
-        this.logger.debug(`GALA price (override): $${overrideGala}`);
-      }
-
-      // Try CoinGecko first for GALA (more stable reference) if no override present
-      try {
-        const cgResp = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=gala&vs_currencies=usd', { timeout: 4000 } as any);
-        if (cgResp.ok) {
-          const cgJson: any = await cgResp.json();
-          const galaUsd = cgJson?.gala?.usd;
-          if (typeof galaUsd === 'number' && galaUsd > 0) {
-            prices['GALA'] = prices['GALA'] ?? galaUsd;
-            this.logger.debug(`GALA price (CoinGecko): $${galaUsd}`);
-          }
-        }
-      } catch (e) {
-        // ignore and fall back to pool quote below
-      }
+  public static getAvailableStrategies(): StrategyMetadata[] {
+    return StrategyRegistry.list();
+  }
 
-      // If CoinGecko didn't set it, get GALA price from GALA/USDC pool
-      try {
-        const galaUsdcQuote = await this.gswap.quoting.quoteExactInput(
-          COMMON_TOKENS.GALA,
-          COMMON_TOKENS.GUSDC,
-          '1', // 1 GALA
-          FEE_TIERS.LOW // Use working fee tier
-        );
-        // The quote gives us USDC amount for 1 GALA, which is the GALA price in USD
-        const galaPrice = parseFloat(galaUsdcQuote.outTokenAmount.toString());
-        prices['GALA'] = prices['GALA'] ?? galaPrice;
-        this.logger.debug(`GALA price calculated: $${galaPrice}`);
-      } catch (error) {
-        this.logger.debug('Failed to get GALA price, using fallback', error);
-        prices['GALA'] = prices['GALA'] ?? 0.0063; // Fallback price if neither source worked
-      }
+  /**
+   * Get USD prices by symbol from the price oracle. Tokens without a sourced
+   * price are left out, including those only covered by a fallback constant.
+   */
+  private async getTokenPrices(): Promise<{ [key: string]: number }> {
+    const prices = await this.priceOracle.getPriceMap(['GALA', 'USDC', 'USDT', 'ETH', 'WBTC']);
 
-      // Get ETH price from ETH/USDC pool (if available)
-      try {
-        const ethUsdcQuote = await this.gswap.quoting.quoteExactInput(
-          COMMON_TOKENS.GETH,
-          COMMON_TOKENS.GUSDC,
-          '1', // 1 ETH
-          FEE_TIERS.LOW // Use working fee tier
-        );
-        prices['ETH'] = parseFloat(ethUsdcQuote.outTokenAmount.toString());
-        prices['GETH'] = prices['ETH']; // Same price for GETH
-      } catch (error) {
-        this.logger.debug('Failed to get ETH price, using fallback', error);
-        prices['ETH'] = 4310.0; // Updated fallback price
-        prices['GETH'] = 4310.0;
-      }
+    // Callers also look up the GalaChain wrapped symbols
+    if (prices['ETH'] !== undefined) prices['GETH'] = prices['ETH'];
+    if (prices['WBTC'] !== undefined) prices['GWBTC'] = prices['WBTC'];
 
-      // Get WBTC price from WBTC/USDC pool (if available)
-      try {
-        const wbtcUsdcQuote = await this.gswap.quoting.quoteExactInput(
-          COMMON_TOKENS.GWBTC,
-          COMMON_TOKENS.GUSDC,
-          '1', // 1 WBTC
-          FEE_TIERS.LOW // Use working fee tier
-        );
-        prices['WBTC'] = parseFloat(wbtcUsdcQuote.outTokenAmount.toString());
-        prices['GWBTC'] = prices['WBTC']; // Same price for GWBTC
-      } catch (error) {
-        this.logger.debug('Failed to get WBTC price, using fallback', error);
-        prices['WBTC'] = 100000.0; // Fallback price
-        prices['GWBTC'] = 100000.0;
-      }
+    this.logger.debug('Token prices fetched:', prices);
+    return prices;
+  }
 
-      this.logger.debug('Token prices fetched:', prices);
-      return prices;
+  /**
+   * Gas for a number of swaps, expressed in the given token so strategies
+   * can net it against profits in that token
+   */
+  public async estimateGasCost(tokenClassKey: string, swaps: number = 1): Promise<BigNumber> {
+    const gasGala = new BigNumber(GAS_FEE_GALA).multipliedBy(swaps);
+    const symbol = getTokenSymbol(tokenClassKey);
+    if (symbol === 'GALA') {
+      return gasGala;
+    }
 
-    } catch (error) {
-      this.logger.warn('Failed to fetch token prices, using fallbacks', error);
-      // Return fallback prices
-      return {
-        'GALA': 0.017,
-        'USDC': 1.0,
-        'USDT': 1.0,
-        'ETH': 4310.0,
-        'GETH': 4310.0,
-        'WBTC': 100000.0,
-        'GWBTC': 100000.0
-      };
+    const prices = await this.getTokenPrices();
+    if (!prices['GALA'] || !prices[symbol]) {
+      throw new Error(`Cannot price gas in ${symbol}`);
     }
+    return gasGala.multipliedBy(prices['GALA']).dividedBy(prices[symbol]);
+  }
+
+  /**
+   * The price oracle, for callers that need sources and fallback flags
+   */
+  public getPriceOracle(): PriceOracle {
+    return this.priceOracle;
   }
 
   // Arbitrage Strategy Management
-  private currentStrategy: any = null;
-  private strategies: Map<string, any> = new Map(); // Support multiple strategies
+  private currentStrategy: Strategy | null = null;
+  private strategies: Map<string, Strategy> = new Map(); // Concurrent strategies (Pool Sharks) by instance ID
+  private currentStrategyName: string | null = null;
+  private strategyNames: Map<string, string> = new Map(); // Registry name of each concurrent instance
   private strategyResults: any[] = [];
+  private poolSharks: Map<string, TokenSwapConfig> = new Map(); // Pool Shark configs by instance ID, running or not
 
   /**
-   * Start an arbitrage strategy
+   * Start a registered strategy. Concurrent strategies are keyed by
+   * instanceId so several instances of one strategy can run side by side.
+   * A persisted state, when given, is restored before the strategy starts.
    */
-  public async startArbitrageStrategy(strategyName: string, config: any = {}) {
+  public async startArbitrageStrategy(strategyName: string, config: any = {}, instanceId: string = strategyName, state?: Record<string, any>) {
     try {
-      // For non-Pool Shark strategies, stop any existing strategy
-      if (!['token-swap', 'token-swap-2', 'token-swap-3', 'token-swap-4', 'token-swap-5'].includes(strategyName) && this.currentStrategy) {
+      const definition = StrategyRegistry.get(strategyName);
+      if (!definition) {
+        throw new Error(`Unknown strategy: ${strategyName}`);
+      }
+      if (this.circuitBreaker.isTripped()) {
+        throw new Error(`Circuit breaker is tripped: ${this.circuitBreaker.getState().reason}. Reset it before starting strategies`);
+      }
+
+      // Exclusive strategies replace whatever exclusive strategy is running
+      if (!definition.concurrent && this.currentStrategy) {
         await this.stopArbitrageStrategy();
       }
       
-      // For Pool Shark strategies, check if already running
-      if (['token-swap', 'token-swap-2', 'token-swap-3', 'token-swap-4', 'token-swap-5'].includes(strategyName) && this.strategies.has(strategyName)) {
-        this.logger.warn(`Strategy '${strategyName}' is already running`);
+      // Concurrent strategies only run one instance per ID
+      if (definition.concurrent && this.strategies.has(instanceId)) {
+        this.logger.warn(`Strategy '${instanceId}' is already running`);
         return;
       }
 
       this.logger.info(`Starting arbitrage strategy: ${strategyName}`, config);
 
-      // Import and instantiate the selected strategy
-      let StrategyClass;
-      switch (strategyName) {
-        case 'simple':
-          const { SimpleArbitrageStrategy } = await import('./strategies/SimpleArbitrageStrategy');
-          StrategyClass = SimpleArbitrageStrategy;
-          break;
-        case 'fixed':
-          const { FixedArbitrageStrategy } = await import('./strategies/FixedArbitrageStrategy');
-          StrategyClass = FixedArbitrageStrategy;
-          break;
-        case 'optimized':
-          const { OptimizedArbitrageStrategy } = await import('./strategies/OptimizedArbitrageStrategy');
-          StrategyClass = OptimizedArbitrageStrategy;
-          break;
-        case 'price-difference':
-          const { PriceDifferenceStrategy } = await import('./strategies/PriceDifferenceStrategy');
-          StrategyClass = PriceDifferenceStrategy;
-          break;
-        case 'advanced':
-          const { ArbitrageStrategy } = await import('./strategies/ArbitrageStrategy');
-          StrategyClass = ArbitrageStrategy;
-          break;
-        case 'lunar':
-          const { LunarPhaseStrategy } = await import('./strategies/LunarPhaseStrategy');
-          StrategyClass = LunarPhaseStrategy;
-          break;
-        case 'prime':
-          const { PrimeCicadaStrategy } = await import('./strategies/PrimeIntervalStrategy');
-          StrategyClass = PrimeCicadaStrategy;
-          break;
-        case 'token-swap':
-          const { TokenSwapStrategy } = await import('./strategies/TokenSwapStrategy');
-          StrategyClass = TokenSwapStrategy;
-          break;
-        case 'token-swap-2':
-          const { TokenSwap2Strategy } = await import('./strategies/TokenSwap2Strategy');
-          StrategyClass = TokenSwap2Strategy;
-          break;
-        case 'token-swap-3':
-          const { TokenSwap3Strategy } = await import('./strategies/TokenSwap3Strategy');
-          StrategyClass = TokenSwap3Strategy;
-          break;
-        case 'token-swap-4':
-          const { TokenSwap4Strategy } = await import('./strategies/TokenSwap4Strategy');
-          StrategyClass = TokenSwap4Strategy;
-          break;
-        case 'token-swap-5':
-          const { TokenSwap5Strategy } = await import('./strategies/TokenSwap5Strategy');
-          StrategyClass = TokenSwap5Strategy;
-          break;
-        default:
-          throw new Error(`Unknown strategy: ${strategyName}`);
-      }
-
-      // Create strategy instance with default config
-      let defaultConfig: any = {
-        minProfitThreshold: 0.5,
-        maxPositionSize: '100',
-        maxSlippage: 0.5,
-        scanInterval: 5000,
+      const strategyConfig = {
+        ...definition.defaultConfig,
         ...config
       };
 
-      // Strategy-specific default configs
-        if (strategyName === 'token-swap') {
-          defaultConfig = {
-            tokenIn: 'GALA|Unit|none|none',
-            tokenOut: 'GUSDC|Unit|none|none',
-            amountIn: '10',
-            slippageTolerance: 1.0,
-            feeTier: 500,
-            intervalSeconds: 30,
-            minAmountOut: '9.5', // Minimum amountOut threshold (5% below expected)
-            enabled: true,
-            ...config
-          };
-        } else if (strategyName === 'token-swap-2') {
-          defaultConfig = {
-            tokenIn: 'GUSDC|Unit|none|none',
-            tokenOut: 'GALA|Unit|none|none',
-            amountIn: '10',
-            slippageTolerance: 1.0,
-            feeTier: 500,
-            intervalSeconds: 30,
-            minAmountOut: '9.5', // Minimum amountOut threshold (5% below expected)
-            enabled: true,
-            ...config
-          };
-        } else if (strategyName === 'token-swap-3') {
-          defaultConfig = {
-            tokenIn: 'GETH|Unit|none|none',
-            tokenOut: 'GUSDC|Unit|none|none',
-            amountIn: '0.1',
-            slippageTolerance: 1.0,
-            feeTier: 500,
-            intervalSeconds: 45,
-            minAmountOut: '200',
-            enabled: true,
-            ...config
-          };
-        } else if (strategyName === 'token-swap-4') {
-          defaultConfig = {
-            tokenIn: 'GUSDT|Unit|none|none',
-            tokenOut: 'GALA|Unit|none|none',
-            amountIn: '50',
-            slippageTolerance: 1.0,
-            feeTier: 500,
-            intervalSeconds: 60,
-            minAmountOut: '500',
-            enabled: true,
-            ...config
-          };
-        } else if (strategyName === 'token-swap-5') {
-          defaultConfig = {
-            tokenIn: 'GALA|Unit|none|none',
-            tokenOut: 'GETH|Unit|none|none',
-            amountIn: '100',
-            slippageTolerance: 1.0,
-            feeTier: 500,
-            intervalSeconds: 90,
-            minAmountOut: '0.05',
-            enabled: true,
-            ...config
-          };
-        } else if (strategyName === 'lunar') {
-        defaultConfig = {
-          minTradeAmount: '10',
-          maxTradeAmount: '100',
-          checkInterval: 300000, // 5 minutes
-          maxSlippage: 0.5,
-          enabledTokens: ['GALA', 'USDC'],
-          strategy: 'both',
-          phaseThreshold: 2,
-          riskManagement: {
-            stopLossPercentage: 5,
-            takeProfitPercentage: 10,
-            maxPositionSize: 20
-          },
-          ...config
-        };
-      }
-
-      // Prime interval strategy specific defaults
-      if (strategyName === 'prime') {
-        defaultConfig = {
-          tokenA: COMMON_TOKENS.GUSDC, // USDC
-          tokenB: COMMON_TOKENS.GALA,  // GALA
-          slippageTolerance: 0.5,
-          swapPercentage: 33,
-          feeTier: FEE_TIERS.LOW, // 0.05% - using working fee tier
-          enabled: true,
-          ...config
-        };
+      const strategyInstance = await definition.create(this, strategyConfig);
+      if (state && strategyInstance.restoreState) {
+        strategyInstance.restoreState(state);
       }
 
-      const strategyInstance = new StrategyClass(this, defaultConfig);
-      await strategyInstance.start();
-
-      // Store strategy instance
-      if (['token-swap', 'token-swap-2', 'token-swap-3', 'token-swap-4', 'token-swap-5'].includes(strategyName)) {
-        this.strategies.set(strategyName, strategyInstance);
+      // Store the instance before starting it: scan-loop strategies only
+      // resolve start() once they are stopped
+      if (definition.concurrent) {
+        this.strategies.set(instanceId, strategyInstance);
+        this.strategyNames.set(instanceId, strategyName);
       } else {
         this.currentStrategy = strategyInstance;
+        this.currentStrategyName = strategyName;
+      }
+      this.saveStrategyState();
+
+      try {
+        await strategyInstance.start();
+      } catch (error) {
+        if (definition.concurrent) {
+          this.strategies.delete(instanceId);
+          this.strategyNames.delete(instanceId);
+        } else if (this.currentStrategy === strategyInstance) {
+          this.currentStrategy = null;
+          this.currentStrategyName = null;
+        }
+        this.saveStrategyState();
+        throw error;
       }
 
       this.logger.info(`Arbitrage strategy '${strategyName}' started successfully`);
+      this.saveStrategyState();
 
       return {
         strategy: strategyName,
-        config: defaultConfig,
+        config: strategyConfig,
         status: 'running'
       };
 
@@ -704,7 +1706,7 @@ export class CicadaBot {
     try {
       if (strategyName) {
         // Stop specific strategy
-        if (['token-swap', 'token-swap-2', 'token-swap-3', 'token-swap-4', 'token-swap-5'].includes(strategyName)) {
+        if (this.strategies.has(strategyName) || StrategyRegistry.isConcurrent(strategyName)) {
           const strategy = this.strategies.get(strategyName);
           if (!strategy) {
             this.logger.warn(`Strategy '${strategyName}' is not running`);
@@ -717,6 +1719,8 @@ export class CicadaBot {
           this.logger.info(`Stopping strategy: ${strategyName}`);
           await strategy.stop();
           this.strategies.delete(strategyName);
+          this.strategyNames.delete(strategyName);
+          this.saveStrategyState();
           
           this.logger.info(`Strategy '${strategyName}' stopped successfully`);
           return {
@@ -725,7 +1729,7 @@ export class CicadaBot {
             message: `Strategy '${strategyName}' stopped successfully`
           };
         } else {
-          // Stop non-Pool Shark strategy
+          // Stop the exclusive strategy
           if (!this.currentStrategy) {
             this.logger.warn('No arbitrage strategy is currently running');
             return {
@@ -737,6 +1741,8 @@ export class CicadaBot {
           this.logger.info('Stopping arbitrage strategy');
           await this.currentStrategy.stop();
           this.currentStrategy = null;
+          this.currentStrategyName = null;
+          this.saveStrategyState();
 
           this.logger.info('Arbitrage strategy stopped successfully');
         }
@@ -756,13 +1762,16 @@ export class CicadaBot {
         if (this.currentStrategy) {
           await this.currentStrategy.stop();
           this.currentStrategy = null;
+          this.currentStrategyName = null;
         }
         
-        // Stop all Pool Shark strategies
+        // Stop all concurrent strategies
         for (const [, strategy] of this.strategies) {
           await strategy.stop();
         }
         this.strategies.clear();
+        this.strategyNames.clear();
+        this.saveStrategyState();
 
         this.logger.info('All arbitrage strategies stopped successfully');
       }
@@ -826,11 +1835,156 @@ export class CicadaBot {
     return this.currentStrategy;
   }
 
+  /**
+   * Create a Pool Shark instance. It is stored stopped until startPoolShark is called.
+   */
+  public createPoolShark(id: string, config: Partial<TokenSwapConfig> = {}): PoolSharkInstance {
+    if (!id || !/^[a-z0-9_-]+$/i.test(id)) {
+      throw new Error('Pool Shark ID may only contain letters, numbers, dashes and underscores');
+    }
+    if (StrategyRegistry.has(id)) {
+      throw new Error(`'${id}' is reserved for a registered strategy`);
+    }
+    if (this.poolSharks.has(id)) {
+      throw new Error(`Pool Shark '${id}' already exists`);
+    }
+
+    const defaults = StrategyRegistry.get('token-swap')?.defaultConfig || {};
+    this.poolSharks.set(id, this.buildPoolSharkConfig(id, { ...defaults, ...config }));
+    this.logger.info(`🦈 Pool Shark '${id}' created`, this.poolSharks.get(id));
+    this.saveStrategyState();
+
+    return this.getPoolShark(id)!;
+  }
+
+  /**
+   * List all Pool Shark instances with their status
+   */
+  public listPoolSharks(): PoolSharkInstance[] {
+    return Array.from(this.poolSharks.keys()).map(id => this.getPoolShark(id)!);
+  }
+
+  /**
+   * Get one Pool Shark instance with its status and recent results
+   */
+  public getPoolShark(id: string): PoolSharkInstance | undefined {
+    const config = this.poolSharks.get(id);
+    if (!config) return undefined;
+
+    const strategy = this.strategies.get(id);
+    const status = strategy ? strategy.getStatus() : null;
+
+    return {
+      id,
+      config: { ...config },
+      isRunning: status?.isRunning === true,
+      swapCount: status ? status.swapCount : 0,
+      nextSwapTime: status ? status.nextSwapTime : null,
+      results: this.strategyResults.filter(result => result.instanceId === id).slice(-8)
+    };
+  }
+
+  /**
+   * Update a Pool Shark's config. A running instance picks it up on its next swap.
+   */
+  public updatePoolShark(id: string, config: Partial<TokenSwapConfig>): PoolSharkInstance {
+    const current = this.poolSharks.get(id);
+    if (!current) {
+      throw new Error(`Pool Shark '${id}' not found`);
+    }
+
+    const updated = this.buildPoolSharkConfig(id, { ...current, ...config });
+    this.poolSharks.set(id, updated);
+    this.strategies.get(id)?.updateConfig({ ...updated });
+    this.saveStrategyState();
+
+    return this.getPoolShark(id)!;
+  }
+
+  /**
+   * Start a Pool Shark, optionally applying a config update first
+   */
+  public async startPoolShark(id: string, config?: Partial<TokenSwapConfig>): Promise<PoolSharkInstance> {
+    if (!this.poolSharks.has(id)) {
+      throw new Error(`Pool Shark '${id}' not found`);
+    }
+    if (config) {
+      this.updatePoolShark(id, config);
+    }
+
+    await this.startArbitrageStrategy('token-swap', { ...this.poolSharks.get(id) }, id);
+    return this.getPoolShark(id)!;
+  }
+
+  /**
+   * Stop a running Pool Shark. Its config is kept.
+   */
+  public async stopPoolShark(id: string): Promise<PoolSharkInstance> {
+    if (!this.poolSharks.has(id)) {
+      throw new Error(`Pool Shark '${id}' not found`);
+    }
+
+    await this.stopArbitrageStrategy(id);
+    return this.getPoolShark(id)!;
+  }
+
+  /**
+   * Stop (if running) and remove a Pool Shark
+   */
+  public async deletePoolShark(id: string): Promise<boolean> {
+    if (!this.poolSharks.has(id)) {
+      return false;
+    }
+
+    if (this.strategies.has(id)) {
+      await this.stopArbitrageStrategy(id);
+    }
+    this.poolSharks.delete(id);
+    this.logger.info(`🦈 Pool Shark '${id}' deleted`);
+    this.saveStrategyState();
+    return true;
+  }
+
+  /**
+   * Normalize and validate a Pool Shark config coming from the API
+   */
+  private buildPoolSharkConfig(id: string, config: Partial<TokenSwapConfig>): TokenSwapConfig {
+    const poolShark: TokenSwapConfig = {
+      id,
+      tokenIn: String(config.tokenIn || ''),
+      tokenOut: String(config.tokenOut || ''),
+      amountIn: String(config.amountIn ?? ''),
+      slippageTolerance: Number(config.slippageTolerance ?? DEFAULT_SLIPPAGE),
+      feeTier: Number(config.feeTier ?? FEE_TIERS.LOW),
+      intervalSeconds: Number(config.intervalSeconds),
+      minAmountOut: String(config.minAmountOut ?? '0'),
+      enabled: config.enabled !== false
+    };
+
+    if (!poolShark.tokenIn || !poolShark.tokenOut || poolShark.tokenIn === poolShark.tokenOut) {
+      throw new Error('tokenIn and tokenOut must be two different tokens');
+    }
+    if (!(parseFloat(poolShark.amountIn) > 0)) {
+      throw new Error('amountIn must be greater than 0');
+    }
+    if (!(parseFloat(poolShark.minAmountOut) >= 0)) {
+      throw new Error('minAmountOut must be 0 or greater');
+    }
+    if (!(poolShark.intervalSeconds >= 5)) {
+      throw new Error('intervalSeconds must be at least 5');
+    }
+    if (!(poolShark.slippageTolerance > 0)) {
+      throw new Error('slippageTolerance must be greater than 0');
+    }
+
+    return poolShark;
+  }
+
   /**
    * Get specific strategy instance
    */
   public getStrategy(strategyName: string) {
-    if (['token-swap', 'token-swap-2', 'token-swap-3', 'token-swap-4', 'token-swap-5'].includes(strategyName)) {
+    if (this.strategies.has(strategyName) || StrategyRegistry.isConcurrent(strategyName)) {
       return this.strategies.get(strategyName);
     }
     return this.currentStrategy;
@@ -858,39 +2012,72 @@ export class CicadaBot {
     if (this.strategyResults.length > 100) {
       this.strategyResults = this.strategyResults.slice(-100);
     }
+
+    // Snapshot once the strategy has finished updating its own state
+    setImmediate(() => this.saveStrategyState());
   }
 
   /**
-   * Load transaction history from file
+   * Snapshot running strategies and Pool Shark configs to disk
    */
-  private loadTransactionHistory() {
-    try {
-      // Ensure data directory exists
-      const dataDir = path.dirname(this.transactionHistoryFile);
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-      }
+  public saveStrategyState(): void {
+    const running: StrategySnapshot[] = [];
 
-      if (fs.existsSync(this.transactionHistoryFile)) {
-        const data = fs.readFileSync(this.transactionHistoryFile, 'utf8');
-        this.transactionHistory = JSON.parse(data);
-        this.logger.info(`Loaded ${this.transactionHistory.length} transaction records`);
-      }
-    } catch (error) {
-      this.logger.warn('Failed to load transaction history', error);
-      this.transactionHistory = [];
+    if (this.currentStrategy && this.currentStrategyName) {
+      running.push(this.snapshotStrategy(this.currentStrategyName, this.currentStrategyName, this.currentStrategy));
     }
+    for (const [instanceId, strategy] of this.strategies) {
+      running.push(this.snapshotStrategy(instanceId, this.strategyNames.get(instanceId) || instanceId, strategy));
+    }
+
+    this.strategyStateStore.save({
+      running,
+      poolSharks: Object.fromEntries(this.poolSharks)
+    });
   }
 
   /**
-   * Save transaction history to file
+   * Restart the strategies that were running when the last snapshot was taken,
+   * restoring their runtime state. Returns the number of strategies resumed.
    */
-  private saveTransactionHistory() {
-    try {
-      fs.writeFileSync(this.transactionHistoryFile, JSON.stringify(this.transactionHistory, null, 2));
-    } catch (error) {
-      this.logger.error('Failed to save transaction history', error);
+  public async resumeStrategies(): Promise<number> {
+    const savedState = this.strategyStateStore.load();
+    if (!savedState || savedState.running.length === 0) {
+      return 0;
+    }
+    if (this.circuitBreaker.isTripped()) {
+      this.logger.warn('🛑 Not resuming strategies: the circuit breaker is tripped');
+      return 0;
     }
+
+    let resumed = 0;
+    for (const snapshot of savedState.running) {
+      if (!StrategyRegistry.has(snapshot.strategyName)) {
+        this.logger.warn(`Cannot resume unknown strategy '${snapshot.strategyName}'`);
+        continue;
+      }
+
+      this.logger.info(`🔁 Resuming strategy '${snapshot.instanceId}'`, { strategy: snapshot.strategyName });
+
+      // Not awaited: scan-loop strategies only resolve start() once stopped
+      this.startArbitrageStrategy(snapshot.strategyName, snapshot.config, snapshot.instanceId, snapshot.state)
+        .catch(error => this.logger.error(`Failed to resume strategy '${snapshot.instanceId}'`, error));
+      resumed++;
+    }
+
+    return resumed;
+  }
+
+  private snapshotStrategy(instanceId: string, strategyName: string, strategy: Strategy): StrategySnapshot {
+    const snapshot: StrategySnapshot = {
+      instanceId,
+      strategyName,
+      config: strategy.getStatus()?.config || {}
+    };
+    if (strategy.getState) {
+      snapshot.state = strategy.getState();
+    }
+    return snapshot;
   }
 
   /**
@@ -903,53 +2090,113 @@ export class CicadaBot {
       timestamp: new Date().toISOString()
     };
 
-    this.transactionHistory.unshift(record); // Add to beginning
-
-    // Keep only last 1000 transactions
-    if (this.transactionHistory.length > 1000) {
-      this.transactionHistory = this.transactionHistory.slice(0, 1000);
-    }
-
-    this.saveTransactionHistory();
+    this.transactionStore.add(record);
     this.logger.info('Transaction recorded', { id: record.id, type: record.type });
     
     return record.id;
   }
 
+  /**
+   * Update fields of a transaction record; status changes go through
+   * updateTransactionStatus so completed swaps reach the cost basis
+   */
+  public updateTransaction(id: string, changes: Partial<Omit<TransactionRecord, 'id' | 'timestamp' | 'status'>>): TransactionRecord | undefined {
+    return this.transactionStore.update(id, changes);
+  }
+
   /**
    * Update transaction status
    */
   public updateTransactionStatus(id: string, status: 'pending' | 'completed' | 'failed', transactionHash?: string) {
-    const transaction = this.transactionHistory.find(tx => tx.id === id);
+    const transaction = this.transactionStore.update(id, {
+      status,
+      ...(transactionHash ? { transactionHash } : {})
+    });
     if (transaction) {
-      transaction.status = status;
-      if (transactionHash) {
-        transaction.transactionHash = transactionHash;
-      }
-      this.saveTransactionHistory();
       this.logger.info('Transaction status updated', { id, status, transactionHash });
+
+      // Only swaps move tokens between tokens: liquidity moves them in and out
+      // of a position, and an arbitrage record sums up its leg swaps
+      if (status === 'completed' && transaction.type === 'swap') {
+        const accounting = this.costBasisLedger.applySwap(transaction);
+        this.transactionStore.update(id, {
+          realizedPnl: accounting.realizedPnl,
+          realizedPnlPercentage: accounting.realizedPnlPercentage
+        });
+      }
+    }
+  }
+
+  /**
+   * Replay the transaction history through a cost-basis ledger and store
+   * each swap's realized PnL when it changed
+   */
+  private rebuildCostBasis(method: CostBasisMethod): CostBasisLedger {
+    const { ledger, results } = CostBasisLedger.fromHistory(this.transactionStore.all(), method);
+
+    for (const accounting of results.values()) {
+      const tx = this.transactionStore.get(accounting.transactionId);
+      if (tx && (tx.realizedPnl !== accounting.realizedPnl || tx.realizedPnlPercentage !== accounting.realizedPnlPercentage)) {
+        this.transactionStore.update(tx.id, {
+          realizedPnl: accounting.realizedPnl,
+          realizedPnlPercentage: accounting.realizedPnlPercentage
+        });
+      }
+    }
+    return ledger;
+  }
+
+  /**
+   * Realized PnL, unrealized PnL on open inventory, and cost basis per token.
+   * Another method replays the history without changing the recorded figures.
+   */
+  public async getPnLReport(method?: CostBasisMethod): Promise<PnLReport> {
+    if (method && !COST_BASIS_METHODS.includes(method)) {
+      throw new Error(`Invalid cost basis method "${method}". Use fifo, lifo or average`);
     }
+
+    const ledger = method && method !== this.costBasisLedger.getMethod()
+      ? CostBasisLedger.fromHistory(this.transactionStore.all(), method).ledger
+      : this.costBasisLedger;
+    const prices = await this.getTokenPrices();
+    return ledger.getReport(prices);
   }
 
   /**
    * Get transaction history
    */
   public getTransactionHistory(limit: number = 50): TransactionRecord[] {
-    return this.transactionHistory.slice(0, limit);
+    return this.transactionStore.query({ limit }).transactions;
+  }
+
+  /**
+   * Query transaction history by date range, strategy, token pair, status
+   * or PnL sign, with pagination
+   */
+  public queryTransactions(query: TransactionQuery = {}): TransactionPage {
+    return this.transactionStore.query(query);
+  }
+
+  /**
+   * PnL, trade-count and win-rate aggregates for a strategy instance
+   * ('prime', 'fixed', a Pool Shark id, ...)
+   */
+  public getStrategyPerformance(strategy: string, range: Pick<TransactionQuery, 'from' | 'to'> = {}): StrategyPerformance {
+    return this.transactionStore.performance(strategy, range);
   }
 
   /**
    * Get transaction by ID
    */
   public getTransaction(id: string): TransactionRecord | undefined {
-    return this.transactionHistory.find(tx => tx.id === id);
+    return this.transactionStore.get(id);
   }
 
   /**
    * Recalculate PnL for a transaction (defaults to most recent)
    */
   public async recalculateTransaction(id?: string): Promise<TransactionRecord | undefined> {
-    const tx = id ? this.transactionHistory.find(t => t.id === id) : this.transactionHistory[0];
+    const tx = id ? this.transactionStore.get(id) : this.transactionStore.latest();
     if (!tx) return undefined;
     if (tx.type !== 'swap') return tx;
 
@@ -957,9 +2204,7 @@ export class CicadaBot {
     const tokenOutKey = Object.values(COMMON_TOKENS).find(k => getTokenSymbol(k) === tx.tokenOut) || tx.tokenOut;
 
     const pnl = await this.calculateSwapPnL(tx.amountIn, tx.amountOut, tokenInKey, tokenOutKey);
-    tx.pnl = pnl.absolute;
-    tx.pnlPercentage = pnl.percentage;
-    this.saveTransactionHistory();
+    this.transactionStore.update(tx.id, { pnl: pnl.absolute, pnlPercentage: pnl.percentage });
     this.logger.info('Recalculated transaction PnL', { id: tx.id, pnl: tx.pnl, pnlPercentage: tx.pnlPercentage });
     return tx;
   }
@@ -969,16 +2214,14 @@ export class CicadaBot {
    */
   public async recalculateAllTransactions(): Promise<number> {
     let updated = 0;
-    for (const tx of this.transactionHistory) {
+    for (const tx of this.transactionStore.all()) {
       if (tx.type !== 'swap') continue;
       const tokenInKey = Object.values(COMMON_TOKENS).find(k => getTokenSymbol(k) === tx.tokenIn) || tx.tokenIn;
       const tokenOutKey = Object.values(COMMON_TOKENS).find(k => getTokenSymbol(k) === tx.tokenOut) || tx.tokenOut;
       const pnl = await this.calculateSwapPnL(tx.amountIn, tx.amountOut, tokenInKey, tokenOutKey);
-      tx.pnl = pnl.absolute;
-      tx.pnlPercentage = pnl.percentage;
+      this.transactionStore.update(tx.id, { pnl: pnl.absolute, pnlPercentage: pnl.percentage });
       updated++;
     }
-    if (updated > 0) this.saveTransactionHistory();
     this.logger.info('Recalculated PnL for transactions', { updated });
     return updated;
   }
@@ -989,18 +2232,16 @@ export class CicadaBot {
   public async recalculateTransactionsSince(hours: number): Promise<number> {
     const cutoff = Date.now() - Math.max(0, hours) * 60 * 60 * 1000;
     let updated = 0;
-    for (const tx of this.transactionHistory) {
+    for (const tx of this.transactionStore.all()) {
       if (tx.type !== 'swap') continue;
       const ts = Date.parse(tx.timestamp);
       if (isNaN(ts) || ts < cutoff) continue;
       const tokenInKey = Object.values(COMMON_TOKENS).find(k => getTokenSymbol(k) === tx.tokenIn) || tx.tokenIn;
       const tokenOutKey = Object.values(COMMON_TOKENS).find(k => getTokenSymbol(k) === tx.tokenOut) || tx.tokenOut;
       const pnl = await this.calculateSwapPnL(tx.amountIn, tx.amountOut, tokenInKey, tokenOutKey);
-      tx.pnl = pnl.absolute;
-      tx.pnlPercentage = pnl.percentage;
+      this.transactionStore.update(tx.id, { pnl: pnl.absolute, pnlPercentage: pnl.percentage });
       updated++;
     }
-    if (updated > 0) this.saveTransactionHistory();
     this.logger.info('Recalculated PnL for recent transactions', { hours, updated });
     return updated;
   }
@@ -1009,7 +2250,7 @@ export class CicadaBot {
    * Calculate Profit or Loss for a swap transaction
    * This uses real-time prices from pools and includes gas fees
    */
-  private async calculateSwapPnL(amountIn: string, amountOut: string, tokenIn: string, tokenOut: string): Promise<{ absolute: string, percentage: string }> {
+  private async calculateSwapPnL(amountIn: string, amountOut: string, tokenIn: string, tokenOut: string): Promise<{ absolute: string, percentage: string, valueUsd?: string, gasUsd?: string }> {
     try {
       const tokenInSymbol = getTokenSymbol(tokenIn);
       const tokenOutSymbol = getTokenSymbol(tokenOut);
@@ -1119,11 +2360,11 @@ export class CicadaBot {
         outputUSD: outputUSDVal.toString()
       });
       
-      // Get GALA price for gas estimation (fallback included)
-      const tokenPrices = await this.getTokenPrices();
+      // Gas is priced in GALA; without a GALA price the PnL can't be netted
+      const galaPrice = snapshotPrices['GALA'];
       
       // If we don't have price data for either token, show exchange rate
-      if (!inputUSDVal || !outputUSDVal) {
+      if (!inputUSDVal || !outputUSDVal || galaPrice === undefined) {
         const inputAmount = new BigNumber(amountIn);
         const outputAmount = new BigNumber(amountOut);
         const exchangeRate = outputAmount.dividedBy(inputAmount);
@@ -1134,8 +2375,8 @@ export class CicadaBot {
       }
       
       // Calculate gas fee in USD (1 GALA per transaction)
-      const gasFeeGALA = new BigNumber(1);
-      const gasFeeUSD = gasFeeGALA.multipliedBy(tokenPrices['GALA'] || 0.0153);
+      const gasFeeGALA = new BigNumber(GAS_FEE_GALA);
+      const gasFeeUSD = gasFeeGALA.multipliedBy(galaPrice);
       
       // Calculate PnL including gas fees
       const pnlUSD = outputUSDVal.minus(inputUSDVal).minus(gasFeeUSD);
@@ -1148,7 +2389,9 @@ export class CicadaBot {
       
       return { 
         absolute: pnlDisplay, 
-        percentage: percentageDisplay
+        percentage: percentageDisplay,
+        valueUsd: inputUSDVal.toFixed(),
+        gasUsd: gasFeeUSD.toFixed()
       };
       
     } catch (error) {
@@ -1157,3 +2400,23 @@ export class CicadaBot {
     }
   }
 }
+
+/**
+ * Token class keys come back from the SDK as objects or "A|B|C|D" strings
+ */
+function classKeyString(key: any): string {
+  if (typeof key === 'string') return key;
+  return [key.collection, key.category, key.type, key.additionalKey].join('|');
+}
+
+/**
+ * The liquidity to withdraw for a percentage of a position
+ */
+function removalLiquidity(liquidity: string, percentage: number): string {
+  if (percentage <= 0 || percentage > 100) {
+    throw new Error('Percentage must be between 0 and 100');
+  }
+  return percentage === 100
+    ? liquidity
+    : new BigNumber(liquidity).multipliedBy(percentage).dividedBy(100).decimalPlaces(18, BigNumber.ROUND_DOWN).toFixed();
+}
@@ -0,0 +1,386 @@
+import BigNumber from 'bignumber.js';
+import { SwapParams, SwapResult, QuoteResult } from '../types';
+import { COMMON_TOKENS, FEE_TIERS, getTokenSymbol } from '../constants/tokens';
+import { VirtualClock } from './VirtualClock';
+import { bestQuote, isExactOutput } from '../utils/swapParams';
+import { PriceOracle, normalizeSymbol } from '../pricing/PriceOracle';
+import { PriceQuote } from '../pricing/PriceSources';
+
+/**
+ * A recorded quote at a point in time. When present it overrides the
+ * price-derived rate for that pair and fee tier.
+ */
+export interface RecordedQuote {
+  tokenIn: string;
+  tokenOut: string;
+  feeTier: number;
+  amountIn: string;
+  amountOut: string;
+  priceImpact?: string;
+}
+
+/**
+ * One point of the recorded market series
+ */
+export interface MarketSnapshot {
+  timestamp: number; // Epoch milliseconds
+  prices: Record<string, number>; // USD price per token class key
+  quotes?: RecordedQuote[];
+}
+
+export interface BacktestBotOptions {
+  initialBalances: Record<string, string>;
+  poolDepthUsd?: number; // Liquidity used to model price impact (default: 50000)
+  gasFeeGala?: number; // Gas charged per swap in GALA (default: 1)
+}
+
+export interface BacktestTrade {
+  timestamp: string;
+  tokenIn: string;
+  tokenOut: string;
+  amountIn: string;
+  amountOut: string;
+  feeTier: number;
+  priceImpact: string;
+  feeUsd: number;
+  valueInUsd: number;
+  valueOutUsd: number;
+  success: boolean;
+  error?: string;
+}
+
+/**
+ * Stand-in for CicadaBot used by the backtest runner.
+ * Implements the surface strategies call (getQuote, executeSwap,
+ * getTokenBalance, addArbitrageResult, ...) against a recorded market series
+ * and a virtual balance sheet.
+ */
+export class BacktestBot {
+  private series: MarketSnapshot[];
+  private clock: VirtualClock;
+  private balances: Map<string, BigNumber> = new Map();
+  private poolDepthUsd: number;
+  private gasFeeGala: number;
+  private trades: BacktestTrade[] = [];
+  private results: any[] = [];
+  private feesPaidUsd: number = 0;
+  private priceOracle: PriceOracle;
+
+  constructor(series: MarketSnapshot[], clock: VirtualClock, options: BacktestBotOptions) {
+    this.series = [...series].sort((a, b) => a.timestamp - b.timestamp);
+    this.clock = clock;
+    this.poolDepthUsd = options.poolDepthUsd ?? 50000;
+    this.gasFeeGala = options.gasFeeGala ?? 1;
+
+    for (const [tokenClassKey, amount] of Object.entries(options.initialBalances)) {
+      this.balances.set(tokenClassKey, new BigNumber(amount));
+    }
+
+    // Uncached, so every read sees the snapshot in effect at that time
+    this.priceOracle = new PriceOracle({
+      sources: [{ name: 'snapshot', fetchPrices: async symbols => this.snapshotPrices(symbols) }],
+      ttlMs: 0
+    });
+  }
+
+  /**
+   * Market snapshot in effect at the current virtual time
+   */
+  public getSnapshot(): MarketSnapshot {
+    const now = this.clock.now();
+    let low = 0;
+    let high = this.series.length - 1;
+    let found = 0;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.series[mid].timestamp <= now) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return this.series[found];
+  }
+
+  public async getQuote(params: SwapParams): Promise<QuoteResult> {
+    return this.simulateQuote(params);
+  }
+
+  public async executeSwap(params: SwapParams): Promise<SwapResult> {
+    const timestamp = new Date(this.clock.now()).toISOString();
+
+    try {
+      const quote = this.simulateQuote(params);
+      const impactPercent = Math.abs(parseFloat(quote.priceImpact) || 0) * 100;
+      if (params.maxPriceImpact !== undefined && impactPercent > params.maxPriceImpact) {
+        throw new Error(`Swap would move the price ${impactPercent.toFixed(2)}%, over the ${params.maxPriceImpact}% limit`);
+      }
+      if (!isExactOutput(params) && params.amountOutMinimum && new BigNumber(quote.amountOut).isLessThan(params.amountOutMinimum)) {
+        throw new Error(`Quoted ${quote.amountOut} ${getTokenSymbol(params.tokenOut)}, below the minimum of ${params.amountOutMinimum}`);
+      }
+      const available = this.balances.get(params.tokenIn) || new BigNumber(0);
+      if (available.isLessThan(quote.amountIn)) {
+        throw new Error(`Insufficient balance for ${getTokenSymbol(params.tokenIn)}. Required: ${quote.amountIn}, Available: ${available.toFixed()}`);
+      }
+
+      const snapshot = this.getSnapshot();
+      const priceIn = this.getUsdPrice(snapshot, params.tokenIn);
+      const priceOut = this.getUsdPrice(snapshot, params.tokenOut);
+      const galaPrice = this.getUsdPrice(snapshot, COMMON_TOKENS.GALA);
+      const valueInUsd = new BigNumber(quote.amountIn).multipliedBy(priceIn).toNumber();
+      const poolFeeUsd = valueInUsd * (quote.feeTier / 1000000);
+      const gasUsd = this.gasFeeGala * galaPrice;
+
+      this.balances.set(params.tokenIn, available.minus(quote.amountIn));
+      this.balances.set(params.tokenOut, (this.balances.get(params.tokenOut) || new BigNumber(0)).plus(quote.amountOut));
+
+      // Gas is paid in GALA after the swap settles, as on GalaChain
+      const galaAfterSwap = this.balances.get(COMMON_TOKENS.GALA) || new BigNumber(0);
+      if (galaAfterSwap.isLessThan(this.gasFeeGala)) {
+        this.balances.set(params.tokenIn, available);
+        this.balances.set(params.tokenOut, (this.balances.get(params.tokenOut) as BigNumber).minus(quote.amountOut));
+        throw new Error(`Insufficient GALA for gas. Required: ${this.gasFeeGala}, Available: ${galaAfterSwap.toFixed()}`);
+      }
+      this.balances.set(COMMON_TOKENS.GALA, galaAfterSwap.minus(this.gasFeeGala));
+
+      this.feesPaidUsd += poolFeeUsd + gasUsd;
+      this.trades.push({
+        timestamp,
+        tokenIn: getTokenSymbol(params.tokenIn),
+        tokenOut: getTokenSymbol(params.tokenOut),
+        amountIn: quote.amountIn,
+        amountOut: quote.amountOut,
+        feeTier: quote.feeTier,
+        priceImpact: quote.priceImpact,
+        feeUsd: poolFeeUsd + gasUsd,
+        valueInUsd,
+        valueOutUsd: new BigNumber(quote.amountOut).multipliedBy(priceOut).toNumber(),
+        success: true
+      });
+
+      return {
+        success: true,
+        transactionHash: `backtest_${this.trades.length}`,
+        amountIn: quote.amountIn,
+        amountOut: quote.amountOut,
+        priceImpact: quote.priceImpact,
+        feeTier: quote.feeTier,
+        simulated: true
+      };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      this.trades.push({
+        timestamp,
+        tokenIn: getTokenSymbol(params.tokenIn),
+        tokenOut: getTokenSymbol(params.tokenOut),
+        amountIn: params.amountIn || '0',
+        amountOut: '0',
+        feeTier: typeof params.feeTier === 'number' ? params.feeTier : FEE_TIERS.LOW,
+        priceImpact: '0',
+        feeUsd: 0,
+        valueInUsd: 0,
+        valueOutUsd: 0,
+        success: false,
+        error: message
+      });
+      return {
+        success: false,
+        amountIn: params.amountIn || '0',
+        amountOut: '0',
+        error: message,
+        simulated: true
+      };
+    }
+  }
+
+  public async getTokenBalance(tokenClassKey: string): Promise<string> {
+    return (this.balances.get(tokenClassKey) || new BigNumber(0)).toFixed();
+  }
+
+  /**
+   * A backtest runs one strategy, so its budget is the whole balance
+   */
+  public async getStrategyBalance(_strategy: string, tokenClassKey: string): Promise<string> {
+    return this.getTokenBalance(tokenClassKey);
+  }
+
+  /**
+   * Oracle pricing tokens from the current snapshot, for strategies that
+   * check price sources and flags
+   */
+  public getPriceOracle(): PriceOracle {
+    return this.priceOracle;
+  }
+
+  public async getCurrentPrice(tokenIn: string, tokenOut: string): Promise<string> {
+    const snapshot = this.getSnapshot();
+    return new BigNumber(this.getUsdPrice(snapshot, tokenIn)).dividedBy(this.getUsdPrice(snapshot, tokenOut)).toFixed();
+  }
+
+  public async getPortfolioSummary() {
+    const tokens = Array.from(this.balances.entries())
+      .filter(([, balance]) => balance.isGreaterThan(0))
+      .map(([tokenClassKey, balance]) => ({
+        symbol: getTokenSymbol(tokenClassKey),
+        balance: balance.toFixed(),
+        decimals: 8,
+        verified: true
+      }));
+    return { totalTokens: tokens.length, tokens, positions: [] };
+  }
+
+  public addArbitrageResult(result: any): void {
+    this.results.push({ ...result, timestamp: new Date(this.clock.now()).toISOString() });
+  }
+
+  public addTransaction(): string {
+    return `backtest_tx_${this.clock.now()}`;
+  }
+
+  public updateTransactionStatus(): void {
+    // Trades are tracked in this.trades; nothing to persist
+  }
+
+  public updateTransaction(): undefined {
+    return undefined;
+  }
+
+  public isPaperTrading(): boolean {
+    return true;
+  }
+
+  /**
+   * Gas for `swaps` swaps in units of tokenClassKey, at the snapshot prices
+   */
+  public async estimateGasCost(tokenClassKey: string, swaps: number = 1): Promise<BigNumber> {
+    const snapshot = this.getSnapshot();
+    return new BigNumber(this.gasFeeGala * swaps)
+      .multipliedBy(this.getUsdPrice(snapshot, COMMON_TOKENS.GALA))
+      .dividedBy(this.getUsdPrice(snapshot, tokenClassKey));
+  }
+
+  public isReady(): boolean {
+    return true;
+  }
+
+  /**
+   * Total portfolio value in USD at the current snapshot
+   */
+  public getEquityUsd(): number {
+    const snapshot = this.getSnapshot();
+    let equity = 0;
+    for (const [tokenClassKey, balance] of this.balances) {
+      equity += balance.multipliedBy(this.getUsdPrice(snapshot, tokenClassKey)).toNumber();
+    }
+    return equity;
+  }
+
+  public getBalances(): Record<string, string> {
+    const balances: Record<string, string> = {};
+    for (const [tokenClassKey, balance] of this.balances) {
+      balances[tokenClassKey] = balance.toFixed();
+    }
+    return balances;
+  }
+
+  public getTrades(): BacktestTrade[] {
+    return this.trades;
+  }
+
+  public getResults(): any[] {
+    return this.results;
+  }
+
+  public getFeesPaidUsd(): number {
+    return this.feesPaidUsd;
+  }
+
+  /**
+   * Quote from a recorded quote when one matches, otherwise from USD prices
+   * less the pool fee and a linear price-impact model. Exact-output quotes
+   * invert the same model. feeTier 'best' simulates every tier, as
+   * CicadaBot does; with no tier, or 'route' since nothing is routed, the
+   * 0.05% pool is used.
+   */
+  private simulateQuote(params: SwapParams): QuoteResult {
+    if (params.feeTier === 'best') {
+      const quotes = Object.values(FEE_TIERS).map(feeTier => this.simulateQuote({ ...params, feeTier }));
+      return { ...bestQuote(quotes, isExactOutput(params)), tierQuotes: quotes };
+    }
+
+    const snapshot = this.getSnapshot();
+    const feeTier = typeof params.feeTier === 'number' ? params.feeTier : FEE_TIERS.LOW;
+    const exactOutput = isExactOutput(params);
+    const priceIn = this.getUsdPrice(snapshot, params.tokenIn);
+    const priceOut = this.getUsdPrice(snapshot, params.tokenOut);
+    const spotRate = new BigNumber(priceIn).dividedBy(priceOut);
+
+    const recorded = (snapshot.quotes || []).find(q =>
+      q.tokenIn === params.tokenIn && q.tokenOut === params.tokenOut && q.feeTier === feeTier
+    );
+
+    let amountIn: BigNumber;
+    let amountOut: BigNumber;
+    let priceImpact: BigNumber;
+    if (recorded) {
+      const rate = new BigNumber(recorded.amountOut).dividedBy(recorded.amountIn);
+      priceImpact = new BigNumber(recorded.priceImpact || 0);
+      if (exactOutput) {
+        amountOut = new BigNumber(params.amountOut as string);
+        amountIn = amountOut.dividedBy(rate);
+      } else {
+        amountIn = new BigNumber(params.amountIn as string);
+        amountOut = amountIn.multipliedBy(rate);
+      }
+    } else {
+      const effectiveRate = (impact: BigNumber) => spotRate
+        .multipliedBy(1 - feeTier / 1000000)
+        .multipliedBy(new BigNumber(1).minus(impact));
+
+      if (exactOutput) {
+        amountOut = new BigNumber(params.amountOut as string);
+        priceImpact = BigNumber.min(amountOut.multipliedBy(priceOut).dividedBy(this.poolDepthUsd), 0.99);
+        amountIn = amountOut.dividedBy(effectiveRate(priceImpact));
+      } else {
+        amountIn = new BigNumber(params.amountIn as string);
+        priceImpact = BigNumber.min(amountIn.multipliedBy(priceIn).dividedBy(this.poolDepthUsd), 0.99);
+        amountOut = amountIn.multipliedBy(effectiveRate(priceImpact));
+      }
+    }
+
+    const newPrice = amountIn.isZero() ? spotRate : spotRate.multipliedBy(new BigNumber(1).minus(priceImpact));
+
+    return {
+      amountIn: exactOutput ? amountIn.decimalPlaces(8, BigNumber.ROUND_UP).toFixed() : amountIn.toFixed(),
+      amountOut: exactOutput ? amountOut.toFixed() : amountOut.decimalPlaces(8, BigNumber.ROUND_DOWN).toFixed(),
+      priceImpact: priceImpact.negated().toFixed(),
+      feeTier,
+      currentPrice: spotRate.toFixed(),
+      newPrice: newPrice.toFixed()
+    };
+  }
+
+  /**
+   * Snapshot prices by oracle symbol. They are stamped now rather than with
+   * the snapshot's time, so sparse series are not rejected as stale.
+   */
+  private snapshotPrices(symbols: string[]): Record<string, PriceQuote> {
+    const quotes: Record<string, PriceQuote> = {};
+    for (const [token, price] of Object.entries(this.getSnapshot().prices)) {
+      const symbol = normalizeSymbol(token);
+      if (symbols.includes(symbol) && typeof price === 'number' && price > 0) {
+        quotes[symbol] = { price, timestamp: Date.now() };
+      }
+    }
+    return quotes;
+  }
+
+  private getUsdPrice(snapshot: MarketSnapshot, tokenClassKey: string): number {
+    const price = snapshot.prices[tokenClassKey] ?? snapshot.prices[getTokenSymbol(tokenClassKey)];
+    if (typeof price !== 'number' || price <= 0) {
+      throw new Error(`No recorded price for ${getTokenSymbol(tokenClassKey)} at ${new Date(snapshot.timestamp).toISOString()}`);
+    }
+    return price;
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Virtual clock for backtests.
+ *
+ * While installed it replaces the global timer functions and Date.now(), so
+ * strategies that schedule work with setTimeout (prime intervals, scan loops,
+ * Pool Shark intervals) run unmodified but on simulated time. advanceTo()
+ * fires every due timer in order and lets the resulting async work settle
+ * before moving on.
+ */
+
+interface ScheduledTimer {
+  id: number;
+  time: number;
+  callback: (...args: any[]) => void;
+  args: any[];
+  interval: number | null;
+}
+
+export class VirtualClock {
+  private currentTime: number;
+  private timers: Map<number, ScheduledTimer> = new Map();
+  private nextTimerId: number = 1;
+  private installed: boolean = false;
+
+  private originals: {
+    setTimeout: typeof setTimeout;
+    clearTimeout: typeof clearTimeout;
+    setInterval: typeof setInterval;
+    clearInterval: typeof clearInterval;
+    setImmediate: typeof setImmediate;
+    dateNow: () => number;
+  } | null = null;
+
+  constructor(startTime: number) {
+    this.currentTime = startTime;
+  }
+
+  /**
+   * Current simulated time in epoch milliseconds
+   */
+  public now(): number {
+    return this.currentTime;
+  }
+
+  /**
+   * Number of timers still waiting to fire
+   */
+  public pendingTimers(): number {
+    return this.timers.size;
+  }
+
+  /**
+   * Replace the global timer functions with virtual ones
+   */
+  public install(): void {
+    if (this.installed) return;
+
+    const g = global as any;
+    this.originals = {
+      setTimeout: g.setTimeout,
+      clearTimeout: g.clearTimeout,
+      setInterval: g.setInterval,
+      clearInterval: g.clearInterval,
+      setImmediate: g.setImmediate,
+      dateNow: Date.now
+    };
+
+    g.setTimeout = (callback: (...args: any[]) => void, ms: number = 0, ...args: any[]) =>
+      this.schedule(callback, ms, args, null);
+    g.setInterval = (callback: (...args: any[]) => void, ms: number = 0, ...args: any[]) =>
+      this.schedule(callback, ms, args, Math.max(1, ms));
+    g.clearTimeout = (handle: any) => this.clear(handle);
+    g.clearInterval = (handle: any) => this.clear(handle);
+    Date.now = () => this.currentTime;
+
+    this.installed = true;
+  }
+
+  /**
+   * Restore the real timer functions
+   */
+  public uninstall(): void {
+    if (!this.installed || !this.originals) return;
+
+    const g = global as any;
+    g.setTimeout = this.originals.setTimeout;
+    g.clearTimeout = this.originals.clearTimeout;
+    g.setInterval = this.originals.setInterval;
+    g.clearInterval = this.originals.clearInterval;
+    Date.now = this.originals.dateNow;
+
+    this.timers.clear();
+    this.installed = false;
+  }
+
+  /**
+   * Advance simulated time, firing every timer due on the way
+   */
+  public async advanceTo(targetTime: number): Promise<void> {
+    await this.settle();
+
+    for (;;) {
+      const next = this.nextDueTimer(targetTime);
+      if (!next) break;
+
+      this.currentTime = Math.max(this.currentTime, next.time);
+      if (next.interval !== null) {
+        next.time += next.interval;
+      } else {
+        this.timers.delete(next.id);
+      }
+
+      next.callback(...next.args);
+      await this.settle();
+    }
+
+    this.currentTime = Math.max(this.currentTime, targetTime);
+  }
+
+  /**
+   * Let pending promise chains run to completion. Backtest stand-ins resolve
+   * without real I/O, so a few macrotask turns drain everything.
+   */
+  public async settle(turns: number = 5): Promise<void> {
+    const realSetImmediate = this.originals ? this.originals.setImmediate : setImmediate;
+    for (let i = 0; i < turns; i++) {
+      await new Promise<void>(resolve => realSetImmediate(() => resolve()));
+    }
+  }
+
+  private schedule(callback: (...args: any[]) => void, ms: number, args: any[], interval: number | null): any {
+    const id = this.nextTimerId++;
+    this.timers.set(id, {
+      id,
+      time: this.currentTime + Math.max(0, Number(ms) || 0),
+      callback,
+      args,
+      interval
+    });
+
+    // Mimic the Node Timeout handle enough for callers that unref() it
+    return { id, unref: () => undefined, ref: () => undefined, hasRef: () => false };
+  }
+
+  private clear(handle: any): void {
+    if (handle && typeof handle.id === 'number') {
+      this.timers.delete(handle.id);
+    }
+  }
+
+  private nextDueTimer(targetTime: number): ScheduledTimer | null {
+    let next: ScheduledTimer | null = null;
+    for (const timer of this.timers.values()) {
+      if (timer.time > targetTime) continue;
+      if (!next || timer.time < next.time || (timer.time === next.time && timer.id < next.id)) {
+        next = timer;
+      }
+    }
+    return next;
+  }
+}
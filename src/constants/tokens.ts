@@ -14,9 +14,24 @@ export const FEE_TIERS = {
   HIGH: 10000,  // 1.00%
 } as const;
 
+// Tick spacing of the pools at each fee tier
+export const TICK_SPACINGS: Record<number, number> = {
+  [FEE_TIERS.LOW]: 10,
+  [FEE_TIERS.MEDIUM]: 60,
+  [FEE_TIERS.HIGH]: 200,
+};
+
+// Display name of a fee tier, e.g. 500 → '0.05%'
+export function getFeeTierName(feeTier: number): string {
+  return `${(feeTier / 10000).toFixed(2)}%`;
+}
+
 // Default slippage tolerance (0.5%)
 export const DEFAULT_SLIPPAGE = 0.5;
 
+// Gas charged per swap transaction, in GALA
+export const GAS_FEE_GALA = 1;
+
 // Token symbols for display
 export const TOKEN_SYMBOLS: Record<string, string> = {
   'GALA|Unit|none|none': 'GALA',
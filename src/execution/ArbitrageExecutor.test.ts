@@ -0,0 +1,215 @@
+import BigNumber from 'bignumber.js';
+import { beforeEach, describe, expect, it } from '@jest/globals';
+import { ArbitrageExecutor, ArbitrageExecutorConfig, TwoLegArbitrage } from './ArbitrageExecutor';
+import { CicadaBot, TransactionRecord } from '../CicadaBot';
+import { SwapParams, SwapResult } from '../types';
+import { COMMON_TOKENS } from '../constants/tokens';
+
+const GALA = COMMON_TOKENS.GALA;
+const USDC = COMMON_TOKENS.GUSDC;
+
+/**
+ * Just enough of CicadaBot for the executor: pools at fixed rates, swaps
+ * that fill at the quote, and a transaction history. The first
+ * `failSells` second-leg sends fail, as does the unwind when `failUnwind`.
+ */
+class FakeBot {
+  public rates: Record<string, number> = { [USDC]: 50, [GALA]: 0.0204 };
+  public failSells = 0;
+  public failUnwind = false;
+  public swaps: SwapParams[] = [];
+  public transactions: Map<string, TransactionRecord> = new Map();
+  public results: any[] = [];
+
+  public async getQuote(params: SwapParams) {
+    return { amountIn: params.amountIn as string, amountOut: this.fill(params), priceImpact: '0', feeTier: params.feeTier };
+  }
+
+  public async executeSwap(params: SwapParams): Promise<SwapResult> {
+    this.swaps.push(params);
+    const unwind = params.feeTier === 'best';
+    const failed = params.tokenIn === GALA && (unwind ? this.failUnwind : this.failSells-- > 0);
+    const amountOut = failed ? '0' : this.fill(params);
+    const transactionId = this.addTransaction({
+      type: 'swap',
+      tokenIn: params.tokenIn,
+      tokenOut: params.tokenOut,
+      amountIn: params.amountIn as string,
+      amountOut,
+      status: failed ? 'failed' : 'completed',
+      arbitrageId: params.arbitrageId
+    });
+    return failed
+      ? { success: false, amountIn: params.amountIn as string, amountOut, error: 'slippage exceeded', transactionId }
+      : { success: true, amountIn: params.amountIn as string, amountOut, transactionId };
+  }
+
+  public addTransaction(record: Omit<TransactionRecord, 'id' | 'timestamp'>): string {
+    const id = `tx${this.transactions.size + 1}`;
+    this.transactions.set(id, { ...record, id, timestamp: new Date().toISOString() } as TransactionRecord);
+    return id;
+  }
+
+  public updateTransaction(id: string, changes: Partial<TransactionRecord>): void {
+    this.transactions.set(id, { ...(this.transactions.get(id) as TransactionRecord), ...changes });
+  }
+
+  public updateTransactionStatus(id: string, status: TransactionRecord['status']): void {
+    this.updateTransaction(id, { status });
+  }
+
+  public isPaperTrading(): boolean {
+    return false;
+  }
+
+  public async getTokenBalance(): Promise<string> {
+    return '1000000';
+  }
+
+  public async getStrategyBalance(): Promise<string> {
+    return '1000000';
+  }
+
+  public addArbitrageResult(result: any): void {
+    this.results.push(result);
+  }
+
+  private fill(params: SwapParams): string {
+    return new BigNumber(params.amountIn as string).multipliedBy(this.rates[params.tokenIn]).toFixed();
+  }
+}
+
+// 100 USDC → 5000 GALA → 102 USDC, of which 101 is required
+const trade: TwoLegArbitrage = {
+  label: 'USDC→GALA Arbitrage',
+  tokenIn: USDC,
+  via: GALA,
+  amountIn: '100',
+  buyFeeTier: 500,
+  sellFeeTier: 3000,
+  minAmountOut: '101'
+};
+
+describe('ArbitrageExecutor', () => {
+  let bot: FakeBot;
+
+  const execute = (config: Partial<ArbitrageExecutorConfig> = {}) =>
+    new ArbitrageExecutor(bot as unknown as CicadaBot, { maxSlippage: 0.5, retryDelay: 0, ...config })
+      .execute(trade, { strategy: 'simple', runId: 'run1' });
+
+  const record = (id: string | undefined) => bot.transactions.get(id as string) as TransactionRecord;
+
+  beforeEach(() => {
+    bot = new FakeBot();
+  });
+
+  it('records both legs under one completed arbitrage record', async () => {
+    const execution = await execute();
+
+    expect(execution).toMatchObject({ status: 'completed', tokenOut: USDC, amountOut: '102' });
+    expect(execution.profit.toFixed()).toBe('2');
+
+    const parent = record(execution.transactionId);
+    expect(parent).toMatchObject({ type: 'arbitrage', status: 'completed', profit: '2', strategy: 'simple', runId: 'run1' });
+    expect(parent.legs).toHaveLength(2);
+    expect(parent.legs?.map(id => record(id).arbitrageId)).toEqual([execution.transactionId, execution.transactionId]);
+    expect(bot.swaps[1]).toMatchObject({ tokenIn: GALA, amountIn: '5000', amountOutMinimum: '101', feeTier: 3000 });
+  });
+
+  it('floors the first leg so the second can still clear minAmountOut', async () => {
+    await execute();
+    const buyMinimum = new BigNumber(bot.swaps[0].amountOutMinimum as string);
+    expect(buyMinimum.multipliedBy(0.0204).isGreaterThanOrEqualTo(101)).toBe(true);
+    expect(buyMinimum.isLessThan(5000)).toBe(true);
+  });
+
+  it('skips without a record when the round trip no longer clears minAmountOut', async () => {
+    bot.rates[GALA] = 0.0201;
+    const execution = await execute();
+
+    expect(execution.status).toBe('skipped');
+    expect(execution.error).toContain('below the required');
+    expect(bot.swaps).toHaveLength(0);
+    expect(bot.transactions.size).toBe(0);
+  });
+
+  it('records a failed first leg and leaves the start token in place', async () => {
+    bot.executeSwap = async (params: SwapParams) => {
+      bot.swaps.push(params);
+      return { success: false, amountIn: params.amountIn as string, amountOut: '0', error: 'pool moved' };
+    };
+    const execution = await execute();
+
+    expect(execution).toMatchObject({ status: 'failed', tokenOut: USDC, amountOut: '100', error: 'First leg failed: pool moved' });
+    expect(record(execution.transactionId).status).toBe('failed');
+    expect(bot.swaps).toHaveLength(1);
+  });
+
+  describe('when the second leg fails', () => {
+    it("'retry' resends it and completes on a later attempt", async () => {
+      bot.failSells = 2;
+      const execution = await execute({ recovery: 'retry', retryAttempts: 3 });
+
+      expect(execution).toMatchObject({ status: 'completed', recovery: 'retry', amountOut: '102' });
+      const parent = record(execution.transactionId);
+      expect(parent).toMatchObject({ status: 'completed', recovery: 'retry' });
+      expect(parent.legs?.map(id => record(id).status)).toEqual(['completed', 'failed', 'failed', 'completed']);
+    });
+
+    it("'retry' holds the intermediate token once its attempts run out", async () => {
+      bot.failSells = 10;
+      const execution = await execute({ recovery: 'retry', retryAttempts: 2 });
+
+      expect(execution).toMatchObject({ status: 'held', recovery: 'hold', tokenOut: GALA, amountOut: '5000' });
+      expect(execution.profit.toFixed()).toBe('0');
+      expect(record(execution.transactionId)).toMatchObject({ status: 'failed', recovery: 'hold', tokenOut: 'GALA', profit: undefined });
+      expect(record(execution.transactionId).legs).toHaveLength(4);
+      expect(bot.results[0].error).toContain('holding GALA');
+    });
+
+    it("'unwind' sells the intermediate token back on the best tier without a floor", async () => {
+      bot.failSells = 1;
+      const execution = await execute({ recovery: 'unwind' });
+
+      expect(execution).toMatchObject({ status: 'unwound', recovery: 'unwind', tokenOut: USDC, amountOut: '102' });
+      expect(bot.swaps[2]).toMatchObject({ tokenIn: GALA, tokenOut: USDC, feeTier: 'best', slippageTolerance: 1 });
+      expect(bot.swaps[2].amountOutMinimum).toBeUndefined();
+
+      const parent = record(execution.transactionId);
+      expect(parent).toMatchObject({ status: 'failed', recovery: 'unwind' });
+      expect(parent.legs?.map(id => record(id).arbitrageId)).toEqual(Array(3).fill(execution.transactionId));
+    });
+
+    it("'unwind' holds when the unwind fails too", async () => {
+      bot.failSells = 1;
+      bot.failUnwind = true;
+      const execution = await execute({ recovery: 'unwind' });
+
+      expect(execution).toMatchObject({ status: 'held', recovery: 'hold', tokenOut: GALA });
+      expect(execution.error).toContain('unwind failed: slippage exceeded');
+      expect(record(execution.transactionId).legs).toHaveLength(3);
+    });
+
+    it("'hold' keeps the intermediate token after a single attempt", async () => {
+      bot.failSells = 1;
+      const execution = await execute({ recovery: 'hold' });
+
+      expect(execution).toMatchObject({ status: 'held', recovery: 'hold', tokenOut: GALA, amountOut: '5000' });
+      expect(bot.swaps).toHaveLength(2);
+    });
+
+    it('does not send it when its re-quote falls below minAmountOut', async () => {
+      const buy = bot.executeSwap.bind(bot);
+      bot.executeSwap = async (params: SwapParams) => {
+        const result = await buy(params);
+        bot.rates[GALA] = 0.02;
+        return result;
+      };
+      const execution = await execute({ recovery: 'hold' });
+
+      expect(execution.status).toBe('held');
+      expect(execution.error).toContain('Second leg re-quoted 100 USDC');
+      expect(bot.swaps).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,292 @@
+import BigNumber from 'bignumber.js';
+import { CicadaBot } from '../CicadaBot';
+import { Logger } from '../utils/logger';
+import { StrategyAttribution, SwapParams, SwapResult } from '../types';
+import { getTokenSymbol } from '../constants/tokens';
+
+/**
+ * What to do when the second leg cannot fill at the required price:
+ * 'retry' re-quotes and resends it, 'unwind' sells the intermediate token
+ * back into the start token at whatever it fetches, 'hold' keeps it
+ */
+export type RecoveryPolicy = 'retry' | 'unwind' | 'hold';
+
+export interface ArbitrageExecutorConfig {
+  maxSlippage: number; // Tolerance on each leg; the profit floors can only tighten it
+  recovery?: RecoveryPolicy; // Default: 'unwind'
+  retryAttempts?: number; // 'retry': resends of the second leg before holding (default: 3)
+  retryDelay?: number; // 'retry': ms between attempts (default: 5000)
+  unwindSlippage?: number; // 'unwind': tolerance selling back on the best fee tier (default: 1)
+}
+
+/**
+ * tokenIn → via on buyFeeTier, then via → tokenIn on sellFeeTier
+ */
+export interface TwoLegArbitrage {
+  label: string; // Names the results in the web UI, e.g. 'USDC→GALA Arbitrage'
+  tokenIn: string;
+  via: string;
+  amountIn: string;
+  buyFeeTier: number;
+  sellFeeTier: number;
+  minAmountOut: BigNumber.Value; // tokenIn the second leg must return: the input plus gas plus the required profit
+}
+
+export interface ArbitrageExecution {
+  status: 'completed' | 'skipped' | 'failed' | 'unwound' | 'held';
+  transactionId?: string; // The arbitrage record, absent when skipped
+  tokenOut: string; // What the wallet ended up with: tokenIn, or via when held
+  amountOut: string;
+  profit: BigNumber; // amountOut − amountIn in tokenIn, before gas; zero when held
+  recovery?: RecoveryPolicy; // The policy that ran, if the second leg needed one
+  error?: string;
+}
+
+const DEFAULT_RETRY_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 5000;
+const DEFAULT_UNWIND_SLIPPAGE = 1;
+
+/**
+ * Trades a two-leg arbitrage as one unit. Both legs are re-quoted before
+ * the first is sent, and each carries an amountOutMinimum: the first shares
+ * the headroom above minAmountOut with the second, and the second must
+ * return minAmountOut itself. The second leg is re-quoted on what actually
+ * arrived and only sent when it still clears that floor. When it cannot
+ * fill, the recovery policy decides what happens to the intermediate token.
+ * 'retry' falls back to holding once its attempts run out, as does 'unwind'
+ * when the unwind fails.
+ *
+ * The arbitrage is recorded as one 'arbitrage' transaction listing every
+ * swap placed for it; each of those swaps carries its arbitrageId.
+ */
+export class ArbitrageExecutor {
+  private bot: CicadaBot;
+  private config: ArbitrageExecutorConfig;
+
+  constructor(bot: CicadaBot, config: ArbitrageExecutorConfig) {
+    this.bot = bot;
+    this.config = config;
+  }
+
+  public updateConfig(config: Partial<ArbitrageExecutorConfig>): void {
+    this.config = { ...this.config, ...config };
+  }
+
+  public async execute(trade: TwoLegArbitrage, attribution: StrategyAttribution = {}): Promise<ArbitrageExecution> {
+    const { tokenIn, via } = trade;
+    const minAmountOut = new BigNumber(trade.minAmountOut);
+    const policy = this.config.recovery || 'unwind';
+
+    let buyQuote;
+    let sellQuote;
+    try {
+      buyQuote = await this.bot.getQuote({ tokenIn, tokenOut: via, amountIn: trade.amountIn, feeTier: trade.buyFeeTier });
+      sellQuote = await this.bot.getQuote({ tokenIn: via, tokenOut: tokenIn, amountIn: buyQuote.amountOut, feeTier: trade.sellFeeTier });
+    } catch (error) {
+      return this.skip(trade, `Round trip no longer quotes: ${error instanceof Error ? error.message : String(error)}`);
+    }
+    if (new BigNumber(sellQuote.amountOut).isLessThan(minAmountOut)) {
+      return this.skip(trade, `Round trip re-quoted ${sellQuote.amountOut} ${getTokenSymbol(tokenIn)}, below the required ${minAmountOut.toPrecision(8)}`);
+    }
+
+    // The first leg may give up the square root of the headroom, so a fill
+    // right at its floor still leaves the second leg able to clear minAmountOut
+    const headroom = Math.sqrt(minAmountOut.dividedBy(sellQuote.amountOut).toNumber());
+    const buyMinimum = new BigNumber(buyQuote.amountOut).multipliedBy(headroom);
+
+    const transactionId = this.bot.addTransaction({
+      type: 'arbitrage',
+      tokenIn: getTokenSymbol(tokenIn),
+      tokenOut: getTokenSymbol(tokenIn),
+      amountIn: trade.amountIn,
+      amountOut: sellQuote.amountOut,
+      feeTier: trade.buyFeeTier,
+      status: 'pending',
+      profit: new BigNumber(sellQuote.amountOut).minus(trade.amountIn).toFixed(),
+      legs: [],
+      ...(attribution.strategy ? { strategy: attribution.strategy } : {}),
+      ...(attribution.runId ? { runId: attribution.runId } : {}),
+      ...(this.bot.isPaperTrading() ? { simulated: true } : {})
+    });
+
+    const legs: string[] = [];
+    const swap = async (params: SwapParams): Promise<SwapResult> => {
+      const result = await this.bot.executeSwap({ ...params, ...attribution, arbitrageId: transactionId });
+      if (result.transactionId) {
+        legs.push(result.transactionId);
+        this.bot.updateTransaction(transactionId, { legs: [...legs] });
+      }
+      return result;
+    };
+
+    Logger.info(`🎯 Executing ${trade.label}`, {
+      amountIn: trade.amountIn,
+      expectedOut: sellQuote.amountOut,
+      requiredOut: minAmountOut.toFixed(),
+      buyMinimum: buyMinimum.toFixed(),
+      recovery: policy
+    });
+
+    const buyResult = await swap({
+      tokenIn,
+      tokenOut: via,
+      amountIn: trade.amountIn,
+      feeTier: trade.buyFeeTier,
+      slippageTolerance: this.config.maxSlippage,
+      amountOutMinimum: buyMinimum.toFixed()
+    });
+    if (!buyResult.success) {
+      return this.finish(trade, transactionId, {
+        status: 'failed',
+        tokenOut: tokenIn,
+        amountOut: trade.amountIn,
+        profit: new BigNumber(0),
+        error: `First leg failed: ${buyResult.error}`
+      });
+    }
+
+    const attempts = policy === 'retry' ? 1 + (this.config.retryAttempts ?? DEFAULT_RETRY_ATTEMPTS) : 1;
+    let error = '';
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      if (attempt > 1) {
+        Logger.warn(`🔁 Retrying ${trade.label} second leg (${attempt - 1}/${attempts - 1})`, { error });
+        await this.sleep(this.config.retryDelay ?? DEFAULT_RETRY_DELAY_MS);
+      }
+
+      const amount = await this.heldAmount(via, buyResult.amountOut, attribution);
+      const quote = await this.bot.getQuote({ tokenIn: via, tokenOut: tokenIn, amountIn: amount, feeTier: trade.sellFeeTier }).catch(() => null);
+      if (!quote) {
+        error = 'Second leg no longer quotes';
+        continue;
+      }
+      if (new BigNumber(quote.amountOut).isLessThan(minAmountOut)) {
+        error = `Second leg re-quoted ${quote.amountOut} ${getTokenSymbol(tokenIn)}, below the required ${minAmountOut.toPrecision(8)}`;
+        continue;
+      }
+
+      const sellResult = await swap({
+        tokenIn: via,
+        tokenOut: tokenIn,
+        amountIn: amount,
+        feeTier: trade.sellFeeTier,
+        slippageTolerance: this.config.maxSlippage,
+        amountOutMinimum: minAmountOut.toFixed()
+      });
+      if (sellResult.success) {
+        return this.finish(trade, transactionId, {
+          status: 'completed',
+          tokenOut: tokenIn,
+          amountOut: sellResult.amountOut,
+          profit: new BigNumber(sellResult.amountOut).minus(trade.amountIn),
+          ...(attempt > 1 ? { recovery: 'retry' as const } : {})
+        });
+      }
+      error = `Second leg failed: ${sellResult.error}`;
+    }
+
+    if (policy === 'unwind') {
+      Logger.warn(`↩️ Unwinding ${trade.label}`, { error });
+      const amount = await this.heldAmount(via, buyResult.amountOut, attribution);
+      const unwindResult = await swap({
+        tokenIn: via,
+        tokenOut: tokenIn,
+        amountIn: amount,
+        feeTier: 'best',
+        slippageTolerance: this.config.unwindSlippage ?? DEFAULT_UNWIND_SLIPPAGE
+      });
+      if (unwindResult.success) {
+        return this.finish(trade, transactionId, {
+          status: 'unwound',
+          tokenOut: tokenIn,
+          amountOut: unwindResult.amountOut,
+          profit: new BigNumber(unwindResult.amountOut).minus(trade.amountIn),
+          recovery: 'unwind',
+          error
+        });
+      }
+      error = `${error}; unwind failed: ${unwindResult.error}`;
+    }
+
+    return this.finish(trade, transactionId, {
+      status: 'held',
+      tokenOut: via,
+      amountOut: await this.heldAmount(via, buyResult.amountOut, attribution),
+      profit: new BigNumber(0),
+      recovery: 'hold',
+      error
+    });
+  }
+
+  private skip(trade: TwoLegArbitrage, reason: string): ArbitrageExecution {
+    Logger.info(`⏭️ ${trade.label} skipped: ${reason}`);
+    return {
+      status: 'skipped',
+      tokenOut: trade.tokenIn,
+      amountOut: trade.amountIn,
+      profit: new BigNumber(0),
+      error: reason
+    };
+  }
+
+  /**
+   * Close the arbitrage record and report how it ended
+   */
+  private finish(trade: TwoLegArbitrage, transactionId: string, execution: Omit<ArbitrageExecution, 'transactionId'>): ArbitrageExecution {
+    const held = execution.status === 'held';
+    const profitPercentage = execution.profit.dividedBy(trade.amountIn).multipliedBy(100).toNumber();
+
+    this.bot.updateTransaction(transactionId, {
+      tokenOut: getTokenSymbol(execution.tokenOut),
+      amountOut: execution.amountOut,
+      profit: held ? undefined : execution.profit.toFixed(),
+      ...(execution.recovery ? { recovery: execution.recovery } : {})
+    });
+    this.bot.updateTransactionStatus(transactionId, execution.status === 'completed' ? 'completed' : 'failed');
+
+    if (execution.status === 'completed') {
+      Logger.info(`🎉 ${trade.label} completed!`, {
+        amountIn: trade.amountIn,
+        amountOut: execution.amountOut,
+        profit: execution.profit.toFixed(6),
+        ...(execution.recovery ? { recovery: execution.recovery } : {})
+      });
+    } else if (held) {
+      Logger.error(`🚨 ${trade.label}: holding ${execution.amountOut} ${getTokenSymbol(trade.via)} after the second leg failed`, {
+        transactionId,
+        error: execution.error
+      });
+    } else {
+      Logger.error(`❌ ${trade.label} ${execution.status}: ${execution.error}`, {
+        transactionId,
+        amountOut: execution.amountOut,
+        profit: execution.profit.toFixed(6)
+      });
+    }
+
+    if (execution.status !== 'failed') {
+      this.bot.addArbitrageResult({
+        type: execution.status === 'completed' ? `${trade.label} Completed` : `${trade.label} (${execution.status.toUpperCase()})`,
+        amount: trade.amountIn,
+        profitPercentage,
+        expectedProfit: execution.profit.toFixed(6),
+        tokenIn: getTokenSymbol(trade.tokenIn),
+        tokenOut: getTokenSymbol(execution.tokenOut),
+        ...(execution.error ? { error: held ? `${execution.error}; holding ${getTokenSymbol(trade.via)}` : execution.error } : {})
+      });
+    }
+
+    return { ...execution, transactionId };
+  }
+
+  /**
+   * What the first leg delivered, capped at what the strategy may spend
+   */
+  private async heldAmount(token: string, delivered: string, attribution: StrategyAttribution): Promise<string> {
+    const available = new BigNumber(await this.bot.getStrategyBalance(attribution.strategy || 'manual', token));
+    return available.isGreaterThan(0) ? BigNumber.min(delivered, available).toFixed() : delivered;
+  }
+
+  private sleep(ms: number): Promise<void> {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
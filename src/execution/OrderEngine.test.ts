@@ -0,0 +1,225 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import BigNumber from 'bignumber.js';
+import { afterEach, beforeEach, describe, expect, it } from '@jest/globals';
+import { OrderEngine, OrderParams } from './OrderEngine';
+import { CicadaBot } from '../CicadaBot';
+import { SwapParams, SwapResult } from '../types';
+import { COMMON_TOKENS } from '../constants/tokens';
+
+const GALA = COMMON_TOKENS.GALA;
+const USDC = COMMON_TOKENS.GUSDC;
+
+/**
+ * Just enough of CicadaBot for the engine: quotes fill at `price` and swaps
+ * succeed unless `failSwaps` is set
+ */
+class FakeBot {
+  public price = 0.02;
+  public held = '1000';
+  public failSwaps = false;
+  public swaps: SwapParams[] = [];
+
+  public getCircuitBreakerState() {
+    return { tripped: false };
+  }
+
+  public async getStrategyBalance(): Promise<string> {
+    return this.held;
+  }
+
+  public async getQuote(params: SwapParams) {
+    return { amountIn: params.amountIn, amountOut: new BigNumber(params.amountIn as string).multipliedBy(this.price).toFixed(), priceImpact: '0', feeTier: 3000 };
+  }
+
+  public async executeSwap(params: SwapParams): Promise<SwapResult> {
+    this.swaps.push(params);
+    if (this.failSwaps) {
+      return { success: false, amountIn: params.amountIn as string, amountOut: '0', error: 'pool moved' };
+    }
+    return { success: true, amountIn: params.amountIn as string, amountOut: new BigNumber(params.amountIn as string).multipliedBy(this.price).toFixed() };
+  }
+}
+
+describe('OrderEngine', () => {
+  let dir: string;
+  let stateFile: string;
+  let bot: FakeBot;
+  let engine: OrderEngine;
+
+  const place = (params: Partial<OrderParams>) => engine.place({ type: 'stop-loss', token: GALA, quoteToken: USDC, amount: '100', ...params } as OrderParams);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orders-'));
+    stateFile = path.join(dir, 'orders.json');
+    bot = new FakeBot();
+    engine = new OrderEngine(bot as unknown as CicadaBot, 30000, stateFile);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('triggers', () => {
+    it('fires a stop-loss at exactly its stop price, not above it', async () => {
+      const order = await place({ type: 'stop-loss', stopPrice: '0.015' });
+
+      bot.price = 0.0151;
+      await engine.checkOrders();
+      expect(engine.get(order.id)?.status).toBe('open');
+
+      bot.price = 0.015;
+      await engine.checkOrders();
+      expect(engine.get(order.id)).toMatchObject({ status: 'filled', triggeredBy: 'stop', triggerPrice: '0.015' });
+      expect(bot.swaps).toHaveLength(1);
+    });
+
+    it('fires a take-profit at exactly its target, not below it', async () => {
+      const order = await place({ type: 'take-profit', takeProfitPrice: '0.025' });
+
+      bot.price = 0.0249;
+      await engine.checkOrders();
+      expect(engine.get(order.id)?.status).toBe('open');
+
+      bot.price = 0.025;
+      await engine.checkOrders();
+      expect(engine.get(order.id)).toMatchObject({ status: 'filled', triggeredBy: 'take-profit' });
+    });
+
+    it('fills an oco order once on whichever side is reached', async () => {
+      const order = await place({ type: 'oco', stopPrice: '0.015', takeProfitPrice: '0.025' });
+
+      bot.price = 0.03;
+      await engine.checkOrders();
+      await engine.checkOrders();
+      expect(engine.get(order.id)).toMatchObject({ status: 'filled', triggeredBy: 'take-profit' });
+      expect(bot.swaps).toHaveLength(1);
+    });
+
+    it('trails the highest price quoted and fires the trail percent below it', async () => {
+      const order = await place({ type: 'trailing-stop', trailPercent: 10 });
+
+      for (const price of [0.02, 0.03, 0.028]) {
+        bot.price = price;
+        await engine.checkOrders();
+      }
+      expect(engine.get(order.id)).toMatchObject({ status: 'open', peakPrice: '0.03' });
+
+      bot.price = 0.027;
+      await engine.checkOrders();
+      expect(engine.get(order.id)).toMatchObject({ status: 'filled', triggeredBy: 'stop' });
+    });
+
+    it('sells only what is still held', async () => {
+      await place({ type: 'stop-loss', stopPrice: '0.015' });
+      bot.held = '40';
+      bot.price = 0.01;
+      await engine.checkOrders();
+      expect(bot.swaps[0].amountIn).toBe('40');
+    });
+
+    it('fails an order after three failed sales in a row', async () => {
+      const order = await place({ type: 'stop-loss', stopPrice: '0.015' });
+      bot.price = 0.01;
+      bot.failSwaps = true;
+
+      await engine.checkOrders();
+      await engine.checkOrders();
+      expect(engine.get(order.id)).toMatchObject({ status: 'open', attempts: 2, error: 'pool moved' });
+
+      await engine.checkOrders();
+      expect(engine.get(order.id)?.status).toBe('failed');
+      await engine.checkOrders();
+      expect(bot.swaps).toHaveLength(3);
+    });
+
+    it('expires an order instead of checking it once expiresAt has passed', async () => {
+      const order = await place({ type: 'stop-loss', stopPrice: '0.015', expiresAt: new Date(Date.now() + 20).toISOString() });
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      bot.price = 0.01;
+      await engine.checkOrders();
+      expect(engine.get(order.id)?.status).toBe('expired');
+      expect(bot.swaps).toHaveLength(0);
+    });
+  });
+
+  describe('limit orders', () => {
+    it('sells nothing below the limit price', async () => {
+      const order = await place({ type: 'limit', limitPrice: '0.025' });
+      bot.price = 0.0249;
+      await engine.checkOrders();
+      expect(engine.get(order.id)?.status).toBe('open');
+      expect(bot.swaps).toHaveLength(0);
+    });
+
+    it('sells one chunk per check, floored at the limit price, and a short last chunk', async () => {
+      const order = await place({ type: 'limit', amount: '100', limitPrice: '0.025', chunkAmount: '40' });
+      bot.price = 0.03;
+
+      await engine.checkOrders();
+      expect(bot.swaps[0]).toMatchObject({ amountIn: '40', amountOutMinimum: '1' });
+      expect(engine.get(order.id)).toMatchObject({ status: 'open', filledAmount: '40' });
+
+      await engine.checkOrders();
+      await engine.checkOrders();
+      expect(bot.swaps.map(swap => swap.amountIn)).toEqual(['40', '40', '20']);
+      expect(engine.get(order.id)).toMatchObject({ status: 'filled', filledAmount: '100', amountOut: '3' });
+    });
+
+    it('starts a repeating order over once its amount is sold', async () => {
+      const order = await place({ type: 'limit', amount: '50', limitPrice: '0.025', repeat: true });
+      bot.price = 0.03;
+
+      await engine.checkOrders();
+      expect(engine.get(order.id)).toMatchObject({ status: 'open', filledAmount: '0', cycles: 1 });
+      await engine.checkOrders();
+      expect(engine.get(order.id)?.cycles).toBe(2);
+    });
+  });
+
+  it('fails an order that was mid-sale when the engine last stopped', async () => {
+    const order = await place({ type: 'stop-loss', stopPrice: '0.015' });
+    const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    saved[0].status = 'executing';
+    fs.writeFileSync(stateFile, JSON.stringify(saved));
+
+    const restarted = new OrderEngine(bot as unknown as CicadaBot, 30000, stateFile);
+    expect(restarted.get(order.id)).toMatchObject({ status: 'failed' });
+  });
+
+  it('refuses an order for more than is held', async () => {
+    bot.held = '99';
+    await expect(place({ type: 'stop-loss', stopPrice: '0.015' })).rejects.toThrow('only 99 is held');
+  });
+});
+
+describe('OrderEngine.validate', () => {
+  const valid: OrderParams = { type: 'stop-loss', token: GALA, quoteToken: USDC, amount: '100', stopPrice: '0.015' };
+
+  it('accepts a complete order of each type', () => {
+    expect(() => OrderEngine.validate(valid)).not.toThrow();
+    expect(() => OrderEngine.validate({ ...valid, type: 'take-profit', takeProfitPrice: '0.025' })).not.toThrow();
+    expect(() => OrderEngine.validate({ ...valid, type: 'oco', takeProfitPrice: '0.025' })).not.toThrow();
+    expect(() => OrderEngine.validate({ ...valid, type: 'trailing-stop', trailPercent: 5 })).not.toThrow();
+    expect(() => OrderEngine.validate({ ...valid, type: 'limit', limitPrice: '0.025', chunkAmount: '10' })).not.toThrow();
+  });
+
+  it.each([
+    ['an unknown type', { type: 'market' }, 'Order type must be one of'],
+    ['the same token on both sides', { quoteToken: GALA }, 'two different tokens'],
+    ['a zero amount', { amount: '0' }, 'amount must be a positive number'],
+    ['a stop-loss without a stop price', { stopPrice: undefined }, 'requires a positive stopPrice'],
+    ['a take-profit without a target', { type: 'take-profit' }, 'requires a positive takeProfitPrice'],
+    ['an oco order with its stop at its target', { type: 'oco', takeProfitPrice: '0.015' }, 'stopPrice below takeProfitPrice'],
+    ['a trailing stop of 0%', { type: 'trailing-stop', trailPercent: 0 }, 'trailPercent between 0 and 100'],
+    ['a trailing stop of 100%', { type: 'trailing-stop', trailPercent: 100 }, 'trailPercent between 0 and 100'],
+    ['a limit order without a price', { type: 'limit' }, 'requires a positive limitPrice'],
+    ['a zero chunk', { type: 'limit', limitPrice: '0.025', chunkAmount: '0' }, 'chunkAmount must be a positive number'],
+    ['an expiry in the past', { expiresAt: new Date(Date.now() - 1000).toISOString() }, 'expiresAt must be a time in the future'],
+    ['an unparseable expiry', { expiresAt: 'tomorrow' }, 'expiresAt must be a time in the future']
+  ])('rejects %s', (_name, changes, message) => {
+    expect(() => OrderEngine.validate({ ...valid, ...changes } as OrderParams)).toThrow(message as string);
+  });
+});
@@ -0,0 +1,482 @@
+import fs from 'fs';
+import path from 'path';
+import BigNumber from 'bignumber.js';
+import { CicadaBot } from '../CicadaBot';
+import { SwapParams } from '../types';
+import { Logger } from '../utils/logger';
+import { getTokenSymbol } from '../constants/tokens';
+
+/**
+ * 'stop-loss' sells when the price falls to stopPrice, 'take-profit' when it
+ * rises to takeProfitPrice, 'trailing-stop' when it falls trailPercent below
+ * its highest price since the order was placed, and 'oco' at whichever of
+ * stopPrice and takeProfitPrice comes first. 'limit' sells whenever the
+ * price is at least limitPrice, in chunks if chunkAmount is set.
+ */
+export type OrderType = 'stop-loss' | 'take-profit' | 'trailing-stop' | 'oco' | 'limit';
+
+export type OrderStatus = 'open' | 'executing' | 'filled' | 'failed' | 'cancelled' | 'expired';
+
+export const ORDER_TYPES: OrderType[] = ['stop-loss', 'take-profit', 'trailing-stop', 'oco', 'limit'];
+
+/**
+ * What a user or strategy asks for. Prices are in quoteToken per token.
+ */
+export interface OrderParams {
+  type: OrderType;
+  token: string; // Held token sold when the order triggers
+  quoteToken: string; // Token received for it
+  amount: string; // Amount of token to sell
+  stopPrice?: string; // 'stop-loss' and 'oco'
+  takeProfitPrice?: string; // 'take-profit' and 'oco'
+  trailPercent?: number; // 'trailing-stop'
+  limitPrice?: string; // 'limit': lowest price any chunk may sell at
+  chunkAmount?: string; // 'limit': most sold per check, to cap price impact (default: all of amount)
+  repeat?: boolean; // 'limit': start over once amount is sold instead of closing
+  expiresAt?: string; // ISO time after which the order stops; any type
+  slippageTolerance?: number; // Default: 1
+  feeTier?: SwapParams['feeTier']; // As in SwapParams
+  strategy?: string; // Swap attribution, and whose budget the sale spends
+}
+
+/**
+ * One sale made for an order
+ */
+export interface OrderFill {
+  transactionId?: string;
+  amountIn: string;
+  amountOut: string;
+  price: string;
+  filledAt: string;
+}
+
+export interface ConditionalOrder extends OrderParams {
+  id: string;
+  status: OrderStatus;
+  createdAt: string;
+  updatedAt: string;
+  lastPrice?: string; // Rate the last check quoted
+  peakPrice?: string; // 'trailing-stop': highest rate quoted so far
+  attempts: number; // Sales tried; the order fails after MAX_ATTEMPTS
+  triggeredBy?: 'stop' | 'take-profit'; // Which side fired
+  triggerPrice?: string;
+  transactionId?: string; // Record of the last sale
+  amountOut?: string; // Received for the whole order once filled
+  filledAmount?: string; // 'limit': sold so far in this round
+  cycles?: number; // 'limit' with repeat: rounds completed
+  fills?: OrderFill[]; // Most recent sales, up to MAX_FILLS_KEPT
+  error?: string;
+}
+
+const DEFAULT_CHECK_INTERVAL_MS = 30000;
+const DEFAULT_SLIPPAGE = 1;
+const MAX_ATTEMPTS = 3;
+const MAX_FILLS_KEPT = 50;
+
+/**
+ * Holds stop-loss, take-profit, trailing-stop, OCO and limit orders and
+ * fills them through CicadaBot.executeSwap. Every checkInterval each open
+ * order quotes selling its amount (a limit order: its next chunk) on its
+ * pool, and the rate that quote fills at is the price its triggers compare
+ * against. Orders quoting the same pair, pool and size share one quote per
+ * check. A limit order sells at most one chunk per check, with an
+ * amountOutMinimum that holds it to limitPrice. A sale that fails is tried
+ * again on the next check, up to MAX_ATTEMPTS in a row. Orders are not
+ * checked while the circuit breaker is tripped. Orders, closed ones
+ * included, are kept in data/orders.json.
+ */
+export class OrderEngine {
+  private bot: CicadaBot;
+  private stateFile: string;
+  private checkInterval: number;
+  private orders: Map<string, ConditionalOrder>;
+  private timer: NodeJS.Timeout | null = null;
+  private checking = false;
+
+  constructor(bot: CicadaBot, checkInterval: number = DEFAULT_CHECK_INTERVAL_MS, stateFile?: string) {
+    this.bot = bot;
+    this.checkInterval = checkInterval;
+    this.stateFile = stateFile || path.join(process.cwd(), 'data', 'orders.json');
+    this.orders = this.load();
+  }
+
+  public start(): void {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.checkOrders().catch(error => Logger.error('Order check failed', error));
+    }, this.checkInterval);
+    this.timer.unref();
+
+    const open = this.list({ status: 'open' }).length;
+    if (open > 0) {
+      Logger.info(`📋 Watching ${open} open order(s)`);
+    }
+  }
+
+  public stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Orders, newest first
+   */
+  public list(filter: { status?: OrderStatus; strategy?: string } = {}): ConditionalOrder[] {
+    return Array.from(this.orders.values())
+      .filter(order => !filter.status || order.status === filter.status)
+      .filter(order => !filter.strategy || order.strategy === filter.strategy)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(order => ({ ...order }));
+  }
+
+  public get(id: string): ConditionalOrder | undefined {
+    const order = this.orders.get(id);
+    return order ? { ...order } : undefined;
+  }
+
+  /**
+   * Register an order. Throws when the parameters are invalid or the
+   * strategy does not hold the amount.
+   */
+  public async place(params: OrderParams): Promise<ConditionalOrder> {
+    OrderEngine.validate(params);
+
+    const held = await this.bot.getStrategyBalance(params.strategy || 'manual', params.token);
+    if (new BigNumber(params.amount).isGreaterThan(held)) {
+      throw new Error(`Order sells ${params.amount} ${getTokenSymbol(params.token)} but only ${held} is held`);
+    }
+
+    const now = new Date().toISOString();
+    const order: ConditionalOrder = {
+      ...params,
+      id: `order_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      status: 'open',
+      createdAt: now,
+      updatedAt: now,
+      attempts: 0
+    };
+    this.orders.set(order.id, order);
+    this.save();
+
+    Logger.info(`📋 ${order.type} order placed: ${describe(order)}`, { id: order.id, strategy: order.strategy });
+    return { ...order };
+  }
+
+  /**
+   * Cancel an open order. Returns the order, or undefined when there is none
+   * with that ID; throws when it is no longer open.
+   */
+  public cancel(id: string): ConditionalOrder | undefined {
+    const order = this.orders.get(id);
+    if (!order) return undefined;
+    if (order.status !== 'open') {
+      throw new Error(`Order is ${order.status} and can no longer be cancelled`);
+    }
+
+    this.update(order, { status: 'cancelled' });
+    Logger.info(`📋 Order cancelled: ${describe(order)}`, { id });
+    return { ...order };
+  }
+
+  /**
+   * Quote every open order and fill the ones that trigger
+   */
+  public async checkOrders(): Promise<void> {
+    if (this.checking || this.bot.getCircuitBreakerState().tripped) return;
+    this.checking = true;
+    try {
+      const quotes: Map<string, Promise<BigNumber | null>> = new Map();
+      for (const order of Array.from(this.orders.values())) {
+        if (order.status === 'open') {
+          await this.checkOrder(order, quotes);
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  private async checkOrder(order: ConditionalOrder, quotes: Map<string, Promise<BigNumber | null>>): Promise<void> {
+    if (order.expiresAt && Date.now() >= Date.parse(order.expiresAt)) {
+      this.update(order, { status: 'expired' });
+      Logger.info(`⌛ Order expired: ${describe(order)}`, { id: order.id, filledAmount: order.filledAmount });
+      return;
+    }
+
+    const amount = this.nextAmount(order);
+    const key = [order.token, order.quoteToken, order.feeTier ?? 'sdk', amount.toFixed()].join(':');
+    if (!quotes.has(key)) {
+      quotes.set(key, this.bot.getQuote({ tokenIn: order.token, tokenOut: order.quoteToken, amountIn: amount.toFixed(), feeTier: order.feeTier })
+        .then(quote => new BigNumber(quote.amountOut).dividedBy(amount))
+        .catch(error => {
+          Logger.warn(`Could not price ${getTokenSymbol(order.token)}/${getTokenSymbol(order.quoteToken)} for orders`, error instanceof Error ? error.message : String(error));
+          return null;
+        }));
+    }
+    const price = await quotes.get(key);
+    if (!price) return;
+
+    const changes: Partial<ConditionalOrder> = { lastPrice: price.toFixed() };
+    if (order.type === 'trailing-stop' && (!order.peakPrice || price.isGreaterThan(order.peakPrice))) {
+      changes.peakPrice = price.toFixed();
+    }
+    this.update(order, changes);
+
+    if (order.type === 'limit') {
+      if (price.isGreaterThanOrEqualTo(order.limitPrice as string)) {
+        await this.fillChunk(order, amount, price);
+      }
+      return;
+    }
+
+    const triggeredBy = trigger(order, price);
+    if (!triggeredBy) return;
+
+    Logger.info(`🔔 ${order.type} order triggered at ${price.toPrecision(6)}: ${describe(order)}`, { id: order.id });
+    await this.fill(order, triggeredBy, price);
+  }
+
+  /**
+   * What the order sells next: a limit order's next chunk, otherwise all of it
+   */
+  private nextAmount(order: ConditionalOrder): BigNumber {
+    if (order.type !== 'limit') return new BigNumber(order.amount);
+    const remaining = new BigNumber(order.amount).minus(order.filledAmount || 0);
+    return order.chunkAmount ? BigNumber.min(order.chunkAmount, remaining) : remaining;
+  }
+
+  /**
+   * Sell a limit order's next chunk at limitPrice or better
+   */
+  private async fillChunk(order: ConditionalOrder, amount: BigNumber, price: BigNumber): Promise<void> {
+    const held = new BigNumber(await this.bot.getStrategyBalance(order.strategy || 'manual', order.token).catch(() => '0'));
+    const amountIn = BigNumber.min(amount, held);
+    if (!amountIn.isGreaterThan(0)) {
+      // A repeating order waits for the balance to come back; a one-shot one is done
+      if (order.repeat) {
+        Logger.debug(`Limit order ${order.id} is waiting for ${getTokenSymbol(order.token)} to sell`);
+      } else {
+        this.update(order, { status: 'failed', error: `No ${getTokenSymbol(order.token)} left to sell` });
+        Logger.error(`❌ Order ${order.id} failed: no ${getTokenSymbol(order.token)} left to sell`);
+      }
+      return;
+    }
+
+    this.update(order, { status: 'executing', attempts: order.attempts + 1 });
+    Logger.info(`🔔 Limit order selling ${amountIn.toFixed()} ${getTokenSymbol(order.token)} at ${price.toPrecision(6)}: ${describe(order)}`, { id: order.id });
+
+    const result = await this.bot.executeSwap({
+      tokenIn: order.token,
+      tokenOut: order.quoteToken,
+      amountIn: amountIn.toFixed(),
+      amountOutMinimum: amountIn.multipliedBy(order.limitPrice as string).toFixed(),
+      slippageTolerance: order.slippageTolerance ?? DEFAULT_SLIPPAGE,
+      feeTier: order.feeTier,
+      ...(order.strategy ? { strategy: order.strategy } : {})
+    });
+
+    if (!result.success) {
+      const failed = order.attempts >= MAX_ATTEMPTS;
+      this.update(order, { status: failed ? 'failed' : 'open', transactionId: result.transactionId, error: result.error });
+      Logger.error(`❌ Limit order ${order.id} chunk failed (${order.attempts}/${MAX_ATTEMPTS})${failed ? '' : ', retrying on the next check'}: ${result.error}`);
+      return;
+    }
+
+    const fill: OrderFill = {
+      transactionId: result.transactionId,
+      amountIn: result.amountIn,
+      amountOut: result.amountOut,
+      price: new BigNumber(result.amountOut).dividedBy(result.amountIn).toFixed(),
+      filledAt: new Date().toISOString()
+    };
+    const filledAmount = new BigNumber(order.filledAmount || 0).plus(result.amountIn);
+    const done = filledAmount.isGreaterThanOrEqualTo(order.amount);
+    this.update(order, {
+      status: done && !order.repeat ? 'filled' : 'open',
+      attempts: 0,
+      transactionId: result.transactionId,
+      filledAmount: done && order.repeat ? '0' : filledAmount.toFixed(),
+      ...(done && order.repeat ? { cycles: (order.cycles || 0) + 1 } : {}),
+      amountOut: new BigNumber(order.amountOut || 0).plus(result.amountOut).toFixed(),
+      fills: [...(order.fills || []), fill].slice(-MAX_FILLS_KEPT),
+      error: undefined
+    });
+
+    Logger.info(`✅ Limit order sold ${fill.amountIn} ${getTokenSymbol(order.token)} for ${fill.amountOut} ${getTokenSymbol(order.quoteToken)}`, {
+      id: order.id,
+      filled: done ? 'all' : `${filledAmount.toFixed()}/${order.amount}`,
+      ...(order.repeat ? { cycles: order.cycles || 0 } : {})
+    });
+  }
+
+  private async fill(order: ConditionalOrder, triggeredBy: 'stop' | 'take-profit', price: BigNumber): Promise<void> {
+    this.update(order, { status: 'executing', triggeredBy, triggerPrice: price.toFixed(), attempts: order.attempts + 1 });
+
+    // Sell what is still held, which may be less than the order if some was spent since
+    const held = new BigNumber(await this.bot.getStrategyBalance(order.strategy || 'manual', order.token).catch(() => '0'));
+    const amountIn = BigNumber.min(order.amount, held);
+    if (!amountIn.isGreaterThan(0)) {
+      this.update(order, { status: 'failed', error: `No ${getTokenSymbol(order.token)} left to sell` });
+      Logger.error(`❌ Order ${order.id} failed: no ${getTokenSymbol(order.token)} left to sell`);
+      return;
+    }
+
+    const result = await this.bot.executeSwap({
+      tokenIn: order.token,
+      tokenOut: order.quoteToken,
+      amountIn: amountIn.toFixed(),
+      slippageTolerance: order.slippageTolerance ?? DEFAULT_SLIPPAGE,
+      feeTier: order.feeTier,
+      ...(order.strategy ? { strategy: order.strategy } : {})
+    });
+
+    if (result.success) {
+      this.update(order, {
+        status: 'filled',
+        transactionId: result.transactionId,
+        amountOut: result.amountOut,
+        error: undefined
+      });
+      Logger.info(`✅ Order filled: sold ${amountIn.toFixed()} ${getTokenSymbol(order.token)} for ${result.amountOut} ${getTokenSymbol(order.quoteToken)}`, { id: order.id });
+      return;
+    }
+
+    const failed = order.attempts >= MAX_ATTEMPTS;
+    this.update(order, {
+      status: failed ? 'failed' : 'open',
+      transactionId: result.transactionId,
+      error: result.error
+    });
+    Logger.error(`❌ Order ${order.id} sale failed (${order.attempts}/${MAX_ATTEMPTS})${failed ? '' : ', retrying on the next check'}: ${result.error}`);
+  }
+
+  private update(order: ConditionalOrder, changes: Partial<ConditionalOrder>): void {
+    Object.assign(order, changes, { updatedAt: new Date().toISOString() });
+    this.save();
+  }
+
+  /**
+   * Throw when the parameters do not describe a valid order
+   */
+  public static validate(params: OrderParams): void {
+    if (!ORDER_TYPES.includes(params.type)) {
+      throw new Error(`Order type must be one of ${ORDER_TYPES.join(', ')}`);
+    }
+    if (!params.token || !params.quoteToken || params.token === params.quoteToken) {
+      throw new Error('Order requires two different tokens');
+    }
+    if (!isPositive(params.amount)) {
+      throw new Error('Order amount must be a positive number');
+    }
+
+    const needsStop = params.type === 'stop-loss' || params.type === 'oco';
+    const needsTarget = params.type === 'take-profit' || params.type === 'oco';
+    if (needsStop && !isPositive(params.stopPrice)) {
+      throw new Error(`A ${params.type} order requires a positive stopPrice`);
+    }
+    if (needsTarget && !isPositive(params.takeProfitPrice)) {
+      throw new Error(`A ${params.type} order requires a positive takeProfitPrice`);
+    }
+    if (params.type === 'oco' && !new BigNumber(params.stopPrice as string).isLessThan(params.takeProfitPrice as string)) {
+      throw new Error('An oco order needs stopPrice below takeProfitPrice');
+    }
+    if (params.type === 'trailing-stop' && !(typeof params.trailPercent === 'number' && params.trailPercent > 0 && params.trailPercent < 100)) {
+      throw new Error('A trailing-stop order requires trailPercent between 0 and 100');
+    }
+    if (params.type === 'limit') {
+      if (!isPositive(params.limitPrice)) {
+        throw new Error('A limit order requires a positive limitPrice');
+      }
+      if (params.chunkAmount !== undefined && !isPositive(params.chunkAmount)) {
+        throw new Error('chunkAmount must be a positive number');
+      }
+    }
+    if (params.expiresAt !== undefined) {
+      const expiresAt = Date.parse(params.expiresAt);
+      if (isNaN(expiresAt) || expiresAt <= Date.now()) {
+        throw new Error('expiresAt must be a time in the future');
+      }
+    }
+  }
+
+  private load(): Map<string, ConditionalOrder> {
+    const orders: Map<string, ConditionalOrder> = new Map();
+    try {
+      if (!fs.existsSync(this.stateFile)) return orders;
+      const data: ConditionalOrder[] = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      for (const order of Array.isArray(data) ? data : []) {
+        // A sale interrupted by a restart may or may not have gone through;
+        // failing it leaves the decision to the user rather than selling twice
+        if (order.status === 'executing') {
+          order.status = 'failed';
+          order.error = 'Interrupted by a restart while selling; check the transaction history';
+        }
+        orders.set(order.id, order);
+      }
+    } catch (error) {
+      Logger.warn('Failed to load orders', error);
+    }
+    return orders;
+  }
+
+  private save(): void {
+    try {
+      const dataDir = path.dirname(this.stateFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      const tempFile = `${this.stateFile}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(Array.from(this.orders.values()), null, 2));
+      fs.renameSync(tempFile, this.stateFile);
+    } catch (error) {
+      Logger.error('Failed to save orders', error);
+    }
+  }
+}
+
+/**
+ * Which side of an order the price has reached, if any
+ */
+function trigger(order: ConditionalOrder, price: BigNumber): 'stop' | 'take-profit' | null {
+  switch (order.type) {
+    case 'stop-loss':
+      return price.isLessThanOrEqualTo(order.stopPrice as string) ? 'stop' : null;
+    case 'take-profit':
+      return price.isGreaterThanOrEqualTo(order.takeProfitPrice as string) ? 'take-profit' : null;
+    case 'oco':
+      if (price.isLessThanOrEqualTo(order.stopPrice as string)) return 'stop';
+      return price.isGreaterThanOrEqualTo(order.takeProfitPrice as string) ? 'take-profit' : null;
+    case 'trailing-stop': {
+      const stop = new BigNumber(order.peakPrice || price).multipliedBy(1 - (order.trailPercent as number) / 100);
+      return price.isLessThanOrEqualTo(stop) ? 'stop' : null;
+    }
+    default:
+      return null;
+  }
+}
+
+function describe(order: OrderParams): string {
+  const pair = `${order.amount} ${getTokenSymbol(order.token)} → ${getTokenSymbol(order.quoteToken)}`;
+  switch (order.type) {
+    case 'stop-loss':
+      return `${pair} at or below ${order.stopPrice}`;
+    case 'take-profit':
+      return `${pair} at or above ${order.takeProfitPrice}`;
+    case 'oco':
+      return `${pair} at or below ${order.stopPrice} or at or above ${order.takeProfitPrice}`;
+    case 'trailing-stop':
+      return `${pair} ${order.trailPercent}% below its peak`;
+    case 'limit':
+      return `${pair} at ${order.limitPrice} or better${order.chunkAmount ? ` in chunks of ${order.chunkAmount}` : ''}${order.repeat ? ', repeating' : ''}`;
+    default:
+      return pair;
+  }
+}
+
+function isPositive(value: BigNumber.Value | undefined): boolean {
+  if (value === undefined || value === null || value === '') return false;
+  const number = new BigNumber(value);
+  return number.isFinite() && number.isGreaterThan(0);
+}
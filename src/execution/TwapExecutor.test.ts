@@ -0,0 +1,267 @@
+import BigNumber from 'bignumber.js';
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { TwapExecutor, TwapParams } from './TwapExecutor';
+import { CicadaBot, TransactionRecord } from '../CicadaBot';
+import { SwapParams, SwapResult } from '../types';
+import { COMMON_TOKENS } from '../constants/tokens';
+
+const GALA = COMMON_TOKENS.GALA;
+const USDC = COMMON_TOKENS.GUSDC;
+
+/**
+ * Just enough of CicadaBot for the executor: swaps that fill at `price`
+ * unless `failSwaps` is set, refused and recorded as blocked when they would
+ * move the price, by the amount over `liquidity`, more than their
+ * maxPriceImpact, and a transaction history
+ */
+class FakeBot {
+  public price = 0.02;
+  public liquidity = 100000;
+  public failSwaps = false;
+  public tripped = false;
+  public swaps: SwapParams[] = [];
+  public transactions: Map<string, TransactionRecord> = new Map();
+  public results: any[] = [];
+
+  public async executeSwap(params: SwapParams): Promise<SwapResult> {
+    const amountIn = params.amountIn as string;
+    const impactPercent = parseFloat(amountIn) / this.liquidity * 100;
+    if (params.maxPriceImpact !== undefined && impactPercent > params.maxPriceImpact) {
+      const error = `Swap would move the price ${impactPercent.toFixed(2)}%, over the ${params.maxPriceImpact}% limit`;
+      const transactionId = this.addTransaction({
+        type: 'swap', tokenIn: 'GALA', tokenOut: 'USDC', amountIn, amountOut: '0', status: 'blocked', blockedReason: error, twapId: params.twapId
+      });
+      return { success: false, amountIn, amountOut: '0', error, transactionId };
+    }
+
+    this.swaps.push(params);
+    const transactionId = this.addTransaction({
+      type: 'swap',
+      tokenIn: 'GALA',
+      tokenOut: 'USDC',
+      amountIn,
+      amountOut: this.failSwaps ? '0' : this.fill(amountIn),
+      status: this.failSwaps ? 'failed' : 'completed',
+      twapId: params.twapId
+    });
+    return this.failSwaps
+      ? { success: false, amountIn, amountOut: '0', error: 'slippage exceeded', transactionId }
+      : { success: true, amountIn, amountOut: this.fill(amountIn), transactionId };
+  }
+
+  public addTransaction(record: Omit<TransactionRecord, 'id' | 'timestamp'>): string {
+    const id = `tx${this.transactions.size + 1}`;
+    this.transactions.set(id, { ...record, id, timestamp: new Date().toISOString() } as TransactionRecord);
+    return id;
+  }
+
+  public queryTransactions(query: { type: string; status: string; from?: number }) {
+    return {
+      transactions: Array.from(this.transactions.values()).filter(tx => (
+        tx.type === query.type && tx.status === query.status && Date.parse(tx.timestamp) >= (query.from ?? 0)
+      ))
+    };
+  }
+
+  public getTransaction(id: string): TransactionRecord | undefined {
+    return this.transactions.get(id);
+  }
+
+  public updateTransaction(id: string, changes: Partial<TransactionRecord>): void {
+    this.transactions.set(id, { ...(this.transactions.get(id) as TransactionRecord), ...changes });
+  }
+
+  public updateTransactionStatus(id: string, status: TransactionRecord['status']): void {
+    this.updateTransaction(id, { status });
+  }
+
+  public isPaperTrading(): boolean {
+    return false;
+  }
+
+  public getCircuitBreakerState() {
+    return { tripped: this.tripped };
+  }
+
+  public addArbitrageResult(result: any): void {
+    this.results.push(result);
+  }
+
+  private fill(amountIn: string): string {
+    return new BigNumber(amountIn).multipliedBy(this.price).toFixed();
+  }
+}
+
+describe('TwapExecutor', () => {
+  let bot: FakeBot;
+  let executor: TwapExecutor;
+
+  // 1000 GALA in four slices a second apart; a 250 slice moves the price 0.25%
+  const start = (params: Partial<TwapParams> = {}) => executor.start({
+    tokenIn: GALA,
+    tokenOut: USDC,
+    amountIn: '1000',
+    duration: 4000,
+    slices: 4,
+    maxPriceImpact: 1,
+    ...params
+  });
+  const sold = () => bot.swaps.map(swap => swap.amountIn);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    bot = new FakeBot();
+    executor = new TwapExecutor(bot as unknown as CicadaBot);
+  });
+
+  afterEach(() => {
+    executor.stopAll('Test finished');
+    jest.useRealTimers();
+  });
+
+  it('sells equal slices one interval apart and closes the parent record', async () => {
+    const { id } = start();
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(sold()).toEqual(['250']);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(sold()).toEqual(['250', '250']);
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(sold()).toEqual(['250', '250', '250', '250']);
+    expect(executor.get(id)).toMatchObject({ status: 'completed', executedIn: '1000', receivedOut: '20', slicesDone: 4, nextSliceAt: null });
+    const parent = bot.transactions.get(id) as TransactionRecord;
+    expect(parent).toMatchObject({ type: 'twap', status: 'completed', amountIn: '1000', amountOut: '20' });
+    expect(parent.legs?.map(leg => bot.transactions.get(leg)?.twapId)).toEqual(Array(4).fill(id));
+    expect(bot.results.map(result => result.type)).toEqual([
+      'TWAP GALA→USDC 1/4', 'TWAP GALA→USDC 2/4', 'TWAP GALA→USDC 3/4', 'TWAP GALA→USDC 4/4', 'TWAP GALA→USDC Completed'
+    ]);
+  });
+
+  it('sizes vwap slices by the volume profile', async () => {
+    start({ mode: 'vwap', volumeProfile: [1, 3] });
+    await jest.advanceTimersByTimeAsync(4000);
+    expect(sold()).toEqual(['125', '375', '125', '375']);
+  });
+
+  describe('vwap without a volume profile', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const now = Date.UTC(2025, 0, 8, 12);
+
+    // A completed GALA/USDC swap `offset` ms after this time of day, `daysAgo` days back
+    const traded = (daysAgo: number, offset: number, record: Partial<TransactionRecord>) => {
+      jest.setSystemTime(now - daysAgo * DAY + offset);
+      bot.addTransaction({ type: 'swap', tokenIn: 'GALA', tokenOut: 'USDC', amountIn: '0', amountOut: '0', status: 'completed', ...record });
+    };
+
+    it("sizes slices by the pair's recorded volume at the same time of day, in tokenIn", async () => {
+      traded(1, 500, { amountIn: '100' });
+      traded(2, 1500, { tokenIn: 'USDC', tokenOut: 'GALA', amountIn: '2', amountOut: '100' });
+      traded(1, 2500, { amountIn: '200' });
+      traded(3, 3500, { amountIn: '100' });
+      traded(1, 3600, { amountIn: '900', status: 'failed' });
+      traded(8, 3600, { amountIn: '900' });
+      jest.setSystemTime(now);
+
+      const { id } = start({ mode: 'vwap' });
+      expect(executor.get(id)?.params.volumeProfile).toEqual([100, 100, 200, 100]);
+      await jest.advanceTimersByTimeAsync(4000);
+      expect(sold()).toEqual(['200', '200', '400', '200']);
+    });
+
+    it('keeps a share for intervals with no recorded volume', () => {
+      traded(1, 500, { amountIn: '1000' });
+      jest.setSystemTime(now);
+
+      const { id } = start({ mode: 'vwap' });
+      expect(executor.get(id)?.params.volumeProfile).toEqual([1000, 25, 25, 25]);
+    });
+
+    it('sells equal slices when nothing was recorded', async () => {
+      jest.setSystemTime(now);
+      start({ mode: 'vwap' });
+      await jest.advanceTimersByTimeAsync(4000);
+      expect(sold()).toEqual(['250', '250', '250', '250']);
+    });
+  });
+
+  it('pauses a slice that would move the price too far and resumes on the remainder', async () => {
+    bot.liquidity = 10000;
+    const { id } = start();
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(sold()).toEqual([]);
+    expect(executor.get(id)).toMatchObject({ status: 'running', pauses: 1, totalPauses: 1 });
+    expect(executor.get(id)?.error).toContain('would move the price 2.50%, over the 1% limit');
+    expect(bot.results[0]).toMatchObject({ type: 'TWAP GALA→USDC PAUSED' });
+    const [refused] = bot.transactions.get(id)?.legs || [];
+    expect(bot.transactions.get(refused)).toMatchObject({ status: 'blocked', twapId: id });
+    expect(bot.transactions.get(refused)?.blockedReason).toContain('over the 1% limit');
+
+    bot.liquidity = 100000;
+    await jest.advanceTimersByTimeAsync(4000);
+    expect(sold()).toEqual(['250', '250', '250', '250']);
+    expect(executor.get(id)).toMatchObject({ status: 'completed', pauses: 0, totalPauses: 1 });
+  });
+
+  it('caps every slice at maxPriceImpact', async () => {
+    start({ maxPriceImpact: 0.5 });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(bot.swaps[0].maxPriceImpact).toBe(0.5);
+  });
+
+  it('counts a failed child swap as a pause and links it to the parent', async () => {
+    bot.failSwaps = true;
+    const { id } = start();
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(executor.get(id)).toMatchObject({ pauses: 1, executedIn: '0', error: 'Slice 1/4 of 250 GALA not filled: slippage exceeded' });
+    expect(bot.transactions.get(id)?.legs).toEqual(['tx2']);
+  });
+
+  it('stops with the rest unsold after maxPauses pauses in a row', async () => {
+    const { id } = start({ maxPauses: 3 });
+    await jest.advanceTimersByTimeAsync(0);
+    bot.liquidity = 10000;
+
+    await jest.advanceTimersByTimeAsync(3000);
+    const execution = executor.get(id);
+    expect(execution).toMatchObject({ status: 'stopped', executedIn: '250', pauses: 3 });
+    expect(execution?.error).toContain('Stopped after 3 pauses in a row');
+    expect(bot.transactions.get(id)?.status).toBe('failed');
+    expect(bot.results[bot.results.length - 1].type).toBe('TWAP GALA→USDC STOPPED');
+  });
+
+  it('stops when the circuit breaker trips, or on cancel', async () => {
+    const halted = start();
+    await jest.advanceTimersByTimeAsync(0);
+    bot.tripped = true;
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(executor.get(halted.id)).toMatchObject({ status: 'stopped', error: 'Circuit breaker tripped', slicesDone: 1 });
+
+    bot.tripped = false;
+    const cancelled = start();
+    expect(executor.cancel(cancelled.id)).toMatchObject({ status: 'stopped', error: 'Cancelled' });
+    await jest.advanceTimersByTimeAsync(4000);
+    expect(sold()).toEqual(['250']);
+  });
+
+  it('marks executions cut off by a restart as failed', () => {
+    const interrupted = bot.addTransaction({ type: 'twap', tokenIn: 'GALA', tokenOut: 'USDC', amountIn: '250', amountOut: '5', status: 'pending' });
+    const finished = bot.addTransaction({ type: 'twap', tokenIn: 'GALA', tokenOut: 'USDC', amountIn: '1000', amountOut: '20', status: 'completed' });
+
+    new TwapExecutor(bot as unknown as CicadaBot);
+    expect(bot.transactions.get(interrupted)?.status).toBe('failed');
+    expect(bot.transactions.get(finished)?.status).toBe('completed');
+  });
+
+  it.each([
+    ['the same token on both sides', { tokenOut: GALA }, 'two different tokens'],
+    ['a zero amount', { amountIn: '0' }, 'amountIn must be a positive number'],
+    ['a fractional slice count', { slices: 2.5 }, 'slices must be a positive whole number'],
+    ['no impact limit', { maxPriceImpact: 0 }, 'maxPriceImpact must be a positive percentage'],
+    ['a volume profile with a zero weight', { mode: 'vwap', volumeProfile: [1, 0] }, 'volumeProfile must be a list of positive weights']
+  ])('rejects %s', (_name, changes, message) => {
+    expect(() => start(changes as Partial<TwapParams>)).toThrow(message as string);
+  });
+});
@@ -0,0 +1,400 @@
+import BigNumber from 'bignumber.js';
+import { CicadaBot } from '../CicadaBot';
+import { Logger } from '../utils/logger';
+import { StrategyAttribution, SwapParams } from '../types';
+import { getTokenSymbol } from '../constants/tokens';
+
+/**
+ * 'twap' sells equal slices at equal intervals; 'vwap' sizes each slice by
+ * the volume traded in its interval, from volumeProfile or observed swaps
+ */
+export type TwapMode = 'twap' | 'vwap';
+
+export interface TwapParams extends StrategyAttribution {
+  tokenIn: string;
+  tokenOut: string;
+  amountIn: string; // Total to sell
+  duration: number; // ms the slices are spread over
+  slices: number;
+  mode?: TwapMode; // Default: 'twap'
+  volumeProfile?: number[]; // 'vwap': relative volume in each slice's interval, repeated if shorter than slices (default: observed from recorded swaps)
+  maxPriceImpact: number; // % a slice may move the price; slices quoting more are paused
+  maxPauses?: number; // Pauses in a row before the execution stops (default: 10)
+  slippageTolerance?: number;
+  feeTier?: SwapParams['feeTier']; // As in SwapParams
+}
+
+export interface TwapExecution {
+  id: string; // The parent transaction record
+  params: TwapParams;
+  status: 'running' | 'completed' | 'stopped';
+  executedIn: string; // tokenIn sold so far
+  receivedOut: string; // tokenOut received so far
+  slicesDone: number;
+  pauses: number; // Pauses in a row
+  totalPauses: number;
+  startedAt: string;
+  nextSliceAt: string | null;
+  error?: string; // Why it stopped early, or the last pause or failure
+}
+
+const DEFAULT_MAX_PAUSES = 10;
+const SLICE_DECIMALS = 8;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VOLUME_LOOKBACK_DAYS = 7;
+const MIN_VOLUME_WEIGHT = 0.1; // Of the average slice, so quiet intervals still sell
+
+/**
+ * Splits a large swap into child swaps spread over a duration so no single
+ * swap drains the pool. Each slice is sent with maxPriceImpact, so
+ * executeSwap refuses it when the quote it fills from moves the price more;
+ * the slice is paused and tried again one interval later with the remaining
+ * amount spread over the remaining slices. A failed child swap also counts
+ * as a pause. After maxPauses in a row, or when the circuit breaker trips,
+ * the execution stops with the rest unsold.
+ *
+ * Without a volumeProfile, VWAP weights come from the completed swaps of
+ * the pair recorded over the last week: each slice gets the volume traded
+ * at the same time of day as its interval, in tokenIn.
+ *
+ * The execution is recorded as one 'twap' transaction listing its child
+ * swaps, each carrying its twapId. Progress is reported through
+ * addArbitrageResult after every slice and pause. Executions run in memory:
+ * a restart stops them, and their records are marked failed on startup.
+ */
+export class TwapExecutor {
+  private bot: CicadaBot;
+  private executions: Map<string, TwapExecution> = new Map();
+  private timers: Map<string, NodeJS.Timeout> = new Map();
+
+  constructor(bot: CicadaBot) {
+    this.bot = bot;
+    this.failInterrupted();
+  }
+
+  /**
+   * Validate and start an execution; the slices run in the background.
+   * Throws when the parameters are invalid.
+   */
+  public start(params: TwapParams): TwapExecution {
+    TwapExecutor.validate(params);
+    if (params.mode === 'vwap' && !params.volumeProfile) {
+      params = { ...params, ...this.observedVolumeProfile(params) };
+    }
+
+    const id = this.bot.addTransaction({
+      type: 'twap',
+      tokenIn: getTokenSymbol(params.tokenIn),
+      tokenOut: getTokenSymbol(params.tokenOut),
+      amountIn: '0',
+      amountOut: '0',
+      status: 'pending',
+      legs: [],
+      ...(params.strategy ? { strategy: params.strategy } : {}),
+      ...(params.runId ? { runId: params.runId } : {}),
+      ...(this.bot.isPaperTrading() ? { simulated: true } : {})
+    });
+
+    const execution: TwapExecution = {
+      id,
+      params: { ...params, mode: params.mode || 'twap' },
+      status: 'running',
+      executedIn: '0',
+      receivedOut: '0',
+      slicesDone: 0,
+      pauses: 0,
+      totalPauses: 0,
+      startedAt: new Date().toISOString(),
+      nextSliceAt: new Date().toISOString()
+    };
+    this.executions.set(id, execution);
+
+    Logger.info(`⏱️ ${this.label(execution)} started`, {
+      id,
+      amountIn: params.amountIn,
+      slices: params.slices,
+      interval: `${Math.round(this.interval(execution) / 1000)}s`,
+      maxPriceImpact: `${params.maxPriceImpact}%`
+    });
+    this.schedule(execution, 0);
+    return { ...execution };
+  }
+
+  /**
+   * Executions, newest first
+   */
+  public list(): TwapExecution[] {
+    return Array.from(this.executions.values())
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .map(execution => ({ ...execution }));
+  }
+
+  public get(id: string): TwapExecution | undefined {
+    const execution = this.executions.get(id);
+    return execution ? { ...execution } : undefined;
+  }
+
+  /**
+   * Stop a running execution after its current slice; what is unsold stays
+   * in the wallet
+   */
+  public cancel(id: string): TwapExecution | undefined {
+    const execution = this.executions.get(id);
+    if (!execution) return undefined;
+    if (execution.status === 'running') {
+      this.finish(execution, 'Cancelled');
+    }
+    return { ...execution };
+  }
+
+  /**
+   * Stop every running execution (on disconnect or when the circuit breaker
+   * trips)
+   */
+  public stopAll(reason: string): void {
+    for (const execution of this.executions.values()) {
+      if (execution.status === 'running') {
+        this.finish(execution, reason);
+      }
+    }
+  }
+
+  private schedule(execution: TwapExecution, delay: number): void {
+    execution.nextSliceAt = new Date(Date.now() + delay).toISOString();
+    const timer = setTimeout(() => {
+      this.timers.delete(execution.id);
+      this.runSlice(execution).catch(error => {
+        Logger.error(`${this.label(execution)} slice crashed`, error);
+        this.finish(execution, error instanceof Error ? error.message : String(error));
+      });
+    }, delay);
+    this.timers.set(execution.id, timer);
+  }
+
+  private async runSlice(execution: TwapExecution): Promise<void> {
+    if (execution.status !== 'running') return;
+    if (this.bot.getCircuitBreakerState().tripped) {
+      this.finish(execution, 'Circuit breaker tripped');
+      return;
+    }
+
+    const { params } = execution;
+    const amountIn = this.sliceAmount(execution);
+    const slice = `${execution.slicesDone + 1}/${params.slices}`;
+
+    const result = await this.bot.executeSwap({
+      tokenIn: params.tokenIn,
+      tokenOut: params.tokenOut,
+      amountIn,
+      slippageTolerance: params.slippageTolerance,
+      feeTier: params.feeTier,
+      maxPriceImpact: params.maxPriceImpact,
+      twapId: execution.id,
+      ...(params.strategy ? { strategy: params.strategy } : {}),
+      ...(params.runId ? { runId: params.runId } : {})
+    });
+    if (result.transactionId) {
+      this.addLeg(execution.id, result.transactionId);
+    }
+
+    if (result.success) {
+      execution.executedIn = new BigNumber(execution.executedIn).plus(result.amountIn).toFixed();
+      execution.receivedOut = new BigNumber(execution.receivedOut).plus(result.amountOut).toFixed();
+      execution.slicesDone++;
+      execution.pauses = 0;
+      this.bot.updateTransaction(execution.id, { amountIn: execution.executedIn, amountOut: execution.receivedOut });
+      Logger.info(`⏱️ ${this.label(execution)} slice ${slice} filled`, { amountIn: result.amountIn, amountOut: result.amountOut });
+      this.report(execution, `${execution.slicesDone}/${params.slices}`);
+
+      if (execution.status !== 'running') return;
+      if (execution.slicesDone >= params.slices) {
+        this.finish(execution);
+      } else {
+        this.schedule(execution, this.interval(execution));
+      }
+      return;
+    }
+    // Cancelled or halted while swapping
+    if (execution.status !== 'running') return;
+    const pauseReason = `Slice ${slice} of ${amountIn} ${getTokenSymbol(params.tokenIn)} not filled: ${result.error}`;
+
+    execution.pauses++;
+    execution.totalPauses++;
+    execution.error = pauseReason;
+    Logger.warn(`⏸️ ${this.label(execution)} paused (${execution.pauses}/${params.maxPauses ?? DEFAULT_MAX_PAUSES}): ${pauseReason}`);
+    this.report(execution, 'PAUSED', pauseReason);
+
+    if (execution.pauses >= (params.maxPauses ?? DEFAULT_MAX_PAUSES)) {
+      this.finish(execution, `Stopped after ${execution.pauses} pauses in a row: ${pauseReason}`);
+    } else {
+      this.schedule(execution, this.interval(execution));
+    }
+  }
+
+  /**
+   * The next slice: the remaining amount shared over the remaining slices by
+   * their weights, and the whole remainder on the last one
+   */
+  private sliceAmount(execution: TwapExecution): string {
+    const { params } = execution;
+    const remaining = new BigNumber(params.amountIn).minus(execution.executedIn);
+    if (execution.slicesDone >= params.slices - 1) {
+      return remaining.toFixed();
+    }
+
+    const weights = Array.from({ length: params.slices }, (_, i) => (
+      params.mode === 'vwap' && params.volumeProfile ? params.volumeProfile[i % params.volumeProfile.length] : 1
+    ));
+    const remainingWeight = weights.slice(execution.slicesDone).reduce((sum, weight) => sum + weight, 0);
+    return remaining
+      .multipliedBy(weights[execution.slicesDone])
+      .dividedBy(remainingWeight)
+      .decimalPlaces(SLICE_DECIMALS, BigNumber.ROUND_DOWN)
+      .toFixed();
+  }
+
+  /**
+   * Slice weights from the pair's completed swaps over the last
+   * VOLUME_LOOKBACK_DAYS, each slice's volume taken at the same time of day
+   * as its interval. Nothing observed leaves the slices equal.
+   */
+  private observedVolumeProfile(params: TwapParams): { volumeProfile?: number[] } {
+    const now = Date.now();
+    const interval = params.duration / params.slices;
+    const symbolIn = getTokenSymbol(params.tokenIn);
+    const { transactions } = this.bot.queryTransactions({
+      type: 'swap',
+      status: 'completed',
+      pair: `${symbolIn}/${getTokenSymbol(params.tokenOut)}`,
+      from: now - VOLUME_LOOKBACK_DAYS * DAY_MS,
+      limit: Number.MAX_SAFE_INTEGER
+    });
+
+    const volumes: number[] = new Array(params.slices).fill(0);
+    for (const record of transactions) {
+      const timeOfDay = ((Date.parse(record.timestamp) - now) % DAY_MS + DAY_MS) % DAY_MS;
+      const volume = parseFloat(record.tokenIn === symbolIn ? record.amountIn : record.amountOut) || 0;
+      for (let i = 0; i < params.slices; i++) {
+        if ((timeOfDay - (i * interval) % DAY_MS + DAY_MS) % DAY_MS < Math.max(interval, 1)) {
+          volumes[i] += volume;
+        }
+      }
+    }
+
+    const total = volumes.reduce((sum, volume) => sum + volume, 0);
+    if (total <= 0) {
+      Logger.warn(`⚠️ No recorded ${symbolIn}/${getTokenSymbol(params.tokenOut)} volume, VWAP slices will be equal`);
+      return {};
+    }
+    const floor = total / params.slices * MIN_VOLUME_WEIGHT;
+    return { volumeProfile: volumes.map(volume => Math.max(volume, floor)) };
+  }
+
+  /**
+   * Executions run in memory, so a parent record still pending at startup
+   * was cut off by a restart; its filled slices stay listed in its legs
+   */
+  private failInterrupted(): void {
+    const { transactions } = this.bot.queryTransactions({ type: 'twap', status: 'pending', limit: Number.MAX_SAFE_INTEGER });
+    for (const record of transactions) {
+      this.bot.updateTransactionStatus(record.id, 'failed');
+    }
+    if (transactions.length > 0) {
+      Logger.warn(`⏹️ Marked ${transactions.length} TWAP/VWAP execution(s) interrupted by a restart as failed`);
+    }
+  }
+
+  private interval(execution: TwapExecution): number {
+    return execution.params.duration / execution.params.slices;
+  }
+
+  private addLeg(id: string, transactionId: string): void {
+    const legs = this.bot.getTransaction(id)?.legs || [];
+    this.bot.updateTransaction(id, { legs: [...legs, transactionId] });
+  }
+
+  /**
+   * Close the parent record: completed once everything sold, failed when
+   * stopped early
+   */
+  private finish(execution: TwapExecution, stoppedBecause?: string): void {
+    const timer = this.timers.get(execution.id);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(execution.id);
+    }
+
+    execution.status = stoppedBecause ? 'stopped' : 'completed';
+    execution.nextSliceAt = null;
+    if (stoppedBecause) {
+      execution.error = stoppedBecause;
+    }
+    this.bot.updateTransactionStatus(execution.id, stoppedBecause ? 'failed' : 'completed');
+
+    const summary = {
+      id: execution.id,
+      sold: `${execution.executedIn}/${execution.params.amountIn} ${getTokenSymbol(execution.params.tokenIn)}`,
+      received: `${execution.receivedOut} ${getTokenSymbol(execution.params.tokenOut)}`,
+      slices: execution.slicesDone,
+      pauses: execution.totalPauses
+    };
+    if (stoppedBecause) {
+      Logger.warn(`⏹️ ${this.label(execution)} stopped: ${stoppedBecause}`, summary);
+    } else {
+      Logger.info(`🎉 ${this.label(execution)} completed`, summary);
+    }
+    this.report(execution, stoppedBecause ? 'STOPPED' : 'Completed', stoppedBecause);
+  }
+
+  private report(execution: TwapExecution, progress: string, error?: string): void {
+    this.bot.addArbitrageResult({
+      type: `${this.label(execution)} ${progress}`,
+      amount: execution.executedIn,
+      profitPercentage: 0,
+      tokenIn: getTokenSymbol(execution.params.tokenIn),
+      tokenOut: getTokenSymbol(execution.params.tokenOut),
+      amountOut: execution.receivedOut,
+      twapId: execution.id,
+      ...(error ? { error } : {})
+    });
+  }
+
+  private label(execution: TwapExecution): string {
+    const { params } = execution;
+    return `${(params.mode || 'twap').toUpperCase()} ${getTokenSymbol(params.tokenIn)}→${getTokenSymbol(params.tokenOut)}`;
+  }
+
+  /**
+   * Throw when the parameters do not describe a valid execution
+   */
+  public static validate(params: TwapParams): void {
+    if (!params.tokenIn || !params.tokenOut || params.tokenIn === params.tokenOut) {
+      throw new Error('Execution requires two different tokens');
+    }
+    const amountIn = new BigNumber(params.amountIn);
+    if (!amountIn.isFinite() || !amountIn.isGreaterThan(0)) {
+      throw new Error('amountIn must be a positive number');
+    }
+    if (!Number.isInteger(params.slices) || params.slices < 1) {
+      throw new Error('slices must be a positive whole number');
+    }
+    if (!(params.duration >= 0)) {
+      throw new Error('duration must be zero or more milliseconds');
+    }
+    if (!(params.maxPriceImpact > 0)) {
+      throw new Error('maxPriceImpact must be a positive percentage');
+    }
+    if (params.maxPauses !== undefined && !(Number.isInteger(params.maxPauses) && params.maxPauses >= 1)) {
+      throw new Error('maxPauses must be a positive whole number');
+    }
+    if (params.mode !== undefined && params.mode !== 'twap' && params.mode !== 'vwap') {
+      throw new Error("mode must be 'twap' or 'vwap'");
+    }
+    if (params.volumeProfile !== undefined) {
+      const profile = params.volumeProfile;
+      if (!Array.isArray(profile) || profile.length === 0 || profile.some(weight => !(weight > 0))) {
+        throw new Error('volumeProfile must be a list of positive weights');
+      }
+    }
+  }
+}
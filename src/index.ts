@@ -87,3 +87,4 @@ if (require.main === module) {
 export { CicadaBot };
 export * from './types';
 export * from './constants/tokens';
+export * from './strategies/StrategyRegistry';
@@ -0,0 +1,112 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { PriceOracle, PriceOracleConfig } from './PriceOracle';
+import { PriceSource, StaticPriceSource } from './PriceSources';
+import { COMMON_TOKENS } from '../constants/tokens';
+
+const failing = (name: string): PriceSource => ({
+  name,
+  fetchPrices: async () => {
+    throw new Error(`${name} is down`);
+  }
+});
+
+describe('PriceOracle', () => {
+  let now: number;
+
+  const oracle = (prices: Record<string, Record<string, number>>, config: Partial<PriceOracleConfig> = {}) =>
+    new PriceOracle({
+      sources: Object.entries(prices).map(([name, quotes]) => new StaticPriceSource(name, quotes)),
+      ...config
+    });
+
+  beforeEach(() => {
+    now = Date.UTC(2025, 0, 1);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes the median of every source that quotes the token', async () => {
+    const price = await oracle({ a: { GALA: 0.0200 }, b: { GALA: 0.0204 }, c: { GALA: 0.0201 } }).getPrice('GALA');
+    expect(price).toMatchObject({ price: 0.0201, sources: ['a', 'b', 'c'], rejected: [], stale: false, fallback: false });
+  });
+
+  it('rejects a source that deviates too far from the median', async () => {
+    const price = await oracle({ a: { GALA: 0.0200 }, b: { GALA: 0.0202 }, c: { GALA: 0.0240 } }).getPrice('GALA');
+    expect(price.price).toBeCloseTo(0.0201, 6);
+    expect(price.sources).toEqual(['a', 'b']);
+    expect(price.rejected).toHaveLength(1);
+    expect(price.rejected[0].source).toBe('c');
+    expect(price.rejected[0].reason).toContain('deviates');
+  });
+
+  it('trusts the highest-priority source when two sources disagree', async () => {
+    const prices = { pool: { ETH: 4000 }, coingecko: { ETH: 4500 } };
+
+    const poolFirst = await oracle(prices, { tokenSources: { ETH: ['pool', 'coingecko'] } }).getPrice('ETH');
+    expect(poolFirst).toMatchObject({ price: 4000, sources: ['pool'] });
+    expect(poolFirst.rejected.map(entry => entry.source)).toEqual(['coingecko']);
+
+    const coingeckoFirst = await oracle(prices, { tokenSources: { ETH: ['coingecko', 'pool'] } }).getPrice('ETH');
+    expect(coingeckoFirst).toMatchObject({ price: 4500, sources: ['coingecko'] });
+  });
+
+  it('serves a price from cache until ttlMs has passed', async () => {
+    const source = new StaticPriceSource('stub', { GALA: 0.02 });
+    const cached = new PriceOracle({ sources: [source], ttlMs: 1000 });
+    await cached.getPrice('GALA');
+    source.setPrice('GALA', 0.03);
+
+    now += 999;
+    expect((await cached.getPrice('GALA')).price).toBe(0.02);
+    now += 2;
+    expect((await cached.getPrice('GALA')).price).toBe(0.03);
+  });
+
+  it('flags the last good price as stale, then the fallback, when every source fails', async () => {
+    const flaky = new PriceOracle({
+      sources: [new StaticPriceSource('stub', { GALA: 0.02 })],
+      ttlMs: 1000,
+      maxAgeMs: 60000,
+      fallbackPrices: { GALA: 0.017 }
+    });
+    await flaky.getPrice('GALA');
+    flaky.addSource(failing('stub'));
+
+    now += 30000;
+    const stale = await flaky.getPrice('GALA');
+    expect(stale).toMatchObject({ price: 0.02, stale: true, fallback: false });
+    expect(stale.rejected).toEqual([{ source: 'stub', reason: 'stub is down' }]);
+
+    now += 30001;
+    expect(await flaky.getPrice('GALA')).toMatchObject({ price: 0.017, stale: false, fallback: true, sources: [] });
+    expect(await flaky.getPrice('ETH')).toMatchObject({ price: null, stale: false, fallback: false });
+  });
+
+  it('prices GalaChain symbols and class keys under the plain symbol', async () => {
+    const prices = await oracle({ stub: { USDC: 1, ETH: 4000 } }).getPrices([COMMON_TOKENS.GUSDC, 'GETH', 'USDC']);
+    expect(Object.keys(prices).sort()).toEqual(['ETH', 'USDC']);
+    expect(prices.USDC.price).toBe(1);
+  });
+
+  it('lets an override win over every source', async () => {
+    const price = await oracle({ stub: { GALA: 0.02 } }, { overrides: { GALA: 0.05 } }).getPrice('GALA');
+    expect(price).toMatchObject({ price: 0.05, sources: ['override'] });
+  });
+
+  it('leaves fallback prices and tokens without any price out of getPriceMap', async () => {
+    const prices = oracle({ stub: { GALA: 0.02 } }, { fallbackPrices: { ETH: 4310 } });
+    expect((await prices.getPrice('ETH')).fallback).toBe(true);
+    expect(await prices.getPriceMap(['GALA', 'ETH', 'WBTC'])).toEqual({ GALA: 0.02 });
+  });
+
+  it('keeps a stale cached price in getPriceMap', async () => {
+    const flaky = oracle({ stub: { GALA: 0.02 } }, { ttlMs: 1000 });
+    await flaky.getPrice('GALA');
+    flaky.addSource(failing('stub'));
+    now += 2000;
+    expect(await flaky.getPriceMap(['GALA'])).toEqual({ GALA: 0.02 });
+  });
+});
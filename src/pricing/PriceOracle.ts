@@ -0,0 +1,295 @@
+import { Logger } from '../utils/logger';
+import { getTokenSymbol } from '../constants/tokens';
+import { CoinGeckoSource, PoolQuoter, PoolQuoteSource, PriceQuote, PriceSource, StaticPriceSource } from './PriceSources';
+
+export interface PriceOracleConfig {
+  sources: PriceSource[];
+  // Source names per symbol, highest priority first. Symbols not listed use
+  // defaultSources, or every source when that is unset.
+  tokenSources?: Record<string, string[]>;
+  defaultSources?: string[];
+  ttlMs?: number; // How long an aggregated price is served from cache
+  maxAgeMs?: number; // Source quotes older than this are rejected as stale
+  maxDeviationPercent?: number; // Quotes further than this from the median are rejected
+  overrides?: Record<string, number>; // Always win, e.g. GALA_PRICE_OVERRIDE_USD for backfills
+  fallbackPrices?: Record<string, number>; // Last resort; results are flagged fallback
+}
+
+/**
+ * An aggregated price and how it was produced
+ */
+export interface OraclePrice {
+  symbol: string;
+  price: number | null; // null when no source, cached value or fallback exists
+  sources: string[]; // Sources whose quotes were used
+  rejected: Array<{ source: string; reason: string }>;
+  stale: boolean; // Served from an expired cache entry because every source failed
+  fallback: boolean; // Served from fallbackPrices because every source failed
+  timestamp: number;
+}
+
+const DEFAULT_TTL_MS = 60 * 1000;
+const DEFAULT_MAX_AGE_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_DEVIATION_PERCENT = 5;
+
+/**
+ * USD price oracle. Each symbol is priced from its configured sources: stale
+ * or invalid quotes are dropped, the median is taken, and quotes that deviate
+ * too far from it are rejected. When sources disagree with no majority the
+ * highest-priority source wins. Results are cached for ttlMs.
+ */
+export class PriceOracle {
+  private sources: Map<string, PriceSource> = new Map();
+  private config: Required<Omit<PriceOracleConfig, 'sources' | 'defaultSources'>> & { defaultSources?: string[] };
+  private cache: Map<string, OraclePrice> = new Map();
+
+  constructor(config: PriceOracleConfig) {
+    for (const source of config.sources) {
+      this.sources.set(source.name, source);
+    }
+    this.config = {
+      tokenSources: config.tokenSources || {},
+      ttlMs: config.ttlMs ?? DEFAULT_TTL_MS,
+      maxAgeMs: config.maxAgeMs ?? DEFAULT_MAX_AGE_MS,
+      maxDeviationPercent: config.maxDeviationPercent ?? DEFAULT_MAX_DEVIATION_PERCENT,
+      overrides: config.overrides || {},
+      fallbackPrices: config.fallbackPrices || {},
+      ...(config.defaultSources ? { defaultSources: config.defaultSources } : {})
+    };
+  }
+
+  /**
+   * Add or replace a source
+   */
+  public addSource(source: PriceSource): void {
+    this.sources.set(source.name, source);
+  }
+
+  public clearCache(): void {
+    this.cache.clear();
+  }
+
+  /**
+   * Price one token by symbol or class key
+   */
+  public async getPrice(token: string): Promise<OraclePrice> {
+    const symbol = normalizeSymbol(token);
+    const prices = await this.getPrices([symbol]);
+    return prices[symbol];
+  }
+
+  /**
+   * Price several tokens, querying each source once for the symbols it covers
+   */
+  public async getPrices(tokens: string[]): Promise<Record<string, OraclePrice>> {
+    const now = Date.now();
+    const symbols = Array.from(new Set(tokens.map(normalizeSymbol)));
+    const result: Record<string, OraclePrice> = {};
+    const pending: string[] = [];
+
+    for (const symbol of symbols) {
+      const override = this.config.overrides[symbol];
+      const cached = this.cache.get(symbol);
+      if (typeof override === 'number' && override > 0) {
+        result[symbol] = { symbol, price: override, sources: ['override'], rejected: [], stale: false, fallback: false, timestamp: now };
+      } else if (cached && !cached.stale && !cached.fallback && now - cached.timestamp < this.config.ttlMs) {
+        result[symbol] = cached;
+      } else {
+        pending.push(symbol);
+      }
+    }
+
+    if (pending.length === 0) return result;
+
+    // Ask each source once for every pending symbol it is configured for
+    const wanted: Map<string, string[]> = new Map();
+    for (const symbol of pending) {
+      for (const name of this.sourcesFor(symbol)) {
+        wanted.set(name, [...(wanted.get(name) || []), symbol]);
+      }
+    }
+
+    const responses: Map<string, Record<string, PriceQuote>> = new Map();
+    const failures: Map<string, string> = new Map();
+    await Promise.all(Array.from(wanted.entries()).map(async ([name, sourceSymbols]) => {
+      try {
+        responses.set(name, await (this.sources.get(name) as PriceSource).fetchPrices(sourceSymbols));
+      } catch (error) {
+        failures.set(name, error instanceof Error ? error.message : String(error));
+      }
+    }));
+
+    for (const symbol of pending) {
+      result[symbol] = this.aggregate(symbol, responses, failures);
+    }
+    return result;
+  }
+
+  /**
+   * Plain symbol → price map for callers that only need numbers. Tokens
+   * without a sourced price are left out: fallback prices never appear here,
+   * so callers must handle a missing price rather than trade on a constant.
+   */
+  public async getPriceMap(tokens: string[]): Promise<Record<string, number>> {
+    const prices = await this.getPrices(tokens);
+    const map: Record<string, number> = {};
+    for (const [symbol, oraclePrice] of Object.entries(prices)) {
+      if (oraclePrice.price !== null && !oraclePrice.fallback) {
+        map[symbol] = oraclePrice.price;
+      }
+    }
+    return map;
+  }
+
+  private sourcesFor(symbol: string): string[] {
+    const names = this.config.tokenSources[symbol] || this.config.defaultSources || Array.from(this.sources.keys());
+    return names.filter(name => this.sources.has(name));
+  }
+
+  private aggregate(symbol: string, responses: Map<string, Record<string, PriceQuote>>, failures: Map<string, string>): OraclePrice {
+    const now = Date.now();
+    const rejected: OraclePrice['rejected'] = [];
+    const candidates: Array<{ source: string; price: number }> = [];
+
+    // Priority order is kept so a disagreement can fall back to the first source
+    for (const name of this.sourcesFor(symbol)) {
+      const quote = responses.get(name)?.[symbol];
+      if (failures.has(name)) {
+        rejected.push({ source: name, reason: failures.get(name) as string });
+      } else if (!quote) {
+        rejected.push({ source: name, reason: 'no price' });
+      } else if (!Number.isFinite(quote.price) || quote.price <= 0) {
+        rejected.push({ source: name, reason: `invalid price ${quote.price}` });
+      } else if (now - quote.timestamp > this.config.maxAgeMs) {
+        rejected.push({ source: name, reason: `stale (${Math.round((now - quote.timestamp) / 1000)}s old)` });
+      } else {
+        candidates.push({ source: name, price: quote.price });
+      }
+    }
+
+    if (candidates.length === 0) {
+      return this.fallbackFor(symbol, rejected);
+    }
+
+    const mid = median(candidates.map(candidate => candidate.price));
+    let accepted = candidates.filter(candidate => {
+      const deviation = Math.abs(candidate.price - mid) / mid * 100;
+      if (deviation > this.config.maxDeviationPercent) {
+        rejected.push({ source: candidate.source, reason: `deviates ${deviation.toFixed(2)}% from median ${mid}` });
+        return false;
+      }
+      return true;
+    });
+
+    if (accepted.length === 0) {
+      // No majority: trust the highest-priority source
+      accepted = [candidates[0]];
+      const index = rejected.findIndex(entry => entry.source === candidates[0].source);
+      rejected.splice(index, 1);
+    }
+
+    if (rejected.length > 0) {
+      Logger.debug(`Price sources rejected for ${symbol}`, { rejected });
+    }
+
+    const price: OraclePrice = {
+      symbol,
+      price: median(accepted.map(candidate => candidate.price)),
+      sources: accepted.map(candidate => candidate.source),
+      rejected,
+      stale: false,
+      fallback: false,
+      timestamp: now
+    };
+    this.cache.set(symbol, price);
+    return price;
+  }
+
+  /**
+   * Every source failed: serve the last good price while it is younger than
+   * maxAgeMs, then the configured fallback
+   */
+  private fallbackFor(symbol: string, rejected: OraclePrice['rejected']): OraclePrice {
+    const now = Date.now();
+    const cached = this.cache.get(symbol);
+
+    if (cached && cached.price !== null && !cached.fallback && now - cached.timestamp <= this.config.maxAgeMs) {
+      Logger.warn(`⚠️ No live price for ${symbol}, serving cached price from ${new Date(cached.timestamp).toISOString()}`, { rejected });
+      return { ...cached, rejected, stale: true };
+    }
+
+    const fallback = this.config.fallbackPrices[symbol];
+    if (typeof fallback === 'number') {
+      Logger.warn(`⚠️ No live price for ${symbol}, using fallback $${fallback}`, { rejected });
+      return { symbol, price: fallback, sources: [], rejected, stale: false, fallback: true, timestamp: now };
+    }
+
+    Logger.warn(`⚠️ No price available for ${symbol}`, { rejected });
+    return { symbol, price: null, sources: [], rejected, stale: false, fallback: false, timestamp: now };
+  }
+}
+
+/**
+ * Build the oracle CicadaBot uses: CoinGecko and pool quotes for volatile
+ * tokens, a $1 peg for stablecoins. With stubPrices every token is priced
+ * from the local stub instead, for tests and offline runs.
+ */
+export function createPriceOracle(options: {
+  quote?: PoolQuoter;
+  tokenSources?: Record<string, string[]>;
+  stubPrices?: Record<string, number>;
+  overrides?: Record<string, number>;
+} = {}): PriceOracle {
+  if (options.stubPrices && Object.keys(options.stubPrices).length > 0) {
+    return new PriceOracle({
+      sources: [
+        new StaticPriceSource('stub', options.stubPrices),
+        new StaticPriceSource('peg', { USDC: 1.0, USDT: 1.0 })
+      ],
+      defaultSources: ['stub'],
+      tokenSources: { USDC: ['stub', 'peg'], USDT: ['stub', 'peg'] },
+      overrides: options.overrides || {}
+    });
+  }
+
+  const sources: PriceSource[] = [
+    new CoinGeckoSource(),
+    new StaticPriceSource('peg', { USDC: 1.0, USDT: 1.0 })
+  ];
+  if (options.quote) {
+    sources.push(new PoolQuoteSource(options.quote));
+  }
+
+  return new PriceOracle({
+    sources,
+    tokenSources: {
+      USDC: ['peg'],
+      USDT: ['peg'],
+      GALA: ['coingecko', 'pool'],
+      ETH: ['pool', 'coingecko'],
+      WBTC: ['pool', 'coingecko'],
+      ...options.tokenSources
+    },
+    defaultSources: ['pool', 'coingecko'],
+    overrides: options.overrides || {},
+    fallbackPrices: {
+      GALA: 0.017,
+      ETH: 4310.0,
+      WBTC: 100000.0
+    }
+  });
+}
+
+/**
+ * GUSDC, GETH, ... and class keys map onto the plain symbols prices are kept under
+ */
+export function normalizeSymbol(token: string): string {
+  const symbol = (token.includes('|') ? getTokenSymbol(token) : token).toUpperCase();
+  return ['GUSDC', 'GUSDT', 'GETH', 'GWBTC'].includes(symbol) ? symbol.slice(1) : symbol;
+}
+
+function median(values: number[]): number {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
@@ -0,0 +1,137 @@
+import fetch from 'node-fetch';
+import { COMMON_TOKENS, FEE_TIERS } from '../constants/tokens';
+
+/**
+ * A USD price observed by a source. timestamp is when the source says the
+ * price was last updated, so the oracle can reject stale values.
+ */
+export interface PriceQuote {
+  price: number;
+  timestamp: number;
+}
+
+/**
+ * A source of USD prices keyed by token symbol (GALA, USDC, ETH, ...)
+ */
+export interface PriceSource {
+  name: string;
+  // Prices for the symbols this source knows; unknown symbols are left out
+  fetchPrices(symbols: string[]): Promise<Record<string, PriceQuote>>;
+}
+
+const COINGECKO_IDS: Record<string, string> = {
+  GALA: 'gala',
+  USDC: 'usd-coin',
+  USDT: 'tether',
+  ETH: 'ethereum',
+  WBTC: 'wrapped-bitcoin'
+};
+
+/**
+ * CoinGecko simple price API, one request for all symbols
+ */
+export class CoinGeckoSource implements PriceSource {
+  public name = 'coingecko';
+  private timeoutMs: number;
+
+  constructor(timeoutMs: number = 4000) {
+    this.timeoutMs = timeoutMs;
+  }
+
+  public async fetchPrices(symbols: string[]): Promise<Record<string, PriceQuote>> {
+    const ids = symbols.map(symbol => COINGECKO_IDS[symbol]).filter(Boolean);
+    if (ids.length === 0) return {};
+
+    const url = `https://api.coingecko.com/api/v3/simple/price?ids=${ids.join(',')}&vs_currencies=usd&include_last_updated_at=true`;
+    const response = await fetch(url, { timeout: this.timeoutMs } as any);
+    if (!response.ok) {
+      throw new Error(`CoinGecko responded ${response.status}`);
+    }
+
+    const data: any = await response.json();
+    const quotes: Record<string, PriceQuote> = {};
+    for (const symbol of symbols) {
+      const entry = data?.[COINGECKO_IDS[symbol] || ''];
+      if (typeof entry?.usd === 'number') {
+        quotes[symbol] = {
+          price: entry.usd,
+          timestamp: typeof entry.last_updated_at === 'number' ? entry.last_updated_at * 1000 : Date.now()
+        };
+      }
+    }
+    return quotes;
+  }
+}
+
+const POOL_TOKENS: Record<string, string> = {
+  GALA: COMMON_TOKENS.GALA,
+  ETH: COMMON_TOKENS.GETH,
+  WBTC: COMMON_TOKENS.GWBTC,
+  USDT: COMMON_TOKENS.GUSDT
+};
+
+/**
+ * Quotes one unit of a token into GUSDC
+ */
+export type PoolQuoter = (tokenIn: string, tokenOut: string, amountIn: string, feeTier: number) => Promise<string>;
+
+/**
+ * GalaSwap pool quotes: the GUSDC received for one unit of the token
+ */
+export class PoolQuoteSource implements PriceSource {
+  public name = 'pool';
+  private quote: PoolQuoter;
+  private feeTier: number;
+
+  constructor(quote: PoolQuoter, feeTier: number = FEE_TIERS.LOW) {
+    this.quote = quote;
+    this.feeTier = feeTier;
+  }
+
+  public async fetchPrices(symbols: string[]): Promise<Record<string, PriceQuote>> {
+    const quotes: Record<string, PriceQuote> = {};
+
+    await Promise.all(symbols.map(async symbol => {
+      const tokenClassKey = POOL_TOKENS[symbol];
+      if (!tokenClassKey) return;
+      try {
+        const amountOut = parseFloat(await this.quote(tokenClassKey, COMMON_TOKENS.GUSDC, '1', this.feeTier));
+        quotes[symbol] = { price: amountOut, timestamp: Date.now() };
+      } catch {
+        // No pool for this token at this fee tier; other sources may cover it
+      }
+    }));
+    return quotes;
+  }
+}
+
+/**
+ * Fixed prices that are always current. Used for stablecoin pegs and as a
+ * local stub so tests and offline runs need no network.
+ */
+export class StaticPriceSource implements PriceSource {
+  public name: string;
+  private prices: Record<string, number>;
+
+  constructor(name: string, prices: Record<string, number>) {
+    this.name = name;
+    this.prices = { ...prices };
+  }
+
+  /**
+   * Change a stubbed price
+   */
+  public setPrice(symbol: string, price: number): void {
+    this.prices[symbol] = price;
+  }
+
+  public async fetchPrices(symbols: string[]): Promise<Record<string, PriceQuote>> {
+    const quotes: Record<string, PriceQuote> = {};
+    for (const symbol of symbols) {
+      if (typeof this.prices[symbol] === 'number') {
+        quotes[symbol] = { price: this.prices[symbol], timestamp: Date.now() };
+      }
+    }
+    return quotes;
+  }
+}
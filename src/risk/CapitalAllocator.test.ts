@@ -0,0 +1,70 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from '@jest/globals';
+import { CapitalAllocator } from './CapitalAllocator';
+import { COMMON_TOKENS } from '../constants/tokens';
+
+const GALA = COMMON_TOKENS.GALA;
+const USDC = COMMON_TOKENS.GUSDC;
+
+describe('CapitalAllocator', () => {
+  let dir: string;
+  let stateFile: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'allocator-'));
+    stateFile = path.join(dir, 'allocations.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('refuses a budget that would reserve more than the wallet holds across strategies', () => {
+    const allocator = new CapitalAllocator(stateFile);
+    allocator.setAllocation('prime', GALA, '600', '1000');
+
+    expect(() => allocator.setAllocation('fixed', GALA, '401', '1000')).toThrow('Budgets would reserve 1001 GALA');
+    expect(allocator.hasBudget('fixed')).toBe(false);
+    expect(allocator.setAllocation('fixed', GALA, '400', '1000')).toEqual({ allocated: '400', balance: '400' });
+    expect(allocator.reserved(GALA).toFixed()).toBe('1000');
+  });
+
+  it('does not count the budget being changed against itself', () => {
+    const allocator = new CapitalAllocator(stateFile);
+    allocator.setAllocation('prime', GALA, '900', '1000');
+
+    expect(allocator.setAllocation('prime', GALA, '1000', '1000')?.balance).toBe('1000');
+    expect(() => allocator.setAllocation('prime', GALA, '1000.5', '1000')).toThrow();
+  });
+
+  it('counts fills the strategy has made when checking a changed budget', () => {
+    const allocator = new CapitalAllocator(stateFile);
+    allocator.setAllocation('prime', GALA, '500', '1000');
+    allocator.recordFill('prime', USDC, '0', GALA, '300');
+
+    // Raising the allocation by 100 brings the balance to 900 of the 1000 held
+    expect(allocator.setAllocation('prime', GALA, '600', '1000')).toEqual({ allocated: '600', balance: '900' });
+    expect(() => allocator.setAllocation('prime', GALA, '701', '1000')).toThrow('Budgets would reserve 1001 GALA');
+  });
+
+  it('caps what a budgeted strategy may spend at the wallet balance', () => {
+    const allocator = new CapitalAllocator(stateFile);
+    allocator.setAllocation('prime', GALA, '600', '1000');
+
+    expect(allocator.available('prime', GALA, '250')).toBe('250');
+    expect(allocator.available('prime', USDC, '250')).toBe('0');
+    expect(allocator.available('manual', GALA, '1000')).toBe('400');
+    expect(allocator.available('manual', GALA, '500')).toBe('0');
+  });
+
+  it('rejects negative amounts and keeps budgets across restarts', () => {
+    const allocator = new CapitalAllocator(stateFile);
+    expect(() => allocator.setAllocation('prime', GALA, '-1', '1000')).toThrow('non-negative');
+
+    allocator.setAllocation('prime', GALA, '100', '1000');
+    expect(new CapitalAllocator(stateFile).getAllocations()).toEqual({ prime: { [GALA]: { allocated: '100', balance: '100' } } });
+    expect(fs.existsSync(`${stateFile}.tmp`)).toBe(false);
+  });
+});
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import BigNumber from 'bignumber.js';
+import { Logger } from '../utils/logger';
+import { getTokenSymbol } from '../constants/tokens';
+
+/**
+ * One strategy's share of one token
+ */
+export interface TokenBudget {
+  allocated: string; // Amount reserved for the strategy
+  balance: string; // allocated plus the strategy's own fills since
+}
+
+/**
+ * Budgets by strategy (the name swaps are attributed to: 'prime', 'fixed',
+ * a Pool Shark ID), then by token class key
+ */
+export type Allocations = Record<string, Record<string, TokenBudget>>;
+
+/**
+ * Reserves part of the wallet for each strategy so concurrent strategies
+ * cannot spend each other's funds. A strategy with a budget sees only its
+ * budgets, each capped at the wallet balance, and a token it has no budget
+ * for reads as zero. Strategies without budgets share what nobody reserved.
+ * Each fill moves the strategy's budgets: the input token's balance goes
+ * down and the output token's goes up, creating that budget if needed.
+ * Budgets are kept in data/allocations.json.
+ */
+export class CapitalAllocator {
+  private stateFile: string;
+  private allocations: Allocations;
+
+  constructor(stateFile?: string) {
+    this.stateFile = stateFile || path.join(process.cwd(), 'data', 'allocations.json');
+    this.allocations = this.load();
+  }
+
+  public getAllocations(): Allocations {
+    return JSON.parse(JSON.stringify(this.allocations));
+  }
+
+  public hasBudget(strategy: string): boolean {
+    return Object.keys(this.allocations[strategy] || {}).length > 0;
+  }
+
+  /**
+   * Balance of a token reserved by every strategy but one
+   */
+  public reserved(tokenClassKey: string, exceptStrategy?: string): BigNumber {
+    return Object.entries(this.allocations).reduce((sum, [strategy, budgets]) => (
+      strategy === exceptStrategy || !budgets[tokenClassKey] ? sum : sum.plus(budgets[tokenClassKey].balance)
+    ), new BigNumber(0));
+  }
+
+  /**
+   * What a strategy may spend of a token, given the wallet balance
+   */
+  public available(strategy: string, tokenClassKey: string, walletBalance: BigNumber.Value): string {
+    const wallet = new BigNumber(walletBalance);
+    if (this.hasBudget(strategy)) {
+      const budget = this.allocations[strategy][tokenClassKey];
+      return budget ? BigNumber.max(BigNumber.min(budget.balance, wallet), 0).toFixed() : '0';
+    }
+    return BigNumber.max(wallet.minus(this.reserved(tokenClassKey)), 0).toFixed();
+  }
+
+  /**
+   * Reserve an amount of a token for a strategy. Changing an existing
+   * budget shifts its balance by the same amount, keeping the strategy's
+   * gains and losses; 0 removes it. Throws when the amount is not a
+   * non-negative number or the wallet cannot cover every reservation.
+   */
+  public setAllocation(strategy: string, tokenClassKey: string, amount: BigNumber.Value, walletBalance: BigNumber.Value): TokenBudget | null {
+    const allocated = new BigNumber(amount);
+    if (!strategy) {
+      throw new Error('Allocation requires a strategy');
+    }
+    if (allocated.isNaN() || allocated.isNegative()) {
+      throw new Error('Allocation must be a non-negative number');
+    }
+
+    const budgets = this.allocations[strategy] || {};
+    const current = budgets[tokenClassKey];
+    if (allocated.isZero()) {
+      if (current) {
+        delete budgets[tokenClassKey];
+        if (Object.keys(budgets).length === 0) delete this.allocations[strategy];
+        this.save();
+        Logger.info(`💼 Released ${strategy}'s ${getTokenSymbol(tokenClassKey)} budget`);
+      }
+      return null;
+    }
+
+    const balance = BigNumber.max(
+      current ? new BigNumber(current.balance).plus(allocated.minus(current.allocated)) : allocated,
+      0
+    );
+    const reserved = this.reserved(tokenClassKey, strategy).plus(balance);
+    if (reserved.isGreaterThan(walletBalance)) {
+      throw new Error(`Budgets would reserve ${reserved.toFixed()} ${getTokenSymbol(tokenClassKey)}, more than the ${new BigNumber(walletBalance).toFixed()} in the wallet`);
+    }
+
+    const budget: TokenBudget = { allocated: allocated.toFixed(), balance: balance.toFixed() };
+    this.allocations[strategy] = { ...budgets, [tokenClassKey]: budget };
+    this.save();
+    Logger.info(`💼 ${strategy} budget set to ${budget.allocated} ${getTokenSymbol(tokenClassKey)}`, { balance: budget.balance });
+    return { ...budget };
+  }
+
+  /**
+   * Release every budget of a strategy
+   */
+  public removeStrategy(strategy: string): boolean {
+    if (!this.allocations[strategy]) return false;
+    delete this.allocations[strategy];
+    this.save();
+    Logger.info(`💼 Released all of ${strategy}'s budgets`);
+    return true;
+  }
+
+  /**
+   * Move a strategy's budgets by one of its fills. Strategies without
+   * budgets are not tracked.
+   */
+  public recordFill(strategy: string, tokenIn: string, amountIn: BigNumber.Value, tokenOut: string, amountOut: BigNumber.Value): void {
+    if (!this.hasBudget(strategy)) return;
+
+    const budgets = this.allocations[strategy];
+    const spent = budgets[tokenIn];
+    if (spent) {
+      spent.balance = BigNumber.max(new BigNumber(spent.balance).minus(amountIn), 0).toFixed();
+    }
+    const received = budgets[tokenOut] || { allocated: '0', balance: '0' };
+    received.balance = new BigNumber(received.balance).plus(amountOut).toFixed();
+    budgets[tokenOut] = received;
+    this.save();
+  }
+
+  private load(): Allocations {
+    try {
+      if (!fs.existsSync(this.stateFile)) return {};
+      const data = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      return data && typeof data === 'object' ? data : {};
+    } catch (error) {
+      Logger.warn('Failed to load strategy allocations', error);
+      return {};
+    }
+  }
+
+  private save(): void {
+    try {
+      const dataDir = path.dirname(this.stateFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      const tempFile = `${this.stateFile}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(this.allocations, null, 2));
+      fs.renameSync(tempFile, this.stateFile);
+    } catch (error) {
+      Logger.error('Failed to save strategy allocations', error);
+    }
+  }
+}
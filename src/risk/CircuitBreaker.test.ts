@@ -0,0 +1,114 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from '@jest/globals';
+import { CircuitBreaker, CircuitBreakerConfig, CircuitBreakerTrigger } from './CircuitBreaker';
+
+describe('CircuitBreaker', () => {
+  let dir: string;
+  let stateFile: string;
+
+  const breaker = (config: CircuitBreakerConfig = {}) => new CircuitBreaker(config, stateFile);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'breaker-'));
+    stateFile = path.join(dir, 'circuit-breaker.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('trips after maxConsecutiveFailures failed swaps in a row, not when a success breaks the run', () => {
+    const cb = breaker({ maxConsecutiveFailures: 3 });
+    expect(cb.recordSwap(false)).toBe(false);
+    expect(cb.recordSwap(false)).toBe(false);
+    expect(cb.recordSwap(true)).toBe(false);
+    expect(cb.recordSwap(false)).toBe(false);
+    expect(cb.recordSwap(false)).toBe(false);
+    expect(cb.isTripped()).toBe(false);
+
+    expect(cb.recordSwap(false)).toBe(true);
+    expect(cb.getState()).toMatchObject({ tripped: true, trigger: 'consecutiveFailures', reason: '3 swaps failed in a row' });
+  });
+
+  it('trips when equity falls maxDrawdownPercent from its peak', () => {
+    const cb = breaker({ maxDrawdownPercent: 10 });
+    cb.recordEquity(1000);
+    cb.recordEquity(1200);
+    expect(cb.recordEquity(1081)).toBe(false);
+    expect(cb.getState().peakEquityUsd).toBe(1200);
+
+    expect(cb.recordEquity(1079)).toBe(true);
+    expect(cb.getState()).toMatchObject({ trigger: 'drawdown' });
+    expect(cb.getState().reason).toContain('down 10.08% from its peak of $1200.00');
+  });
+
+  it('ignores equity it could not measure', () => {
+    const cb = breaker({ maxDrawdownPercent: 10 });
+    cb.recordEquity(1000);
+    expect(cb.recordEquity(0)).toBe(false);
+    expect(cb.recordEquity(NaN)).toBe(false);
+    expect(cb.isTripped()).toBe(false);
+  });
+
+  it('trips when a quote strays more than maxPriceDeviationPercent from the oracle rate, never without one', () => {
+    const cb = breaker({ maxPriceDeviationPercent: 5 });
+    expect(cb.checkQuote('GALA/USDC', 5)).toBe(false);
+    expect(cb.checkQuote('GALA/USDC', null)).toBe(false);
+
+    expect(cb.checkQuote('GALA/USDC', 6)).toBe(true);
+    expect(cb.getState()).toMatchObject({ trigger: 'priceDeviation', reason: 'GALA/USDC quoted 6.00% away from the oracle price' });
+  });
+
+  it('never trips on a trigger that is not configured', () => {
+    const cb = breaker();
+    for (let i = 0; i < 10; i++) cb.recordSwap(false);
+    cb.recordEquity(1000);
+    cb.recordEquity(1);
+    cb.checkQuote('GALA/USDC', 50);
+    expect(cb.isTripped()).toBe(false);
+  });
+
+  it.each<[CircuitBreakerTrigger, string]>([
+    ['socketLost', 'Event socket disconnected'],
+    ['manual', 'Kill switch']
+  ])('trips on %s and keeps the first reason', (trigger, reason) => {
+    const cb = breaker({ maxConsecutiveFailures: 1 });
+    expect(cb.trip(trigger, reason)).toBe(true);
+    expect(cb.recordSwap(false)).toBe(false);
+    expect(cb.trip('manual', 'again')).toBe(false);
+    expect(cb.getState()).toMatchObject({ tripped: true, trigger, reason });
+    expect(Date.parse(cb.getState().trippedAt as string)).not.toBeNaN();
+  });
+
+  it('starts the failure count and drawdown peak over on reset', () => {
+    const cb = breaker({ maxConsecutiveFailures: 2, maxDrawdownPercent: 10 });
+    cb.recordEquity(1000);
+    cb.recordSwap(false);
+    cb.recordSwap(false);
+    expect(cb.isTripped()).toBe(true);
+
+    cb.reset();
+    expect(cb.getState()).toEqual({ tripped: false, consecutiveFailures: 0, peakEquityUsd: null });
+    expect(cb.recordSwap(false)).toBe(false);
+    expect(cb.recordEquity(500)).toBe(false);
+    expect(cb.getState().peakEquityUsd).toBe(500);
+  });
+
+  it('stays tripped across a restart until it is reset', () => {
+    breaker().trip('manual', 'Kill switch');
+
+    const restarted = breaker();
+    expect(restarted.getState()).toMatchObject({ tripped: true, trigger: 'manual', reason: 'Kill switch' });
+    expect(fs.existsSync(`${stateFile}.tmp`)).toBe(false);
+
+    restarted.reset();
+    expect(breaker().isTripped()).toBe(false);
+  });
+
+  it('keeps the drawdown peak across a restart', () => {
+    breaker({ maxDrawdownPercent: 10 }).recordEquity(1000);
+    expect(breaker({ maxDrawdownPercent: 10 }).recordEquity(850)).toBe(true);
+  });
+});
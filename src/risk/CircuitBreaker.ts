@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+import { Logger } from '../utils/logger';
+
+export type CircuitBreakerTrigger = 'consecutiveFailures' | 'drawdown' | 'priceDeviation' | 'socketLost' | 'manual';
+
+/**
+ * Automatic triggers. A trigger that is not set never trips the breaker;
+ * the kill switch always can.
+ */
+export interface CircuitBreakerConfig {
+  maxConsecutiveFailures?: number; // Failed swaps in a row
+  maxDrawdownPercent?: number; // Fall in portfolio USD value from its peak since the last reset
+  maxPriceDeviationPercent?: number; // Gap between a quote's rate and the oracle's
+  haltOnSocketLoss?: boolean; // Trip when the event socket disconnects
+  checkInterval?: number; // ms between drawdown and socket checks (default: 60000)
+}
+
+export interface CircuitBreakerState {
+  tripped: boolean;
+  trigger?: CircuitBreakerTrigger;
+  reason?: string;
+  trippedAt?: string;
+  consecutiveFailures: number;
+  peakEquityUsd: number | null; // Highest portfolio value seen since the last reset
+}
+
+/**
+ * Halts trading when something has gone wrong. Once tripped it stays tripped,
+ * across restarts, until reset() is called; the bot stops every strategy when
+ * it trips and refuses swaps and strategy starts while it is tripped. State
+ * is kept in data/circuit-breaker.json.
+ */
+export class CircuitBreaker {
+  private config: CircuitBreakerConfig;
+  private stateFile: string;
+  private state: CircuitBreakerState;
+
+  constructor(config: CircuitBreakerConfig = {}, stateFile?: string) {
+    this.config = config;
+    this.stateFile = stateFile || path.join(process.cwd(), 'data', 'circuit-breaker.json');
+    this.state = this.load();
+    if (this.state.tripped) {
+      Logger.warn(`🛑 Circuit breaker is tripped (${this.state.trigger}): ${this.state.reason}. Reset it to resume trading`);
+    }
+  }
+
+  public getConfig(): CircuitBreakerConfig {
+    return { ...this.config };
+  }
+
+  public getState(): CircuitBreakerState {
+    return { ...this.state };
+  }
+
+  public isTripped(): boolean {
+    return this.state.tripped;
+  }
+
+  /**
+   * Trip the breaker. Returns false if it was already tripped, keeping the
+   * first reason.
+   */
+  public trip(trigger: CircuitBreakerTrigger, reason: string): boolean {
+    if (this.state.tripped) return false;
+
+    this.state = {
+      ...this.state,
+      tripped: true,
+      trigger,
+      reason,
+      trippedAt: new Date().toISOString()
+    };
+    this.save();
+    Logger.error(`🚨 Circuit breaker tripped (${trigger}): ${reason}`);
+    return true;
+  }
+
+  /**
+   * Re-arm the breaker. The failure count and the drawdown peak start over.
+   */
+  public reset(): void {
+    this.state = { tripped: false, consecutiveFailures: 0, peakEquityUsd: null };
+    this.save();
+    Logger.info('✅ Circuit breaker reset');
+  }
+
+  /**
+   * Count a swap outcome. Returns true if this failure tripped the breaker.
+   */
+  public recordSwap(success: boolean): boolean {
+    this.state.consecutiveFailures = success ? 0 : this.state.consecutiveFailures + 1;
+    const max = this.config.maxConsecutiveFailures;
+    if (!success && max !== undefined && this.state.consecutiveFailures >= max) {
+      return this.trip('consecutiveFailures', `${this.state.consecutiveFailures} swaps failed in a row`);
+    }
+    return false;
+  }
+
+  /**
+   * Track portfolio value against its peak. Returns true if the drawdown
+   * tripped the breaker.
+   */
+  public recordEquity(equityUsd: number): boolean {
+    if (!(equityUsd > 0)) return false;
+
+    if (this.state.peakEquityUsd === null || equityUsd > this.state.peakEquityUsd) {
+      this.state.peakEquityUsd = equityUsd;
+      this.save();
+      return false;
+    }
+
+    const max = this.config.maxDrawdownPercent;
+    const drawdown = (1 - equityUsd / this.state.peakEquityUsd) * 100;
+    if (max !== undefined && drawdown >= max) {
+      return this.trip('drawdown', `Portfolio is down ${drawdown.toFixed(2)}% from its peak of $${this.state.peakEquityUsd.toFixed(2)}`);
+    }
+    return false;
+  }
+
+  /**
+   * Check how far a quote's rate is from the oracle's, in percent. Returns
+   * true if the gap tripped the breaker; null (no oracle price) never does.
+   */
+  public checkQuote(pair: string, deviation: number | null): boolean {
+    const max = this.config.maxPriceDeviationPercent;
+    if (max === undefined || deviation === null) return false;
+
+    if (deviation > max) {
+      return this.trip('priceDeviation', `${pair} quoted ${deviation.toFixed(2)}% away from the oracle price`);
+    }
+    return false;
+  }
+
+  private load(): CircuitBreakerState {
+    const fresh: CircuitBreakerState = { tripped: false, consecutiveFailures: 0, peakEquityUsd: null };
+    try {
+      if (!fs.existsSync(this.stateFile)) return fresh;
+      return { ...fresh, ...JSON.parse(fs.readFileSync(this.stateFile, 'utf8')) };
+    } catch (error) {
+      Logger.warn('Failed to load circuit breaker state', error);
+      return fresh;
+    }
+  }
+
+  private save(): void {
+    try {
+      const dataDir = path.dirname(this.stateFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      const tempFile = `${this.stateFile}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(this.state, null, 2));
+      fs.renameSync(tempFile, this.stateFile);
+    } catch (error) {
+      Logger.error('Failed to save circuit breaker state', error);
+    }
+  }
+}
@@ -0,0 +1,94 @@
+import { describe, expect, it } from '@jest/globals';
+import { RiskLimitError, RiskManager, RiskUsage, SwapExposure } from './RiskManager';
+
+const swap = (overrides: Partial<SwapExposure> = {}): SwapExposure => ({
+  tokenOut: 'USDC',
+  valueUsd: 100,
+  priceImpactPercent: 0.5,
+  oracleDeviationPercent: 1,
+  valueOutUsd: 99,
+  ...overrides
+});
+
+const usage = (overrides: Partial<RiskUsage> = {}): RiskUsage => ({
+  dailyVolumeUsd: 0,
+  dailyRealizedPnlUsd: 0,
+  holdingsUsd: null,
+  ...overrides
+});
+
+function blockedBy(manager: RiskManager, exposure: SwapExposure, today: RiskUsage = usage()): RiskLimitError | null {
+  try {
+    manager.check(exposure, today);
+    return null;
+  } catch (error) {
+    if (error instanceof RiskLimitError) return error;
+    throw error;
+  }
+}
+
+describe('RiskManager.check', () => {
+  it('lets every swap through when no limit is set', () => {
+    const manager = new RiskManager();
+    expect(manager.isEnabled()).toBe(false);
+    expect(blockedBy(manager, swap({ valueUsd: null, oracleDeviationPercent: null, valueOutUsd: null }))).toBeNull();
+  });
+
+  it('allows a trade exactly at maxTradeUsd and blocks one just over', () => {
+    const manager = new RiskManager({ maxTradeUsd: 100 });
+    expect(blockedBy(manager, swap({ valueUsd: 100 }))).toBeNull();
+
+    const error = blockedBy(manager, swap({ valueUsd: 100.01 }));
+    expect(error?.limit).toBe('maxTradeUsd');
+    expect(error?.value).toBe(100.01);
+    expect(error?.max).toBe(100);
+  });
+
+  it('counts the swap itself towards the daily volume', () => {
+    const manager = new RiskManager({ maxDailyVolumeUsd: 1000 });
+    expect(blockedBy(manager, swap({ valueUsd: 100 }), usage({ dailyVolumeUsd: 900 }))).toBeNull();
+    expect(blockedBy(manager, swap({ valueUsd: 100 }), usage({ dailyVolumeUsd: 901 }))?.limit).toBe('maxDailyVolumeUsd');
+  });
+
+  it('blocks every swap once the daily loss is reached, before any other limit', () => {
+    const manager = new RiskManager({ maxDailyLossUsd: 50, maxPriceImpactPercent: 1 });
+    expect(blockedBy(manager, swap(), usage({ dailyRealizedPnlUsd: -49.99 }))).toBeNull();
+
+    const error = blockedBy(manager, swap({ priceImpactPercent: 5 }), usage({ dailyRealizedPnlUsd: -50 }));
+    expect(error?.limit).toBe('maxDailyLossUsd');
+  });
+
+  it('blocks a swap that cannot be valued while a USD limit is set', () => {
+    const manager = new RiskManager({ maxTradeUsd: 100 });
+    const error = blockedBy(manager, swap({ valueUsd: null, oracleDeviationPercent: null, valueOutUsd: null }));
+    expect(error?.limit).toBe('maxTradeUsd');
+    expect(error?.value).toBeNull();
+  });
+
+  it('measures the token share after the swap against the whole portfolio', () => {
+    const manager = new RiskManager({ maxTokenSharePercent: 50 });
+    const holdingsUsd = { GALA: 600, USDC: 400 };
+    expect(blockedBy(manager, swap({ valueUsd: 100 }), usage({ holdingsUsd }))).toBeNull();
+    expect(blockedBy(manager, swap({ valueUsd: 101 }), usage({ holdingsUsd }))?.limit).toBe('maxTokenSharePercent');
+    expect(blockedBy(manager, swap(), usage({ holdingsUsd: {} }))?.value).toBeNull();
+  });
+
+  it('skips the oracle deviation limit when there is no oracle price', () => {
+    const manager = new RiskManager({ maxOracleDeviationPercent: 3 });
+    expect(blockedBy(manager, swap({ oracleDeviationPercent: null }))).toBeNull();
+    expect(blockedBy(manager, swap({ oracleDeviationPercent: 3 }))).toBeNull();
+    expect(blockedBy(manager, swap({ oracleDeviationPercent: 3.5 }))?.limit).toBe('maxOracleDeviationPercent');
+  });
+
+  it('blocks output under the USD floor, or without a price to check it', () => {
+    const manager = new RiskManager({ minOutputUsd: 1 });
+    expect(blockedBy(manager, swap({ valueOutUsd: 1 }))).toBeNull();
+    expect(blockedBy(manager, swap({ valueOutUsd: 0.99 }))?.limit).toBe('minOutputUsd');
+    expect(blockedBy(manager, swap({ valueOutUsd: null }))?.value).toBeNull();
+  });
+
+  it('rejects limits that are not positive numbers', () => {
+    expect(() => new RiskManager({ maxTradeUsd: 0 })).toThrow('maxTradeUsd must be a positive number');
+    expect(() => new RiskManager({ maxTokenSharePercent: 101 })).toThrow('cannot be over 100');
+  });
+});
@@ -0,0 +1,175 @@
+export type RiskLimitName = 'maxTradeUsd' | 'maxDailyVolumeUsd' | 'maxDailyLossUsd' | 'maxTokenSharePercent' | 'maxPriceImpactPercent' | 'maxOracleDeviationPercent' | 'minOutputUsd';
+
+/**
+ * Limits applied to every swap the bot places, whichever strategy places it.
+ * A limit that is not set is not enforced.
+ */
+export interface RiskLimits {
+  maxTradeUsd?: number; // USD value of one swap's input
+  maxDailyVolumeUsd?: number; // USD value swapped since UTC midnight, this swap included
+  maxDailyLossUsd?: number; // Realized loss since UTC midnight; once reached, every swap is blocked
+  maxTokenSharePercent?: number; // Share of the portfolio's USD value one token may make up after a swap
+  maxPriceImpactPercent?: number; // How far the quote moves the pool price
+  maxOracleDeviationPercent?: number; // Gap between the quote's rate and the oracle's
+  minOutputUsd?: number; // USD value of the output at oracle prices
+}
+
+export const RISK_LIMIT_NAMES: RiskLimitName[] = ['maxTradeUsd', 'maxDailyVolumeUsd', 'maxDailyLossUsd', 'maxTokenSharePercent', 'maxPriceImpactPercent', 'maxOracleDeviationPercent', 'minOutputUsd'];
+
+/**
+ * The swap being checked
+ */
+export interface SwapExposure {
+  tokenOut: string; // Symbol
+  valueUsd: number | null; // USD value of the input, null when it could not be priced
+  priceImpactPercent: number;
+  oracleDeviationPercent: number | null; // null when either token has no independent oracle price
+  valueOutUsd: number | null; // USD value of the output at the oracle price, null when it has none
+}
+
+/**
+ * Trading so far today and what the wallet holds
+ */
+export interface RiskUsage {
+  dailyVolumeUsd: number;
+  dailyRealizedPnlUsd: number;
+  holdingsUsd: Record<string, number> | null; // USD value by symbol; null unless maxTokenSharePercent is set
+}
+
+/**
+ * Thrown when a swap would break a risk limit. value is what the swap
+ * would have brought the limited figure to, or null when it could not be
+ * measured.
+ */
+export class RiskLimitError extends Error {
+  public readonly limit: RiskLimitName;
+  public readonly value: number | null;
+  public readonly max: number;
+
+  constructor(limit: RiskLimitName, value: number | null, max: number, message: string) {
+    super(message);
+    this.name = 'RiskLimitError';
+    this.limit = limit;
+    this.value = value;
+    this.max = max;
+  }
+}
+
+/**
+ * Checks swaps against global risk limits. The bot measures the swap and
+ * the day's usage; this only compares them with the limits, most severe
+ * first. Limits that need a USD value block swaps that cannot be priced;
+ * the oracle deviation limit is skipped when there is no oracle price.
+ */
+export class RiskManager {
+  private limits: RiskLimits;
+
+  constructor(limits: RiskLimits = {}) {
+    this.limits = RiskManager.validate(limits);
+  }
+
+  public getLimits(): RiskLimits {
+    return { ...this.limits };
+  }
+
+  /**
+   * Replace the limits. Throws when any limit is not a positive number.
+   */
+  public setLimits(limits: RiskLimits): void {
+    this.limits = RiskManager.validate(limits);
+  }
+
+  public isEnabled(): boolean {
+    return Object.keys(this.limits).length > 0;
+  }
+
+  public needsHoldings(): boolean {
+    return this.limits.maxTokenSharePercent !== undefined;
+  }
+
+  public needsOraclePrices(): boolean {
+    return this.limits.maxOracleDeviationPercent !== undefined || this.limits.minOutputUsd !== undefined;
+  }
+
+  /**
+   * Throw a RiskLimitError for the first limit the swap would break
+   */
+  public check(swap: SwapExposure, usage: RiskUsage): void {
+    const { maxTradeUsd, maxDailyVolumeUsd, maxDailyLossUsd, maxTokenSharePercent, maxPriceImpactPercent, maxOracleDeviationPercent, minOutputUsd } = this.limits;
+
+    if (maxDailyLossUsd !== undefined && -usage.dailyRealizedPnlUsd >= maxDailyLossUsd) {
+      throw new RiskLimitError('maxDailyLossUsd', -usage.dailyRealizedPnlUsd, maxDailyLossUsd,
+        `Daily realized loss of $${(-usage.dailyRealizedPnlUsd).toFixed(2)} has reached the $${maxDailyLossUsd} limit`);
+    }
+
+    if (maxPriceImpactPercent !== undefined && swap.priceImpactPercent > maxPriceImpactPercent) {
+      throw new RiskLimitError('maxPriceImpactPercent', swap.priceImpactPercent, maxPriceImpactPercent,
+        `Price impact of ${swap.priceImpactPercent.toFixed(2)}% exceeds the ${maxPriceImpactPercent}% limit`);
+    }
+
+    if (maxOracleDeviationPercent !== undefined && swap.oracleDeviationPercent !== null && swap.oracleDeviationPercent > maxOracleDeviationPercent) {
+      throw new RiskLimitError('maxOracleDeviationPercent', swap.oracleDeviationPercent, maxOracleDeviationPercent,
+        `Quote is ${swap.oracleDeviationPercent.toFixed(2)}% away from the oracle price, over the ${maxOracleDeviationPercent}% limit`);
+    }
+
+    if (minOutputUsd !== undefined) {
+      if (swap.valueOutUsd === null) {
+        throw new RiskLimitError('minOutputUsd', null, minOutputUsd,
+          `${swap.tokenOut} has no oracle price, so the minOutputUsd floor cannot be checked`);
+      }
+      if (swap.valueOutUsd < minOutputUsd) {
+        throw new RiskLimitError('minOutputUsd', swap.valueOutUsd, minOutputUsd,
+          `Output worth $${swap.valueOutUsd.toFixed(2)} is below the $${minOutputUsd} floor`);
+      }
+    }
+
+    const usdLimit = (['maxTradeUsd', 'maxDailyVolumeUsd', 'maxTokenSharePercent'] as const).find(limit => this.limits[limit] !== undefined);
+    if (!usdLimit) return;
+    if (swap.valueUsd === null) {
+      throw new RiskLimitError(usdLimit, null, this.limits[usdLimit] as number,
+        `Swap cannot be valued in USD, so the ${usdLimit} limit cannot be checked`);
+    }
+
+    if (maxTradeUsd !== undefined && swap.valueUsd > maxTradeUsd) {
+      throw new RiskLimitError('maxTradeUsd', swap.valueUsd, maxTradeUsd,
+        `Trade of $${swap.valueUsd.toFixed(2)} exceeds the $${maxTradeUsd} per-trade limit`);
+    }
+
+    const dailyVolume = usage.dailyVolumeUsd + swap.valueUsd;
+    if (maxDailyVolumeUsd !== undefined && dailyVolume > maxDailyVolumeUsd) {
+      throw new RiskLimitError('maxDailyVolumeUsd', dailyVolume, maxDailyVolumeUsd,
+        `Trade would bring today's volume to $${dailyVolume.toFixed(2)}, over the $${maxDailyVolumeUsd} daily limit`);
+    }
+
+    if (maxTokenSharePercent !== undefined) {
+      // The swap moves value from tokenIn to tokenOut; the total stays put
+      const holdings = usage.holdingsUsd || {};
+      const total = Object.values(holdings).reduce((sum, value) => sum + value, 0);
+      if (total <= 0) {
+        throw new RiskLimitError('maxTokenSharePercent', null, maxTokenSharePercent,
+          'Portfolio cannot be valued in USD, so the maxTokenSharePercent limit cannot be checked');
+      }
+      const share = ((holdings[swap.tokenOut] || 0) + swap.valueUsd) / total * 100;
+      if (share > maxTokenSharePercent) {
+        throw new RiskLimitError('maxTokenSharePercent', share, maxTokenSharePercent,
+          `Trade would bring ${swap.tokenOut} to ${share.toFixed(1)}% of the portfolio, over the ${maxTokenSharePercent}% limit`);
+      }
+    }
+  }
+
+  private static validate(limits: RiskLimits): RiskLimits {
+    const valid: RiskLimits = {};
+    for (const name of RISK_LIMIT_NAMES) {
+      const value = limits[name];
+      if (value === undefined || value === null) continue;
+      if (typeof value !== 'number' || isNaN(value) || value <= 0) {
+        throw new Error(`Risk limit ${name} must be a positive number`);
+      }
+      if (name === 'maxTokenSharePercent' && value > 100) {
+        throw new Error('Risk limit maxTokenSharePercent cannot be over 100');
+      }
+      valid[name] = value;
+    }
+    return valid;
+  }
+}
@@ -0,0 +1,121 @@
+import BigNumber from 'bignumber.js';
+import { describe, expect, it } from '@jest/globals';
+import { HopQuoter, SwapRouter } from './SwapRouter';
+import { COMMON_TOKENS } from '../constants/tokens';
+import { QuoteResult } from '../types';
+
+const { GALA, GUSDC, GETH, GUSDT, GWBTC } = COMMON_TOKENS;
+
+/**
+ * Pools at a fixed rate of tokenOut per tokenIn, keyed "tokenIn>tokenOut@feeTier".
+ * Pairs without an entry have no pool.
+ */
+const poolQuoter = (rates: Record<string, number>, quoted: string[] = []): HopQuoter =>
+  async (tokenIn, tokenOut, amount, feeTier, exactOutput): Promise<QuoteResult> => {
+    const key = `${tokenIn}>${tokenOut}@${feeTier}`;
+    quoted.push(key);
+    const rate = rates[key];
+    if (rate === undefined) {
+      throw new Error(`No pool for ${key}`);
+    }
+    const amountIn = exactOutput ? new BigNumber(amount).dividedBy(rate).toFixed() : amount;
+    const amountOut = exactOutput ? amount : new BigNumber(amount).multipliedBy(rate).toFixed();
+    return { amountIn, amountOut, priceImpact: '0.1', feeTier, currentPrice: String(rate), newPrice: String(rate) };
+  };
+
+describe('SwapRouter', () => {
+  describe('paths', () => {
+    it('lists the direct path first, then every path up to maxHops without repeating a token', () => {
+      const router = (maxHops: number) => new SwapRouter(poolQuoter({}), { intermediates: [GALA, GUSDC, GETH], maxHops });
+
+      expect(router(1).paths(GWBTC, GUSDT)).toEqual([[GWBTC, GUSDT]]);
+
+      const twoHops = router(2).paths(GWBTC, GUSDT);
+      expect(twoHops).toHaveLength(4);
+      expect(twoHops[0]).toEqual([GWBTC, GUSDT]);
+      expect(twoHops).toContainEqual([GWBTC, GUSDC, GUSDT]);
+
+      const threeHops = router(3).paths(GWBTC, GUSDT);
+      expect(threeHops).toHaveLength(10);
+      expect(threeHops).toContainEqual([GWBTC, GETH, GALA, GUSDT]);
+      expect(threeHops.every(path => new Set(path).size === path.length)).toBe(true);
+    });
+
+    it('does not route through either end of the swap', () => {
+      const paths = new SwapRouter(poolQuoter({})).paths(GALA, GUSDC);
+      expect(paths).toEqual([[GALA, GUSDC], [GALA, GETH, GUSDC]]);
+    });
+  });
+
+  describe('findBestRoute', () => {
+    it('takes the best fee tier for each hop', async () => {
+      const router = new SwapRouter(poolQuoter({
+        [`${GALA}>${GUSDC}@500`]: 0.019,
+        [`${GALA}>${GUSDC}@3000`]: 0.02,
+        [`${GUSDC}>${GETH}@500`]: 0.00025,
+        [`${GUSDC}>${GETH}@10000`]: 0.00024
+      }), { intermediates: [GUSDC] });
+
+      const route = await router.findBestRoute({ tokenIn: GALA, tokenOut: GETH, amount: '1000' });
+      expect(route.hops.map(hop => [hop.tokenOut, hop.feeTier])).toEqual([[GUSDC, 3000], [GETH, 500]]);
+      expect(route.hops[1].amountIn).toBe('20');
+      expect(route.amountOut).toBe('0.005');
+      expect(route.priceImpact).toBe('0.2');
+    });
+
+    it('ranks routes by output value net of per-hop gas', async () => {
+      const router = new SwapRouter(poolQuoter({
+        [`${GWBTC}>${GUSDT}@3000`]: 99000,
+        [`${GWBTC}>${GUSDC}@3000`]: 100000,
+        [`${GUSDC}>${GUSDT}@500`]: 1
+      }), { intermediates: [GUSDC] });
+      const search = { tokenIn: GWBTC, tokenOut: GUSDT, amount: '1', prices: { USDT: 1 } };
+
+      // $1,000 more output pays for a second hop at $10 a hop, not at $2,000
+      const cheapGas = await router.findBestRoute({ ...search, gasPerHopUsd: 10 });
+      expect(cheapGas.hops).toHaveLength(2);
+      expect(cheapGas).toMatchObject({ amountOut: '100000', gasUsd: 20, netValueUsd: 99980 });
+
+      const dearGas = await router.findBestRoute({ ...search, gasPerHopUsd: 2000 });
+      expect(dearGas.hops).toHaveLength(1);
+      expect(dearGas.netValueUsd).toBe(97000);
+    });
+
+    it('compares raw output without prices and prefers the shorter route on a tie', async () => {
+      const router = new SwapRouter(poolQuoter({
+        [`${GWBTC}>${GUSDT}@3000`]: 100000,
+        [`${GWBTC}>${GUSDC}@3000`]: 100000,
+        [`${GUSDC}>${GUSDT}@500`]: 1
+      }), { intermediates: [GUSDC] });
+
+      const route = await router.findBestRoute({ tokenIn: GWBTC, tokenOut: GUSDT, amount: '1', gasPerHopUsd: 10 });
+      expect(route.hops).toHaveLength(1);
+      expect(route.netValueUsd).toBeNull();
+    });
+
+    it('quotes exact output backwards and ranks by the least input', async () => {
+      const router = new SwapRouter(poolQuoter({
+        [`${GALA}>${GETH}@3000`]: 0.000004,
+        [`${GALA}>${GUSDC}@3000`]: 0.02,
+        [`${GUSDC}>${GETH}@500`]: 0.00025
+      }), { intermediates: [GUSDC] });
+
+      const route = await router.findBestRoute({ tokenIn: GALA, tokenOut: GETH, amount: '0.005', exactOutput: true });
+      expect(route.hops.map(hop => hop.tokenOut)).toEqual([GUSDC, GETH]);
+      expect(route).toMatchObject({ amountIn: '1000', amountOut: '0.005' });
+    });
+
+    it('throws when no path has a pool for every hop', async () => {
+      const router = new SwapRouter(poolQuoter({ [`${GWBTC}>${GUSDC}@3000`]: 100000 }), { intermediates: [GUSDC] });
+      await expect(router.findBestRoute({ tokenIn: GWBTC, tokenOut: GUSDT, amount: '1' }))
+        .rejects.toThrow('No route found from WBTC to USDT');
+    });
+
+    it('quotes a hop shared by several paths once per search', async () => {
+      const quoted: string[] = [];
+      const router = new SwapRouter(poolQuoter({ [`${GWBTC}>${GUSDT}@3000`]: 100000 }, quoted), { intermediates: [GUSDC, GETH], maxHops: 3 });
+      await router.findBestRoute({ tokenIn: GWBTC, tokenOut: GUSDT, amount: '1' });
+      expect(new Set(quoted).size).toBe(quoted.length);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+import BigNumber from 'bignumber.js';
+import { Logger } from '../utils/logger';
+import { COMMON_TOKENS, FEE_TIERS, getTokenSymbol } from '../constants/tokens';
+import { QuoteResult, RouteHop } from '../types';
+import { bestQuote } from '../utils/swapParams';
+
+/**
+ * Quotes a single pool. exactOutput quotes buying `amount` of tokenOut,
+ * otherwise selling `amount` of tokenIn. Throws when the pool does not exist.
+ */
+export type HopQuoter = (tokenIn: string, tokenOut: string, amount: string, feeTier: number, exactOutput: boolean) => Promise<QuoteResult>;
+
+export interface SwapRouterConfig {
+  intermediates?: string[]; // Token class keys a route may pass through
+  feeTiers?: number[];
+  maxHops?: number; // 1 = direct pools only
+}
+
+export interface RouteSearch {
+  tokenIn: string;
+  tokenOut: string;
+  amount: string; // amountIn, or amountOut when exactOutput
+  exactOutput?: boolean;
+  prices?: Record<string, number>; // USD prices by symbol, for netting gas
+  gasPerHopUsd?: number;
+}
+
+/**
+ * A priced path from tokenIn to tokenOut, one pool per hop
+ */
+export interface Route {
+  hops: RouteHop[];
+  quotes: QuoteResult[]; // The pool quote behind each hop
+  amountIn: string;
+  amountOut: string;
+  priceImpact: string; // Sum of the hop price impacts
+  gasUsd: number;
+  netValueUsd: number | null; // Output value less gas (exact input), or input cost plus gas negated (exact output)
+}
+
+export const DEFAULT_INTERMEDIATES = [COMMON_TOKENS.GALA, COMMON_TOKENS.GUSDC, COMMON_TOKENS.GETH];
+const DEFAULT_MAX_HOPS = 2;
+
+/**
+ * Finds the best route between two tokens across every fee tier, directly
+ * or through intermediate tokens. Each hop takes the fee tier that quotes
+ * best for it; routes are then ranked by output (or input, for exact output)
+ * in USD net of per-hop gas. Without prices the raw amounts are compared and
+ * ties go to the shorter route.
+ */
+export class SwapRouter {
+  private quote: HopQuoter;
+  private intermediates: string[];
+  private feeTiers: number[];
+  private maxHops: number;
+
+  constructor(quote: HopQuoter, config: SwapRouterConfig = {}) {
+    this.quote = quote;
+    this.intermediates = config.intermediates && config.intermediates.length > 0 ? config.intermediates : DEFAULT_INTERMEDIATES;
+    this.feeTiers = config.feeTiers && config.feeTiers.length > 0 ? config.feeTiers : Object.values(FEE_TIERS);
+    this.maxHops = Math.max(1, config.maxHops ?? DEFAULT_MAX_HOPS);
+  }
+
+  /**
+   * Token paths tokenIn → ... → tokenOut up to maxHops long, direct first
+   */
+  public paths(tokenIn: string, tokenOut: string): string[][] {
+    const paths: string[][] = [];
+    const via = this.intermediates.filter(token => token !== tokenIn && token !== tokenOut);
+
+    const extend = (path: string[]) => {
+      if (path.length > this.maxHops) return;
+      paths.push([...path, tokenOut]);
+      for (const token of via) {
+        if (!path.includes(token)) {
+          extend([...path, token]);
+        }
+      }
+    };
+    extend([tokenIn]);
+
+    return paths.sort((a, b) => a.length - b.length);
+  }
+
+  /**
+   * Every route that quotes, best first. Throws when no route exists.
+   */
+  public async findRoutes(search: RouteSearch): Promise<Route[]> {
+    const quotes: Map<string, Promise<QuoteResult | null>> = new Map();
+    const quoteHop = (tokenIn: string, tokenOut: string, amount: string, feeTier: number): Promise<QuoteResult | null> => {
+      // The same hop shows up in several paths; quote it once per search
+      const key = `${tokenIn}>${tokenOut}@${feeTier}:${amount}`;
+      if (!quotes.has(key)) {
+        quotes.set(key, this.quote(tokenIn, tokenOut, amount, feeTier, !!search.exactOutput).catch(() => null));
+      }
+      return quotes.get(key) as Promise<QuoteResult | null>;
+    };
+
+    const routes = (await Promise.all(
+      this.paths(search.tokenIn, search.tokenOut).map(path => this.priceRoute(path, search, quoteHop))
+    )).filter((route): route is Route => route !== null);
+
+    if (routes.length === 0) {
+      throw new Error(`No route found from ${getTokenSymbol(search.tokenIn)} to ${getTokenSymbol(search.tokenOut)}`);
+    }
+
+    return routes.sort((a, b) => compareRoutes(a, b, !!search.exactOutput));
+  }
+
+  public async findBestRoute(search: RouteSearch): Promise<Route> {
+    const routes = await this.findRoutes(search);
+    const best = routes[0];
+
+    Logger.debug('Route selected', {
+      route: describeRoute(best),
+      amountIn: best.amountIn,
+      amountOut: best.amountOut,
+      alternatives: routes.length - 1
+    });
+    return best;
+  }
+
+  /**
+   * Quote a path hop by hop: forwards from amountIn for exact input,
+   * backwards from amountOut for exact output. Null if any hop has no pool.
+   */
+  private async priceRoute(
+    path: string[],
+    search: RouteSearch,
+    quoteHop: (tokenIn: string, tokenOut: string, amount: string, feeTier: number) => Promise<QuoteResult | null>
+  ): Promise<Route | null> {
+    const exactOutput = !!search.exactOutput;
+    const hops: RouteHop[] = [];
+    const quotes: QuoteResult[] = [];
+    let amount = search.amount;
+
+    const pairs = path.slice(1).map((token, i) => [path[i], token]);
+    for (const [tokenIn, tokenOut] of exactOutput ? pairs.reverse() : pairs) {
+      const tierQuotes = (await Promise.all(
+        this.feeTiers.map(feeTier => quoteHop(tokenIn, tokenOut, amount, feeTier))
+      )).filter((quote): quote is QuoteResult => quote !== null && new BigNumber(quote.amountOut).isGreaterThan(0));
+      if (tierQuotes.length === 0) return null;
+
+      // More output per hop, or less input, can only improve the next hop
+      const best = bestQuote(tierQuotes, exactOutput);
+
+      const hop: RouteHop = {
+        tokenIn,
+        tokenOut,
+        feeTier: best.feeTier,
+        amountIn: best.amountIn,
+        amountOut: best.amountOut,
+        priceImpact: best.priceImpact
+      };
+      if (exactOutput) {
+        hops.unshift(hop);
+        quotes.unshift(best);
+        amount = best.amountIn;
+      } else {
+        hops.push(hop);
+        quotes.push(best);
+        amount = best.amountOut;
+      }
+    }
+
+    const amountIn = hops[0].amountIn;
+    const amountOut = hops[hops.length - 1].amountOut;
+    const gasUsd = (search.gasPerHopUsd || 0) * hops.length;
+    const price = search.prices?.[priceSymbol(exactOutput ? search.tokenIn : search.tokenOut)];
+    const netValueUsd = typeof price === 'number' && price > 0
+      ? (exactOutput
+          ? -(parseFloat(amountIn) * price + gasUsd)
+          : parseFloat(amountOut) * price - gasUsd)
+      : null;
+
+    return {
+      hops,
+      quotes,
+      amountIn,
+      amountOut,
+      priceImpact: hops.reduce((sum, hop) => sum.plus(hop.priceImpact || 0), new BigNumber(0)).toFixed(),
+      gasUsd,
+      netValueUsd
+    };
+  }
+}
+
+/**
+ * "GALA → USDC (0.05%) → ETH (0.3%)"
+ */
+export function describeRoute(route: Pick<Route, 'hops'>): string {
+  return route.hops.reduce(
+    (text, hop) => `${text} → ${getTokenSymbol(hop.tokenOut)} (${hop.feeTier / 10000}%)`,
+    getTokenSymbol(route.hops[0]?.tokenIn || '')
+  );
+}
+
+function compareRoutes(a: Route, b: Route, exactOutput: boolean): number {
+  if (a.netValueUsd !== null && b.netValueUsd !== null && a.netValueUsd !== b.netValueUsd) {
+    return b.netValueUsd - a.netValueUsd;
+  }
+  const difference = exactOutput
+    ? new BigNumber(a.amountIn).comparedTo(b.amountIn) ?? 0
+    : new BigNumber(b.amountOut).comparedTo(a.amountOut) ?? 0;
+  return difference !== 0 ? difference : a.hops.length - b.hops.length;
+}
+
+/**
+ * Prices are kept under plain symbols (USDC, ETH), tokens under G-prefixed keys
+ */
+function priceSymbol(tokenClassKey: string): string {
+  const symbol = getTokenSymbol(tokenClassKey).toUpperCase();
+  return ['GUSDC', 'GUSDT', 'GETH', 'GWBTC'].includes(symbol) ? symbol.slice(1) : symbol;
+}
@@ -1,6 +1,9 @@
+import BigNumber from 'bignumber.js';
 import { CicadaBot } from '../CicadaBot';
 import { Logger } from '../utils/logger';
-import { COMMON_TOKENS, FEE_TIERS } from '../constants/tokens';
+import { findOptimalTradeSize } from '../utils/tradeSizing';
+import { Strategy, createRunId } from './StrategyRegistry';
+import { COMMON_TOKENS } from '../constants/tokens';
 
 export interface ArbitrageOpportunity {
   tokenIn: string;
@@ -8,12 +11,15 @@ export interface ArbitrageOpportunity {
   buyFeeTier: number;
   sellFeeTier: number;
   amount: string;
-  expectedProfit: number;
+  expectedProfit: number; // In tokenIn, net of gas once sized
   profitPercentage: number;
   buyPrice: string;
   sellPrice: string;
 }
 
+// Size used to pick the fee tiers before the trade is sized
+const PROBE_AMOUNT = '10';
+
 export interface ArbitrageConfig {
   minProfitThreshold: number; // Minimum profit percentage to execute
   maxPositionSize: string; // Maximum amount to trade
@@ -22,10 +28,11 @@ export interface ArbitrageConfig {
   enabledTokens: string[]; // Which tokens to monitor
 }
 
-export class ArbitrageStrategy {
+export class ArbitrageStrategy implements Strategy {
   private bot: CicadaBot;
   private config: ArbitrageConfig;
   private isRunning: boolean = false;
+  private runId: string = ''; // Recorded on every swap this run places
   private opportunities: ArbitrageOpportunity[] = [];
 
   constructor(bot: CicadaBot, config: ArbitrageConfig) {
@@ -38,6 +45,7 @@ export class ArbitrageStrategy {
    */
   async start(): Promise<void> {
     this.isRunning = true;
+    this.runId = createRunId('advanced');
     Logger.info('🚀 Starting Arbitrage Strategy', {
       minProfitThreshold: this.config.minProfitThreshold,
       maxPositionSize: this.config.maxPositionSize,
@@ -64,40 +72,39 @@ export class ArbitrageStrategy {
     Logger.info('🛑 Arbitrage Strategy stopped');
   }
 
+  /**
+   * Get current strategy status
+   */
+  public getStatus(): any {
+    return {
+      isRunning: this.isRunning,
+      config: this.config,
+      opportunities: this.opportunities.length,
+      strategyName: 'Advanced Arbitrage Strategy'
+    };
+  }
+
   /**
    * Scan for arbitrage opportunities across different fee tiers
    */
   private async scanForOpportunities(): Promise<void> {
     this.opportunities = [];
 
-    // Test different amounts to find optimal arbitrage size
-    const testAmounts = ['10', '25', '50', '100', '200'];
-    
-    for (const amount of testAmounts) {
-      if (parseFloat(amount) > parseFloat(this.config.maxPositionSize)) {
-        continue;
-      }
+    for (const tokenPair of this.getTokenPairs()) {
+      const opportunity = await this.sizeArbitrageOpportunity(tokenPair.tokenIn, tokenPair.tokenOut);
 
-      for (const tokenPair of this.getTokenPairs()) {
-        const opportunity = await this.findArbitrageOpportunity(
-          tokenPair.tokenIn,
-          tokenPair.tokenOut,
-          amount
-        );
+      if (opportunity && opportunity.expectedProfit > 0 && opportunity.profitPercentage >= this.config.minProfitThreshold) {
+        this.opportunities.push(opportunity);
 
-        if (opportunity && opportunity.profitPercentage >= this.config.minProfitThreshold) {
-          this.opportunities.push(opportunity);
-          
-          // Add result to bot for web interface display
-          this.bot.addArbitrageResult({
-            type: 'Arbitrage Opportunity',
-            amount: opportunity.amount,
-            profitPercentage: opportunity.profitPercentage,
-            expectedProfit: opportunity.expectedProfit.toFixed(6),
-            tokenIn: tokenPair.tokenIn,
-            tokenOut: tokenPair.tokenOut
-          });
-        }
+        // Add result to bot for web interface display
+        this.bot.addArbitrageResult({
+          type: 'Arbitrage Opportunity',
+          amount: opportunity.amount,
+          profitPercentage: opportunity.profitPercentage,
+          expectedProfit: opportunity.expectedProfit.toFixed(6),
+          tokenIn: tokenPair.tokenIn,
+          tokenOut: tokenPair.tokenOut
+        });
       }
     }
 
@@ -117,6 +124,66 @@ export class ArbitrageStrategy {
     }
   }
 
+  /**
+   * Pick the fee tiers at a probe size, then find the size with the highest
+   * net profit on those tiers, up to maxPositionSize and the tokenIn balance
+   */
+  private async sizeArbitrageOpportunity(tokenIn: string, tokenOut: string): Promise<ArbitrageOpportunity | null> {
+    const balance = new BigNumber(await this.bot.getStrategyBalance('advanced', tokenIn));
+    const maxAmount = BigNumber.min(balance, this.config.maxPositionSize);
+    if (!maxAmount.isGreaterThan(0)) {
+      return null;
+    }
+
+    const probe = await this.findArbitrageOpportunity(tokenIn, tokenOut, BigNumber.min(maxAmount, PROBE_AMOUNT).toFixed());
+    if (!probe) {
+      return null;
+    }
+
+    const gasCost = await this.bot.estimateGasCost(tokenIn, 2);
+    const quoted: Map<string, ArbitrageOpportunity> = new Map();
+    const sized = await findOptimalTradeSize(async amount => {
+      const opportunity = await this.quoteRoundTrip(probe, amount, gasCost);
+      if (!opportunity) return null;
+      quoted.set(amount, opportunity);
+      return new BigNumber(opportunity.expectedProfit);
+    }, { maxAmount });
+
+    return sized ? quoted.get(sized.amount) || null : null;
+  }
+
+  /**
+   * Quote buying on one tier and selling back on the other at a given size
+   */
+  private async quoteRoundTrip(tiers: ArbitrageOpportunity, amount: string, gasCost: BigNumber): Promise<ArbitrageOpportunity | null> {
+    try {
+      const buyQuote = await this.bot.getQuote({
+        tokenIn: tiers.tokenIn,
+        tokenOut: tiers.tokenOut,
+        amountIn: amount,
+        feeTier: tiers.buyFeeTier
+      });
+      const sellQuote = await this.bot.getQuote({
+        tokenIn: tiers.tokenOut,
+        tokenOut: tiers.tokenIn,
+        amountIn: buyQuote.amountOut,
+        feeTier: tiers.sellFeeTier
+      });
+
+      const profit = new BigNumber(sellQuote.amountOut).minus(amount).minus(gasCost);
+      return {
+        ...tiers,
+        amount,
+        expectedProfit: profit.toNumber(),
+        profitPercentage: profit.dividedBy(amount).multipliedBy(100).toNumber(),
+        buyPrice: buyQuote.amountOut,
+        sellPrice: sellQuote.amountOut
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Find arbitrage opportunity for a specific token pair and amount
    */
@@ -126,41 +193,15 @@ export class ArbitrageStrategy {
     amount: string
   ): Promise<ArbitrageOpportunity | null> {
     try {
-      const feeTiers = [
-        { tier: FEE_TIERS.LOW, name: '0.05%' },
-        { tier: FEE_TIERS.MEDIUM, name: '0.30%' },
-        { tier: FEE_TIERS.HIGH, name: '1.00%' }
-      ];
-
-      const quotes: Array<{
-        feeTier: number;
-        name: string;
-        amountOut: string;
-        priceImpact: string;
-      }> = [];
-
       // Get quotes from all available fee tiers
-      for (const { tier, name } of feeTiers) {
-        try {
-          const quote = await this.bot.getQuote({
-            tokenIn,
-            tokenOut,
-            amountIn: amount,
-            slippageTolerance: this.config.maxSlippage,
-            feeTier: tier
-          });
-
-          quotes.push({
-            feeTier: tier,
-            name,
-            amountOut: quote.amountOut,
-            priceImpact: quote.priceImpact
-          });
-        } catch (error) {
-          // Fee tier not available or insufficient liquidity
-          continue;
-        }
-      }
+      const quote = await this.bot.getQuote({
+        tokenIn,
+        tokenOut,
+        amountIn: amount,
+        slippageTolerance: this.config.maxSlippage,
+        feeTier: 'best'
+      });
+      const quotes = quote.tierQuotes || [quote];
 
       if (quotes.length < 2) {
         return null; // Need at least 2 fee tiers for arbitrage
@@ -248,7 +289,9 @@ export class ArbitrageStrategy {
         tokenOut: bestOpportunity.tokenOut,
         amountIn: bestOpportunity.amount,
         slippageTolerance: this.config.maxSlippage,
-        feeTier: bestOpportunity.buyFeeTier
+        feeTier: bestOpportunity.buyFeeTier,
+        strategy: 'advanced',
+        runId: this.runId
       });
 
       if (!buyResult.success) {
@@ -267,7 +310,9 @@ export class ArbitrageStrategy {
         tokenOut: bestOpportunity.tokenIn,
         amountIn: buyResult.amountOut,
         slippageTolerance: this.config.maxSlippage,
-        feeTier: bestOpportunity.sellFeeTier
+        feeTier: bestOpportunity.sellFeeTier,
+        strategy: 'advanced',
+        runId: this.runId
       });
 
       if (!sellResult.success) {
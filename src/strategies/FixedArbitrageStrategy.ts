@@ -1,18 +1,25 @@
+import BigNumber from 'bignumber.js';
 import { CicadaBot } from '../CicadaBot';
 import { Logger } from '../utils/logger';
+import { findOptimalTradeSize } from '../utils/tradeSizing';
+import { ArbitrageExecutor, RecoveryPolicy } from '../execution/ArbitrageExecutor';
+import { Strategy, createRunId } from './StrategyRegistry';
 import { COMMON_TOKENS, FEE_TIERS } from '../constants/tokens';
 
 export interface FixedArbitrageConfig {
   minProfitThreshold: number; // Minimum profit percentage
-  maxPositionSize: string; // Maximum amount to trade
+  maxPositionSize: string; // Maximum amount to trade, in the input token of either direction
   checkInterval: number; // How often to check (ms)
   maxSlippage: number; // Maximum slippage tolerance
+  recovery?: RecoveryPolicy; // When the second leg cannot fill (default: 'unwind')
+  retryAttempts?: number; // Resends of the second leg under 'retry'
+  unwindSlippage?: number; // Slippage tolerance when unwinding
 }
 
 export interface FixedArbitrageOpportunity {
   direction: 'GALA_TO_USDC' | 'USDC_TO_GALA';
   amount: string;
-  expectedProfit: number;
+  expectedProfit: number; // In the input token, net of gas once sized
   profitPercentage: number;
   buyFeeTier: number;
   sellFeeTier: number;
@@ -20,16 +27,19 @@ export interface FixedArbitrageOpportunity {
   sellPrice: string;
 }
 
-export class FixedArbitrageStrategy {
+export class FixedArbitrageStrategy implements Strategy {
   private bot: CicadaBot;
   private config: FixedArbitrageConfig;
   private isRunning: boolean = false;
+  private runId: string = ''; // Recorded on every swap this run places
   private totalTrades: number = 0;
   private totalProfit: number = 0;
+  private executor: ArbitrageExecutor;
 
   constructor(bot: CicadaBot, config: FixedArbitrageConfig) {
     this.bot = bot;
     this.config = config;
+    this.executor = new ArbitrageExecutor(bot, config);
   }
 
   /**
@@ -37,6 +47,7 @@ export class FixedArbitrageStrategy {
    */
   async start(): Promise<void> {
     this.isRunning = true;
+    this.runId = createRunId('fixed');
     Logger.info('🚀 Starting Fixed Arbitrage Strategy', {
       minProfitThreshold: this.config.minProfitThreshold,
       maxPositionSize: this.config.maxPositionSize
@@ -65,6 +76,28 @@ export class FixedArbitrageStrategy {
     });
   }
 
+  /**
+   * Get current strategy status
+   */
+  public getStatus(): any {
+    return {
+      isRunning: this.isRunning,
+      config: this.config,
+      totalTrades: this.totalTrades,
+      totalProfit: this.totalProfit,
+      strategyName: 'Fixed Arbitrage Strategy'
+    };
+  }
+
+  /**
+   * Update configuration
+   */
+  public updateConfig(newConfig: Partial<FixedArbitrageConfig>): void {
+    this.config = { ...this.config, ...newConfig };
+    this.executor.updateConfig(this.config);
+    Logger.info('⚙️ Fixed arbitrage configuration updated', this.config);
+  }
+
   /**
    * Check for arbitrage opportunities in both directions
    */
@@ -76,9 +109,9 @@ export class FixedArbitrageStrategy {
     }
 
     try {
-      // Check both directions
-      const galaToUsdcOpportunity = await this.checkGalaToUsdcArbitrage(testAmount);
-      const usdcToGalaOpportunity = await this.checkUsdcToGalaArbitrage('1'); // 1 USDC
+      // Check both directions at probe sizes, then size whichever has tiers worth trading
+      const galaToUsdcOpportunity = await this.sizeOpportunity(await this.checkGalaToUsdcArbitrage(testAmount));
+      const usdcToGalaOpportunity = await this.sizeOpportunity(await this.checkUsdcToGalaArbitrage('1')); // 1 USDC
 
       // Execute the best opportunity (prioritize USDC→GALA which has 40%+ profit)
       if (usdcToGalaOpportunity && usdcToGalaOpportunity.profitPercentage >= this.config.minProfitThreshold) {
@@ -102,7 +135,7 @@ export class FixedArbitrageStrategy {
         
         // Check if strategy is still running before executing
         if (this.isRunning) {
-          await this.executeUsdcToGalaArbitrage(usdcToGalaOpportunity);
+          await this.executeArbitrage(usdcToGalaOpportunity);
         } else {
           Logger.info('🛑 Strategy stopped - skipping USDC→GALA arbitrage execution');
         }
@@ -125,7 +158,7 @@ export class FixedArbitrageStrategy {
         
         // Check if strategy is still running before executing
         if (this.isRunning) {
-          await this.executeGalaToUsdcArbitrage(galaToUsdcOpportunity);
+          await this.executeArbitrage(galaToUsdcOpportunity);
         } else {
           Logger.info('🛑 Strategy stopped - skipping GALA→USDC arbitrage execution');
         }
@@ -138,6 +171,52 @@ export class FixedArbitrageStrategy {
     }
   }
 
+  /**
+   * Find the size with the highest net profit for an opportunity's fee
+   * tiers, up to maxPositionSize and the input token balance. The round
+   * trip is quoted the way it executes: buy on buyFeeTier, sell back on
+   * sellFeeTier.
+   */
+  private async sizeOpportunity(opportunity: FixedArbitrageOpportunity | null): Promise<FixedArbitrageOpportunity | null> {
+    if (!opportunity) return null;
+
+    const [tokenIn, tokenOut] = opportunity.direction === 'GALA_TO_USDC'
+      ? [COMMON_TOKENS.GALA, COMMON_TOKENS.GUSDC]
+      : [COMMON_TOKENS.GUSDC, COMMON_TOKENS.GALA];
+
+    const balance = new BigNumber(await this.bot.getStrategyBalance('fixed', tokenIn));
+    const maxAmount = BigNumber.min(balance, this.config.maxPositionSize);
+    if (!maxAmount.isGreaterThan(0)) {
+      Logger.debug(`No balance to trade ${opportunity.direction}`);
+      return null;
+    }
+
+    const gasCost = await this.bot.estimateGasCost(tokenIn, 2);
+    const quoted: Map<string, FixedArbitrageOpportunity> = new Map();
+    const sized = await findOptimalTradeSize(async amount => {
+      const buyQuote = await this.bot.getQuote({ tokenIn, tokenOut, amountIn: amount, feeTier: opportunity.buyFeeTier });
+      const sellQuote = await this.bot.getQuote({ tokenIn: tokenOut, tokenOut: tokenIn, amountIn: buyQuote.amountOut, feeTier: opportunity.sellFeeTier });
+      const profit = new BigNumber(sellQuote.amountOut).minus(amount).minus(gasCost);
+
+      quoted.set(amount, {
+        ...opportunity,
+        amount,
+        expectedProfit: profit.toNumber(),
+        profitPercentage: profit.dividedBy(amount).multipliedBy(100).toNumber(),
+        buyPrice: buyQuote.amountOut,
+        sellPrice: sellQuote.amountOut
+      });
+      return profit;
+    }, { maxAmount });
+
+    const best = sized ? quoted.get(sized.amount) : undefined;
+    if (!best || best.expectedProfit <= 0) {
+      Logger.debug(`${opportunity.direction} round trip is not profitable at any size after gas`);
+      return null;
+    }
+    return best;
+  }
+
   /**
    * Check GALA → USDC arbitrage opportunities
    */
@@ -269,166 +348,55 @@ export class FixedArbitrageStrategy {
   }
 
   /**
-   * Execute GALA → USDC arbitrage
+   * Trade an opportunity through the executor, which guards both legs and
+   * recovers if the second one cannot fill
    */
-  private async executeGalaToUsdcArbitrage(opportunity: FixedArbitrageOpportunity): Promise<void> {
+  private async executeArbitrage(opportunity: FixedArbitrageOpportunity): Promise<void> {
     // Check if strategy is still running before starting execution
     if (!this.isRunning) {
-      Logger.info('🛑 Strategy stopped - aborting GALA→USDC arbitrage execution');
+      Logger.info(`🛑 Strategy stopped - aborting ${opportunity.direction} arbitrage execution`);
       return;
     }
 
-    Logger.info('🎯 Executing GALA→USDC arbitrage...');
+    const [tokenIn, via, label] = opportunity.direction === 'GALA_TO_USDC'
+      ? [COMMON_TOKENS.GALA, COMMON_TOKENS.GUSDC, 'GALA→USDC Arbitrage']
+      : [COMMON_TOKENS.GUSDC, COMMON_TOKENS.GALA, 'USDC→GALA Arbitrage'];
 
     try {
-      // Step 1: Buy USDC with GALA (get more USDC for GALA)
-      const buyResult = await this.bot.executeSwap({
-        tokenIn: COMMON_TOKENS.GALA,
-        tokenOut: COMMON_TOKENS.GUSDC,
+      // The second leg has to return the input, both legs' gas and the minimum profit
+      const gasCost = await this.bot.estimateGasCost(tokenIn, 2);
+      const minAmountOut = new BigNumber(opportunity.amount)
+        .multipliedBy(1 + this.config.minProfitThreshold / 100)
+        .plus(gasCost);
+
+      // Once started, the executor finishes or recovers even if the strategy is stopped
+      const execution = await this.executor.execute({
+        label,
+        tokenIn,
+        via,
         amountIn: opportunity.amount,
-        slippageTolerance: this.config.maxSlippage,
-        feeTier: opportunity.buyFeeTier
-      });
-
-      if (!buyResult.success) {
-        Logger.error('❌ Arbitrage buy leg failed:', buyResult.error);
-        return;
-      }
-
-      // Check if strategy was stopped during buy operation
-      if (!this.isRunning) {
-        Logger.info('🛑 Strategy stopped during arbitrage execution - aborting sell leg');
-        return;
-      }
-
-      // Step 2: Sell USDC for GALA (get less USDC for GALA)
-      const sellResult = await this.bot.executeSwap({
-        tokenIn: COMMON_TOKENS.GUSDC,
-        tokenOut: COMMON_TOKENS.GALA,
-        amountIn: buyResult.amountOut,
-        slippageTolerance: this.config.maxSlippage,
-        feeTier: opportunity.sellFeeTier
-      });
+        buyFeeTier: opportunity.buyFeeTier,
+        sellFeeTier: opportunity.sellFeeTier,
+        minAmountOut
+      }, { strategy: 'fixed', runId: this.runId });
 
-      if (!sellResult.success) {
-        Logger.error('❌ Arbitrage sell leg failed:', sellResult.error);
+      if (execution.status === 'skipped' || execution.status === 'failed') {
         return;
       }
 
-      // Check if strategy was stopped after sell operation
-      if (!this.isRunning) {
-        Logger.info('🛑 Strategy stopped after arbitrage completion - skipping profit calculation');
-        return;
-      }
-
-      // Calculate actual profit
-      const actualProfit = parseFloat(sellResult.amountOut) - parseFloat(opportunity.amount);
+      const actualProfit = execution.profit.toNumber();
       this.totalTrades++;
       this.totalProfit += actualProfit;
 
-      Logger.info('🎉 GALA→USDC Arbitrage completed!', {
-        buyTransaction: buyResult.transactionHash,
-        sellTransaction: sellResult.transactionHash,
+      Logger.info(`📊 ${label} ${execution.status}`, {
         expectedProfit: opportunity.expectedProfit.toFixed(6),
         actualProfit: actualProfit.toFixed(6),
         totalTrades: this.totalTrades,
         totalProfit: this.totalProfit.toFixed(6)
       });
 
-      // Add completed trade result to bot for web interface display
-      this.bot.addArbitrageResult({
-        type: 'GALA→USDC Arbitrage Completed',
-        amount: opportunity.amount,
-        profitPercentage: (actualProfit / parseFloat(opportunity.amount)) * 100,
-        expectedProfit: actualProfit.toFixed(6),
-        tokenIn: 'GALA',
-        tokenOut: 'USDC'
-      });
-
-    } catch (error) {
-      Logger.error('❌ GALA→USDC arbitrage execution error:', error instanceof Error ? error.message : String(error));
-    }
-  }
-
-  /**
-   * Execute USDC → GALA arbitrage
-   */
-  private async executeUsdcToGalaArbitrage(opportunity: FixedArbitrageOpportunity): Promise<void> {
-    // Check if strategy is still running before starting execution
-    if (!this.isRunning) {
-      Logger.info('🛑 Strategy stopped - aborting USDC→GALA arbitrage execution');
-      return;
-    }
-
-    Logger.info('🎯 Executing USDC→GALA arbitrage...');
-
-    try {
-      // Step 1: Buy GALA with USDC (get more GALA for USDC)
-      const buyResult = await this.bot.executeSwap({
-        tokenIn: COMMON_TOKENS.GUSDC,
-        tokenOut: COMMON_TOKENS.GALA,
-        amountIn: opportunity.amount,
-        slippageTolerance: this.config.maxSlippage,
-        feeTier: opportunity.buyFeeTier
-      });
-
-      if (!buyResult.success) {
-        Logger.error('❌ Arbitrage buy leg failed:', buyResult.error);
-        return;
-      }
-
-      // Check if strategy was stopped during buy operation
-      if (!this.isRunning) {
-        Logger.info('🛑 Strategy stopped during arbitrage execution - aborting sell leg');
-        return;
-      }
-
-      // Step 2: Sell GALA for USDC (get less GALA for USDC)
-      const sellResult = await this.bot.executeSwap({
-        tokenIn: COMMON_TOKENS.GALA,
-        tokenOut: COMMON_TOKENS.GUSDC,
-        amountIn: buyResult.amountOut,
-        slippageTolerance: this.config.maxSlippage,
-        feeTier: opportunity.sellFeeTier
-      });
-
-      if (!sellResult.success) {
-        Logger.error('❌ Arbitrage sell leg failed:', sellResult.error);
-        return;
-      }
-
-      // Check if strategy was stopped after sell operation
-      if (!this.isRunning) {
-        Logger.info('🛑 Strategy stopped after arbitrage completion - skipping profit calculation');
-        return;
-      }
-
-      // Calculate actual profit
-      const actualProfit = parseFloat(sellResult.amountOut) - parseFloat(opportunity.amount);
-      this.totalTrades++;
-      this.totalProfit += actualProfit;
-
-      Logger.info('🎉 USDC→GALA Arbitrage completed!', {
-        buyTransaction: buyResult.transactionHash,
-        sellTransaction: sellResult.transactionHash,
-        expectedProfit: opportunity.expectedProfit.toFixed(6),
-        actualProfit: actualProfit.toFixed(6),
-        totalTrades: this.totalTrades,
-        totalProfit: this.totalProfit.toFixed(6)
-      });
-
-      // Add completed trade result to bot for web interface display
-      this.bot.addArbitrageResult({
-        type: 'USDC→GALA Arbitrage Completed',
-        amount: opportunity.amount,
-        profitPercentage: (actualProfit / parseFloat(opportunity.amount)) * 100,
-        expectedProfit: actualProfit.toFixed(6),
-        tokenIn: 'USDC',
-        tokenOut: 'GALA'
-      });
-
     } catch (error) {
-      Logger.error('❌ USDC→GALA arbitrage execution error:', error instanceof Error ? error.message : String(error));
+      Logger.error(`❌ ${label} execution error:`, error instanceof Error ? error.message : String(error));
     }
   }
 
@@ -1,5 +1,6 @@
 import { CicadaBot } from '../CicadaBot';
 import { Logger } from '../utils/logger';
+import { Strategy, createRunId } from './StrategyRegistry';
 import { COMMON_TOKENS } from '../constants/tokens';
 // Simple lunar phase calculation without external dependencies
 function getMoonPhase(date: Date): number {
@@ -74,10 +75,11 @@ export interface LunarTradeSignal {
   recommendedAmount: string;
 }
 
-export class LunarPhaseStrategy {
+export class LunarPhaseStrategy implements Strategy {
   private bot: CicadaBot;
   private config: LunarPhaseConfig;
   private isRunning: boolean = false;
+  private runId: string = ''; // Recorded on every swap this run places
   private currentPosition: {
     tokenIn: string;
     tokenOut: string;
@@ -99,6 +101,7 @@ export class LunarPhaseStrategy {
    */
   async start(): Promise<void> {
     this.isRunning = true;
+    this.runId = this.runId || createRunId('lunar'); // Kept when resuming
     Logger.info('🌙 Starting Lunar Phase Strategy', {
       strategy: this.config.strategy,
       minTradeAmount: this.config.minTradeAmount,
@@ -125,6 +128,46 @@ export class LunarPhaseStrategy {
     Logger.info('🛑 Lunar Phase Strategy stopped');
   }
 
+  /**
+   * Get current strategy status
+   */
+  public getStatus(): any {
+    return {
+      isRunning: this.isRunning,
+      config: this.config,
+      currentPosition: this.currentPosition,
+      lastTradeDate: this.lastTradeDate,
+      strategyName: 'Lunar Phase Strategy'
+    };
+  }
+
+  /**
+   * Open position and last trade date, for persistence
+   */
+  public getState(): Record<string, any> {
+    return {
+      currentPosition: this.currentPosition
+        ? { ...this.currentPosition, entryDate: this.currentPosition.entryDate.toISOString() }
+        : null,
+      lastTradeDate: this.lastTradeDate ? this.lastTradeDate.toISOString() : null,
+      runId: this.runId
+    };
+  }
+
+  /**
+   * Restore a persisted position so its stop-loss and take-profit keep being managed
+   */
+  public restoreState(state: Record<string, any>): void {
+    if (state.currentPosition) {
+      this.currentPosition = {
+        ...state.currentPosition,
+        entryDate: new Date(state.currentPosition.entryDate)
+      };
+    }
+    this.lastTradeDate = state.lastTradeDate ? new Date(state.lastTradeDate) : null;
+    this.runId = state.runId || '';
+  }
+
   /**
    * Analyze current lunar phase and generate trading signals
    */
@@ -342,7 +385,9 @@ export class LunarPhaseStrategy {
       tokenIn: tokenPair.tokenIn,
       tokenOut: tokenPair.tokenOut,
       amountIn: signal.recommendedAmount,
-      slippageTolerance: this.config.maxSlippage
+      slippageTolerance: this.config.maxSlippage,
+      strategy: 'lunar',
+      runId: this.runId
     });
 
     if (result.success) {
@@ -397,7 +442,9 @@ export class LunarPhaseStrategy {
       tokenIn: tokenPair.tokenIn,
       tokenOut: tokenPair.tokenOut,
       amountIn: signal.recommendedAmount,
-      slippageTolerance: this.config.maxSlippage
+      slippageTolerance: this.config.maxSlippage,
+      strategy: 'lunar',
+      runId: this.runId
     });
 
     if (result.success) {
@@ -483,7 +530,9 @@ export class LunarPhaseStrategy {
         tokenIn: this.currentPosition.tokenOut,
         tokenOut: this.currentPosition.tokenIn,
         amountIn: this.currentPosition.amount,
-        slippageTolerance: this.config.maxSlippage
+        slippageTolerance: this.config.maxSlippage,
+        strategy: 'lunar',
+        runId: this.runId
       });
 
       if (result.success) {
@@ -1,5 +1,6 @@
 import { CicadaBot } from '../CicadaBot';
 import { Logger } from '../utils/logger';
+import { Strategy, createRunId } from './StrategyRegistry';
 import { COMMON_TOKENS, FEE_TIERS } from '../constants/tokens';
 
 export interface OptimizedArbitrageConfig {
@@ -19,10 +20,11 @@ export interface OptimizedArbitrageOpportunity {
   sellPrice: string;
 }
 
-export class OptimizedArbitrageStrategy {
+export class OptimizedArbitrageStrategy implements Strategy {
   private bot: CicadaBot;
   private config: OptimizedArbitrageConfig;
   private isRunning: boolean = false;
+  private runId: string = ''; // Recorded on every swap this run places
   private totalTrades: number = 0;
   private totalProfit: number = 0;
 
@@ -36,6 +38,7 @@ export class OptimizedArbitrageStrategy {
    */
   async start(): Promise<void> {
     this.isRunning = true;
+    this.runId = createRunId('optimized');
     Logger.info('🚀 Starting Optimized Arbitrage Strategy', {
       minProfitThreshold: this.config.minProfitThreshold,
       maxPositionSize: this.config.maxPositionSize
@@ -64,6 +67,27 @@ export class OptimizedArbitrageStrategy {
     });
   }
 
+  /**
+   * Get current strategy status
+   */
+  public getStatus(): any {
+    return {
+      isRunning: this.isRunning,
+      config: this.config,
+      totalTrades: this.totalTrades,
+      totalProfit: this.totalProfit,
+      strategyName: 'Optimized Arbitrage Strategy'
+    };
+  }
+
+  /**
+   * Update configuration
+   */
+  public updateConfig(newConfig: Partial<OptimizedArbitrageConfig>): void {
+    this.config = { ...this.config, ...newConfig };
+    Logger.info('⚙️ Optimized arbitrage configuration updated', this.config);
+  }
+
   /**
    * Check for arbitrage opportunities between working fee tiers
    */
@@ -205,7 +229,9 @@ export class OptimizedArbitrageStrategy {
         tokenOut: COMMON_TOKENS.GUSDC,
         amountIn: opportunity.amount,
         slippageTolerance: this.config.maxSlippage,
-        feeTier: opportunity.buyFeeTier
+        feeTier: opportunity.buyFeeTier,
+        strategy: 'optimized',
+        runId: this.runId
       });
 
       if (!buyResult.success) {
@@ -224,7 +250,9 @@ export class OptimizedArbitrageStrategy {
         tokenOut: COMMON_TOKENS.GALA,
         amountIn: buyResult.amountOut,
         slippageTolerance: this.config.maxSlippage,
-        feeTier: opportunity.sellFeeTier
+        feeTier: opportunity.sellFeeTier,
+        strategy: 'optimized',
+        runId: this.runId
       });
 
       if (!sellResult.success) {
@@ -1,6 +1,7 @@
 import { CicadaBot } from '../CicadaBot';
 import { Logger } from '../utils/logger';
-import { COMMON_TOKENS, FEE_TIERS } from '../constants/tokens';
+import { Strategy, createRunId } from './StrategyRegistry';
+import { COMMON_TOKENS, getFeeTierName } from '../constants/tokens';
 
 export interface PriceDifferenceConfig {
   minPriceDifference: number; // Minimum price difference percentage
@@ -9,10 +10,11 @@ export interface PriceDifferenceConfig {
   maxSlippage: number; // Maximum slippage tolerance
 }
 
-export class PriceDifferenceStrategy {
+export class PriceDifferenceStrategy implements Strategy {
   private bot: CicadaBot;
   private config: PriceDifferenceConfig;
   private isRunning: boolean = false;
+  private runId: string = ''; // Recorded on every swap this run places
   private totalTrades: number = 0;
   private totalProfit: number = 0;
 
@@ -26,6 +28,7 @@ export class PriceDifferenceStrategy {
    */
   async start(): Promise<void> {
     this.isRunning = true;
+    this.runId = createRunId('price-difference');
     Logger.info('🚀 Starting Price Difference Strategy', {
       minPriceDifference: this.config.minPriceDifference,
       maxPositionSize: this.config.maxPositionSize
@@ -54,6 +57,27 @@ export class PriceDifferenceStrategy {
     });
   }
 
+  /**
+   * Get current strategy status
+   */
+  public getStatus(): any {
+    return {
+      isRunning: this.isRunning,
+      config: this.config,
+      totalTrades: this.totalTrades,
+      totalProfit: this.totalProfit,
+      strategyName: 'Price Difference Strategy'
+    };
+  }
+
+  /**
+   * Update configuration
+   */
+  public updateConfig(newConfig: Partial<PriceDifferenceConfig>): void {
+    this.config = { ...this.config, ...newConfig };
+    Logger.info('⚙️ Price difference configuration updated', this.config);
+  }
+
   /**
    * Check for price differences between fee tiers
    */
@@ -65,36 +89,24 @@ export class PriceDifferenceStrategy {
     }
 
     try {
-      const workingFeeTiers = [
-        { tier: FEE_TIERS.LOW, name: '0.05%' },
-        { tier: FEE_TIERS.HIGH, name: '1.00%' }
-      ];
-
-      const quotes = [];
-
-      // Get quotes from working fee tiers
-      for (const { tier, name } of workingFeeTiers) {
-        try {
-          const quote = await this.bot.getQuote({
-            tokenIn: COMMON_TOKENS.GUSDC,
-            tokenOut: COMMON_TOKENS.GALA,
-            amountIn: testAmount,
-            slippageTolerance: this.config.maxSlippage,
-            feeTier: tier
-          });
-
-          quotes.push({
-            feeTier: tier,
-            name,
-            amountOut: quote.amountOut,
-            priceImpact: quote.priceImpact
-          });
-
-          Logger.debug(`✅ ${name} fee tier: ${quote.amountOut} GALA for 1 USDC`);
-
-        } catch (error) {
-          Logger.debug(`❌ ${name} fee tier failed:`, error instanceof Error ? error.message : String(error));
-        }
+      // Quote every fee tier at once
+      const quote = await this.bot.getQuote({
+        tokenIn: COMMON_TOKENS.GUSDC,
+        tokenOut: COMMON_TOKENS.GALA,
+        amountIn: testAmount,
+        slippageTolerance: this.config.maxSlippage,
+        feeTier: 'best'
+      });
+
+      const quotes = (quote.tierQuotes || [quote]).map(tierQuote => ({
+        feeTier: tierQuote.feeTier,
+        name: getFeeTierName(tierQuote.feeTier),
+        amountOut: tierQuote.amountOut,
+        priceImpact: tierQuote.priceImpact
+      }));
+
+      for (const { name, amountOut } of quotes) {
+        Logger.debug(`✅ ${name} fee tier: ${amountOut} GALA for 1 USDC`);
       }
 
       if (quotes.length < 2) {
@@ -153,7 +165,9 @@ export class PriceDifferenceStrategy {
         tokenOut: COMMON_TOKENS.GALA,
         amountIn: amount,
         slippageTolerance: this.config.maxSlippage,
-        feeTier: bestPrice.feeTier
+        feeTier: bestPrice.feeTier,
+        strategy: 'price-difference',
+        runId: this.runId
       });
 
       if (!result.success) {
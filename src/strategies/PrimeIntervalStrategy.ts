@@ -1,6 +1,7 @@
 import { CicadaBot } from '../CicadaBot';
 import { Logger } from '../utils/logger';
-import { COMMON_TOKENS, FEE_TIERS } from '../constants/tokens';
+import { Strategy, createRunId } from './StrategyRegistry';
+import { COMMON_TOKENS, FEE_TIERS, getFeeTierName } from '../constants/tokens';
 
 export interface PrimeIntervalConfig {
   tokenA: string; // First token (default: USDC)
@@ -11,14 +12,16 @@ export interface PrimeIntervalConfig {
   enabled: boolean; // Whether the strategy is enabled
 }
 
-export class PrimeCicadaStrategy {
+export class PrimeCicadaStrategy implements Strategy {
   private bot: CicadaBot;
   private config: PrimeIntervalConfig;
   private isRunning: boolean = false;
+  private runId: string = ''; // Recorded on every swap this run places
   private currentIntervalIndex: number = 0;
   private nextSwapTime: number = 0;
   private isBuyingTokenB: boolean = true; // Start by buying tokenB (GALA)
   private intervalTimer: NodeJS.Timeout | null = null;
+  private resumed: boolean = false; // Set by restoreState() so start() continues the sequence
 
   // Prime numbers in minutes for the intervals
   private readonly PRIME_INTERVALS = [3, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47, 53, 59, 61, 67, 71, 73, 79];
@@ -46,6 +49,28 @@ export class PrimeCicadaStrategy {
     }
 
     this.isRunning = true;
+    if (!this.resumed) {
+      this.runId = createRunId('prime');
+    }
+
+    if (this.resumed) {
+      this.resumed = false;
+      const delayMs = Math.max(0, this.nextSwapTime - Date.now());
+
+      Logger.info('🔁 Resuming Prime Cicada Strategy', {
+        currentInterval: this.currentIntervalIndex + 1,
+        primeNumber: this.PRIME_INTERVALS[this.currentIntervalIndex],
+        nextSwapTime: new Date(Date.now() + delayMs).toISOString(),
+        action: this.isBuyingTokenB ? 'BUY' : 'SELL'
+      });
+
+      // The pending swap keeps its original due time; overdue swaps run right away
+      this.intervalTimer = setTimeout(() => {
+        this.executeSwap();
+      }, delayMs);
+      return;
+    }
+
     this.currentIntervalIndex = 0;
     this.isBuyingTokenB = true;
     
@@ -117,7 +142,7 @@ export class PrimeCicadaStrategy {
       const tokenOut = this.isBuyingTokenB ? this.config.tokenB : this.config.tokenA;
       
       // Get current balance of the input token
-      const balance = await this.bot.getTokenBalance(tokenIn);
+      const balance = await this.bot.getStrategyBalance('prime', tokenIn);
       const balanceAmount = parseFloat(balance);
 
       Logger.info(`🔍 Balance check for ${this.getTokenSymbol(tokenIn)}:`, {
@@ -154,41 +179,28 @@ export class PrimeCicadaStrategy {
         slippageTolerance: parseFloat(swapAmount) > 100 ? 1.0 : this.config.slippageTolerance
       });
 
-      // Try to get a quote with working fee tiers
-      const workingFeeTiers = [
-        { tier: FEE_TIERS.LOW, name: '0.05%' },
-        { tier: FEE_TIERS.HIGH, name: '1.00%' }
-      ];
-
+      // Quote every fee tier and use the best one
       let quote = null;
-      let workingFeeTier = this.config.feeTier;
-
-      for (const { tier, name } of workingFeeTiers) {
-        try {
-          quote = await this.bot.getQuote({
-            tokenIn,
-            tokenOut,
-            amountIn: swapAmount,
-            feeTier: tier
-          });
-
-          if (quote && quote.amountOut && parseFloat(quote.amountOut) > 0) {
-            workingFeeTier = tier;
-            Logger.info(`📊 Quote received with ${name} fee tier: ${swapAmount} ${this.getTokenSymbol(tokenIn)} → ${quote.amountOut} ${this.getTokenSymbol(tokenOut)}`);
-            break;
-          }
-        } catch (quoteError) {
-          Logger.debug(`❌ ${name} fee tier failed: ${quoteError instanceof Error ? quoteError.message : String(quoteError)}`);
-        }
+      try {
+        quote = await this.bot.getQuote({
+          tokenIn,
+          tokenOut,
+          amountIn: swapAmount,
+          feeTier: 'best'
+        });
+        Logger.info(`📊 Quote received with ${getFeeTierName(quote.feeTier)} fee tier: ${swapAmount} ${this.getTokenSymbol(tokenIn)} → ${quote.amountOut} ${this.getTokenSymbol(tokenOut)}`);
+      } catch (quoteError) {
+        Logger.debug(`❌ No fee tier quoted: ${quoteError instanceof Error ? quoteError.message : String(quoteError)}`);
       }
 
       if (!quote || !quote.amountOut || parseFloat(quote.amountOut) <= 0) {
-        Logger.warn(`⚠️ No valid quote available for ${this.getTokenSymbol(tokenIn)} → ${this.getTokenSymbol(tokenOut)} with any working fee tier. Skipping this interval.`);
+        Logger.warn(`⚠️ No valid quote available for ${this.getTokenSymbol(tokenIn)} → ${this.getTokenSymbol(tokenOut)} with any fee tier. Skipping this interval.`);
         this.moveToNextInterval();
         return;
       }
+      const workingFeeTier = quote.feeTier;
 
-      // Execute the swap with the working fee tier
+      // Execute the swap with the best fee tier
       // Use higher slippage tolerance for large amounts to avoid transaction failures
       const slippageTolerance = parseFloat(swapAmount) > 100 ? 1.0 : this.config.slippageTolerance;
       
@@ -197,7 +209,9 @@ export class PrimeCicadaStrategy {
         tokenOut,
         amountIn: swapAmount,
         slippageTolerance: slippageTolerance,
-        feeTier: workingFeeTier
+        feeTier: workingFeeTier,
+        strategy: 'prime',
+        runId: this.runId
       });
 
       if (result.success) {
@@ -316,6 +330,31 @@ export class PrimeCicadaStrategy {
     Logger.info('⚙️ Prime Interval Strategy configuration updated', this.config);
   }
 
+  /**
+   * Position in the prime sequence and trade direction, for persistence
+   */
+  public getState(): Record<string, any> {
+    return {
+      currentIntervalIndex: this.currentIntervalIndex,
+      isBuyingTokenB: this.isBuyingTokenB,
+      nextSwapTime: this.nextSwapTime,
+      runId: this.runId
+    };
+  }
+
+  /**
+   * Restore a persisted position so start() continues the sequence
+   */
+  public restoreState(state: Record<string, any>): void {
+    if (typeof state.currentIntervalIndex !== 'number') return;
+
+    this.currentIntervalIndex = state.currentIntervalIndex % this.PRIME_INTERVALS.length;
+    this.isBuyingTokenB = state.isBuyingTokenB !== false;
+    this.nextSwapTime = Number(state.nextSwapTime) || 0;
+    this.runId = state.runId || createRunId('prime');
+    this.resumed = true;
+  }
+
   /**
    * Get the list of prime intervals
    */
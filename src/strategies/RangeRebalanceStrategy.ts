@@ -0,0 +1,467 @@
+import BigNumber from 'bignumber.js';
+import { CicadaBot } from '../CicadaBot';
+import { Logger } from '../utils/logger';
+import { Strategy, createRunId } from './StrategyRegistry';
+import { COMMON_TOKENS, FEE_TIERS, TICK_SPACINGS, getFeeTierName, getTokenSymbol } from '../constants/tokens';
+import { LiquidityPosition } from '../types';
+
+export interface RangeRebalanceConfig {
+  token0: string; // The pool's token0 (default: GALA); prices are token1 per token0
+  token1: string; // The pool's token1 (default: GUSDC)
+  feeTier: number;
+  amount0: string; // Deposited when opening the first position
+  amount1: string;
+  positionId: string; // Manage an existing position instead of opening one
+  rangeWidthPercent: number; // Total range width around the current price (10 = ±5%)
+  hysteresisPercent: number; // How far past a range edge the price must move before rebalancing
+  checkInterval: number; // ms between range checks
+  feeCollectionInterval: number; // ms between fee collections
+  slippageTolerance: number;
+  minRebalanceSwapPercent: number; // Skip the ratio swap when the imbalance is below this share of the value
+  enabled: boolean;
+}
+
+/**
+ * Keeps a concentrated-liquidity position centred on the pool price. When
+ * the price leaves the range by more than the hysteresis, the position is
+ * emptied, the tokens are swapped to the ratio a centred range needs, and
+ * liquidity is re-added around the current price. Fees are collected on
+ * their own schedule.
+ */
+export class RangeRebalanceStrategy implements Strategy {
+  private bot: CicadaBot;
+  private config: RangeRebalanceConfig;
+  private isRunning: boolean = false;
+  private runId: string = ''; // Recorded on every transaction this run places
+  private positionId: string = '';
+  private checkTimer: NodeJS.Timeout | null = null;
+  private feeTimer: NodeJS.Timeout | null = null;
+  private isBusy: boolean = false; // A check, rebalance or collection is in flight
+  private rebalanceCount: number = 0;
+  private lastCheckTime: number = 0;
+  private lastRebalanceTime: number = 0;
+  private lastFeeCollectionTime: number = 0;
+  private lastPosition: LiquidityPosition | null = null;
+  private resumed: boolean = false; // Set by restoreState() so start() keeps the position and counters
+
+  constructor(bot: CicadaBot, config: Partial<RangeRebalanceConfig> = {}) {
+    this.bot = bot;
+    this.config = {
+      token0: COMMON_TOKENS.GALA,
+      token1: COMMON_TOKENS.GUSDC,
+      feeTier: FEE_TIERS.MEDIUM,
+      amount0: '1000',
+      amount1: '15',
+      positionId: '',
+      rangeWidthPercent: 10,
+      hysteresisPercent: 1,
+      checkInterval: 60000, // 1 minute
+      feeCollectionInterval: 3600000, // 1 hour
+      slippageTolerance: 1.0,
+      minRebalanceSwapPercent: 1,
+      enabled: true,
+      ...config
+    };
+  }
+
+  private get pair(): string {
+    return `${getTokenSymbol(this.config.token0)}/${getTokenSymbol(this.config.token1)}`;
+  }
+
+  /**
+   * Start managing the position, opening one when there is none
+   */
+  async start(): Promise<void> {
+    if (!this.config.enabled) {
+      Logger.info('🔒 Range Rebalance Strategy is disabled');
+      return;
+    }
+
+    if (!TICK_SPACINGS[this.config.feeTier]) {
+      throw new Error(`Unsupported fee tier ${this.config.feeTier}`);
+    }
+    if (!(this.config.rangeWidthPercent > 0 && this.config.rangeWidthPercent < 200)) {
+      throw new Error('rangeWidthPercent must be between 0 and 200');
+    }
+
+    this.isRunning = true;
+    if (this.resumed) {
+      this.resumed = false;
+    } else {
+      this.runId = createRunId('range-rebalance');
+      this.positionId = this.config.positionId;
+      this.rebalanceCount = 0;
+      this.lastFeeCollectionTime = Date.now();
+    }
+
+    Logger.info('🚀 Starting Range Rebalance Strategy', {
+      pair: this.pair,
+      feeTier: getFeeTierName(this.config.feeTier),
+      positionId: this.positionId || 'new',
+      rangeWidthPercent: this.config.rangeWidthPercent,
+      hysteresisPercent: this.config.hysteresisPercent
+    });
+
+    await this.check();
+
+    // An overdue collection after a restart runs on the first tick
+    this.scheduleFeeCollection(Math.max(0, this.lastFeeCollectionTime + this.config.feeCollectionInterval - Date.now()));
+  }
+
+  /**
+   * Stop the timers. The position stays open.
+   */
+  stop(): void {
+    this.isRunning = false;
+    if (this.checkTimer) {
+      clearTimeout(this.checkTimer);
+      this.checkTimer = null;
+    }
+    if (this.feeTimer) {
+      clearTimeout(this.feeTimer);
+      this.feeTimer = null;
+    }
+    Logger.info('🛑 Range Rebalance Strategy stopped', { positionId: this.positionId || null });
+  }
+
+  private scheduleCheck(): void {
+    if (!this.isRunning) return;
+    this.checkTimer = setTimeout(() => this.check(), this.config.checkInterval);
+  }
+
+  private scheduleFeeCollection(delayMs: number = this.config.feeCollectionInterval): void {
+    if (!this.isRunning) return;
+    this.feeTimer = setTimeout(() => this.collectFees(), delayMs);
+  }
+
+  /**
+   * Open a position if there is none, otherwise rebalance it once the
+   * price has left the range by more than the hysteresis
+   */
+  private async check(): Promise<void> {
+    if (!this.isRunning || this.isBusy) {
+      this.scheduleCheck();
+      return;
+    }
+
+    this.isBusy = true;
+    this.lastCheckTime = Date.now();
+    try {
+      if (!this.positionId) {
+        await this.openPosition(this.config.amount0, this.config.amount1);
+        return;
+      }
+
+      const position = await this.bot.getLiquidityPosition(this.positionId);
+      if (!position) {
+        Logger.warn(`⚠️ Position ${this.positionId} no longer exists; opening a new one`);
+        this.positionId = '';
+        this.lastPosition = null;
+        await this.openPosition(this.config.amount0, this.config.amount1);
+        return;
+      }
+      this.lastPosition = position;
+
+      if (position.currentPrice === null) {
+        Logger.warn(`⚠️ Could not read the ${this.pair} pool price; skipping this check`);
+        return;
+      }
+
+      const price = new BigNumber(position.currentPrice);
+      const hysteresis = this.config.hysteresisPercent / 100;
+      const belowRange = price.isLessThan(new BigNumber(position.priceLower).multipliedBy(1 - hysteresis));
+      const aboveRange = price.isGreaterThan(new BigNumber(position.priceUpper).multipliedBy(1 + hysteresis));
+
+      if (belowRange || aboveRange) {
+        Logger.info(`📐 ${this.pair} price ${price.toPrecision(6)} left the range ${position.priceLower} – ${position.priceUpper}; rebalancing`);
+        await this.rebalance(position);
+      } else {
+        Logger.debug('Position within range', {
+          positionId: this.positionId,
+          price: position.currentPrice,
+          inRange: position.inRange
+        });
+      }
+    } catch (error) {
+      Logger.error('❌ Range check failed', {
+        error: error instanceof Error ? error.message : String(error),
+        positionId: this.positionId || null
+      });
+    } finally {
+      this.isBusy = false;
+      this.scheduleCheck();
+    }
+  }
+
+  /**
+   * Empty the position, swap to the centred ratio and re-add liquidity
+   */
+  private async rebalance(position: LiquidityPosition): Promise<void> {
+    const attribution = { strategy: 'range-rebalance', runId: this.runId };
+
+    const removed = await this.bot.removeLiquidity(position.positionId, 100, this.config.slippageTolerance, attribution);
+    if (!removed.success) {
+      this.reportFailure('Range Rebalance (FAILED)', `Remove liquidity failed: ${removed.error}`);
+      return;
+    }
+
+    let amount0 = new BigNumber(removed.amount0 || 0);
+    let amount1 = new BigNumber(removed.amount1 || 0);
+
+    // Fees owed come out with the liquidity
+    const collected = await this.bot.collectFees(position.positionId, attribution);
+    if (collected.success) {
+      amount0 = amount0.plus(collected.amount0 || 0);
+      amount1 = amount1.plus(collected.amount1 || 0);
+    } else {
+      Logger.warn(`⚠️ Fee collection for position ${position.positionId} failed; redeploying the withdrawn liquidity only`, { error: collected.error });
+    }
+
+    this.positionId = '';
+    this.lastPosition = null;
+    this.lastRebalanceTime = Date.now();
+
+    const { price } = await this.bot.getPoolTick(this.config.token0, this.config.token1, this.config.feeTier);
+    [amount0, amount1] = await this.swapToTargetRatio(amount0, amount1, new BigNumber(price));
+
+    const opened = await this.openPosition(amount0.toFixed(), amount1.toFixed());
+    if (opened) {
+      this.rebalanceCount++;
+      this.bot.addArbitrageResult({
+        type: 'Range Rebalance',
+        amount: `${amount0.toFixed(6)} ${getTokenSymbol(this.config.token0)} + ${amount1.toFixed(6)} ${getTokenSymbol(this.config.token1)}`,
+        profitPercentage: 0, // Rebalancing moves liquidity; fees are reported on collection
+        expectedProfit: '0',
+        tokenIn: getTokenSymbol(this.config.token0),
+        tokenOut: getTokenSymbol(this.config.token1),
+        action: 'REBALANCE',
+        previousPositionId: position.positionId,
+        positionId: this.positionId,
+        rebalanceCount: this.rebalanceCount
+      });
+    }
+  }
+
+  /**
+   * Swap the imbalance away so the holdings match the token ratio of a
+   * range centred on price. Returns the holdings after the swap.
+   */
+  private async swapToTargetRatio(amount0: BigNumber, amount1: BigNumber, price: BigNumber): Promise<[BigNumber, BigNumber]> {
+    const [priceLower, priceUpper] = this.rangePrices(price);
+    const sqrtPrice = price.sqrt();
+
+    // Token amounts per unit of liquidity, valued in token1
+    const value0 = new BigNumber(1).dividedBy(sqrtPrice).minus(new BigNumber(1).dividedBy(priceUpper.sqrt())).multipliedBy(price);
+    const value1 = sqrtPrice.minus(priceLower.sqrt());
+    const targetShare0 = value0.dividedBy(value0.plus(value1));
+
+    const totalValue = amount0.multipliedBy(price).plus(amount1);
+    const excessValue0 = amount0.multipliedBy(price).minus(totalValue.multipliedBy(targetShare0));
+
+    if (totalValue.isZero() || excessValue0.abs().isLessThan(totalValue.multipliedBy(this.config.minRebalanceSwapPercent / 100))) {
+      return [amount0, amount1];
+    }
+
+    const sellToken0 = excessValue0.isGreaterThan(0);
+    const tokenIn = sellToken0 ? this.config.token0 : this.config.token1;
+    const tokenOut = sellToken0 ? this.config.token1 : this.config.token0;
+    const amountIn = sellToken0 ? excessValue0.dividedBy(price) : excessValue0.negated();
+
+    Logger.info(`🔄 Swapping to the target ratio: ${amountIn.toFixed(6)} ${getTokenSymbol(tokenIn)} → ${getTokenSymbol(tokenOut)}`, {
+      targetShare0: targetShare0.toFixed(4)
+    });
+
+    const result = await this.bot.executeSwap({
+      tokenIn,
+      tokenOut,
+      amountIn: amountIn.toFixed(8, BigNumber.ROUND_DOWN),
+      slippageTolerance: this.config.slippageTolerance,
+      feeTier: 'best',
+      strategy: 'range-rebalance',
+      runId: this.runId
+    });
+
+    if (!result.success) {
+      // Re-add what is held; the position just won't be centred as well
+      Logger.warn('⚠️ Ratio swap failed; re-adding liquidity with the current holdings', { error: result.error });
+      return [amount0, amount1];
+    }
+
+    return sellToken0
+      ? [amount0.minus(result.amountIn), amount1.plus(result.amountOut)]
+      : [amount0.plus(result.amountOut), amount1.minus(result.amountIn)];
+  }
+
+  /**
+   * Open a position centred on the current pool price
+   */
+  private async openPosition(amount0: string, amount1: string): Promise<boolean> {
+    const { price } = await this.bot.getPoolTick(this.config.token0, this.config.token1, this.config.feeTier);
+    const [priceLower, priceUpper] = this.rangePrices(new BigNumber(price));
+
+    const tickLower = this.bot.calculateTickForPrice(priceLower.toFixed(), this.config.feeTier);
+    let tickUpper = this.bot.calculateTickForPrice(priceUpper.toFixed(), this.config.feeTier);
+    if (tickUpper <= tickLower) {
+      tickUpper = tickLower + TICK_SPACINGS[this.config.feeTier];
+    }
+
+    const result = await this.bot.addLiquidity({
+      token0: this.config.token0,
+      token1: this.config.token1,
+      fee: this.config.feeTier,
+      tickLower,
+      tickUpper,
+      amount0Desired: amount0,
+      amount1Desired: amount1,
+      slippageTolerance: this.config.slippageTolerance,
+      strategy: 'range-rebalance',
+      runId: this.runId
+    });
+
+    if (!result.success) {
+      this.reportFailure('Range Position (FAILED)', `Add liquidity failed: ${result.error}`);
+      return false;
+    }
+    if (!result.positionId) {
+      // Without an ID the next check would open a second position
+      this.stop();
+      this.reportFailure('Range Position (FAILED)', 'Liquidity was added but the new position could not be found; strategy stopped');
+      return false;
+    }
+
+    this.positionId = result.positionId;
+    Logger.info(`✅ Opened ${this.pair} position ${this.positionId}`, { tickLower, tickUpper, price });
+    this.bot.addArbitrageResult({
+      type: 'Range Position Opened',
+      amount: `${amount0} ${getTokenSymbol(this.config.token0)} + ${amount1} ${getTokenSymbol(this.config.token1)}`,
+      profitPercentage: 0,
+      expectedProfit: '0',
+      tokenIn: getTokenSymbol(this.config.token0),
+      tokenOut: getTokenSymbol(this.config.token1),
+      action: 'OPEN',
+      positionId: this.positionId,
+      tickLower,
+      tickUpper
+    });
+    return true;
+  }
+
+  /**
+   * Collect the managed position's fees, then schedule the next collection
+   */
+  private async collectFees(): Promise<void> {
+    if (!this.isRunning) return;
+
+    if (this.isBusy || !this.positionId) {
+      // Try again after the next check instead of waiting a full interval
+      this.scheduleFeeCollection(this.config.checkInterval);
+      return;
+    }
+
+    this.isBusy = true;
+    try {
+      const position = await this.bot.getLiquidityPosition(this.positionId);
+      if (position && (new BigNumber(position.tokensOwed0).isGreaterThan(0) || new BigNumber(position.tokensOwed1).isGreaterThan(0))) {
+        const result = await this.bot.collectFees(this.positionId, { strategy: 'range-rebalance', runId: this.runId });
+        if (result.success) {
+          this.bot.addArbitrageResult({
+            type: 'Range Fees Collected',
+            amount: `${result.amount0} ${getTokenSymbol(this.config.token0)} + ${result.amount1} ${getTokenSymbol(this.config.token1)}`,
+            profitPercentage: 0,
+            expectedProfit: `${result.amount0} ${getTokenSymbol(this.config.token0)} + ${result.amount1} ${getTokenSymbol(this.config.token1)}`,
+            tokenIn: getTokenSymbol(this.config.token0),
+            tokenOut: getTokenSymbol(this.config.token1),
+            action: 'COLLECT',
+            positionId: this.positionId
+          });
+        } else {
+          this.reportFailure('Range Fees Collected (FAILED)', `Fee collection failed: ${result.error}`);
+        }
+      } else {
+        Logger.debug('No fees to collect', { positionId: this.positionId });
+      }
+      this.lastFeeCollectionTime = Date.now();
+    } catch (error) {
+      Logger.error('❌ Fee collection failed', {
+        error: error instanceof Error ? error.message : String(error),
+        positionId: this.positionId
+      });
+    } finally {
+      this.isBusy = false;
+      this.scheduleFeeCollection();
+    }
+  }
+
+  /**
+   * Range bounds rangeWidthPercent wide, centred on price
+   */
+  private rangePrices(price: BigNumber): [BigNumber, BigNumber] {
+    const halfWidth = this.config.rangeWidthPercent / 200;
+    return [price.multipliedBy(1 - halfWidth), price.multipliedBy(1 + halfWidth)];
+  }
+
+  private reportFailure(type: string, error: string): void {
+    Logger.error(`❌ ${error}`, { pair: this.pair, positionId: this.positionId || null });
+    this.bot.addArbitrageResult({
+      type,
+      amount: '0',
+      profitPercentage: 0,
+      expectedProfit: '0',
+      tokenIn: getTokenSymbol(this.config.token0),
+      tokenOut: getTokenSymbol(this.config.token1),
+      error
+    });
+  }
+
+  /**
+   * Get current strategy status
+   */
+  public getStatus() {
+    return {
+      isRunning: this.isRunning,
+      positionId: this.positionId || null,
+      position: this.lastPosition,
+      rebalanceCount: this.rebalanceCount,
+      lastCheckTime: this.lastCheckTime ? new Date(this.lastCheckTime) : null,
+      lastRebalanceTime: this.lastRebalanceTime ? new Date(this.lastRebalanceTime) : null,
+      nextFeeCollectionTime: new Date(this.lastFeeCollectionTime + this.config.feeCollectionInterval),
+      config: this.config,
+      strategyName: 'Range Rebalance Strategy'
+    };
+  }
+
+  /**
+   * Update configuration
+   */
+  public updateConfig(newConfig: Partial<RangeRebalanceConfig>): void {
+    this.config = { ...this.config, ...newConfig };
+    Logger.info('⚙️ Range Rebalance Strategy configuration updated', this.config);
+  }
+
+  /**
+   * The managed position and counters, for persistence
+   */
+  public getState(): Record<string, any> {
+    return {
+      positionId: this.positionId,
+      rebalanceCount: this.rebalanceCount,
+      lastRebalanceTime: this.lastRebalanceTime,
+      lastFeeCollectionTime: this.lastFeeCollectionTime,
+      runId: this.runId
+    };
+  }
+
+  /**
+   * Restore a persisted position so start() keeps managing it
+   */
+  public restoreState(state: Record<string, any>): void {
+    if (typeof state.positionId !== 'string') return;
+
+    this.positionId = state.positionId;
+    this.rebalanceCount = Number(state.rebalanceCount) || 0;
+    this.lastRebalanceTime = Number(state.lastRebalanceTime) || 0;
+    this.lastFeeCollectionTime = Number(state.lastFeeCollectionTime) || Date.now();
+    this.runId = state.runId || createRunId('range-rebalance');
+    this.resumed = true;
+  }
+}
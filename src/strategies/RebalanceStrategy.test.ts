@@ -0,0 +1,65 @@
+import { describe, expect, it } from '@jest/globals';
+import { RebalanceStrategy, planRebalance } from './RebalanceStrategy';
+
+describe('planRebalance', () => {
+  it('plans nothing when there is nothing to rebalance', () => {
+    expect(planRebalance([], 1)).toEqual([]);
+    expect(planRebalance([{ token: 'GALA', excessUsd: 0 }, { token: 'USDC', excessUsd: 0 }], 1)).toEqual([]);
+  });
+
+  it('plans nothing when every token is off target in the same direction', () => {
+    // Stale or rounded weights can leave no seller for a buyer, or the reverse
+    expect(planRebalance([{ token: 'GALA', excessUsd: 50 }, { token: 'USDC', excessUsd: 20 }], 1)).toEqual([]);
+    expect(planRebalance([{ token: 'GALA', excessUsd: -50 }, { token: 'USDC', excessUsd: -20 }], 1)).toEqual([]);
+  });
+
+  it('plans nothing when every leg is under minTradeUsd', () => {
+    expect(planRebalance([{ token: 'GALA', excessUsd: 4.99 }, { token: 'USDC', excessUsd: -4.99 }], 5)).toEqual([]);
+  });
+
+  it('swaps the smaller gap between the most overweight and most underweight tokens', () => {
+    expect(planRebalance([
+      { token: 'GALA', excessUsd: 100 },
+      { token: 'ETH', excessUsd: -30 },
+      { token: 'USDC', excessUsd: -70 }
+    ], 1)).toEqual([
+      { tokenIn: 'GALA', tokenOut: 'USDC', valueUsd: 70 },
+      { tokenIn: 'GALA', tokenOut: 'ETH', valueUsd: 30 }
+    ]);
+  });
+
+  it('takes at most one swap fewer than the tokens off target, each token on one side only', () => {
+    const swaps = planRebalance([
+      { token: 'A', excessUsd: 40 },
+      { token: 'B', excessUsd: 25 },
+      { token: 'C', excessUsd: -35 },
+      { token: 'D', excessUsd: -30 }
+    ], 1);
+
+    expect(swaps.length).toBeLessThanOrEqual(3);
+    const sold = new Set(swaps.map(swap => swap.tokenIn));
+    expect(swaps.some(swap => sold.has(swap.tokenOut))).toBe(false);
+    expect(swaps.reduce((sum, swap) => sum + swap.valueUsd, 0)).toBe(65);
+  });
+
+  it('skips only the legs under minTradeUsd', () => {
+    expect(planRebalance([
+      { token: 'GALA', excessUsd: 52 },
+      { token: 'USDC', excessUsd: -50 },
+      { token: 'ETH', excessUsd: -2 }
+    ], 5)).toEqual([{ tokenIn: 'GALA', tokenOut: 'USDC', valueUsd: 50 }]);
+  });
+});
+
+describe('RebalanceStrategy.validateWeights', () => {
+  it('accepts weights that add up to 100 within rounding', () => {
+    expect(() => RebalanceStrategy.validateWeights({ GALA: 33.33, USDC: 33.33, ETH: 33.34 })).not.toThrow();
+    expect(() => RebalanceStrategy.validateWeights({ GALA: 50, USDC: 50.005 })).not.toThrow();
+  });
+
+  it('rejects fewer than two tokens, non-positive weights and totals off 100', () => {
+    expect(() => RebalanceStrategy.validateWeights({ GALA: 100 })).toThrow('at least two tokens');
+    expect(() => RebalanceStrategy.validateWeights({ GALA: 100, USDC: 0 })).toThrow('positive percentage');
+    expect(() => RebalanceStrategy.validateWeights({ GALA: 60, USDC: 50 })).toThrow('add up to 110%');
+  });
+});
@@ -0,0 +1,381 @@
+import BigNumber from 'bignumber.js';
+import { CicadaBot } from '../CicadaBot';
+import { Logger } from '../utils/logger';
+import { Strategy, createRunId } from './StrategyRegistry';
+import { COMMON_TOKENS, getTokenSymbol } from '../constants/tokens';
+import { normalizeSymbol } from '../pricing/PriceOracle';
+
+export interface RebalanceConfig {
+  targetWeights: Record<string, number>; // Token class key → % of the portfolio's USD value; must add up to 100
+  rebalanceInterval: number; // ms between scheduled rebalances; 0 rebalances on drift only
+  driftBandPercent: number; // Rebalance early once a token's weight is this many points off target; 0 keeps to the schedule
+  checkInterval: number; // ms between weight checks
+  minTradeUsd: number; // Skip swaps worth less than this
+  slippageTolerance: number;
+  enabled: boolean;
+}
+
+/**
+ * One token's place in the portfolio at the last check
+ */
+export interface TokenWeight {
+  token: string;
+  symbol: string;
+  balance: string;
+  priceUsd: number;
+  valueUsd: number;
+  weight: number; // % of the portfolio's USD value
+  target: number; // %
+}
+
+/**
+ * A swap moving valueUsd from an overweight token to an underweight one
+ */
+export interface RebalanceSwap {
+  tokenIn: string;
+  tokenOut: string;
+  valueUsd: number;
+}
+
+/**
+ * Holds the portfolio at fixed target weights, valued in USD at oracle
+ * prices. Only the tokens with a target are managed; their balances are
+ * what the 'rebalance' strategy may spend, so a budget confines it to part
+ * of the wallet. Each check measures the weights and rebalances when the
+ * schedule is due or a weight has drifted outside the band. Each swap sells
+ * an overweight token straight into an underweight one through the router,
+ * which passes through GUSDC when the pair has no pool of its own.
+ */
+export class RebalanceStrategy implements Strategy {
+  private bot: CicadaBot;
+  private config: RebalanceConfig;
+  private isRunning: boolean = false;
+  private runId: string = ''; // Recorded on every transaction this run places
+  private checkTimer: NodeJS.Timeout | null = null;
+  private isBusy: boolean = false; // A check or rebalance is in flight
+  private rebalanceCount: number = 0;
+  private lastCheckTime: number = 0;
+  private lastRebalanceTime: number = 0;
+  private weights: TokenWeight[] = [];
+  private totalValueUsd: number = 0;
+  private resumed: boolean = false; // Set by restoreState() so start() keeps the counters
+
+  constructor(bot: CicadaBot, config: Partial<RebalanceConfig> = {}) {
+    this.bot = bot;
+    this.config = {
+      targetWeights: {
+        [COMMON_TOKENS.GALA]: 50,
+        [COMMON_TOKENS.GUSDC]: 30,
+        [COMMON_TOKENS.GETH]: 20
+      },
+      rebalanceInterval: 86400000, // 1 day
+      driftBandPercent: 5,
+      checkInterval: 300000, // 5 minutes
+      minTradeUsd: 5,
+      slippageTolerance: 1.0,
+      enabled: true,
+      ...config
+    };
+  }
+
+  /**
+   * Check the weights now, then on every checkInterval
+   */
+  async start(): Promise<void> {
+    if (!this.config.enabled) {
+      Logger.info('🔒 Rebalance Strategy is disabled');
+      return;
+    }
+
+    RebalanceStrategy.validateWeights(this.config.targetWeights);
+    if (!(this.config.rebalanceInterval > 0) && !(this.config.driftBandPercent > 0)) {
+      throw new Error('Set rebalanceInterval, driftBandPercent or both');
+    }
+
+    this.isRunning = true;
+    if (this.resumed) {
+      this.resumed = false;
+    } else {
+      this.runId = createRunId('rebalance');
+      this.rebalanceCount = 0;
+    }
+
+    Logger.info('🚀 Starting Rebalance Strategy', {
+      targets: this.describeTargets(),
+      rebalanceInterval: this.config.rebalanceInterval,
+      driftBandPercent: this.config.driftBandPercent
+    });
+
+    await this.check();
+  }
+
+  stop(): void {
+    this.isRunning = false;
+    if (this.checkTimer) {
+      clearTimeout(this.checkTimer);
+      this.checkTimer = null;
+    }
+    Logger.info('🛑 Rebalance Strategy stopped', { rebalanceCount: this.rebalanceCount });
+  }
+
+  private scheduleCheck(): void {
+    if (!this.isRunning) return;
+    this.checkTimer = setTimeout(() => this.check(), this.config.checkInterval);
+  }
+
+  /**
+   * Measure the weights and rebalance when the schedule is due or a weight
+   * has left the band
+   */
+  private async check(): Promise<void> {
+    if (!this.isRunning || this.isBusy) {
+      this.scheduleCheck();
+      return;
+    }
+
+    this.isBusy = true;
+    this.lastCheckTime = Date.now();
+    try {
+      if (!(await this.measure())) return;
+      if (this.totalValueUsd <= 0) {
+        Logger.warn('⚠️ Nothing to rebalance: the target tokens are worth $0');
+        return;
+      }
+
+      const drift = Math.max(...this.weights.map(weight => Math.abs(weight.weight - weight.target)));
+      const due = this.config.rebalanceInterval > 0 && Date.now() - this.lastRebalanceTime >= this.config.rebalanceInterval;
+      const drifted = this.config.driftBandPercent > 0 && drift > this.config.driftBandPercent;
+
+      if (due || drifted) {
+        Logger.info(`⚖️ Rebalancing: ${drifted ? `weights drifted up to ${drift.toFixed(2)} points` : 'scheduled rebalance due'}`, {
+          weights: this.describeWeights()
+        });
+        await this.rebalance();
+      } else {
+        Logger.debug('Portfolio within its band', { drift: drift.toFixed(2), weights: this.describeWeights() });
+      }
+    } catch (error) {
+      Logger.error('❌ Rebalance check failed', {
+        error: error instanceof Error ? error.message : String(error)
+      });
+    } finally {
+      this.isBusy = false;
+      this.scheduleCheck();
+    }
+  }
+
+  /**
+   * Value each target token in USD. Returns false, leaving the previous
+   * weights, when a token has no live price: trading on a stale or fallback
+   * price would rebalance towards a number nobody quoted.
+   */
+  private async measure(): Promise<boolean> {
+    const tokens = Object.keys(this.config.targetWeights);
+    const oraclePrices = await this.bot.getPriceOracle().getPrices(tokens);
+    const prices: Record<string, number> = {};
+    const unpriced: string[] = [];
+    for (const token of tokens) {
+      const price = oraclePrices[normalizeSymbol(token)];
+      if (price && price.price !== null && price.price > 0 && !price.stale && !price.fallback) {
+        prices[token] = price.price;
+      } else {
+        unpriced.push(`${getTokenSymbol(token)} (${!price || price.price === null ? 'no price' : price.fallback ? 'fallback' : 'stale'})`);
+      }
+    }
+    if (unpriced.length > 0) {
+      Logger.warn(`⚠️ No live USD price for ${unpriced.join(', ')}; skipping this check`);
+      return false;
+    }
+
+    const holdings = await Promise.all(tokens.map(async token => {
+      const balance = await this.bot.getStrategyBalance('rebalance', token);
+      return { token, balance, valueUsd: parseFloat(balance) * prices[token] };
+    }));
+    this.totalValueUsd = holdings.reduce((sum, holding) => sum + holding.valueUsd, 0);
+    this.weights = holdings.map(({ token, balance, valueUsd }) => ({
+      token,
+      symbol: getTokenSymbol(token),
+      balance,
+      priceUsd: prices[token],
+      valueUsd,
+      weight: this.totalValueUsd > 0 ? (valueUsd / this.totalValueUsd) * 100 : 0,
+      target: this.config.targetWeights[token]
+    }));
+    return true;
+  }
+
+  /**
+   * Place the swaps that bring every weight back to its target
+   */
+  private async rebalance(): Promise<void> {
+    const swaps = planRebalance(
+      this.weights.map(weight => ({ token: weight.token, excessUsd: weight.valueUsd - this.totalValueUsd * weight.target / 100 })),
+      this.config.minTradeUsd
+    );
+    if (swaps.length === 0) {
+      Logger.info(`⚖️ Every imbalance is under $${this.config.minTradeUsd}; nothing to swap`);
+      this.lastRebalanceTime = Date.now();
+      return;
+    }
+
+    let failed = 0;
+    for (const swap of swaps) {
+      if (!this.isRunning) return;
+
+      const holding = this.weights.find(weight => weight.token === swap.tokenIn) as TokenWeight;
+      const amountIn = BigNumber.min(new BigNumber(swap.valueUsd).dividedBy(holding.priceUsd), holding.balance)
+        .toFixed(8, BigNumber.ROUND_DOWN);
+
+      Logger.info(`🔄 Rebalance swap: ${amountIn} ${getTokenSymbol(swap.tokenIn)} → ${getTokenSymbol(swap.tokenOut)} (~$${swap.valueUsd.toFixed(2)})`);
+      const result = await this.bot.executeSwap({
+        tokenIn: swap.tokenIn,
+        tokenOut: swap.tokenOut,
+        amountIn,
+        feeTier: 'route',
+        slippageTolerance: this.config.slippageTolerance,
+        strategy: 'rebalance',
+        runId: this.runId
+      });
+
+      if (result.success) {
+        this.bot.addArbitrageResult({
+          type: 'Rebalance',
+          amount: `${result.amountIn} ${getTokenSymbol(swap.tokenIn)}`,
+          profitPercentage: 0, // Rebalancing moves value between tokens
+          expectedProfit: '0',
+          tokenIn: getTokenSymbol(swap.tokenIn),
+          tokenOut: getTokenSymbol(swap.tokenOut),
+          amountOut: result.amountOut,
+          valueUsd: swap.valueUsd.toFixed(2),
+          action: 'REBALANCE'
+        });
+      } else {
+        failed++;
+        Logger.error(`❌ Rebalance swap failed: ${result.error}`);
+        this.bot.addArbitrageResult({
+          type: 'Rebalance (FAILED)',
+          amount: `${amountIn} ${getTokenSymbol(swap.tokenIn)}`,
+          profitPercentage: 0,
+          expectedProfit: '0',
+          tokenIn: getTokenSymbol(swap.tokenIn),
+          tokenOut: getTokenSymbol(swap.tokenOut),
+          error: result.error
+        });
+      }
+    }
+
+    // A failed swap is retried on the next check if the drift is still over the band
+    this.lastRebalanceTime = Date.now();
+    this.rebalanceCount++;
+    await this.measure();
+    Logger.info(`✅ Rebalance ${this.rebalanceCount} done: ${swaps.length - failed}/${swaps.length} swaps filled`, {
+      weights: this.describeWeights()
+    });
+  }
+
+  private describeTargets(): string {
+    return Object.entries(this.config.targetWeights)
+      .map(([token, target]) => `${getTokenSymbol(token)} ${target}%`)
+      .join(' / ');
+  }
+
+  private describeWeights(): string {
+    return this.weights
+      .map(weight => `${weight.symbol} ${weight.weight.toFixed(1)}%/${weight.target}%`)
+      .join(', ');
+  }
+
+  /**
+   * Get current strategy status
+   */
+  public getStatus() {
+    return {
+      isRunning: this.isRunning,
+      totalValueUsd: this.totalValueUsd,
+      weights: this.weights,
+      rebalanceCount: this.rebalanceCount,
+      lastCheckTime: this.lastCheckTime ? new Date(this.lastCheckTime) : null,
+      lastRebalanceTime: this.lastRebalanceTime ? new Date(this.lastRebalanceTime) : null,
+      nextRebalanceTime: this.config.rebalanceInterval > 0 ? new Date(this.lastRebalanceTime + this.config.rebalanceInterval) : null,
+      config: this.config,
+      strategyName: 'Rebalance Strategy'
+    };
+  }
+
+  /**
+   * Update configuration. Throws when the new target weights are invalid.
+   */
+  public updateConfig(newConfig: Partial<RebalanceConfig>): void {
+    if (newConfig.targetWeights) {
+      RebalanceStrategy.validateWeights(newConfig.targetWeights);
+    }
+    this.config = { ...this.config, ...newConfig };
+    Logger.info('⚙️ Rebalance Strategy configuration updated', this.config);
+  }
+
+  /**
+   * Counters and the last rebalance time, for persistence
+   */
+  public getState(): Record<string, any> {
+    return {
+      rebalanceCount: this.rebalanceCount,
+      lastRebalanceTime: this.lastRebalanceTime,
+      runId: this.runId
+    };
+  }
+
+  /**
+   * Restore the counters so a restart does not rebalance ahead of schedule
+   */
+  public restoreState(state: Record<string, any>): void {
+    this.rebalanceCount = Number(state.rebalanceCount) || 0;
+    this.lastRebalanceTime = Number(state.lastRebalanceTime) || 0;
+    this.runId = state.runId || createRunId('rebalance');
+    this.resumed = true;
+  }
+
+  /**
+   * Throw unless every weight is positive and they add up to 100
+   */
+  public static validateWeights(targetWeights: Record<string, number>): void {
+    const weights = Object.values(targetWeights || {});
+    if (weights.length < 2) {
+      throw new Error('targetWeights needs at least two tokens');
+    }
+    if (weights.some(weight => typeof weight !== 'number' || !(weight > 0))) {
+      throw new Error('Every target weight must be a positive percentage');
+    }
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (Math.abs(total - 100) > 0.01) {
+      throw new Error(`Target weights add up to ${total}%, not 100%`);
+    }
+  }
+}
+
+/**
+ * The fewest swaps that clear the imbalances: the most overweight token
+ * sells into the most underweight one until either is square, then the next
+ * pair, which takes at most one swap fewer than the tokens off target.
+ * Legs worth less than minTradeUsd are left alone.
+ */
+export function planRebalance(imbalances: { token: string; excessUsd: number }[], minTradeUsd: number): RebalanceSwap[] {
+  const sellers = imbalances.filter(entry => entry.excessUsd > 0).map(entry => ({ ...entry }))
+    .sort((a, b) => b.excessUsd - a.excessUsd);
+  const buyers = imbalances.filter(entry => entry.excessUsd < 0).map(entry => ({ token: entry.token, deficitUsd: -entry.excessUsd }))
+    .sort((a, b) => b.deficitUsd - a.deficitUsd);
+
+  const swaps: RebalanceSwap[] = [];
+  let s = 0;
+  let b = 0;
+  while (s < sellers.length && b < buyers.length) {
+    const valueUsd = Math.min(sellers[s].excessUsd, buyers[b].deficitUsd);
+    if (valueUsd >= minTradeUsd) {
+      swaps.push({ tokenIn: sellers[s].token, tokenOut: buyers[b].token, valueUsd });
+    }
+    sellers[s].excessUsd -= valueUsd;
+    buyers[b].deficitUsd -= valueUsd;
+    if (sellers[s].excessUsd <= 0) s++;
+    if (buyers[b].deficitUsd <= 0) b++;
+  }
+  return swaps;
+}
@@ -1,6 +1,7 @@
 import { CicadaBot } from '../CicadaBot';
 import { Logger } from '../utils/logger';
-import { COMMON_TOKENS, FEE_TIERS } from '../constants/tokens';
+import { Strategy, createRunId } from './StrategyRegistry';
+import { COMMON_TOKENS, getFeeTierName } from '../constants/tokens';
 
 export interface SimpleArbitrageConfig {
   minProfitThreshold: number; // Minimum profit percentage
@@ -17,10 +18,11 @@ export interface SimpleArbitrageOpportunity {
   sellFeeTier: number;
 }
 
-export class SimpleArbitrageStrategy {
+export class SimpleArbitrageStrategy implements Strategy {
   private bot: CicadaBot;
   private config: SimpleArbitrageConfig;
   private isRunning: boolean = false;
+  private runId: string = ''; // Recorded on every swap this run places
 
   constructor(bot: CicadaBot, config: SimpleArbitrageConfig) {
     this.bot = bot;
@@ -32,6 +34,7 @@ export class SimpleArbitrageStrategy {
    */
   async start(): Promise<void> {
     this.isRunning = true;
+    this.runId = createRunId('simple');
     Logger.info('🚀 Starting Simple Arbitrage Strategy', {
       minProfitThreshold: this.config.minProfitThreshold,
       maxPositionSize: this.config.maxPositionSize
@@ -64,6 +67,25 @@ export class SimpleArbitrageStrategy {
     Logger.info('🛑 Simple Arbitrage Strategy stopped');
   }
 
+  /**
+   * Get current strategy status
+   */
+  public getStatus(): any {
+    return {
+      isRunning: this.isRunning,
+      config: this.config,
+      strategyName: 'Simple Arbitrage Strategy'
+    };
+  }
+
+  /**
+   * Update configuration
+   */
+  public updateConfig(newConfig: Partial<SimpleArbitrageConfig>): void {
+    this.config = { ...this.config, ...newConfig };
+    Logger.info('⚙️ Simple arbitrage configuration updated', this.config);
+  }
+
   /**
    * Check for arbitrage opportunities
    */
@@ -122,7 +144,7 @@ export class SimpleArbitrageStrategy {
           amountOut: '0', // Will be updated after execution
           feeTier: opportunity.buyFeeTier,
           status: 'pending',
-          strategy: 'Simple Arbitrage',
+          strategy: 'simple',
           profit: opportunity.expectedProfit.toString()
         });
 
@@ -148,40 +170,29 @@ export class SimpleArbitrageStrategy {
     amountOut: string;
     priceImpact: string;
   }>> {
-    const feeTiers = [
-      { tier: FEE_TIERS.LOW, name: '0.05%' },
-      { tier: FEE_TIERS.MEDIUM, name: '0.30%' },
-      { tier: FEE_TIERS.HIGH, name: '1.00%' }
-    ];
-
-    const quotes = [];
-
-    for (const { tier, name } of feeTiers) {
-      try {
-        const quote = await this.bot.getQuote({
-          tokenIn: COMMON_TOKENS.GALA,
-          tokenOut: COMMON_TOKENS.GUSDC,
-          amountIn: amount,
-          slippageTolerance: this.config.maxSlippage,
-          feeTier: tier
-        });
+    try {
+      const quote = await this.bot.getQuote({
+        tokenIn: COMMON_TOKENS.GALA,
+        tokenOut: COMMON_TOKENS.GUSDC,
+        amountIn: amount,
+        slippageTolerance: this.config.maxSlippage,
+        feeTier: 'best'
+      });
 
-        quotes.push({
-          feeTier: tier,
+      return (quote.tierQuotes || [quote]).map(tierQuote => {
+        const name = getFeeTierName(tierQuote.feeTier);
+        Logger.debug(`✅ ${name} fee tier quote: ${tierQuote.amountOut} USDC`);
+        return {
+          feeTier: tierQuote.feeTier,
           name,
-          amountOut: quote.amountOut,
-          priceImpact: quote.priceImpact
-        });
-
-        Logger.debug(`✅ ${name} fee tier quote: ${quote.amountOut} USDC`);
-
-      } catch (error) {
-        Logger.debug(`❌ ${name} fee tier not available:`, error instanceof Error ? error.message : String(error));
-        // Continue with other fee tiers
-      }
+          amountOut: tierQuote.amountOut,
+          priceImpact: tierQuote.priceImpact
+        };
+      });
+    } catch (error) {
+      Logger.debug('❌ No fee tier available:', error instanceof Error ? error.message : String(error));
+      return [];
     }
-
-    return quotes;
   }
 
   /**
@@ -238,7 +249,9 @@ export class SimpleArbitrageStrategy {
         tokenOut: COMMON_TOKENS.GUSDC,
         amountIn: opportunity.amount,
         slippageTolerance: this.config.maxSlippage,
-        feeTier: opportunity.buyFeeTier
+        feeTier: opportunity.buyFeeTier,
+        strategy: 'simple',
+        runId: this.runId
       });
 
       if (result.success) {
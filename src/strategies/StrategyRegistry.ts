@@ -0,0 +1,122 @@
+import { CicadaBot } from '../CicadaBot';
+
+/**
+ * Common surface every strategy exposes to CicadaBot and the web server
+ */
+export interface Strategy {
+  start(): Promise<void>;
+  stop(): void | Promise<void>;
+  getStatus(): any;
+  updateConfig(newConfig: Record<string, any>): void;
+  // Runtime state snapshotted to disk so the strategy can resume after a restart.
+  // restoreState is called before start().
+  getState?(): Record<string, any>;
+  restoreState?(state: Record<string, any>): void;
+}
+
+/**
+ * Build an ID for one run of a strategy. Strategies pass it with their name
+ * in SwapParams so every recorded transaction can be attributed.
+ */
+export function createRunId(strategy: string): string {
+  return `${strategy}-${Date.now().toString(36)}`;
+}
+
+/**
+ * Describes one configurable field so the web UI can render a form for it
+ */
+export interface StrategyConfigField {
+  key: string;
+  label: string;
+  type: 'string' | 'number' | 'boolean' | 'token' | 'feeTier' | 'select' | 'object';
+  default?: any;
+  options?: string[]; // For 'select' fields
+  description?: string;
+}
+
+export type StrategyCategory = 'arbitrage' | 'interval' | 'pool-shark' | 'lunar' | 'liquidity' | 'portfolio' | 'custom';
+
+/**
+ * Registry entry for a strategy
+ */
+export interface StrategyDefinition<TConfig = any> {
+  name: string; // Key used by startArbitrageStrategy and the REST API
+  displayName: string;
+  description: string;
+  category: StrategyCategory;
+  // Concurrent strategies run side by side in their own slot (Pool Sharks);
+  // exclusive ones replace whatever exclusive strategy is running
+  concurrent: boolean;
+  defaultConfig: Partial<TConfig>;
+  configSchema: StrategyConfigField[];
+  create: (bot: CicadaBot, config: TConfig) => Strategy | Promise<Strategy>;
+}
+
+/**
+ * Metadata about a registered strategy, safe to send to the web UI
+ */
+export interface StrategyMetadata {
+  name: string;
+  displayName: string;
+  description: string;
+  category: StrategyCategory;
+  concurrent: boolean;
+  defaultConfig: Record<string, any>;
+  configSchema: StrategyConfigField[];
+}
+
+/**
+ * Registry of available strategies. Built-in strategies register in
+ * builtInStrategies.ts; other packages can call StrategyRegistry.register()
+ * before starting them through CicadaBot.
+ */
+export class StrategyRegistry {
+  private static definitions: Map<string, StrategyDefinition> = new Map();
+
+  /**
+   * Register a strategy. Re-registering a name replaces the earlier entry.
+   */
+  public static register<TConfig>(definition: StrategyDefinition<TConfig>): void {
+    if (!definition.name) {
+      throw new Error('Strategy definition requires a name');
+    }
+    StrategyRegistry.definitions.set(definition.name, definition as StrategyDefinition);
+  }
+
+  /**
+   * Remove a strategy from the registry
+   */
+  public static unregister(name: string): boolean {
+    return StrategyRegistry.definitions.delete(name);
+  }
+
+  public static has(name: string): boolean {
+    return StrategyRegistry.definitions.has(name);
+  }
+
+  public static get(name: string): StrategyDefinition | undefined {
+    return StrategyRegistry.definitions.get(name);
+  }
+
+  /**
+   * Whether the named strategy runs alongside others instead of replacing them
+   */
+  public static isConcurrent(name: string): boolean {
+    return StrategyRegistry.definitions.get(name)?.concurrent === true;
+  }
+
+  /**
+   * List metadata for all registered strategies
+   */
+  public static list(): StrategyMetadata[] {
+    return Array.from(StrategyRegistry.definitions.values()).map(definition => ({
+      name: definition.name,
+      displayName: definition.displayName,
+      description: definition.description,
+      category: definition.category,
+      concurrent: definition.concurrent,
+      defaultConfig: { ...definition.defaultConfig },
+      configSchema: definition.configSchema
+    }));
+  }
+}
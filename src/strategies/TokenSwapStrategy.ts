@@ -1,7 +1,9 @@
 import { CicadaBot } from '../CicadaBot';
 import { Logger } from '../utils/logger';
+import { Strategy, createRunId } from './StrategyRegistry';
 
 export interface TokenSwapConfig {
+  id?: string; // Pool Shark instance ID, used in logs and results
   tokenIn: string;
   tokenOut: string;
   amountIn: string;
@@ -12,31 +14,51 @@ export interface TokenSwapConfig {
   enabled: boolean;
 }
 
-export class TokenSwapStrategy {
+export class TokenSwapStrategy implements Strategy {
   private bot: CicadaBot;
   private config: TokenSwapConfig;
   private isRunning: boolean = false;
+  private runId: string = ''; // Recorded on every swap this run places
   private intervalId: NodeJS.Timeout | null = null;
   private swapCount: number = 0;
+  private nextSwapTime: number = 0;
+  private resumed: boolean = false; // Set by restoreState() so start() keeps the count and schedule
 
   constructor(bot: CicadaBot, config: TokenSwapConfig) {
     this.bot = bot;
     this.config = config;
   }
 
+  /**
+   * Label used in logs and result types, e.g. "Pool Shark (gala-usdc)"
+   */
+  private get label(): string {
+    return this.config.id ? `Pool Shark (${this.config.id})` : 'Pool Shark';
+  }
+
+  /**
+   * Name recorded on this Pool Shark's transactions
+   */
+  private get instanceId(): string {
+    return this.config.id || 'token-swap';
+  }
+
   /**
    * Start the token swap strategy
    */
   public async start(): Promise<void> {
     if (this.isRunning) {
-      Logger.warn('Pool Shark is already running');
+      Logger.warn(`${this.label} is already running`);
       return;
     }
 
     this.isRunning = true;
-    this.swapCount = 0;
+    if (!this.resumed) {
+      this.swapCount = 0;
+      this.runId = createRunId(this.instanceId);
+    }
 
-    Logger.info('🔄 Starting Pool Shark', {
+    Logger.info(`🔄 Starting ${this.label}`, {
       tokenIn: this.getTokenSymbol(this.config.tokenIn),
       tokenOut: this.getTokenSymbol(this.config.tokenOut),
       amountIn: this.config.amountIn,
@@ -46,11 +68,15 @@ export class TokenSwapStrategy {
       minAmountOut: this.config.minAmountOut
     });
 
-    // Execute first swap immediately
-    await this.executeSwap();
+    if (this.resumed) {
+      // Keep the previous run's schedule; an overdue swap runs right away
+      this.resumed = false;
+      this.scheduleNextSwap(Math.max(0, this.nextSwapTime - Date.now()));
+      return;
+    }
 
-    // Schedule subsequent swaps
-    this.scheduleNextSwap();
+    // Execute first swap immediately; executeSwap schedules the next one
+    await this.executeSwap();
   }
 
   /**
@@ -58,7 +84,7 @@ export class TokenSwapStrategy {
    */
   public async stop(): Promise<void> {
     if (!this.isRunning) {
-      Logger.warn('Pool Shark is not running');
+      Logger.warn(`${this.label} is not running`);
       return;
     }
 
@@ -69,7 +95,7 @@ export class TokenSwapStrategy {
       this.intervalId = null;
     }
 
-    Logger.info('🛑 Pool Shark stopped', {
+    Logger.info(`🛑 ${this.label} stopped`, {
       totalSwaps: this.swapCount
     });
   }
@@ -79,7 +105,7 @@ export class TokenSwapStrategy {
    */
   public updateConfig(newConfig: Partial<TokenSwapConfig>): void {
     this.config = { ...this.config, ...newConfig };
-    Logger.info('⚙️ Pool Shark config updated', this.config);
+    Logger.info(`⚙️ ${this.label} config updated`, this.config);
   }
 
   /**
@@ -90,20 +116,41 @@ export class TokenSwapStrategy {
       isRunning: this.isRunning,
       config: this.config,
       swapCount: this.swapCount,
-      nextSwapTime: this.intervalId ? new Date(Date.now() + this.config.intervalSeconds * 1000) : null
+      nextSwapTime: this.intervalId ? new Date(this.nextSwapTime) : null
     };
   }
 
+  /**
+   * Swap count and next due time, for persistence
+   */
+  public getState(): Record<string, any> {
+    return {
+      swapCount: this.swapCount,
+      nextSwapTime: this.nextSwapTime,
+      runId: this.runId
+    };
+  }
+
+  /**
+   * Restore persisted state so start() continues where the last run stopped
+   */
+  public restoreState(state: Record<string, any>): void {
+    this.swapCount = Number(state.swapCount) || 0;
+    this.nextSwapTime = Number(state.nextSwapTime) || 0;
+    this.runId = state.runId || createRunId(this.instanceId);
+    this.resumed = true;
+  }
+
 
   /**
    * Schedule the next swap
    */
-  private scheduleNextSwap(): void {
+  private scheduleNextSwap(intervalMs: number = this.config.intervalSeconds * 1000): void {
     if (!this.isRunning) return;
 
-    const intervalMs = this.config.intervalSeconds * 1000;
-    
-    Logger.info(`⏰ Scheduling next swap in ${this.config.intervalSeconds} seconds`);
+    this.nextSwapTime = Date.now() + intervalMs;
+
+    Logger.info(`⏰ Scheduling next swap in ${Math.round(intervalMs / 1000)} seconds`);
 
     this.intervalId = setTimeout(() => {
       this.executeSwap();
@@ -119,7 +166,7 @@ export class TokenSwapStrategy {
     try {
       this.swapCount++;
 
-      Logger.info(`🔄 Executing Token Swap #${this.swapCount}`, {
+      Logger.info(`🔄 Executing ${this.label} swap #${this.swapCount}`, {
         tokenIn: this.getTokenSymbol(this.config.tokenIn),
         tokenOut: this.getTokenSymbol(this.config.tokenOut),
         amountIn: this.config.amountIn,
@@ -128,7 +175,7 @@ export class TokenSwapStrategy {
       });
 
       // Check if we have sufficient balance
-      const balance = await this.bot.getTokenBalance(this.config.tokenIn);
+      const balance = await this.bot.getStrategyBalance(this.instanceId, this.config.tokenIn);
       const balanceAmount = parseFloat(balance);
       const swapAmount = parseFloat(this.config.amountIn);
 
@@ -154,11 +201,12 @@ export class TokenSwapStrategy {
         const minAmountOut = parseFloat(this.config.minAmountOut);
 
         if (expectedAmountOut < minAmountOut) {
-          Logger.warn(`⚠️ Token Swap #${this.swapCount} skipped - amountOut (${expectedAmountOut}) below minimum threshold (${minAmountOut})`);
+          Logger.warn(`⚠️ ${this.label} swap #${this.swapCount} skipped - amountOut (${expectedAmountOut}) below minimum threshold (${minAmountOut})`);
           
           // Record skipped swap result
           this.bot.addArbitrageResult({
-            type: 'Pool Shark (SKIPPED)',
+            type: `${this.label} (SKIPPED)`,
+            instanceId: this.config.id,
             action: 'SKIPPED',
             amount: this.config.amountIn,
             profitPercentage: 0,
@@ -175,13 +223,14 @@ export class TokenSwapStrategy {
           return;
         }
 
-        Logger.info(`✅ Token Swap #${this.swapCount} meets minimum threshold. Expected output: ${expectedAmountOut} (min: ${minAmountOut})`);
+        Logger.info(`✅ ${this.label} swap #${this.swapCount} meets minimum threshold. Expected output: ${expectedAmountOut} (min: ${minAmountOut})`);
       } catch (quoteError) {
-        Logger.error(`❌ Failed to get quote for Token Swap #${this.swapCount}:`, quoteError instanceof Error ? quoteError.message : String(quoteError));
+        Logger.error(`❌ Failed to get quote for ${this.label} swap #${this.swapCount}:`, quoteError instanceof Error ? quoteError.message : String(quoteError));
         
         // Record failed quote result
         this.bot.addArbitrageResult({
-          type: 'Pool Shark (QUOTE_FAILED)',
+          type: `${this.label} (QUOTE_FAILED)`,
+          instanceId: this.config.id,
           action: 'QUOTE_FAILED',
           amount: this.config.amountIn,
           profitPercentage: 0,
@@ -202,11 +251,13 @@ export class TokenSwapStrategy {
         tokenOut: this.config.tokenOut,
         amountIn: this.config.amountIn,
         slippageTolerance: this.config.slippageTolerance,
-        feeTier: this.config.feeTier
+        feeTier: this.config.feeTier,
+        strategy: this.instanceId,
+        runId: this.runId
       });
 
       if (result.success) {
-        Logger.info(`✅ Token Swap #${this.swapCount} completed successfully`, {
+        Logger.info(`✅ ${this.label} swap #${this.swapCount} completed successfully`, {
           transactionHash: result.transactionHash,
           amountIn: result.amountIn,
           amountOut: result.amountOut
@@ -214,7 +265,8 @@ export class TokenSwapStrategy {
 
         // Record successful swap result
         this.bot.addArbitrageResult({
-          type: 'Pool Shark (EXECUTED)',
+          type: `${this.label} (EXECUTED)`,
+          instanceId: this.config.id,
           action: 'EXECUTED',
           amount: result.amountIn,
           profitPercentage: 0, // This strategy doesn't track profit/loss
@@ -229,13 +281,14 @@ export class TokenSwapStrategy {
           swapNumber: this.swapCount
         });
       } else {
-        Logger.error(`❌ Token Swap #${this.swapCount} failed`, {
+        Logger.error(`❌ ${this.label} swap #${this.swapCount} failed`, {
           error: result.error
         });
 
         // Record failed swap result
         this.bot.addArbitrageResult({
-          type: 'Pool Shark (FAILED)',
+          type: `${this.label} (FAILED)`,
+          instanceId: this.config.id,
           action: 'FAILED',
           amount: this.config.amountIn,
           profitPercentage: 0,
@@ -253,11 +306,12 @@ export class TokenSwapStrategy {
       this.scheduleNextSwap();
 
     } catch (error) {
-      Logger.error(`❌ Error executing Token Swap #${this.swapCount}:`, error instanceof Error ? error.message : String(error));
+      Logger.error(`❌ Error executing ${this.label} swap #${this.swapCount}:`, error instanceof Error ? error.message : String(error));
       
       // Record error result
       this.bot.addArbitrageResult({
-        type: 'Pool Shark (ERROR)',
+        type: `${this.label} (ERROR)`,
+        instanceId: this.config.id,
         action: 'ERROR',
         amount: this.config.amountIn,
         profitPercentage: 0,
@@ -0,0 +1,398 @@
+import BigNumber from 'bignumber.js';
+import { CicadaBot } from '../CicadaBot';
+import { Logger } from '../utils/logger';
+import { Strategy, createRunId } from './StrategyRegistry';
+import { COMMON_TOKENS, getFeeTierName, getTokenSymbol } from '../constants/tokens';
+import { findOptimalTradeSize } from '../utils/tradeSizing';
+
+export interface TriangularArbitrageConfig {
+  minProfitThreshold: number; // Minimum net profit percentage (after pool fees and gas) to execute
+  maxPositionSize: string; // Largest trade, in baseToken
+  maxSlippage: number; // Per-leg slippage cap
+  scanInterval: number; // ms between scans
+  baseToken: string; // Every cycle starts and ends here
+  cycleTokens: string[]; // Token class keys the cycles pass through
+}
+
+/**
+ * One quoted leg of a cycle
+ */
+export interface TriangularLeg {
+  tokenIn: string;
+  tokenOut: string;
+  feeTier: number;
+  amountIn: string;
+  amountOut: string;
+}
+
+export interface TriangularOpportunity {
+  cycle: string[]; // Token class keys, e.g. [GUSDC, GALA, GETH, GUSDC]
+  legs: TriangularLeg[];
+  amountIn: string;
+  amountOut: string;
+  gasCost: string; // In baseToken
+  netProfit: number; // In baseToken
+  profitPercentage: number;
+}
+
+/**
+ * Trades three-pool cycles such as USDC → GALA → ETH → USDC. Each leg takes
+ * its best fee tier and the size is searched up to maxPositionSize (and the
+ * baseToken balance) to maximize profit net of pool fees and gas. Before trading, the cycle is re-quoted on the chosen
+ * tiers and must still clear minProfitThreshold. Each leg has a bound
+ * derived from the required profit; if a leg fills below it, the remaining
+ * legs are skipped and the intermediate token is held.
+ */
+export class TriangularArbitrageStrategy implements Strategy {
+  private bot: CicadaBot;
+  private config: TriangularArbitrageConfig;
+  private isRunning: boolean = false;
+  private runId: string = ''; // Recorded on every swap this run places
+  private lastOpportunity: TriangularOpportunity | null = null;
+  private tradesExecuted: number = 0;
+  private tradesAborted: number = 0;
+
+  constructor(bot: CicadaBot, config: Partial<TriangularArbitrageConfig> = {}) {
+    this.bot = bot;
+    this.config = {
+      minProfitThreshold: 0.5,
+      maxPositionSize: '100',
+      maxSlippage: 0.5,
+      scanInterval: 15000,
+      baseToken: COMMON_TOKENS.GUSDC,
+      cycleTokens: [COMMON_TOKENS.GALA, COMMON_TOKENS.GETH],
+      ...config
+    };
+  }
+
+  /**
+   * Start scanning. Resolves once the strategy is stopped.
+   */
+  async start(): Promise<void> {
+    const cycles = this.getCycles();
+    if (cycles.length === 0) {
+      throw new Error('Triangular arbitrage needs at least two cycle tokens besides the base token');
+    }
+
+    this.isRunning = true;
+    this.runId = createRunId('triangular');
+    Logger.info('🚀 Starting Triangular Arbitrage Strategy', {
+      baseToken: getTokenSymbol(this.config.baseToken),
+      cycles: cycles.map(cycle => this.describeCycle(cycle)),
+      minProfitThreshold: this.config.minProfitThreshold,
+      maxPositionSize: this.config.maxPositionSize
+    });
+
+    while (this.isRunning) {
+      try {
+        const opportunity = await this.findBestOpportunity();
+        if (opportunity && opportunity.profitPercentage >= this.config.minProfitThreshold) {
+          await this.execute(opportunity);
+        }
+        await this.sleep(this.config.scanInterval);
+      } catch (error) {
+        Logger.error('❌ Triangular arbitrage scan error:', error instanceof Error ? error.message : String(error));
+        await this.sleep(5000); // Wait 5 seconds before retrying
+      }
+    }
+  }
+
+  /**
+   * Stop scanning. A cycle that is mid-execution finishes its current leg.
+   */
+  stop(): void {
+    this.isRunning = false;
+    Logger.info('🛑 Triangular Arbitrage Strategy stopped');
+  }
+
+  /**
+   * Every ordered pair of distinct cycle tokens gives a cycle base → A → B → base
+   */
+  private getCycles(): string[][] {
+    const tokens = this.config.cycleTokens.filter(token => token !== this.config.baseToken);
+    const cycles: string[][] = [];
+    for (const first of tokens) {
+      for (const second of tokens) {
+        if (first !== second) {
+          cycles.push([this.config.baseToken, first, second, this.config.baseToken]);
+        }
+      }
+    }
+    return cycles;
+  }
+
+  /**
+   * Size every cycle for its highest net profit and keep the most profitable
+   */
+  private async findBestOpportunity(): Promise<TriangularOpportunity | null> {
+    const balance = new BigNumber(await this.bot.getStrategyBalance('triangular', this.config.baseToken));
+    const tradable = BigNumber.min(balance, this.config.maxPositionSize);
+    if (!tradable.isGreaterThan(0)) {
+      Logger.debug(`No ${getTokenSymbol(this.config.baseToken)} available for triangular arbitrage`);
+      return null;
+    }
+
+    const gasCost = await this.bot.estimateGasCost(this.config.baseToken, 3);
+    let best: TriangularOpportunity | null = null;
+
+    for (const cycle of this.getCycles()) {
+      const quoted: Map<string, TriangularOpportunity> = new Map();
+      const sized = await findOptimalTradeSize(async amount => {
+        const legs = await this.quoteCycle(cycle, amount);
+        if (!legs) return null;
+        const opportunity = this.toOpportunity(cycle, legs, gasCost);
+        quoted.set(amount, opportunity);
+        return new BigNumber(opportunity.netProfit);
+      }, { maxAmount: tradable, samples: 5, iterations: 6 });
+
+      const opportunity = sized ? quoted.get(sized.amount) : undefined;
+      if (opportunity && (!best || opportunity.netProfit > best.netProfit)) {
+        best = opportunity;
+      }
+    }
+
+    this.lastOpportunity = best;
+    if (best) {
+      Logger.debug('Best triangular cycle', {
+        cycle: this.describeCycle(best.cycle),
+        amountIn: best.amountIn,
+        amountOut: best.amountOut,
+        netProfit: best.netProfit.toFixed(6),
+        profitPercentage: `${best.profitPercentage.toFixed(4)}%`
+      });
+
+      if (best.profitPercentage >= this.config.minProfitThreshold) {
+        this.bot.addArbitrageResult({
+          type: 'Triangular Opportunity',
+          amount: best.amountIn,
+          profitPercentage: best.profitPercentage,
+          expectedProfit: best.netProfit.toFixed(6),
+          tokenIn: getTokenSymbol(this.config.baseToken),
+          tokenOut: getTokenSymbol(this.config.baseToken),
+          cycle: this.describeCycle(best.cycle, best.legs)
+        });
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Quote the legs of a cycle in turn, each feeding the next. Legs without
+   * a pinned fee tier take the best tier. Null if any leg has no quote.
+   */
+  private async quoteCycle(cycle: string[], amountIn: string, feeTiers?: number[]): Promise<TriangularLeg[] | null> {
+    const legs: TriangularLeg[] = [];
+    let amount = amountIn;
+
+    for (let i = 0; i < cycle.length - 1; i++) {
+      try {
+        const quote = await this.bot.getQuote({
+          tokenIn: cycle[i],
+          tokenOut: cycle[i + 1],
+          amountIn: amount,
+          feeTier: feeTiers ? feeTiers[i] : 'best'
+        });
+        if (!new BigNumber(quote.amountOut).isGreaterThan(0)) return null;
+
+        legs.push({
+          tokenIn: cycle[i],
+          tokenOut: cycle[i + 1],
+          feeTier: quote.feeTier,
+          amountIn: amount,
+          amountOut: quote.amountOut
+        });
+        amount = quote.amountOut;
+      } catch (error) {
+        Logger.debug(`No quote for ${getTokenSymbol(cycle[i])} → ${getTokenSymbol(cycle[i + 1])}`, {
+          error: error instanceof Error ? error.message : String(error)
+        });
+        return null;
+      }
+    }
+    return legs;
+  }
+
+  private toOpportunity(cycle: string[], legs: TriangularLeg[], gasCost: BigNumber): TriangularOpportunity {
+    const amountIn = new BigNumber(legs[0].amountIn);
+    const amountOut = new BigNumber(legs[legs.length - 1].amountOut);
+    const netProfit = amountOut.minus(amountIn).minus(gasCost);
+
+    return {
+      cycle,
+      legs,
+      amountIn: amountIn.toFixed(),
+      amountOut: amountOut.toFixed(),
+      gasCost: gasCost.toFixed(),
+      netProfit: netProfit.toNumber(),
+      profitPercentage: netProfit.dividedBy(amountIn).multipliedBy(100).toNumber()
+    };
+  }
+
+  /**
+   * Re-quote the cycle on its chosen tiers, then trade it leg by leg
+   */
+  private async execute(opportunity: TriangularOpportunity): Promise<void> {
+    const feeTiers = opportunity.legs.map(leg => leg.feeTier);
+    const legs = await this.quoteCycle(opportunity.cycle, opportunity.amountIn, feeTiers);
+    if (!legs) {
+      Logger.warn('⚠️ Triangular cycle no longer quotes; skipping');
+      return;
+    }
+
+    const current = this.toOpportunity(opportunity.cycle, legs, new BigNumber(opportunity.gasCost));
+    if (current.profitPercentage < this.config.minProfitThreshold) {
+      Logger.info('⏭️ Triangular cycle no longer clears the threshold; skipping', {
+        cycle: this.describeCycle(current.cycle),
+        scanned: `${opportunity.profitPercentage.toFixed(4)}%`,
+        current: `${current.profitPercentage.toFixed(4)}%`
+      });
+      return;
+    }
+
+    // The final leg has to return the input plus gas plus the minimum profit.
+    // The headroom above that is shared evenly between the legs as bounds.
+    const required = new BigNumber(current.amountIn)
+      .multipliedBy(1 + this.config.minProfitThreshold / 100)
+      .plus(current.gasCost);
+    const headroom = required.dividedBy(current.amountOut).toNumber() ** (1 / legs.length);
+    // A zero tolerance would fall back to the default, so keep a sliver
+    const legSlippage = Math.max(0.01, Math.min(this.config.maxSlippage, (1 - headroom) * 100));
+
+    Logger.info('🎯 Executing triangular arbitrage', {
+      cycle: this.describeCycle(current.cycle, legs),
+      amountIn: current.amountIn,
+      expectedOut: current.amountOut,
+      netProfit: current.netProfit.toFixed(6),
+      profitPercentage: `${current.profitPercentage.toFixed(4)}%`,
+      legSlippage: `${legSlippage.toFixed(4)}%`
+    });
+
+    let amountIn = current.amountIn;
+    for (let i = 0; i < legs.length; i++) {
+      const leg = legs[i];
+      const bound = new BigNumber(leg.amountOut).multipliedBy(headroom);
+
+      const result = await this.bot.executeSwap({
+        tokenIn: leg.tokenIn,
+        tokenOut: leg.tokenOut,
+        amountIn,
+        slippageTolerance: legSlippage,
+        feeTier: leg.feeTier,
+        strategy: 'triangular',
+        runId: this.runId
+      });
+
+      if (!result.success) {
+        this.abort(current, i, `Leg ${i + 1} failed: ${result.error}`);
+        return;
+      }
+
+      if (new BigNumber(result.amountOut).isLessThan(bound)) {
+        this.abort(current, i + 1, `Leg ${i + 1} filled ${result.amountOut} ${getTokenSymbol(leg.tokenOut)}, below its bound of ${bound.toPrecision(6)}`);
+        return;
+      }
+
+      // Sell what arrived, which can be a little less than the quote
+      amountIn = result.amountOut;
+      if (i < legs.length - 1) {
+        const balance = new BigNumber(await this.bot.getStrategyBalance('triangular', leg.tokenOut));
+        if (balance.isLessThan(amountIn)) {
+          amountIn = balance.toFixed();
+        }
+      }
+    }
+
+    const netProfit = new BigNumber(amountIn).minus(current.amountIn).minus(current.gasCost);
+    const profitPercentage = netProfit.dividedBy(current.amountIn).multipliedBy(100).toNumber();
+    this.tradesExecuted++;
+
+    Logger.info('🎉 Triangular arbitrage completed!', {
+      cycle: this.describeCycle(current.cycle, legs),
+      amountIn: current.amountIn,
+      amountOut: amountIn,
+      netProfit: netProfit.toFixed(6),
+      profitPercentage: `${profitPercentage.toFixed(4)}%`
+    });
+
+    this.bot.addArbitrageResult({
+      type: 'Triangular Arbitrage Completed',
+      amount: current.amountIn,
+      profitPercentage,
+      expectedProfit: netProfit.toFixed(6),
+      tokenIn: getTokenSymbol(this.config.baseToken),
+      tokenOut: getTokenSymbol(this.config.baseToken),
+      cycle: this.describeCycle(current.cycle, legs)
+    });
+  }
+
+  /**
+   * Stop a cycle part way. legsDone legs have filled, so their output token
+   * stays in the wallet.
+   */
+  private abort(opportunity: TriangularOpportunity, legsDone: number, reason: string): void {
+    this.tradesAborted++;
+    const held = legsDone > 0 ? getTokenSymbol(opportunity.cycle[legsDone]) : null;
+
+    Logger.error(`❌ Triangular arbitrage aborted: ${reason}`, {
+      cycle: this.describeCycle(opportunity.cycle),
+      legsDone,
+      ...(held ? { holding: held } : {})
+    });
+
+    this.bot.addArbitrageResult({
+      type: 'Triangular Arbitrage (ABORTED)',
+      amount: opportunity.amountIn,
+      profitPercentage: 0,
+      expectedProfit: '0',
+      tokenIn: getTokenSymbol(this.config.baseToken),
+      tokenOut: held || getTokenSymbol(this.config.baseToken),
+      cycle: this.describeCycle(opportunity.cycle),
+      error: held ? `${reason}; holding ${held}` : reason
+    });
+  }
+
+  /**
+   * "USDC → GALA → ETH → USDC", with each leg's fee tier when known
+   */
+  private describeCycle(cycle: string[], legs?: TriangularLeg[]): string {
+    return cycle.reduce((text, token, i) => {
+      if (i === 0) return getTokenSymbol(token);
+      const tier = legs ? ` (${getFeeTierName(legs[i - 1].feeTier)})` : '';
+      return `${text} → ${getTokenSymbol(token)}${tier}`;
+    }, '');
+  }
+
+  /**
+   * Get current strategy status
+   */
+  public getStatus(): any {
+    return {
+      isRunning: this.isRunning,
+      config: this.config,
+      cycles: this.getCycles().map(cycle => this.describeCycle(cycle)),
+      lastOpportunity: this.lastOpportunity
+        ? {
+            cycle: this.describeCycle(this.lastOpportunity.cycle, this.lastOpportunity.legs),
+            amountIn: this.lastOpportunity.amountIn,
+            netProfit: this.lastOpportunity.netProfit,
+            profitPercentage: this.lastOpportunity.profitPercentage
+          }
+        : null,
+      tradesExecuted: this.tradesExecuted,
+      tradesAborted: this.tradesAborted,
+      strategyName: 'Triangular Arbitrage Strategy'
+    };
+  }
+
+  /**
+   * Update configuration
+   */
+  public updateConfig(newConfig: Partial<TriangularArbitrageConfig>): void {
+    this.config = { ...this.config, ...newConfig };
+    Logger.info('⚙️ Triangular arbitrage configuration updated', this.config);
+  }
+
+  private sleep(ms: number): Promise<void> {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
@@ -0,0 +1,311 @@
+import { StrategyRegistry, StrategyConfigField } from './StrategyRegistry';
+import { COMMON_TOKENS, FEE_TIERS } from '../constants/tokens';
+// Config types only; the strategy classes themselves are loaded on demand
+import { SimpleArbitrageConfig } from './SimpleArbitrageStrategy';
+import { FixedArbitrageConfig } from './FixedArbitrageStrategy';
+import { OptimizedArbitrageConfig } from './OptimizedArbitrageStrategy';
+import { PriceDifferenceConfig } from './PriceDifferenceStrategy';
+import { ArbitrageConfig } from './ArbitrageStrategy';
+import { TriangularArbitrageConfig } from './TriangularArbitrageStrategy';
+import { LunarPhaseConfig } from './LunarPhaseStrategy';
+import { PrimeIntervalConfig } from './PrimeIntervalStrategy';
+import { TokenSwapConfig } from './TokenSwapStrategy';
+import { RangeRebalanceConfig } from './RangeRebalanceStrategy';
+import { RebalanceConfig } from './RebalanceStrategy';
+
+/**
+ * Registers the strategies that ship with Cicada Bot.
+ * Strategy modules are imported lazily so unused strategies cost nothing.
+ */
+
+// Shared defaults and fields for the arbitrage family
+const ARBITRAGE_DEFAULTS = {
+  minProfitThreshold: 0.5,
+  maxPositionSize: '100',
+  maxSlippage: 0.5,
+  scanInterval: 5000
+};
+
+const ARBITRAGE_SCHEMA: StrategyConfigField[] = [
+  { key: 'minProfitThreshold', label: 'Min Profit %', type: 'number', default: 0.5 },
+  { key: 'maxPositionSize', label: 'Max Position Size', type: 'string', default: '100' },
+  { key: 'maxSlippage', label: 'Max Slippage %', type: 'number', default: 0.5 },
+  { key: 'scanInterval', label: 'Scan Interval (ms)', type: 'number', default: 5000 }
+];
+
+const POOL_SHARK_SCHEMA: StrategyConfigField[] = [
+  { key: 'tokenIn', label: 'From Token', type: 'token' },
+  { key: 'tokenOut', label: 'To Token', type: 'token' },
+  { key: 'amountIn', label: 'Amount', type: 'string' },
+  { key: 'slippageTolerance', label: 'Slippage Tolerance (%)', type: 'number', default: 1.0 },
+  { key: 'feeTier', label: 'Fee Tier', type: 'feeTier', default: FEE_TIERS.LOW },
+  { key: 'intervalSeconds', label: 'Interval (seconds)', type: 'number' },
+  { key: 'minAmountOut', label: 'Min Amount Out', type: 'string', description: 'Skip the swap when the quote is below this' },
+  { key: 'enabled', label: 'Enabled', type: 'boolean', default: true }
+];
+
+StrategyRegistry.register<SimpleArbitrageConfig>({
+  name: 'simple',
+  displayName: 'Simple Arbitrage',
+  description: 'Compares GALA/USDC fee tiers and trades when one tier pays more than another',
+  category: 'arbitrage',
+  concurrent: false,
+  defaultConfig: ARBITRAGE_DEFAULTS,
+  configSchema: ARBITRAGE_SCHEMA,
+  create: async (bot, config) => {
+    const { SimpleArbitrageStrategy } = await import('./SimpleArbitrageStrategy');
+    return new SimpleArbitrageStrategy(bot, config);
+  }
+});
+
+StrategyRegistry.register<FixedArbitrageConfig>({
+  name: 'fixed',
+  displayName: 'Fixed Arbitrage (GALA/USDC)',
+  description: 'Two-leg GALA/USDC arbitrage across fee tiers in both directions',
+  category: 'arbitrage',
+  concurrent: false,
+  defaultConfig: { ...ARBITRAGE_DEFAULTS, recovery: 'unwind', retryAttempts: 3, unwindSlippage: 1 },
+  configSchema: [
+    ...ARBITRAGE_SCHEMA,
+    { key: 'recovery', label: 'Leg Failure Recovery', type: 'select', options: ['retry', 'unwind', 'hold'], default: 'unwind', description: 'What to do with the intermediate token when the second leg cannot fill' },
+    { key: 'retryAttempts', label: 'Retry Attempts', type: 'number', default: 3 },
+    { key: 'unwindSlippage', label: 'Unwind Slippage %', type: 'number', default: 1 }
+  ],
+  create: async (bot, config) => {
+    const { FixedArbitrageStrategy } = await import('./FixedArbitrageStrategy');
+    return new FixedArbitrageStrategy(bot, config);
+  }
+});
+
+StrategyRegistry.register<OptimizedArbitrageConfig>({
+  name: 'optimized',
+  displayName: 'Optimized Arbitrage',
+  description: 'Fee-tier arbitrage restricted to the tiers that currently have pools',
+  category: 'arbitrage',
+  concurrent: false,
+  defaultConfig: ARBITRAGE_DEFAULTS,
+  configSchema: ARBITRAGE_SCHEMA,
+  create: async (bot, config) => {
+    const { OptimizedArbitrageStrategy } = await import('./OptimizedArbitrageStrategy');
+    return new OptimizedArbitrageStrategy(bot, config);
+  }
+});
+
+StrategyRegistry.register<PriceDifferenceConfig>({
+  name: 'price-difference',
+  displayName: 'Price Difference Strategy',
+  description: 'Trades when quotes for the same pair differ between fee tiers',
+  category: 'arbitrage',
+  concurrent: false,
+  defaultConfig: { ...ARBITRAGE_DEFAULTS, minPriceDifference: 0.5 },
+  configSchema: [
+    { key: 'minPriceDifference', label: 'Min Price Difference %', type: 'number', default: 0.5 },
+    ...ARBITRAGE_SCHEMA.filter(field => field.key !== 'minProfitThreshold')
+  ],
+  create: async (bot, config) => {
+    const { PriceDifferenceStrategy } = await import('./PriceDifferenceStrategy');
+    return new PriceDifferenceStrategy(bot, config);
+  }
+});
+
+StrategyRegistry.register<ArbitrageConfig>({
+  name: 'advanced',
+  displayName: 'Advanced Arbitrage',
+  description: 'Scans several trade sizes and token pairs for fee-tier arbitrage',
+  category: 'arbitrage',
+  concurrent: false,
+  defaultConfig: ARBITRAGE_DEFAULTS,
+  configSchema: [
+    ...ARBITRAGE_SCHEMA,
+    { key: 'enabledTokens', label: 'Enabled Tokens', type: 'object' }
+  ],
+  create: async (bot, config) => {
+    const { ArbitrageStrategy } = await import('./ArbitrageStrategy');
+    return new ArbitrageStrategy(bot, config);
+  }
+});
+
+StrategyRegistry.register<TriangularArbitrageConfig>({
+  name: 'triangular',
+  displayName: 'Triangular Arbitrage',
+  description: 'Trades three-pool cycles such as USDC → GALA → ETH → USDC, sized for the best profit after fees and gas',
+  category: 'arbitrage',
+  concurrent: false,
+  defaultConfig: {
+    ...ARBITRAGE_DEFAULTS,
+    scanInterval: 15000, // Each scan quotes every cycle at several sizes
+    baseToken: COMMON_TOKENS.GUSDC,
+    cycleTokens: [COMMON_TOKENS.GALA, COMMON_TOKENS.GETH]
+  },
+  configSchema: [
+    ...ARBITRAGE_SCHEMA.map(field => field.key === 'scanInterval' ? { ...field, default: 15000 } : field),
+    { key: 'baseToken', label: 'Base Token', type: 'token', default: COMMON_TOKENS.GUSDC, description: 'Cycles start and end in this token' },
+    { key: 'cycleTokens', label: 'Cycle Tokens', type: 'object', description: 'Token class keys the cycles pass through' }
+  ],
+  create: async (bot, config) => {
+    const { TriangularArbitrageStrategy } = await import('./TriangularArbitrageStrategy');
+    return new TriangularArbitrageStrategy(bot, config);
+  }
+});
+
+StrategyRegistry.register<LunarPhaseConfig>({
+  name: 'lunar',
+  displayName: 'Lunar Phase Strategy',
+  description: 'Buys around the new moon and sells around the full moon with stop-loss and take-profit',
+  category: 'lunar',
+  concurrent: false,
+  defaultConfig: {
+    minTradeAmount: '10',
+    maxTradeAmount: '100',
+    checkInterval: 300000, // 5 minutes
+    maxSlippage: 0.5,
+    enabledTokens: ['GALA', 'USDC'],
+    strategy: 'both' as const,
+    phaseThreshold: 2,
+    riskManagement: {
+      stopLossPercentage: 5,
+      takeProfitPercentage: 10,
+      maxPositionSize: 20
+    }
+  },
+  configSchema: [
+    { key: 'minTradeAmount', label: 'Min Trade Amount', type: 'string', default: '10' },
+    { key: 'maxTradeAmount', label: 'Max Trade Amount', type: 'string', default: '100' },
+    { key: 'checkInterval', label: 'Check Interval (ms)', type: 'number', default: 300000 },
+    { key: 'maxSlippage', label: 'Max Slippage %', type: 'number', default: 0.5 },
+    { key: 'strategy', label: 'Mode', type: 'select', options: ['new-moon-buy', 'full-moon-sell', 'both'], default: 'both' },
+    { key: 'phaseThreshold', label: 'Phase Threshold (days)', type: 'number', default: 2 },
+    { key: 'riskManagement', label: 'Risk Management', type: 'object' }
+  ],
+  create: async (bot, config) => {
+    const { LunarPhaseStrategy } = await import('./LunarPhaseStrategy');
+    return new LunarPhaseStrategy(bot, config);
+  }
+});
+
+StrategyRegistry.register<PrimeIntervalConfig>({
+  name: 'prime',
+  displayName: 'Prime Cicada Strategy',
+  description: 'Alternates buying and selling a share of the balance on prime-minute intervals',
+  category: 'interval',
+  concurrent: false,
+  defaultConfig: {
+    tokenA: COMMON_TOKENS.GUSDC, // USDC
+    tokenB: COMMON_TOKENS.GALA,  // GALA
+    slippageTolerance: 0.5,
+    swapPercentage: 33,
+    feeTier: FEE_TIERS.LOW, // 0.05% - using working fee tier
+    enabled: true
+  },
+  configSchema: [
+    { key: 'tokenA', label: 'Token A', type: 'token', default: COMMON_TOKENS.GUSDC },
+    { key: 'tokenB', label: 'Token B', type: 'token', default: COMMON_TOKENS.GALA },
+    { key: 'slippageTolerance', label: 'Slippage Tolerance (%)', type: 'number', default: 0.5 },
+    { key: 'swapPercentage', label: 'Swap Percentage', type: 'number', default: 33 },
+    { key: 'feeTier', label: 'Fee Tier', type: 'feeTier', default: FEE_TIERS.LOW },
+    { key: 'enabled', label: 'Enabled', type: 'boolean', default: true }
+  ],
+  create: async (bot, config) => {
+    const { PrimeCicadaStrategy } = await import('./PrimeIntervalStrategy');
+    return new PrimeCicadaStrategy(bot, config);
+  }
+});
+
+StrategyRegistry.register<TokenSwapConfig>({
+  name: 'token-swap',
+  displayName: 'Pool Shark',
+  description: 'Swaps a fixed amount on an interval when the quote clears minAmountOut',
+  category: 'pool-shark',
+  concurrent: true,
+  defaultConfig: {
+    tokenIn: COMMON_TOKENS.GALA,
+    tokenOut: COMMON_TOKENS.GUSDC,
+    amountIn: '10',
+    slippageTolerance: 1.0,
+    feeTier: 500,
+    intervalSeconds: 30,
+    minAmountOut: '9.5', // Minimum amountOut threshold (5% below expected)
+    enabled: true
+  },
+  configSchema: POOL_SHARK_SCHEMA,
+  create: async (bot, config) => {
+    const { TokenSwapStrategy } = await import('./TokenSwapStrategy');
+    return new TokenSwapStrategy(bot, config);
+  }
+});
+
+StrategyRegistry.register<RangeRebalanceConfig>({
+  name: 'range-rebalance',
+  displayName: 'Range Rebalance (GALA/USDC)',
+  description: 'Keeps a concentrated-liquidity position centred on the price, re-ranging it when the price leaves the range',
+  category: 'liquidity',
+  concurrent: false,
+  defaultConfig: {
+    token0: COMMON_TOKENS.GALA,
+    token1: COMMON_TOKENS.GUSDC,
+    feeTier: FEE_TIERS.MEDIUM,
+    amount0: '1000',
+    amount1: '15',
+    positionId: '',
+    rangeWidthPercent: 10,
+    hysteresisPercent: 1,
+    checkInterval: 60000, // 1 minute
+    feeCollectionInterval: 3600000, // 1 hour
+    slippageTolerance: 1.0,
+    minRebalanceSwapPercent: 1,
+    enabled: true
+  },
+  configSchema: [
+    { key: 'token0', label: 'Token 0', type: 'token', default: COMMON_TOKENS.GALA },
+    { key: 'token1', label: 'Token 1', type: 'token', default: COMMON_TOKENS.GUSDC },
+    { key: 'feeTier', label: 'Fee Tier', type: 'feeTier', default: FEE_TIERS.MEDIUM },
+    { key: 'amount0', label: 'Token 0 Amount', type: 'string', default: '1000', description: 'Deposited when opening the first position' },
+    { key: 'amount1', label: 'Token 1 Amount', type: 'string', default: '15' },
+    { key: 'positionId', label: 'Position ID', type: 'string', default: '', description: 'Manage an existing position instead of opening one' },
+    { key: 'rangeWidthPercent', label: 'Range Width %', type: 'number', default: 10, description: 'Total width around the price (10 = ±5%)' },
+    { key: 'hysteresisPercent', label: 'Hysteresis %', type: 'number', default: 1, description: 'How far past a range edge the price must move before rebalancing' },
+    { key: 'checkInterval', label: 'Check Interval (ms)', type: 'number', default: 60000 },
+    { key: 'feeCollectionInterval', label: 'Fee Collection Interval (ms)', type: 'number', default: 3600000 },
+    { key: 'slippageTolerance', label: 'Slippage Tolerance (%)', type: 'number', default: 1.0 },
+    { key: 'minRebalanceSwapPercent', label: 'Min Rebalance Swap %', type: 'number', default: 1, description: 'Skip the ratio swap when the imbalance is below this share of the value' },
+    { key: 'enabled', label: 'Enabled', type: 'boolean', default: true }
+  ],
+  create: async (bot, config) => {
+    const { RangeRebalanceStrategy } = await import('./RangeRebalanceStrategy');
+    return new RangeRebalanceStrategy(bot, config);
+  }
+});
+
+StrategyRegistry.register<RebalanceConfig>({
+  name: 'rebalance',
+  displayName: 'Portfolio Rebalance',
+  description: 'Holds target USD weights across tokens, rebalancing on a schedule or when a weight drifts out of its band',
+  category: 'portfolio',
+  concurrent: false,
+  defaultConfig: {
+    targetWeights: {
+      [COMMON_TOKENS.GALA]: 50,
+      [COMMON_TOKENS.GUSDC]: 30,
+      [COMMON_TOKENS.GETH]: 20
+    },
+    rebalanceInterval: 86400000, // 1 day
+    driftBandPercent: 5,
+    checkInterval: 300000, // 5 minutes
+    minTradeUsd: 5,
+    slippageTolerance: 1.0,
+    enabled: true
+  },
+  configSchema: [
+    { key: 'targetWeights', label: 'Target Weights', type: 'object', description: 'Token class key → % of the USD value; must add up to 100' },
+    { key: 'rebalanceInterval', label: 'Rebalance Interval (ms)', type: 'number', default: 86400000, description: '0 rebalances on drift only' },
+    { key: 'driftBandPercent', label: 'Drift Band (points)', type: 'number', default: 5, description: 'Rebalance early once a weight is this far off target; 0 keeps to the schedule' },
+    { key: 'checkInterval', label: 'Check Interval (ms)', type: 'number', default: 300000 },
+    { key: 'minTradeUsd', label: 'Min Trade (USD)', type: 'number', default: 5 },
+    { key: 'slippageTolerance', label: 'Slippage Tolerance (%)', type: 'number', default: 1.0 },
+    { key: 'enabled', label: 'Enabled', type: 'boolean', default: true }
+  ],
+  create: async (bot, config) => {
+    const { RebalanceStrategy } = await import('./RebalanceStrategy');
+    return new RebalanceStrategy(bot, config);
+  }
+});
@@ -1,4 +1,6 @@
 import BigNumber from 'bignumber.js';
+import { RiskLimitName, RiskLimits } from '../risk/RiskManager';
+import { CircuitBreakerConfig, CircuitBreakerState } from '../risk/CircuitBreaker';
 
 export interface BotConfig {
   privateKey: string;
@@ -6,14 +8,33 @@ export interface BotConfig {
   gatewayBaseUrl?: string | undefined;
   transactionWaitTimeoutMs?: number | undefined;
   logLevel?: 'error' | 'warn' | 'info' | 'debug' | undefined;
+  paperTrading?: boolean | undefined; // Fill swaps against a virtual ledger instead of the chain
+  paperBalances?: Record<string, string> | undefined; // Starting virtual balances keyed by token class key
+  autoResumeStrategies?: boolean | undefined; // Restart strategies that were running before the last shutdown
+  costBasisMethod?: 'fifo' | 'lifo' | 'average' | undefined; // Lot matching for realized PnL (default fifo)
+  priceSources?: Record<string, string[]> | undefined; // Price oracle sources per symbol, highest priority first
+  priceStub?: Record<string, number> | undefined; // Price every token from fixed values (offline runs and tests)
+  priceOverrides?: Record<string, number> | undefined; // Prices that bypass the oracle sources
+  routingIntermediates?: string[] | undefined; // Token class keys multi-hop routes may pass through
+  maxRouteHops?: number | undefined; // Longest route the router considers (1 = direct pools only)
+  riskLimits?: RiskLimits | undefined; // Global limits checked before every swap
+  circuitBreaker?: CircuitBreakerConfig | undefined; // Triggers that halt every strategy
+  orderCheckInterval?: number | undefined; // ms between checks of open stop-loss, take-profit and trailing-stop orders
 }
 
 export interface SwapParams {
   tokenIn: string;
   tokenOut: string;
-  amountIn: string;
+  amountIn?: string; // Exact input: amount of tokenIn to sell
+  amountOut?: string; // Exact output: amount of tokenOut to buy, set instead of amountIn
   slippageTolerance?: number; // Percentage (e.g., 0.5 for 0.5%)
-  feeTier?: number; // 500, 3000, or 10000
+  feeTier?: number | 'best' | 'route'; // 500, 3000 or 10000; 'best' quotes every tier of the direct pool; 'route' also routes through intermediate tokens; omit for the SDK's pick
+  strategy?: string; // Strategy instance placing the swap (e.g. 'prime', 'fixed', a Pool Shark id)
+  runId?: string; // One start() of that strategy, from createRunId()
+  amountOutMinimum?: string; // Exact input: fail rather than fill below this, whatever the slippage tolerance allows
+  maxPriceImpact?: number; // Percentage; refuse, recorded as blocked, when the swap's own quote moves the price more
+  arbitrageId?: string; // Transaction ID of the arbitrage this swap is a leg of
+  twapId?: string; // Transaction ID of the TWAP/VWAP execution this swap is a slice of
 }
 
 export interface SwapResult {
@@ -24,15 +45,33 @@ export interface SwapResult {
   priceImpact?: string;
   feeTier?: number;
   error?: string;
+  simulated?: boolean; // True when filled by paper-trading mode
+  transactionId?: string; // History record of the swap
+  riskLimit?: RiskLimitName; // Set when a risk limit blocked the swap
 }
 
 export interface QuoteResult {
   amountIn: string;
   amountOut: string;
   priceImpact: string;
-  feeTier: number;
+  feeTier: number; // First hop's tier for multi-hop routes
   currentPrice: string;
   newPrice: string;
+  route?: RouteHop[]; // Set when the best route passes through intermediate tokens
+  tierQuotes?: QuoteResult[]; // With feeTier 'best': the quote from every tier that has a pool
+}
+
+/**
+ * One pool of a multi-hop route
+ */
+export interface RouteHop {
+  tokenIn: string;
+  tokenOut: string;
+  feeTier: number;
+  amountIn: string;
+  amountOut: string;
+  priceImpact?: string;
+  transactionHash?: string; // Set once the hop has been executed
 }
 
 export interface PortfolioSummary {
@@ -50,11 +89,70 @@ export interface PortfolioSummary {
   }>;
 }
 
+/**
+ * A concentrated-liquidity position with its live range status
+ */
+export interface LiquidityPosition {
+  positionId: string;
+  token0: string; // Token class keys
+  token1: string;
+  token0Symbol: string;
+  token1Symbol: string;
+  fee: number;
+  tickLower: number;
+  tickUpper: number;
+  priceLower: string; // token1 per token0 at tickLower
+  priceUpper: string;
+  liquidity: string;
+  currentTick: number | null; // null when the pool could not be read
+  currentPrice: string | null;
+  inRange: boolean | null;
+  tokensOwed0: string; // Uncollected fees
+  tokensOwed1: string;
+  createdAt?: string;
+}
+
+/**
+ * Open a position (no positionId) or add to one. Give the range either as
+ * prices (token1 per token0) or as ticks.
+ */
+export interface AddLiquidityParams {
+  token0: string;
+  token1: string;
+  fee: number;
+  minPrice?: string;
+  maxPrice?: string;
+  tickLower?: number;
+  tickUpper?: number;
+  amount0Desired: string;
+  amount1Desired: string;
+  slippageTolerance?: number; // Percentage; sets amount0Min/amount1Min (default: 0.5%)
+  positionId?: string;
+  strategy?: string; // Attribution recorded in transaction history, as for swaps
+  runId?: string;
+}
+
+/**
+ * Strategy attribution for liquidity calls that take no params object
+ */
+export type StrategyAttribution = Pick<SwapParams, 'strategy' | 'runId'>;
+
+export interface LiquidityResult {
+  success: boolean;
+  positionId?: string;
+  transactionHash?: string;
+  amount0?: string; // Deposited, withdrawn or collected
+  amount1?: string;
+  error?: string;
+}
+
 export interface BotStatus {
   connected: boolean;
   walletAddress: string;
   lastActivity?: Date | undefined;
   errorCount: number;
+  paperTrading?: boolean;
+  circuitBreaker?: CircuitBreakerState;
 }
 
 export type TokenClassKey = string; // Format: "GALA|Unit|none|none"
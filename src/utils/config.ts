@@ -64,10 +64,101 @@ export function loadConfig(): BotConfig {
     transactionWaitTimeoutMs: process.env['TRANSACTION_WAIT_TIMEOUT_MS'] 
       ? parseInt(process.env['TRANSACTION_WAIT_TIMEOUT_MS'], 10) 
       : 300000,
-    logLevel: (process.env['LOG_LEVEL'] as 'error' | 'warn' | 'info' | 'debug') || 'info'
+    logLevel: (process.env['LOG_LEVEL'] as 'error' | 'warn' | 'info' | 'debug') || 'info',
+    paperTrading: process.env['PAPER_TRADING'] === 'true',
+    paperBalances: parsePaperBalances(process.env['PAPER_BALANCES']),
+    autoResumeStrategies: process.env['AUTO_RESUME_STRATEGIES'] === 'true',
+    costBasisMethod: (process.env['COST_BASIS_METHOD'] as 'fifo' | 'lifo' | 'average') || 'fifo',
+    priceSources: parsePriceSources(process.env['PRICE_SOURCES']),
+    priceStub: parsePriceList(process.env['PRICE_STUB']),
+    priceOverrides: parsePriceList(process.env['GALA_PRICE_OVERRIDE_USD'] ? `GALA:${process.env['GALA_PRICE_OVERRIDE_USD']}` : undefined),
+    routingIntermediates: parseTokenList(process.env['ROUTING_INTERMEDIATES']),
+    maxRouteHops: process.env['MAX_ROUTE_HOPS'] ? parseInt(process.env['MAX_ROUTE_HOPS'], 10) : undefined,
+    riskLimits: {
+      maxTradeUsd: parseLimit(process.env['RISK_MAX_TRADE_USD']),
+      maxDailyVolumeUsd: parseLimit(process.env['RISK_MAX_DAILY_VOLUME_USD']),
+      maxDailyLossUsd: parseLimit(process.env['RISK_MAX_DAILY_LOSS_USD']),
+      maxTokenSharePercent: parseLimit(process.env['RISK_MAX_TOKEN_SHARE_PERCENT']),
+      maxPriceImpactPercent: parseLimit(process.env['RISK_MAX_PRICE_IMPACT_PERCENT']),
+      maxOracleDeviationPercent: parseLimit(process.env['RISK_MAX_ORACLE_DEVIATION_PERCENT']),
+      minOutputUsd: parseLimit(process.env['RISK_MIN_OUTPUT_USD'])
+    },
+    circuitBreaker: {
+      maxConsecutiveFailures: parseLimit(process.env['BREAKER_MAX_CONSECUTIVE_FAILURES']),
+      maxDrawdownPercent: parseLimit(process.env['BREAKER_MAX_DRAWDOWN_PERCENT']),
+      maxPriceDeviationPercent: parseLimit(process.env['BREAKER_MAX_PRICE_DEVIATION_PERCENT']),
+      haltOnSocketLoss: process.env['BREAKER_HALT_ON_SOCKET_LOSS'] === 'true',
+      checkInterval: parseLimit(process.env['BREAKER_CHECK_INTERVAL_MS'])
+    },
+    orderCheckInterval: process.env['ORDER_CHECK_INTERVAL_MS'] ? parseInt(process.env['ORDER_CHECK_INTERVAL_MS'], 10) : undefined
   };
 }
 
+/**
+ * Parse a RISK_* limit or BREAKER_* trigger; unset or empty leaves it off
+ */
+function parseLimit(value: string | undefined): number | undefined {
+  return value && value.trim() !== '' ? parseFloat(value) : undefined;
+}
+
+/**
+ * Parse PAPER_BALANCES ("GALA:1000,GUSDC:50") into class-key balances
+ */
+function parsePaperBalances(value: string | undefined): Record<string, string> {
+  const balances: Record<string, string> = {};
+  if (!value) return balances;
+
+  for (const entry of value.split(',')) {
+    const [token, amount] = entry.split(':').map(part => part.trim());
+    if (!token || !amount || isNaN(parseFloat(amount))) continue;
+    const tokenClassKey = token.includes('|') ? token : `${token}|Unit|none|none`;
+    balances[tokenClassKey] = amount;
+  }
+  return balances;
+}
+
+/**
+ * Parse PRICE_SOURCES ("GALA:coingecko,pool;ETH:pool") into source names per symbol
+ */
+function parsePriceSources(value: string | undefined): Record<string, string[]> {
+  const sources: Record<string, string[]> = {};
+  if (!value) return sources;
+
+  for (const entry of value.split(';')) {
+    const [symbol, names] = entry.split(':').map(part => part.trim());
+    if (!symbol || !names) continue;
+    sources[symbol.toUpperCase()] = names.split(',').map(name => name.trim()).filter(Boolean);
+  }
+  return sources;
+}
+
+/**
+ * Parse ROUTING_INTERMEDIATES ("GALA,GUSDC,GETH") into token class keys
+ */
+function parseTokenList(value: string | undefined): string[] | undefined {
+  if (!value) return undefined;
+  return value.split(',')
+    .map(token => token.trim())
+    .filter(Boolean)
+    .map(token => token.includes('|') ? token : `${token}|Unit|none|none`);
+}
+
+/**
+ * Parse a "GALA:0.02,ETH:3000" list into USD prices by symbol
+ */
+function parsePriceList(value: string | undefined): Record<string, number> {
+  const prices: Record<string, number> = {};
+  if (!value) return prices;
+
+  for (const entry of value.split(',')) {
+    const [symbol, price] = entry.split(':').map(part => part.trim());
+    const parsed = parseFloat(price || '');
+    if (!symbol || isNaN(parsed) || parsed <= 0) continue;
+    prices[symbol.toUpperCase()] = parsed;
+  }
+  return prices;
+}
+
 export function validateConfig(config: BotConfig): void {
   if (!config.privateKey) {
     throw new Error('Private key is required');
@@ -89,4 +180,29 @@ export function validateConfig(config: BotConfig): void {
   if (config.transactionWaitTimeoutMs && config.transactionWaitTimeoutMs < 10000) {
     throw new Error('Transaction timeout must be at least 10 seconds');
   }
+
+  if (config.costBasisMethod && !['fifo', 'lifo', 'average'].includes(config.costBasisMethod)) {
+    throw new Error(`Invalid cost basis method "${config.costBasisMethod}". Use fifo, lifo or average`);
+  }
+
+  if (config.maxRouteHops !== undefined && (isNaN(config.maxRouteHops) || config.maxRouteHops < 1 || config.maxRouteHops > 3)) {
+    throw new Error('MAX_ROUTE_HOPS must be between 1 and 3');
+  }
+
+  for (const [name, value] of Object.entries(config.riskLimits || {})) {
+    if (value !== undefined && (isNaN(value) || value <= 0)) {
+      throw new Error(`Risk limit ${name} must be a positive number`);
+    }
+  }
+
+  const { haltOnSocketLoss, ...breakerLimits } = config.circuitBreaker || {};
+  for (const [name, value] of Object.entries(breakerLimits)) {
+    if (value !== undefined && (isNaN(value) || value <= 0)) {
+      throw new Error(`Circuit breaker setting ${name} must be a positive number`);
+    }
+  }
+
+  if (config.orderCheckInterval !== undefined && (isNaN(config.orderCheckInterval) || config.orderCheckInterval < 1000)) {
+    throw new Error('ORDER_CHECK_INTERVAL_MS must be at least 1000');
+  }
 }
@@ -0,0 +1,119 @@
+import { describe, expect, it } from '@jest/globals';
+import { CostBasisLedger, CostBasisMethod } from './costBasisLedger';
+import { TransactionRecord } from '../CicadaBot';
+
+let sequence = 0;
+
+const swap = (id: string, tokenIn: string, amountIn: string, tokenOut: string, amountOut: string,
+  overrides: Partial<TransactionRecord> = {}): TransactionRecord => ({
+  id,
+  timestamp: new Date(Date.UTC(2025, 0, 1) + (sequence++) * 60000).toISOString(),
+  type: 'swap',
+  tokenIn,
+  tokenOut,
+  amountIn,
+  amountOut,
+  status: 'completed',
+  ...overrides
+});
+
+/**
+ * Two GALA buys at $0.10 and $0.20, then a sale of 150 GALA for $45
+ */
+const twoLotsThenSell = (): TransactionRecord[] => [
+  swap('buy1', 'USDC', '10', 'GALA', '100'),
+  swap('buy2', 'USDC', '20', 'GALA', '100'),
+  swap('sell', 'GALA', '150', 'USDC', '45')
+];
+
+const position = (ledger: CostBasisLedger, token: string) =>
+  ledger.getPositions().find(open => open.token === token);
+
+describe('CostBasisLedger', () => {
+  it.each([
+    ['fifo', '+$25.0000', '+125.00%', '10.0000'],
+    ['lifo', '+$20.0000', '+80.00%', '5.0000'],
+    ['average', '+$22.5000', '+100.00%', '7.5000']
+  ])('realizes PnL from %s lots', (method, realizedPnl, realizedPnlPercentage, remainingBasis) => {
+    const { ledger, results } = CostBasisLedger.fromHistory(twoLotsThenSell(), method as CostBasisMethod);
+
+    expect(results.get('sell')).toMatchObject({ proceedsUsd: '45', realizedPnl, realizedPnlPercentage, unmatchedAmount: '0' });
+    expect(position(ledger, 'GALA')).toMatchObject({ quantity: '50', costBasisUsd: remainingBasis });
+    expect(ledger.getReport().realizedPnl).toBe(realizedPnl);
+  });
+
+  it('takes part of a lot and leaves the rest at its unit cost', () => {
+    const ledger = new CostBasisLedger('fifo');
+    ledger.applySwap(swap('buy1', 'USDC', '10', 'GALA', '100'));
+    ledger.applySwap(swap('buy2', 'USDC', '20', 'GALA', '100'));
+
+    expect(ledger.applySwap(swap('sell1', 'GALA', '30', 'USDC', '6')).costBasisUsd).toBe('3');
+    expect(position(ledger, 'GALA')).toMatchObject({ quantity: '170', costBasisUsd: '27.0000' });
+
+    // The rest of the first lot, then ten from the second
+    expect(ledger.applySwap(swap('sell2', 'GALA', '80', 'USDC', '16')).costBasisUsd).toBe('9');
+    expect(position(ledger, 'GALA')).toMatchObject({ quantity: '90', costBasisUsd: '18.0000', averageCost: '0.2' });
+  });
+
+  it('values a swap at its recorded valueUsd before its stablecoin leg', () => {
+    const ledger = new CostBasisLedger();
+    ledger.applySwap(swap('buy', 'USDC', '10', 'GALA', '100'));
+
+    expect(ledger.applySwap(swap('sell', 'GALA', '50', 'USDC', '12', { valueUsd: '11' }))).toMatchObject({
+      proceedsUsd: '11',
+      realizedPnl: '+$6.0000'
+    });
+    expect(ledger.applySwap(swap('toEth', 'GALA', '50', 'ETH', '0.01', { valueUsd: '9' }))).toMatchObject({
+      proceedsUsd: '9',
+      realizedPnl: '+$4.0000'
+    });
+    expect(position(ledger, 'ETH')).toMatchObject({ quantity: '0.01', costBasisUsd: '9.0000' });
+  });
+
+  it('carries the disposed basis over to the acquired token when a swap has no USD value', () => {
+    const ledger = new CostBasisLedger();
+    ledger.applySwap(swap('buy', 'USDC', '10', 'GALA', '100'));
+
+    expect(ledger.applySwap(swap('toEth', 'GALA', '100', 'ETH', '0.01'))).toMatchObject({
+      proceedsUsd: null,
+      costBasisUsd: '10',
+      realizedPnl: '+$0.0000'
+    });
+    expect(position(ledger, 'ETH')).toMatchObject({ costBasisUsd: '10.0000' });
+  });
+
+  it('subtracts gas from realized PnL, even on a swap that realizes nothing else', () => {
+    const ledger = new CostBasisLedger();
+    expect(ledger.applySwap(swap('buy', 'USDC', '10', 'GALA', '100', { gasUsd: '0.5' })).realizedPnl).toBe('-$0.5000');
+    expect(ledger.applySwap(swap('sell', 'GALA', '100', 'USDC', '15', { gasUsd: '0.5' })).realizedPnl).toBe('+$4.5000');
+    expect(ledger.getReport().realizedPnl).toBe('+$4.0000');
+  });
+
+  it('realizes nothing on the part of a sale beyond the recorded lots', () => {
+    const ledger = new CostBasisLedger();
+    ledger.applySwap(swap('buy', 'USDC', '10', 'GALA', '100'));
+
+    // Two thirds of the $30 proceeds are matched against the $10 lot
+    expect(ledger.applySwap(swap('sell', 'GALA', '150', 'USDC', '30'))).toMatchObject({
+      costBasisUsd: '10',
+      realizedPnl: '+$10.0000',
+      realizedPnlPercentage: '+100.00%',
+      unmatchedAmount: '50'
+    });
+    expect(position(ledger, 'GALA')).toBeUndefined();
+  });
+
+  it('replays only completed swaps, oldest first, and values open positions', () => {
+    const [buy1, buy2, sell] = twoLotsThenSell();
+    const failed = swap('failed', 'GALA', '50', 'USDC', '100', { status: 'failed' });
+    const { ledger, results } = CostBasisLedger.fromHistory([sell, failed, buy2, buy1]);
+
+    expect(results.has('failed')).toBe(false);
+    expect(results.get('sell')?.realizedPnl).toBe('+$25.0000');
+    expect(ledger.getReport({ GALA: 0.3 })).toMatchObject({
+      realizedPnl: '+$25.0000',
+      unrealizedPnl: '+$5.0000',
+      totalPnl: '+$30.0000'
+    });
+  });
+});
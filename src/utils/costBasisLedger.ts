@@ -0,0 +1,252 @@
+import BigNumber from 'bignumber.js';
+import { TransactionRecord } from '../CicadaBot';
+
+export type CostBasisMethod = 'fifo' | 'lifo' | 'average';
+
+export const COST_BASIS_METHODS: CostBasisMethod[] = ['fifo', 'lifo', 'average'];
+
+// Symbols valued at $1 when a swap carries no recorded USD value
+const USD_STABLECOINS = ['USDC', 'USDT'];
+
+interface Lot {
+  quantity: BigNumber;
+  unitCost: BigNumber; // USD per token
+  acquiredAt: string;
+}
+
+/**
+ * Accounting result for one swap: tokenIn lots are disposed at the swap's
+ * USD value and tokenOut is acquired at the same value
+ */
+export interface SwapAccounting {
+  transactionId: string;
+  proceedsUsd: string | null; // null when the swap could not be valued
+  costBasisUsd: string;
+  realizedPnl: string; // "+$1.2345", net of gas
+  realizedPnlPercentage: string; // Against cost basis, "N/A" without one
+  unmatchedAmount: string; // tokenIn disposed with no recorded lot
+}
+
+export interface TokenPosition {
+  token: string;
+  quantity: string;
+  costBasisUsd: string;
+  averageCost: string;
+  priceUsd: number | null;
+  marketValueUsd: string | null;
+  unrealizedPnl: string | null;
+}
+
+export interface PnLReport {
+  method: CostBasisMethod;
+  realizedPnl: string;
+  unrealizedPnl: string;
+  totalPnl: string;
+  positions: TokenPosition[];
+}
+
+/**
+ * Tracks cost basis per token across the transaction history so PnL is
+ * realized when a token is sold rather than measured per swap.
+ *
+ * Tokens sold without a recorded lot (balances held before the history
+ * starts) are treated as acquired at the sale value, so they realize no PnL.
+ * Swaps without a USD value carry the disposed basis over to the acquired
+ * token.
+ */
+export class CostBasisLedger {
+  private method: CostBasisMethod;
+  private lots: Map<string, Lot[]> = new Map();
+  private realized: BigNumber = new BigNumber(0);
+
+  constructor(method: CostBasisMethod = 'fifo') {
+    this.method = method;
+  }
+
+  /**
+   * Replay completed swaps oldest first
+   */
+  public static fromHistory(transactions: TransactionRecord[], method: CostBasisMethod = 'fifo'): { ledger: CostBasisLedger; results: Map<string, SwapAccounting> } {
+    const ledger = new CostBasisLedger(method);
+    const results: Map<string, SwapAccounting> = new Map();
+
+    const completed = transactions
+      .filter(tx => tx.status === 'completed' && tx.type === 'swap')
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+    for (const tx of completed) {
+      results.set(tx.id, ledger.applySwap(tx));
+    }
+    return { ledger, results };
+  }
+
+  public getMethod(): CostBasisMethod {
+    return this.method;
+  }
+
+  /**
+   * Dispose of tokenIn and acquire tokenOut for a completed swap
+   */
+  public applySwap(tx: TransactionRecord): SwapAccounting {
+    const amountIn = new BigNumber(tx.amountIn);
+    const amountOut = new BigNumber(tx.amountOut);
+    const proceeds = swapValueUsd(tx);
+    const gas = new BigNumber(tx.gasUsd ?? 0);
+
+    const { costBasis, unmatched } = this.dispose(tx.tokenIn, amountIn);
+    // Inventory with no recorded lot realizes nothing
+    const matchedProceeds = proceeds && amountIn.isGreaterThan(0)
+      ? proceeds.multipliedBy(amountIn.minus(unmatched)).dividedBy(amountIn)
+      : null;
+
+    let realized = new BigNumber(0);
+    if (matchedProceeds) {
+      realized = matchedProceeds.minus(costBasis);
+    }
+    if (gas.isFinite()) {
+      realized = realized.minus(gas);
+    }
+    this.realized = this.realized.plus(realized);
+
+    // The acquired token costs what was given up for it
+    const acquiredCost = proceeds ?? costBasis;
+    if (amountOut.isGreaterThan(0)) {
+      this.acquire(tx.tokenOut, amountOut, acquiredCost.dividedBy(amountOut), tx.timestamp);
+    }
+
+    return {
+      transactionId: tx.id,
+      proceedsUsd: proceeds ? proceeds.toFixed() : null,
+      costBasisUsd: costBasis.toFixed(),
+      realizedPnl: formatUsd(realized),
+      realizedPnlPercentage: costBasis.isGreaterThan(0)
+        ? formatPercentage(realized.dividedBy(costBasis).multipliedBy(100))
+        : 'N/A',
+      unmatchedAmount: unmatched.toFixed()
+    };
+  }
+
+  /**
+   * Open inventory valued at the given USD prices (keyed by symbol)
+   */
+  public getPositions(prices: Record<string, number> = {}): TokenPosition[] {
+    const positions: TokenPosition[] = [];
+
+    for (const [token, lots] of this.lots.entries()) {
+      const quantity = lots.reduce((sum, lot) => sum.plus(lot.quantity), new BigNumber(0));
+      if (quantity.isLessThanOrEqualTo(0)) continue;
+
+      const costBasis = lots.reduce((sum, lot) => sum.plus(lot.quantity.multipliedBy(lot.unitCost)), new BigNumber(0));
+      const price = typeof prices[token] === 'number' && prices[token] > 0 ? prices[token] : null;
+      const marketValue = price !== null ? quantity.multipliedBy(price) : null;
+
+      positions.push({
+        token,
+        quantity: quantity.toFixed(),
+        costBasisUsd: costBasis.toFixed(4),
+        averageCost: costBasis.dividedBy(quantity).toFixed(),
+        priceUsd: price,
+        marketValueUsd: marketValue ? marketValue.toFixed(4) : null,
+        unrealizedPnl: marketValue ? formatUsd(marketValue.minus(costBasis)) : null
+      });
+    }
+    return positions;
+  }
+
+  /**
+   * Realized and unrealized PnL with open positions
+   */
+  public getReport(prices: Record<string, number> = {}): PnLReport {
+    const positions = this.getPositions(prices);
+    const unrealized = positions.reduce(
+      (sum, position) => sum.plus(parseUsd(position.unrealizedPnl) ?? 0),
+      new BigNumber(0)
+    );
+
+    return {
+      method: this.method,
+      realizedPnl: formatUsd(this.realized),
+      unrealizedPnl: formatUsd(unrealized),
+      totalPnl: formatUsd(this.realized.plus(unrealized)),
+      positions
+    };
+  }
+
+  private acquire(token: string, quantity: BigNumber, unitCost: BigNumber, acquiredAt: string): void {
+    const lots = this.lots.get(token) || [];
+
+    if (this.method === 'average' && lots.length > 0) {
+      // A single pooled lot at the weighted average cost
+      const lot = lots[0];
+      const total = lot.quantity.plus(quantity);
+      lot.unitCost = lot.quantity.multipliedBy(lot.unitCost).plus(quantity.multipliedBy(unitCost)).dividedBy(total);
+      lot.quantity = total;
+    } else {
+      lots.push({ quantity, unitCost, acquiredAt });
+    }
+    this.lots.set(token, lots);
+  }
+
+  /**
+   * Remove quantity from a token's lots in method order
+   */
+  private dispose(token: string, quantity: BigNumber): { costBasis: BigNumber; unmatched: BigNumber } {
+    const lots = this.lots.get(token) || [];
+    let remaining = quantity;
+    let costBasis = new BigNumber(0);
+
+    while (remaining.isGreaterThan(0) && lots.length > 0) {
+      const lot = this.method === 'lifo' ? lots[lots.length - 1] : lots[0];
+      const taken = BigNumber.min(lot.quantity, remaining);
+
+      costBasis = costBasis.plus(taken.multipliedBy(lot.unitCost));
+      lot.quantity = lot.quantity.minus(taken);
+      remaining = remaining.minus(taken);
+
+      if (lot.quantity.isLessThanOrEqualTo(0)) {
+        if (this.method === 'lifo') {
+          lots.pop();
+        } else {
+          lots.shift();
+        }
+      }
+    }
+
+    this.lots.set(token, lots);
+    return { costBasis, unmatched: remaining };
+  }
+}
+
+/**
+ * USD value of a swap: the value recorded at execution, else the stablecoin leg
+ */
+function swapValueUsd(tx: TransactionRecord): BigNumber | null {
+  if (tx.valueUsd) {
+    const value = new BigNumber(tx.valueUsd);
+    if (value.isFinite()) return value;
+  }
+  if (USD_STABLECOINS.includes((tx.tokenIn || '').toUpperCase())) {
+    return new BigNumber(tx.amountIn);
+  }
+  if (USD_STABLECOINS.includes((tx.tokenOut || '').toUpperCase())) {
+    return new BigNumber(tx.amountOut);
+  }
+  return null;
+}
+
+/**
+ * Parse a PnL string such as "+$1.2345" or "-3.50%"; null when it is not numeric
+ */
+export function parseUsd(value: string | null | undefined): number | null {
+  if (value === null || value === undefined) return null;
+  const parsed = parseFloat(value.replace(/[$,%]/g, ''));
+  return isNaN(parsed) ? null : parsed;
+}
+
+function formatUsd(value: BigNumber): string {
+  return `${value.isLessThan(0) ? '-' : '+'}$${value.abs().toFixed(4)}`;
+}
+
+function formatPercentage(value: BigNumber): string {
+  return `${value.isLessThan(0) ? '' : '+'}${value.toFixed(2)}%`;
+}
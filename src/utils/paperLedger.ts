@@ -0,0 +1,106 @@
+import BigNumber from 'bignumber.js';
+import fs from 'fs';
+import path from 'path';
+import { Logger } from './logger';
+import { getTokenSymbol } from '../constants/tokens';
+
+/**
+ * Virtual balance ledger used by paper-trading mode.
+ * Balances are keyed by token class key and persisted under data/ so a
+ * paper session survives server restarts.
+ */
+export class PaperLedger {
+  private balances: Map<string, BigNumber> = new Map();
+  private ledgerFile: string;
+
+  constructor(initialBalances: Record<string, string> = {}, ledgerFile?: string) {
+    this.ledgerFile = ledgerFile || path.join(process.cwd(), 'data', 'paper-ledger.json');
+
+    if (!this.load()) {
+      for (const [tokenClassKey, amount] of Object.entries(initialBalances)) {
+        this.balances.set(tokenClassKey, new BigNumber(amount));
+      }
+      this.save();
+    }
+  }
+
+  /**
+   * Get the virtual balance for a token
+   */
+  public getBalance(tokenClassKey: string): string {
+    return (this.balances.get(tokenClassKey) || new BigNumber(0)).toFixed();
+  }
+
+  /**
+   * Get all non-zero virtual balances
+   */
+  public getBalances(): Array<{ tokenClassKey: string; symbol: string; balance: string }> {
+    return Array.from(this.balances.entries())
+      .filter(([, balance]) => balance.isGreaterThan(0))
+      .map(([tokenClassKey, balance]) => ({
+        tokenClassKey,
+        symbol: getTokenSymbol(tokenClassKey),
+        balance: balance.toFixed()
+      }));
+  }
+
+  /**
+   * Apply a simulated fill: debit tokenIn and credit tokenOut.
+   * Throws if the virtual balance cannot cover amountIn.
+   */
+  public applySwap(tokenIn: string, tokenOut: string, amountIn: string, amountOut: string): void {
+    const available = this.balances.get(tokenIn) || new BigNumber(0);
+    const debit = new BigNumber(amountIn);
+
+    if (available.isLessThan(debit)) {
+      throw new Error(`Insufficient paper balance for ${getTokenSymbol(tokenIn)}. Required: ${debit.toFixed()}, Available: ${available.toFixed()}`);
+    }
+
+    this.balances.set(tokenIn, available.minus(debit));
+    this.balances.set(tokenOut, (this.balances.get(tokenOut) || new BigNumber(0)).plus(amountOut));
+    this.save();
+  }
+
+  /**
+   * Replace all virtual balances (e.g. to start a fresh paper session)
+   */
+  public reset(balances: Record<string, string>): void {
+    this.balances.clear();
+    for (const [tokenClassKey, amount] of Object.entries(balances)) {
+      this.balances.set(tokenClassKey, new BigNumber(amount));
+    }
+    this.save();
+    Logger.info('Paper ledger reset', balances);
+  }
+
+  private load(): boolean {
+    try {
+      if (!fs.existsSync(this.ledgerFile)) return false;
+      const data: Record<string, string> = JSON.parse(fs.readFileSync(this.ledgerFile, 'utf8'));
+      for (const [tokenClassKey, amount] of Object.entries(data)) {
+        this.balances.set(tokenClassKey, new BigNumber(amount));
+      }
+      Logger.info(`Loaded paper ledger with ${this.balances.size} tokens`);
+      return true;
+    } catch (error) {
+      Logger.warn('Failed to load paper ledger', error);
+      return false;
+    }
+  }
+
+  private save(): void {
+    try {
+      const dataDir = path.dirname(this.ledgerFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      const data: Record<string, string> = {};
+      for (const [tokenClassKey, balance] of this.balances) {
+        data[tokenClassKey] = balance.toFixed();
+      }
+      fs.writeFileSync(this.ledgerFile, JSON.stringify(data, null, 2));
+    } catch (error) {
+      Logger.error('Failed to save paper ledger', error);
+    }
+  }
+}
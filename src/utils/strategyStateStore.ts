@@ -0,0 +1,68 @@
+import fs from 'fs';
+import path from 'path';
+import { Logger } from './logger';
+import { TokenSwapConfig } from '../strategies/TokenSwapStrategy';
+
+/**
+ * A running strategy as captured on disk
+ */
+export interface StrategySnapshot {
+  instanceId: string; // Key the strategy runs under (its name, or a Pool Shark ID)
+  strategyName: string; // Registry name used to recreate it
+  config: Record<string, any>;
+  state?: Record<string, any>; // Runtime state from Strategy.getState()
+}
+
+export interface StrategyState {
+  savedAt: string;
+  running: StrategySnapshot[];
+  poolSharks: Record<string, TokenSwapConfig>; // Every Pool Shark by ID, running or not
+}
+
+/**
+ * Snapshots strategy configs and runtime state under data/ so running
+ * strategies can be resumed after a restart.
+ */
+export class StrategyStateStore {
+  private stateFile: string;
+
+  constructor(stateFile?: string) {
+    this.stateFile = stateFile || path.join(process.cwd(), 'data', 'strategy-state.json');
+  }
+
+  /**
+   * Load the last snapshot, or null if there is none
+   */
+  public load(): StrategyState | null {
+    try {
+      if (!fs.existsSync(this.stateFile)) return null;
+      const data: StrategyState = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      return {
+        savedAt: data.savedAt,
+        running: Array.isArray(data.running) ? data.running : [],
+        poolSharks: data.poolSharks || {}
+      };
+    } catch (error) {
+      Logger.warn('Failed to load strategy state', error);
+      return null;
+    }
+  }
+
+  /**
+   * Write a snapshot. The file is replaced atomically so a crash mid-write
+   * leaves the previous snapshot intact.
+   */
+  public save(state: Omit<StrategyState, 'savedAt'>): void {
+    try {
+      const dataDir = path.dirname(this.stateFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      const tempFile = `${this.stateFile}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify({ savedAt: new Date().toISOString(), ...state }, null, 2));
+      fs.renameSync(tempFile, this.stateFile);
+    } catch (error) {
+      Logger.error('Failed to save strategy state', error);
+    }
+  }
+}
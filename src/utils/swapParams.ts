@@ -0,0 +1,25 @@
+import BigNumber from 'bignumber.js';
+import { QuoteResult, SwapParams } from '../types';
+
+/**
+ * Whether a swap buys an exact amountOut instead of selling an exact amountIn.
+ * Throws unless exactly one of the two is set.
+ */
+export function isExactOutput(params: SwapParams): boolean {
+  const hasIn = params.amountIn !== undefined && params.amountIn !== '';
+  const hasOut = params.amountOut !== undefined && params.amountOut !== '';
+
+  if (hasIn === hasOut) {
+    throw new Error('Swap requires either amountIn (exact input) or amountOut (exact output), not both');
+  }
+  return hasOut;
+}
+
+/**
+ * The quote that returns the most output, or costs the least input for exact output
+ */
+export function bestQuote<T extends QuoteResult>(quotes: T[], exactOutput: boolean): T {
+  return quotes.reduce((best, quote) => exactOutput
+    ? (new BigNumber(quote.amountIn).isLessThan(best.amountIn) ? quote : best)
+    : (new BigNumber(quote.amountOut).isGreaterThan(best.amountOut) ? quote : best));
+}
@@ -0,0 +1,79 @@
+import BigNumber from 'bignumber.js';
+import { describe, expect, it } from '@jest/globals';
+import { findOptimalTradeSize, ProfitAtSize } from './tradeSizing';
+
+/**
+ * Profit curve peaking at `peak`: linear gains eaten by quadratic price impact
+ */
+const peakedAt = (peak: number, quoted: string[] = []): ProfitAtSize => async amount => {
+  quoted.push(amount);
+  const size = parseFloat(amount);
+  return new BigNumber(size * 0.02 - (0.01 / peak) * size * size);
+};
+
+describe('findOptimalTradeSize', () => {
+  it('finds an interior peak to within the golden-section precision', async () => {
+    const sized = await findOptimalTradeSize(peakedAt(300), { maxAmount: 1000, iterations: 20 });
+    expect(parseFloat(sized!.amount)).toBeCloseTo(300, 0);
+    expect(sized!.profit.toNumber()).toBeCloseTo(3, 3);
+  });
+
+  it('never quotes outside minAmount and maxAmount', async () => {
+    const quoted: string[] = [];
+    await findOptimalTradeSize(peakedAt(5000, quoted), { maxAmount: 1000, minAmount: 10 });
+    const sizes = quoted.map(parseFloat);
+    expect(Math.min(...sizes)).toBe(10);
+    expect(Math.max(...sizes)).toBe(1000);
+  });
+
+  it('settles on maxAmount when profit still grows there', async () => {
+    const sized = await findOptimalTradeSize(peakedAt(5000), { maxAmount: 1000 });
+    expect(sized!.amount).toBe('1000');
+  });
+
+  it('settles on minAmount, with its loss, when every size loses', async () => {
+    const sized = await findOptimalTradeSize(async amount => new BigNumber(amount).negated(), { maxAmount: 1000, minAmount: 2 });
+    expect(sized!.amount).toBe('2');
+    expect(sized!.profit.toNumber()).toBe(-2);
+  });
+
+  it('defaults minAmount to a thousandth of maxAmount', async () => {
+    const quoted: string[] = [];
+    await findOptimalTradeSize(peakedAt(300, quoted), { maxAmount: 1000 });
+    expect(Math.min(...quoted.map(parseFloat))).toBe(1);
+  });
+
+  it('quotes only maxAmount when minAmount equals it', async () => {
+    const quoted: string[] = [];
+    const sized = await findOptimalTradeSize(peakedAt(300, quoted), { maxAmount: 50, minAmount: 50 });
+    expect(quoted).toEqual(['50']);
+    expect(sized!.amount).toBe('50');
+  });
+
+  it('rounds sizes down to the given decimals and returns null below one step', async () => {
+    const quoted: string[] = [];
+    await findOptimalTradeSize(peakedAt(300, quoted), { maxAmount: '1000.123456789', decimals: 2 });
+    expect(quoted.every(amount => (amount.split('.')[1] || '').length <= 2)).toBe(true);
+    expect(Math.max(...quoted.map(parseFloat))).toBe(1000.12);
+
+    expect(await findOptimalTradeSize(peakedAt(300), { maxAmount: '0.0000001' })).toBeNull();
+    expect(await findOptimalTradeSize(peakedAt(300), { maxAmount: 'NaN' })).toBeNull();
+  });
+
+  it('quotes each size once and skips sizes that do not quote', async () => {
+    const quoted: string[] = [];
+    const sized = await findOptimalTradeSize(async amount => {
+      quoted.push(amount);
+      if (parseFloat(amount) > 100) throw new Error('insufficient liquidity');
+      return new BigNumber(amount);
+    }, { maxAmount: 1000 });
+
+    expect(new Set(quoted).size).toBe(quoted.length);
+    expect(parseFloat(sized!.amount)).toBeLessThanOrEqual(100);
+    expect(sized!.evaluations).toBe(quoted.length);
+  });
+
+  it('returns null when no size quotes', async () => {
+    expect(await findOptimalTradeSize(async () => null, { maxAmount: 1000 })).toBeNull();
+  });
+});
@@ -0,0 +1,95 @@
+import BigNumber from 'bignumber.js';
+
+/**
+ * Net profit of trading `amount`, in whatever unit the caller compares
+ * (usually the input token). Null when that size does not quote.
+ */
+export type ProfitAtSize = (amount: string) => Promise<BigNumber | null>;
+
+export interface SizingBounds {
+  maxAmount: BigNumber.Value; // maxPositionSize, capped at the available balance
+  minAmount?: BigNumber.Value; // Smallest size worth quoting (default: maxAmount / 1000)
+  samples?: number; // Sizes quoted on the first, geometric pass (default: 6)
+  iterations?: number; // Golden-section steps around the best sample (default: 8)
+  decimals?: number; // Sizes are rounded down to this many decimals (default: 6)
+}
+
+export interface SizedTrade {
+  amount: string;
+  profit: BigNumber;
+  evaluations: number; // Sizes quoted to find it
+}
+
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * Find the trade size with the highest absolute profit between minAmount
+ * and maxAmount. Sizes are first sampled on a geometric grid, then the
+ * bracket around the best sample is narrowed by golden-section search, which
+ * suits the single-peaked profit curve that price impact produces. Returns
+ * the most profitable size quoted (profit may be negative), or null when no
+ * size quotes.
+ */
+export async function findOptimalTradeSize(profitAt: ProfitAtSize, bounds: SizingBounds): Promise<SizedTrade | null> {
+  const decimals = bounds.decimals ?? 6;
+  const step = new BigNumber(1).shiftedBy(-decimals);
+  const round = (amount: BigNumber) => amount.decimalPlaces(decimals, BigNumber.ROUND_DOWN);
+
+  const max = round(new BigNumber(bounds.maxAmount));
+  if (!max.isFinite() || max.isLessThan(step)) {
+    return null;
+  }
+  const min = BigNumber.max(round(new BigNumber(bounds.minAmount ?? max.dividedBy(1000))), step);
+
+  // Each size is quoted once; the search revisits bracket ends
+  const profits: Map<string, BigNumber | null> = new Map();
+  const evaluate = async (amount: BigNumber): Promise<BigNumber | null> => {
+    const key = round(amount).toFixed();
+    if (!profits.has(key)) {
+      profits.set(key, await profitAt(key).catch(() => null));
+    }
+    return profits.get(key) as BigNumber | null;
+  };
+  const score = (profit: BigNumber | null) => profit ? profit.toNumber() : -Infinity;
+
+  const samples = Math.max(2, bounds.samples ?? 6);
+  const grid: BigNumber[] = [];
+  for (let i = 0; i < samples; i++) {
+    const amount = min.isEqualTo(max) ? max : round(min.multipliedBy(max.dividedBy(min).toNumber() ** (i / (samples - 1))));
+    if (!grid.some(existing => existing.isEqualTo(amount))) {
+      grid.push(amount);
+    }
+  }
+
+  let bestIndex = 0;
+  let bestScore = -Infinity;
+  for (let i = 0; i < grid.length; i++) {
+    const value = score(await evaluate(grid[i]));
+    if (value > bestScore) {
+      bestScore = value;
+      bestIndex = i;
+    }
+  }
+
+  // Narrow the bracket between the best sample's neighbours
+  let lo = grid[Math.max(0, bestIndex - 1)];
+  let hi = grid[Math.min(grid.length - 1, bestIndex + 1)];
+  for (let i = 0; i < (bounds.iterations ?? 8) && hi.minus(lo).isGreaterThan(step); i++) {
+    const width = hi.minus(lo).multipliedBy(GOLDEN_RATIO);
+    const left = hi.minus(width);
+    const right = lo.plus(width);
+    if (score(await evaluate(left)) >= score(await evaluate(right))) {
+      hi = right;
+    } else {
+      lo = left;
+    }
+  }
+
+  let best: SizedTrade | null = null;
+  for (const [amount, profit] of profits) {
+    if (profit && (!best || profit.isGreaterThan(best.profit))) {
+      best = { amount, profit, evaluations: profits.size };
+    }
+  }
+  return best;
+}
@@ -0,0 +1,147 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from '@jest/globals';
+import { TransactionStore } from './transactionStore';
+import { TransactionRecord } from '../CicadaBot';
+
+const record = (id: string, overrides: Partial<TransactionRecord> = {}): TransactionRecord => ({
+  id,
+  timestamp: '2025-01-01T00:00:00.000Z',
+  type: 'swap',
+  tokenIn: 'GALA',
+  tokenOut: 'USDC',
+  amountIn: '100',
+  amountOut: '2',
+  status: 'completed',
+  ...overrides
+});
+
+describe('TransactionStore', () => {
+  let dir: string;
+  let logFile: string;
+  const stores: TransactionStore[] = [];
+
+  const open = () => {
+    const store = new TransactionStore(logFile, path.join(dir, 'transaction-history.json'));
+    stores.push(store);
+    return store;
+  };
+  const lines = () => fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transactions-'));
+    logFile = path.join(dir, 'transactions.jsonl');
+  });
+
+  afterEach(() => {
+    stores.splice(0).forEach(store => store.close());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('recovery', () => {
+    it('drops a torn final line and keeps every complete record', () => {
+      const store = open();
+      store.add(record('tx1'));
+      store.add(record('tx2', { timestamp: '2025-01-02T00:00:00.000Z' }));
+      store.close();
+      fs.appendFileSync(logFile, '{"id":"tx3","timestamp":"2025-01-03T00:00:00.000Z","ty');
+
+      const reloaded = open();
+      expect(reloaded.all().map(tx => tx.id)).toEqual(['tx2', 'tx1']);
+      expect(lines()).toHaveLength(2);
+      expect(fs.existsSync(`${logFile}.tmp`)).toBe(false);
+    });
+
+    it('appends after a recovered log on a line of its own', () => {
+      const store = open();
+      store.add(record('tx1'));
+      store.close();
+      fs.appendFileSync(logFile, '{"id":"torn"');
+
+      const reloaded = open();
+      reloaded.add(record('tx2', { timestamp: '2025-01-02T00:00:00.000Z' }));
+      reloaded.close();
+
+      expect(open().all().map(tx => tx.id)).toEqual(['tx2', 'tx1']);
+      expect(lines().map(line => JSON.parse(line).id)).toEqual(['tx1', 'tx2']);
+    });
+
+    it('keeps the newest version of an updated record and compacts heavy churn', () => {
+      const store = open();
+      store.add(record('tx1', { status: 'pending' }));
+      store.update('tx1', { status: 'failed' });
+      store.update('tx1', { status: 'completed', transactionHash: '0xabc' });
+      store.close();
+      expect(lines()).toHaveLength(3);
+
+      const reloaded = open();
+      expect(reloaded.get('tx1')).toMatchObject({ status: 'completed', transactionHash: '0xabc' });
+      expect(reloaded.count()).toBe(1);
+      expect(lines()).toHaveLength(1);
+    });
+
+    it('imports the legacy JSON history when there is no log yet', () => {
+      fs.writeFileSync(path.join(dir, 'transaction-history.json'), JSON.stringify([
+        record('new', { timestamp: '2025-01-02T00:00:00.000Z' }),
+        record('old')
+      ]));
+
+      expect(open().all().map(tx => tx.id)).toEqual(['new', 'old']);
+      expect(lines().map(line => JSON.parse(line).id)).toEqual(['old', 'new']);
+    });
+  });
+
+  describe('query', () => {
+    let store: TransactionStore;
+
+    beforeEach(() => {
+      store = open();
+      store.add(record('a', { timestamp: '2025-01-01T00:00:00.000Z', strategy: 'prime', pnl: '1.00' }));
+      store.add(record('b', { timestamp: '2025-01-02T00:00:00.000Z', strategy: 'prime', tokenIn: 'USDC', tokenOut: 'GALA', pnl: '-0.50' }));
+      store.add(record('c', { timestamp: '2025-01-03T00:00:00.000Z', strategy: 'fixed', status: 'failed' }));
+      store.add(record('d', { timestamp: '2025-01-04T00:00:00.000Z', strategy: 'prime', type: 'arbitrage', profit: '5', pnl: '5.00' }));
+    });
+
+    it('filters by date range inclusively, newest first', () => {
+      const page = store.query({ from: '2025-01-02T00:00:00.000Z', to: '2025-01-03T00:00:00.000Z' });
+      expect(page.transactions.map(tx => tx.id)).toEqual(['c', 'b']);
+    });
+
+    it('matches a pair in either direction and GalaChain symbols', () => {
+      expect(store.query({ pair: 'GUSDC/GALA', type: 'swap' }).total).toBe(3);
+      expect(store.query({ tokenIn: 'GUSDC' }).transactions.map(tx => tx.id)).toEqual(['b']);
+    });
+
+    it('filters by strategy, status and PnL sign and pages the result', () => {
+      expect(store.query({ strategy: 'prime', pnl: 'negative' }).transactions.map(tx => tx.id)).toEqual(['b']);
+      expect(store.query({ status: 'failed' }).transactions.map(tx => tx.id)).toEqual(['c']);
+
+      const page = store.query({ limit: 2, offset: 1 });
+      expect(page).toMatchObject({ total: 4, limit: 2, offset: 1 });
+      expect(page.transactions.map(tx => tx.id)).toEqual(['c', 'b']);
+    });
+
+    it('leaves arbitrage summaries out of strategy performance', () => {
+      expect(store.performance('prime')).toMatchObject({
+        totalTrades: 2,
+        completedTrades: 2,
+        winningTrades: 1,
+        losingTrades: 1,
+        totalPnl: '0.5',
+        firstTradeAt: '2025-01-01T00:00:00.000Z',
+        lastTradeAt: '2025-01-02T00:00:00.000Z'
+      });
+    });
+
+    it('reports the same figures after a torn tail is recovered', () => {
+      const before = store.performance('prime');
+      store.close();
+      fs.appendFileSync(logFile, '{"id":"e","strategy":"prime"');
+
+      const reloaded = open();
+      expect(reloaded.performance('prime')).toEqual(before);
+      expect(reloaded.query({ limit: 10 }).total).toBe(4);
+    });
+  });
+});
@@ -0,0 +1,300 @@
+import fs from 'fs';
+import path from 'path';
+import BigNumber from 'bignumber.js';
+import { Logger } from './logger';
+import { getTokenSymbol } from '../constants/tokens';
+import { TransactionRecord } from '../CicadaBot';
+import { parseUsd } from './costBasisLedger';
+
+export interface TransactionQuery {
+  from?: string | number | Date; // Inclusive start of the timestamp range
+  to?: string | number | Date; // Inclusive end of the timestamp range
+  strategy?: string;
+  tokenIn?: string; // Symbol (GALA, USDC) or token class key
+  tokenOut?: string;
+  pair?: string; // "GALA/USDC" matches either direction
+  status?: TransactionRecord['status'];
+  type?: TransactionRecord['type'];
+  pnl?: 'positive' | 'negative' | 'zero';
+  limit?: number;
+  offset?: number;
+}
+
+export interface TransactionPage {
+  transactions: TransactionRecord[];
+  total: number; // Matches before pagination
+  limit: number;
+  offset: number;
+}
+
+/**
+ * PnL, trade-count and win-rate aggregates for one strategy instance.
+ * PnL figures only count completed trades and use realized PnL where recorded.
+ */
+export interface StrategyPerformance {
+  strategy: string;
+  totalTrades: number;
+  completedTrades: number;
+  failedTrades: number;
+  pendingTrades: number;
+  blockedTrades: number; // Stopped by a risk limit before they were sent
+  winningTrades: number;
+  losingTrades: number;
+  winRate: number; // Percentage of completed trades with positive PnL
+  totalPnl: string;
+  averagePnl: string;
+  bestTrade: string | null;
+  worstTrade: string | null;
+  runs: number; // Distinct runIds
+  firstTradeAt: string | null;
+  lastTradeAt: string | null;
+}
+
+/**
+ * Append-only transaction log stored as JSONL under data/.
+ * Every add or update appends the full record as one line; the newest line
+ * for an ID wins on load. Records are indexed in memory for queries, and
+ * the log is compacted on load once superseded lines outnumber live ones.
+ * A torn final line from a crash mid-write is dropped on the next load.
+ */
+export class TransactionStore {
+  private logFile: string;
+  private records: Map<string, TransactionRecord> = new Map();
+  private ordered: TransactionRecord[] = []; // Newest first
+  private fd: number | null = null;
+
+  constructor(logFile?: string, legacyFile?: string) {
+    this.logFile = logFile || path.join(process.cwd(), 'data', 'transactions.jsonl');
+
+    const dataDir = path.dirname(this.logFile);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    if (fs.existsSync(this.logFile)) {
+      this.load();
+    } else {
+      this.importLegacy(legacyFile || path.join(dataDir, 'transaction-history.json'));
+    }
+  }
+
+  /**
+   * Append a new record
+   */
+  public add(record: TransactionRecord): void {
+    this.append(record);
+    this.records.set(record.id, record);
+    this.ordered.unshift(record);
+  }
+
+  /**
+   * Merge changes into a record and append the new version
+   */
+  public update(id: string, changes: Partial<TransactionRecord>): TransactionRecord | undefined {
+    const record = this.records.get(id);
+    if (!record) return undefined;
+
+    Object.assign(record, changes, { id: record.id });
+    this.append(record);
+    return record;
+  }
+
+  public get(id: string): TransactionRecord | undefined {
+    return this.records.get(id);
+  }
+
+  /**
+   * Most recent record, if any
+   */
+  public latest(): TransactionRecord | undefined {
+    return this.ordered[0];
+  }
+
+  /**
+   * All records, newest first
+   */
+  public all(): TransactionRecord[] {
+    return [...this.ordered];
+  }
+
+  public count(): number {
+    return this.ordered.length;
+  }
+
+  /**
+   * Filter and page through records, newest first
+   */
+  public query(query: TransactionQuery = {}): TransactionPage {
+    const from = query.from !== undefined ? new Date(query.from).getTime() : null;
+    const to = query.to !== undefined ? new Date(query.to).getTime() : null;
+    const limit = Math.max(0, query.limit ?? 50);
+    const offset = Math.max(0, query.offset ?? 0);
+    const pair = query.pair ? query.pair.split('/').map(token => token.trim()) : null;
+
+    const matches = this.ordered.filter(tx => {
+      const ts = Date.parse(tx.timestamp);
+      if (from !== null && !isNaN(from) && ts < from) return false;
+      if (to !== null && !isNaN(to) && ts > to) return false;
+      if (query.strategy && tx.strategy !== query.strategy) return false;
+      if (query.status && tx.status !== query.status) return false;
+      if (query.type && tx.type !== query.type) return false;
+      if (query.tokenIn && !matchesToken(tx.tokenIn, query.tokenIn)) return false;
+      if (query.tokenOut && !matchesToken(tx.tokenOut, query.tokenOut)) return false;
+      if (pair && pair.length === 2) {
+        const forward = matchesToken(tx.tokenIn, pair[0]) && matchesToken(tx.tokenOut, pair[1]);
+        const reverse = matchesToken(tx.tokenIn, pair[1]) && matchesToken(tx.tokenOut, pair[0]);
+        if (!forward && !reverse) return false;
+      }
+      if (query.pnl && pnlSign(recordedPnl(tx)) !== query.pnl) return false;
+      return true;
+    });
+
+    return {
+      transactions: matches.slice(offset, offset + limit),
+      total: matches.length,
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Aggregate the transactions attributed to a strategy, optionally within
+   * a date range
+   */
+  public performance(strategy: string, range: Pick<TransactionQuery, 'from' | 'to'> = {}): StrategyPerformance {
+    // Arbitrage and TWAP records sum up swaps that are already counted
+    const transactions = this.query({ ...range, strategy, limit: this.ordered.length }).transactions
+      .filter(tx => tx.type !== 'arbitrage' && tx.type !== 'twap');
+    const completed = transactions.filter(tx => tx.status === 'completed');
+    const pnls = completed
+      .map(tx => recordedPnl(tx))
+      .filter((pnl): pnl is number => pnl !== null)
+      .map(pnl => new BigNumber(pnl));
+    const totalPnl = pnls.reduce((sum, pnl) => sum.plus(pnl), new BigNumber(0));
+    const winningTrades = pnls.filter(pnl => pnl.isGreaterThan(0)).length;
+
+    return {
+      strategy,
+      totalTrades: transactions.length,
+      completedTrades: completed.length,
+      failedTrades: transactions.filter(tx => tx.status === 'failed').length,
+      pendingTrades: transactions.filter(tx => tx.status === 'pending').length,
+      blockedTrades: transactions.filter(tx => tx.status === 'blocked').length,
+      winningTrades,
+      losingTrades: pnls.filter(pnl => pnl.isLessThan(0)).length,
+      winRate: completed.length > 0 ? (winningTrades / completed.length) * 100 : 0,
+      totalPnl: totalPnl.toFixed(),
+      averagePnl: pnls.length > 0 ? totalPnl.dividedBy(pnls.length).toFixed() : '0',
+      bestTrade: pnls.length > 0 ? BigNumber.max(...pnls).toFixed() : null,
+      worstTrade: pnls.length > 0 ? BigNumber.min(...pnls).toFixed() : null,
+      runs: new Set(transactions.map(tx => tx.runId).filter(Boolean)).size,
+      firstTradeAt: transactions.length > 0 ? transactions[transactions.length - 1].timestamp : null,
+      lastTradeAt: transactions.length > 0 ? transactions[0].timestamp : null
+    };
+  }
+
+  /**
+   * Rewrite the log with one line per record. The new log is written to a
+   * temp file and renamed over the old one.
+   */
+  public compact(): void {
+    this.close();
+    const tempFile = `${this.logFile}.tmp`;
+    const lines = [...this.ordered].reverse().map(record => JSON.stringify(record)).join('\n');
+    fs.writeFileSync(tempFile, lines.length > 0 ? `${lines}\n` : '');
+    fs.renameSync(tempFile, this.logFile);
+    Logger.info('Compacted transaction log', { records: this.ordered.length });
+  }
+
+  public close(): void {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  private append(record: TransactionRecord): void {
+    try {
+      if (this.fd === null) {
+        this.fd = fs.openSync(this.logFile, 'a');
+      }
+      fs.writeSync(this.fd, `${JSON.stringify(record)}\n`);
+      fs.fsyncSync(this.fd);
+    } catch (error) {
+      Logger.error('Failed to append to transaction log', error);
+    }
+  }
+
+  private load(): void {
+    const content = fs.readFileSync(this.logFile, 'utf8');
+    const lines = content.split('\n');
+    let lineCount = 0;
+    let dropped = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const record: TransactionRecord = JSON.parse(line);
+        lineCount++;
+        const existing = this.records.get(record.id);
+        if (existing) {
+          Object.assign(existing, record);
+        } else {
+          this.records.set(record.id, record);
+          this.ordered.push(record);
+        }
+      } catch {
+        dropped++;
+      }
+    }
+
+    this.ordered.reverse();
+    Logger.info(`Loaded ${this.ordered.length} transaction records`);
+
+    // A torn tail or heavy churn both get cleaned up by rewriting the log
+    if (dropped > 0 || lineCount > this.ordered.length * 2) {
+      if (dropped > 0) {
+        Logger.warn(`Dropped ${dropped} unreadable transaction log lines`);
+      }
+      this.compact();
+    }
+  }
+
+  /**
+   * Seed the log from the old transaction-history.json (newest first array)
+   */
+  private importLegacy(legacyFile: string): void {
+    try {
+      if (!fs.existsSync(legacyFile)) return;
+      const legacy: TransactionRecord[] = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+      for (const record of [...legacy].reverse()) {
+        if (!record || !record.id || this.records.has(record.id)) continue;
+        this.records.set(record.id, record);
+        this.ordered.unshift(record);
+      }
+      this.compact();
+      Logger.info(`Imported ${this.ordered.length} transactions from ${path.basename(legacyFile)}`);
+    } catch (error) {
+      Logger.warn('Failed to import legacy transaction history', error);
+    }
+  }
+}
+
+function matchesToken(symbol: string, query: string): boolean {
+  const wanted = (query.includes('|') ? getTokenSymbol(query) : query).toUpperCase();
+  const actual = (symbol || '').toUpperCase();
+  // "GUSDC" and "USDC" both refer to the USDC symbol the history stores
+  return actual === wanted || `G${actual}` === wanted;
+}
+
+/**
+ * Realized cost-basis PnL when the swap has been accounted, else the per-swap estimate
+ */
+function recordedPnl(tx: TransactionRecord): number | null {
+  return parseUsd(tx.realizedPnl) ?? parseUsd(tx.pnl);
+}
+
+function pnlSign(value: number | null): 'positive' | 'negative' | 'zero' | null {
+  if (value === null) return null;
+  return value > 0 ? 'positive' : value < 0 ? 'negative' : 'zero';
+}
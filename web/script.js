@@ -3,6 +3,7 @@ class GalaSwapWebInterface {
     constructor() {
         this.apiBaseUrl = 'http://localhost:3001';
         this.isConnected = false;
+        this.isPaperTrading = false;
         this.currentQuote = null;
         this.portfolio = [];
         this.transactions = [];
@@ -14,13 +15,15 @@ class GalaSwapWebInterface {
         this.initializeLunarControls();
         this.initializePrimeControls();
         this.initializeTokenSwapControls();
-        this.initializeTokenSwap2Controls();
-        this.setupSwap4EventListeners();
-        this.setupSwap5EventListeners();
-        this.setupSwap6EventListeners();
+        this.initializeLiquidityControls();
         this.checkConnection();
         this.loadSettings();
         this.loadTransactionHistory(); // Load transaction history from API
+        this.loadRiskStatus();
+        this.loadAllocations();
+        this.loadOrders();
+        this.loadTwapExecutions();
+        this.loadRebalanceStatus();
         
         // Start periodic status checks
         this.startStatusChecks();
@@ -38,12 +41,51 @@ class GalaSwapWebInterface {
         
         // Max button
         document.getElementById('maxButton').addEventListener('click', () => this.setMaxAmount());
+
+        // Exact input / exact output mode
+        document.getElementById('swapMode').addEventListener('change', () => this.updateSwapMode());
         
         // Refresh portfolio
         document.getElementById('refreshPortfolio').addEventListener('click', () => this.loadPortfolio());
         
         // Refresh transaction history
         document.getElementById('refreshTransactions').addEventListener('click', () => this.loadTransactionHistory());
+
+        // Refresh risk limits
+        document.getElementById('refreshRisk').addEventListener('click', () => this.loadRiskStatus());
+
+        // Strategy budgets
+        document.getElementById('refreshAllocations').addEventListener('click', () => this.loadAllocations());
+        document.getElementById('setAllocationBtn').addEventListener('click', () => this.setAllocation());
+
+        // Conditional orders
+        document.getElementById('refreshOrders').addEventListener('click', () => this.loadOrders());
+        document.getElementById('placeOrderBtn').addEventListener('click', () => this.placeOrder());
+        document.getElementById('orderType').addEventListener('change', () => this.updateOrderFields());
+        document.getElementById('ordersContent').addEventListener('click', (event) => {
+            const button = event.target.closest('.order-cancel');
+            if (button) this.cancelOrder(button.dataset.id);
+        });
+        this.updateOrderFields();
+
+        // TWAP/VWAP executions
+        document.getElementById('refreshTwap').addEventListener('click', () => this.loadTwapExecutions());
+        document.getElementById('startTwapBtn').addEventListener('click', () => this.startTwap());
+        document.getElementById('twapMode').addEventListener('change', () => this.updateTwapFields());
+        document.getElementById('twapContent').addEventListener('click', (event) => {
+            const button = event.target.closest('.twap-cancel');
+            if (button) this.cancelTwap(button.dataset.id);
+        });
+        this.updateTwapFields();
+
+        // Portfolio rebalance
+        document.getElementById('refreshRebalance').addEventListener('click', () => this.loadRebalanceStatus());
+        document.getElementById('startRebalanceBtn').addEventListener('click', () => this.startRebalance());
+        document.getElementById('stopRebalanceBtn').addEventListener('click', () => this.stopRebalance());
+
+        // Kill switch and circuit breaker reset
+        document.getElementById('killSwitchBtn').addEventListener('click', () => this.killSwitch());
+        document.getElementById('resetCircuitBreakerBtn').addEventListener('click', () => this.resetCircuitBreaker());
         
         // Recalculate last 10 hours
         const recalcBtn = document.getElementById('recalc10h');
@@ -161,10 +203,15 @@ class GalaSwapWebInterface {
             const data = await response.json();
             
             this.isConnected = data.connected;
+            this.isPaperTrading = !!data.paperTrading;
             this.updateConnectionStatus();
+            this.updateCircuitBreaker(data.circuitBreaker);
             
             if (this.isConnected) {
                 this.loadPortfolio();
+                this.loadOrders();
+                this.loadTwapExecutions();
+                this.loadRebalanceStatus();
             }
         } catch (error) {
             this.isConnected = false;
@@ -178,21 +225,101 @@ class GalaSwapWebInterface {
         
         if (this.isConnected) {
             statusDot.className = 'status-dot online';
-            statusText.textContent = 'Connected';
+            statusText.textContent = this.isPaperTrading ? 'Connected (Paper Trading)' : 'Connected';
         } else {
             statusDot.className = 'status-dot offline';
             statusText.textContent = 'Disconnected';
         }
     }
 
+    updateCircuitBreaker(state) {
+        const banner = document.getElementById('circuitBreakerBanner');
+        const killButton = document.getElementById('killSwitchBtn');
+
+        if (state && state.tripped) {
+            const since = state.trippedAt ? new Date(state.trippedAt).toLocaleString() : 'unknown time';
+            document.getElementById('circuitBreakerText').textContent =
+                `Trading halted by the circuit breaker (${state.trigger}) since ${since}: ${state.reason}`;
+            banner.style.display = 'flex';
+            killButton.disabled = true;
+        } else {
+            banner.style.display = 'none';
+            killButton.disabled = false;
+        }
+    }
+
+    async killSwitch() {
+        if (!confirm('Stop every strategy and block all swaps until the circuit breaker is reset?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/kill`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reason: 'Pulled from the web interface' })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.updateCircuitBreaker(result.circuitBreaker);
+                this.showToast('Kill switch pulled: all strategies stopped', 'warning');
+            } else {
+                this.showToast(`Kill switch failed: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('Kill switch failed:', error);
+            this.showToast('Kill switch failed', 'error');
+        }
+    }
+
+    async resetCircuitBreaker() {
+        if (!confirm('Reset the circuit breaker? Strategies stay stopped until you start them again.')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/circuit-breaker/reset`, { method: 'POST' });
+            const result = await response.json();
+
+            if (result.success) {
+                this.updateCircuitBreaker(result.circuitBreaker);
+                this.showToast('Circuit breaker reset', 'success');
+            } else {
+                this.showToast(`Reset failed: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('Circuit breaker reset failed:', error);
+            this.showToast('Circuit breaker reset failed', 'error');
+        }
+    }
+
+    isExactOutput() {
+        return document.getElementById('swapMode').value === 'exactOut';
+    }
+
+    // The amount field sells an exact amount of tokenIn, or buys an exact amount of tokenOut
+    swapAmountParams(amount) {
+        return this.isExactOutput() ? { amountOut: amount } : { amountIn: amount };
+    }
+
+    updateSwapMode() {
+        const exactOutput = this.isExactOutput();
+        document.getElementById('amountLabel').textContent = exactOutput ? 'Amount to Buy' : 'Amount to Sell';
+        document.getElementById('maxButton').style.display = exactOutput ? 'none' : '';
+        this.currentQuote = null;
+        document.getElementById('executeSwapBtn').disabled = true;
+        document.getElementById('quoteResults').style.display = 'none';
+    }
+
     async getQuote() {
         const tokenIn = document.getElementById('tokenIn').value;
         const tokenOut = document.getElementById('tokenOut').value;
-        const amountIn = document.getElementById('amountIn').value;
+        const amount = document.getElementById('amountIn').value;
         const slippage = document.getElementById('slippage').value;
-        const feeTier = parseInt(document.getElementById('feeTier').value);
+        const feeTier = document.getElementById('feeTier').value;
 
-        if (!amountIn || parseFloat(amountIn) <= 0) {
+        if (!amount || parseFloat(amount) <= 0) {
             this.showToast('Please enter a valid amount', 'error');
             return;
         }
@@ -208,7 +335,7 @@ class GalaSwapWebInterface {
                 body: JSON.stringify({
                     tokenIn,
                     tokenOut,
-                    amountIn,
+                    ...this.swapAmountParams(amount),
                     slippageTolerance: parseFloat(slippage),
                     feeTier
                 })
@@ -230,15 +357,31 @@ class GalaSwapWebInterface {
     }
 
     displayQuote(quote) {
+        document.getElementById('quoteAmountIn').textContent = quote.amountIn;
         document.getElementById('amountOut').textContent = quote.amountOut;
         document.getElementById('priceImpact').textContent = `${quote.priceImpact}%`;
         document.getElementById('currentPrice').textContent = quote.currentPrice;
         document.getElementById('newPrice').textContent = quote.newPrice;
-        document.getElementById('quoteFeeTier').textContent = `${quote.feeTier} (${(quote.feeTier / 100).toFixed(2)}%)`;
+        document.getElementById('quoteFeeTier').textContent = `${quote.feeTier} (${(quote.feeTier / 100).toFixed(2)}%)`
+            + (quote.tierQuotes ? `, best of ${quote.tierQuotes.length} tier${quote.tierQuotes.length === 1 ? '' : 's'}` : '');
+
+        // Multi-hop routes list each pool the swap passes through
+        const routeItem = document.getElementById('quoteRouteItem');
+        routeItem.style.display = quote.route ? '' : 'none';
+        if (quote.route) {
+            document.getElementById('quoteRoute').textContent = this.formatRoute(quote.route);
+        }
         
         document.getElementById('quoteResults').style.display = 'block';
     }
 
+    formatRoute(route) {
+        return route.reduce(
+            (text, hop) => `${text} → ${this.getTokenSymbol(hop.tokenOut)} (${(hop.feeTier / 10000).toFixed(2)}%)`,
+            this.getTokenSymbol(route[0].tokenIn)
+        );
+    }
+
     async executeSwap() {
         if (!this.currentQuote) {
             this.showToast('Please get a quote first', 'error');
@@ -247,12 +390,14 @@ class GalaSwapWebInterface {
 
         const tokenIn = document.getElementById('tokenIn').value;
         const tokenOut = document.getElementById('tokenOut').value;
-        const amountIn = document.getElementById('amountIn').value;
+        const amount = document.getElementById('amountIn').value;
         const slippage = document.getElementById('slippage').value;
-        const feeTier = parseInt(document.getElementById('feeTier').value);
+        const feeTier = document.getElementById('feeTier').value;
 
         // Confirmation dialog
-        const confirmMessage = `Execute swap: ${amountIn} ${this.getTokenSymbol(tokenIn)} → ${this.currentQuote.amountOut} ${this.getTokenSymbol(tokenOut)}?`;
+        const confirmMessage = this.isExactOutput()
+            ? `Execute swap: buy exactly ${amount} ${this.getTokenSymbol(tokenOut)} for about ${this.currentQuote.amountIn} ${this.getTokenSymbol(tokenIn)} (at most +${slippage}%)?`
+            : `Execute swap: ${amount} ${this.getTokenSymbol(tokenIn)} → ${this.currentQuote.amountOut} ${this.getTokenSymbol(tokenOut)}?`;
         if (!confirm(confirmMessage)) {
             return;
         }
@@ -268,7 +413,7 @@ class GalaSwapWebInterface {
                 body: JSON.stringify({
                     tokenIn,
                     tokenOut,
-                    amountIn,
+                    ...this.swapAmountParams(amount),
                     slippageTolerance: parseFloat(slippage),
                     feeTier
                 })
@@ -280,7 +425,7 @@ class GalaSwapWebInterface {
                 this.showToast('Swap executed successfully!', 'success');
                 this.addTransaction({
                     type: 'Swap',
-                    from: `${amountIn} ${this.getTokenSymbol(tokenIn)}`,
+                    from: `${data.result.amountIn} ${this.getTokenSymbol(tokenIn)}`,
                     to: `${data.result.amountOut} ${this.getTokenSymbol(tokenOut)}`,
                     hash: data.result.transactionHash,
                     time: new Date().toLocaleString()
@@ -289,6 +434,10 @@ class GalaSwapWebInterface {
                 this.currentQuote = null;
                 document.getElementById('executeSwapBtn').disabled = true;
                 document.getElementById('quoteResults').style.display = 'none';
+            } else if (data.riskLimit) {
+                this.showToast(`Swap blocked by risk limit: ${data.error}`, 'error');
+                this.loadTransactionHistory();
+                this.loadRiskStatus();
             } else {
                 this.showToast(`Swap failed: ${data.error}`, 'error');
             }
@@ -397,12 +546,14 @@ class GalaSwapWebInterface {
         container.innerHTML = this.transactions.map(tx => `
             <div class="transaction-item">
                 <div class="transaction-header">
-                    <span class="transaction-type ${tx.status}">${tx.type.toUpperCase()}</span>
+                    <span class="transaction-type ${tx.status}">${tx.type.toUpperCase()}${tx.liquidityAction ? ` (${tx.liquidityAction.toUpperCase()})` : ''}${tx.recovery ? ` (${tx.recovery.toUpperCase()})` : ''}${tx.simulated ? ' <span class="simulated-badge">PAPER</span>' : ''}</span>
                     <span class="transaction-time">${this.formatTime(tx.timestamp)}</span>
                 </div>
                 <div class="transaction-details">
                     <div class="transaction-pair">
-                        ${tx.amountIn} ${tx.tokenIn} → ${tx.amountOut} ${tx.tokenOut}
+                        ${tx.type === 'liquidity'
+                            ? `${tx.amountIn} ${tx.tokenIn} + ${tx.amountOut} ${tx.tokenOut}${tx.positionId ? ` (position ${tx.positionId})` : ''}`
+                            : `${tx.amountIn} ${tx.tokenIn} → ${tx.amountOut} ${tx.tokenOut}`}
                     </div>
                     <div class="transaction-info-grid">
                         ${tx.pnl ? `<div class="transaction-pnl">
@@ -421,1693 +572,1512 @@ class GalaSwapWebInterface {
                             <span class="pnl-label">Fee:</span>
                             <span class="pnl-value">${(tx.feeTier / 10000).toFixed(2)}%</span>
                         </div>` : ''}
+                        ${tx.route ? `<div class="transaction-route">
+                            <span class="pnl-label">Route:</span>
+                            <span class="pnl-value">${this.formatRoute(tx.route)}</span>
+                        </div>` : ''}
                         ${tx.priceImpact ? `<div class="transaction-impact">
                             <span class="pnl-label">Price Impact:</span>
                             <span class="pnl-value">${(parseFloat(tx.priceImpact) * 100).toFixed(2)}%</span>
                         </div>` : ''}
                     </div>
-                    ${tx.transactionHash ? `<div class="transaction-hash">Hash: <a href="https://galascan.gala.com/transaction/${tx.transactionHash}" target="_blank">${tx.transactionHash.substring(0, 20)}...</a></div>` : tx.status === 'failed' ? `<div class="transaction-hash failed">Hash: FAILED TRANSACTION</div>` : ''}
+                    ${tx.status === 'blocked' ? `<div class="transaction-hash blocked">Blocked: ${tx.blockedReason || 'risk limit'}</div>` : tx.transactionHash ? `<div class="transaction-hash">Hash: <a href="https://galascan.gala.com/transaction/${tx.transactionHash}" target="_blank">${tx.transactionHash.substring(0, 20)}...</a></div>` : tx.simulated ? `<div class="transaction-hash">Hash: SIMULATED (paper trade)</div>` : tx.status === 'failed' ? `<div class="transaction-hash failed">Hash: FAILED TRANSACTION</div>` : ''}
                     ${tx.strategy ? `<div class="transaction-strategy">Strategy: ${tx.strategy}</div>` : ''}
                 </div>
             </div>
         `).join('');
     }
 
-    displayTransactionError(error) {
-        const container = document.getElementById('transactionsContent');
-        container.innerHTML = `<div class="no-transactions">Error loading transactions: ${error}</div>`;
+    async loadRiskStatus() {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/risk`);
+            const result = await response.json();
+
+            if (result.success) {
+                this.displayRiskStatus(result);
+            } else {
+                document.getElementById('riskContent').innerHTML = `<div class="no-transactions">Error loading risk limits: ${result.error}</div>`;
+            }
+        } catch (error) {
+            console.error('Failed to load risk status:', error);
+            document.getElementById('riskContent').innerHTML = '<div class="no-transactions">Failed to load risk limits</div>';
+        }
     }
 
-    formatTime(timestamp) {
-        const date = new Date(timestamp);
-        const now = new Date();
-        const diffMs = now - date;
-        const diffMins = Math.floor(diffMs / 60000);
-        const diffHours = Math.floor(diffMs / 3600000);
-        const diffDays = Math.floor(diffMs / 86400000);
+    displayRiskStatus({ limits, usage, blockedToday }) {
+        const container = document.getElementById('riskContent');
+        const usd = value => `$${Number(value).toFixed(2)}`;
+        const rows = [];
 
-        if (diffMins < 1) return 'Just now';
-        if (diffMins < 60) return `${diffMins}m ago`;
-        if (diffHours < 24) return `${diffHours}h ago`;
-        if (diffDays < 7) return `${diffDays}d ago`;
-        return date.toLocaleDateString();
-    }
+        if (limits.maxTradeUsd !== undefined) {
+            rows.push({ label: 'Per trade', value: `up to ${usd(limits.maxTradeUsd)}` });
+        }
+        if (limits.maxDailyVolumeUsd !== undefined) {
+            rows.push({
+                label: 'Volume today',
+                value: `${usd(usage.dailyVolumeUsd)} / ${usd(limits.maxDailyVolumeUsd)}`,
+                atLimit: usage.dailyVolumeUsd >= limits.maxDailyVolumeUsd
+            });
+        }
+        if (limits.maxDailyLossUsd !== undefined) {
+            const loss = Math.max(0, -usage.dailyRealizedPnlUsd);
+            rows.push({
+                label: 'Realized loss today',
+                value: `${usd(loss)} / ${usd(limits.maxDailyLossUsd)}`,
+                atLimit: loss >= limits.maxDailyLossUsd
+            });
+        }
+        if (limits.maxTokenSharePercent !== undefined) {
+            const holdings = Object.entries(usage.holdingsUsd || {});
+            const total = holdings.reduce((sum, [, value]) => sum + value, 0);
+            const [symbol, largest] = holdings.sort((a, b) => b[1] - a[1])[0] || ['-', 0];
+            const share = total > 0 ? (largest / total) * 100 : 0;
+            rows.push({
+                label: 'Largest holding',
+                value: `${symbol} ${share.toFixed(1)}% / ${limits.maxTokenSharePercent}%`,
+                atLimit: share >= limits.maxTokenSharePercent
+            });
+        }
+        if (limits.maxPriceImpactPercent !== undefined) {
+            rows.push({ label: 'Price impact', value: `up to ${limits.maxPriceImpactPercent}%` });
+        }
+        if (limits.maxOracleDeviationPercent !== undefined) {
+            rows.push({ label: 'Quote vs oracle', value: `within ${limits.maxOracleDeviationPercent}%` });
+        }
+        if (limits.minOutputUsd !== undefined) {
+            rows.push({ label: 'Output floor', value: `at least ${usd(limits.minOutputUsd)}` });
+        }
 
-    getTokenSymbol(tokenClassKey) {
-        const symbols = {
-            'GALA|Unit|none|none': 'GALA',
-            'GUSDC|Unit|none|none': 'USDC',
-            'GETH|Unit|none|none': 'ETH',
-            'GUSDT|Unit|none|none': 'USDT'
-        };
-        return symbols[tokenClassKey] || tokenClassKey;
+        if (rows.length === 0) {
+            container.innerHTML = '<div class="no-transactions">No risk limits set (RISK_* in .env)</div>';
+            return;
+        }
+
+        rows.push({ label: 'Blocked today', value: `${blockedToday}`, atLimit: blockedToday > 0 });
+        container.innerHTML = rows.map(row => `
+            <div class="risk-limit">
+                <span class="pnl-label">${row.label}</span>
+                <span class="pnl-value ${row.atLimit ? 'at-limit' : ''}">${row.value}</span>
+            </div>
+        `).join('');
     }
 
+    async loadAllocations() {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/allocations`);
+            const result = await response.json();
 
-    showToast(message, type = 'info') {
-        const container = document.getElementById('toastContainer');
-        const toast = document.createElement('div');
-        toast.className = `toast ${type}`;
-        toast.textContent = message;
-        
-        container.appendChild(toast);
-        
-        setTimeout(() => {
-            toast.remove();
-        }, 5000);
+            if (result.success) {
+                this.displayAllocations(result);
+            } else {
+                document.getElementById('allocationsContent').innerHTML = `<div class="no-transactions">Error loading budgets: ${result.error}</div>`;
+            }
+        } catch (error) {
+            console.error('Failed to load allocations:', error);
+            document.getElementById('allocationsContent').innerHTML = '<div class="no-transactions">Failed to load budgets</div>';
+        }
     }
 
-    showSettings() {
-        document.getElementById('settingsModal').style.display = 'flex';
-    }
+    displayAllocations({ strategies, tokens }) {
+        const container = document.getElementById('allocationsContent');
+        const amount = value => parseFloat(value).toFixed(4);
 
-    hideSettings() {
-        document.getElementById('settingsModal').style.display = 'none';
-    }
+        // Offer running strategies in the form's strategy field
+        document.getElementById('allocationStrategies').innerHTML = strategies
+            .map(({ strategy }) => `<option value="${strategy}"></option>`)
+            .join('');
 
-    saveSettings() {
-        this.apiBaseUrl = document.getElementById('apiUrl').value;
-        localStorage.setItem('galaswap_api_url', this.apiBaseUrl);
-        localStorage.setItem('galaswap_log_level', document.getElementById('logLevel').value);
-        
-        this.showToast('Settings saved', 'success');
-        this.hideSettings();
-        this.checkConnection();
+        if (strategies.length === 0) {
+            container.innerHTML = '<div class="no-transactions">No budgets set: strategies share the whole wallet</div>';
+            return;
+        }
+
+        container.innerHTML = strategies.map(({ strategy, running, budgets }) => `
+            <div class="allocation-strategy">
+                <div class="allocation-strategy-header">
+                    <span>${strategy}</span>
+                    ${running ? '<span class="running">● running</span>' : ''}
+                </div>
+                ${budgets.length === 0
+                    ? '<div class="allocation-budget"><span>No budget: shares the unreserved balance</span></div>'
+                    : budgets.map(budget => `
+                        <div class="allocation-budget">
+                            <span>${budget.symbol}</span>
+                            <span>${amount(budget.balance)} (allocated ${amount(budget.allocated)})</span>
+                        </div>
+                    `).join('')}
+            </div>
+        `).join('') + tokens.map(token => `
+            <div class="allocation-unreserved">
+                ${token.symbol}: ${amount(token.reserved)} reserved, ${amount(token.unreserved)} of ${amount(token.wallet)} unreserved
+            </div>
+        `).join('');
     }
 
-    loadSettings() {
-        const savedApiUrl = localStorage.getItem('galaswap_api_url');
-        const savedLogLevel = localStorage.getItem('galaswap_log_level');
-        
-        if (savedApiUrl) {
-            this.apiBaseUrl = savedApiUrl;
-            document.getElementById('apiUrl').value = savedApiUrl;
-        }
-        
-        if (savedLogLevel) {
-            document.getElementById('logLevel').value = savedLogLevel;
+    async setAllocation() {
+        const strategy = document.getElementById('allocationStrategy').value.trim();
+        const token = document.getElementById('allocationToken').value;
+        const amount = document.getElementById('allocationAmount').value;
+
+        if (!strategy || amount === '') {
+            this.showToast('Enter a strategy and an amount', 'error');
+            return;
         }
-    }
 
-    showLogs() {
-        // This would typically open a logs window or modal
-        this.showToast('Logs feature coming soon', 'info');
-    }
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/allocations/${encodeURIComponent(strategy)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token, amount })
+            });
+            const result = await response.json();
 
-    showStrategyInfo() {
-        document.getElementById('strategyInfoModal').style.display = 'flex';
+            if (result.success) {
+                this.showToast(result.budget ? `Budget for ${strategy} set` : `Budget for ${strategy} released`, 'success');
+                this.loadAllocations();
+            } else {
+                this.showToast(`Failed to set budget: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to set allocation:', error);
+            this.showToast('Failed to set budget', 'error');
+        }
     }
 
-    hideStrategyInfo() {
-        document.getElementById('strategyInfoModal').style.display = 'none';
-    }
+    async loadOrders() {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/orders`);
+            const result = await response.json();
 
-    showLunarInfo() {
-        document.getElementById('lunarInfoModal').style.display = 'flex';
+            if (result.success) {
+                this.displayOrders(result.orders);
+            } else {
+                document.getElementById('ordersContent').innerHTML = `<div class="no-transactions">Error loading orders: ${result.error}</div>`;
+            }
+        } catch (error) {
+            console.error('Failed to load orders:', error);
+            document.getElementById('ordersContent').innerHTML = '<div class="no-transactions">Failed to load orders</div>';
+        }
     }
 
-    hideLunarInfo() {
-        document.getElementById('lunarInfoModal').style.display = 'none';
-    }
+    displayOrders(orders) {
+        const container = document.getElementById('ordersContent');
+        const symbol = token => this.getTokenSymbol(token);
 
-    // Prime Interval Strategy Management
-    async initializePrimeControls() {
-        const startBtn = document.getElementById('startPrimeStrategyBtn');
-        const stopBtn = document.getElementById('stopPrimeStrategyBtn');
-        const refreshBtn = document.getElementById('refreshPrimeStatusBtn');
-        const resetBtn = document.getElementById('resetPrimeStrategyBtn');
+        if (orders.length === 0) {
+            container.innerHTML = '<div class="no-transactions">No orders yet</div>';
+            return;
+        }
 
-        if (startBtn) startBtn.addEventListener('click', () => this.startPrimeStrategy());
-        if (stopBtn) stopBtn.addEventListener('click', () => this.stopPrimeStrategy());
-        if (refreshBtn) refreshBtn.addEventListener('click', () => this.refreshPrimeStatus());
-        if (resetBtn) resetBtn.addEventListener('click', () => this.resetPrimeStrategy());
+        // Open orders first, then the 20 most recent closed ones
+        const open = orders.filter(order => order.status === 'open' || order.status === 'executing');
+        const closed = orders.filter(order => !open.includes(order)).slice(0, 20);
+
+        container.innerHTML = [...open, ...closed].map(order => {
+            const trigger = {
+                'stop-loss': `≤ ${order.stopPrice}`,
+                'take-profit': `≥ ${order.takeProfitPrice}`,
+                'trailing-stop': `${order.trailPercent}% below peak${order.peakPrice ? ` (${parseFloat(order.peakPrice).toPrecision(6)})` : ''}`,
+                'oco': `≤ ${order.stopPrice} or ≥ ${order.takeProfitPrice}`,
+                'limit': `≥ ${order.limitPrice}${order.chunkAmount ? ` in chunks of ${order.chunkAmount}` : ''}${order.repeat ? `, repeating (${order.cycles || 0} done)` : ''}`
+            }[order.type];
+            const progress = order.type === 'limit' && order.filledAmount && parseFloat(order.filledAmount) > 0
+                ? ` · sold ${order.filledAmount}/${order.amount}`
+                : '';
+            const expiry = order.expiresAt && order.status === 'open' ? ` · expires ${new Date(order.expiresAt).toLocaleString()}` : '';
+            const price = order.lastPrice ? `last ${parseFloat(order.lastPrice).toPrecision(6)}` : 'not priced yet';
 
-        // Load initial status
-        await this.refreshPrimeStatus();
+            return `
+                <div class="order-item">
+                    <div class="order-header">
+                        <span>${order.type.toUpperCase()} ${order.amount} ${symbol(order.token)} → ${symbol(order.quoteToken)}</span>
+                        <span class="order-status ${order.status}">${order.status}</span>
+                    </div>
+                    <div class="order-details">
+                        <span>${trigger} · ${order.status === 'filled' ? `sold for ${order.amountOut} ${symbol(order.quoteToken)}` : price}${progress}${expiry}</span>
+                        ${order.status === 'open' ? `<button class="btn btn-secondary btn-sm order-cancel" data-id="${order.id}">Cancel</button>` : ''}
+                    </div>
+                    ${order.error ? `<div class="order-error">${order.error}</div>` : ''}
+                </div>
+            `;
+        }).join('');
     }
 
-    async startPrimeStrategy() {
-        try {
-            const config = {
-                tokenA: document.getElementById('primeTokenA').value,
-                tokenB: document.getElementById('primeTokenB').value,
-                slippageTolerance: parseFloat(document.getElementById('primeSlippage').value),
-                swapPercentage: parseFloat(document.getElementById('primeSwapPercentage').value),
-                feeTier: parseInt(document.getElementById('primeFeeTier').value),
-                enabled: true
-            };
+    // Show only the price fields the selected order type uses
+    updateOrderFields() {
+        const type = document.getElementById('orderType').value;
+        document.querySelectorAll('.order-field').forEach(field => {
+            field.style.display = field.dataset.types.split(' ').includes(type) ? '' : 'none';
+        });
+    }
 
-            this.showToast('Starting Prime Cicada Strategy...', 'info');
-            this.updatePrimeStatus({ isRunning: true });
+    async placeOrder() {
+        const type = document.getElementById('orderType').value;
+        const order = {
+            type,
+            token: document.getElementById('orderToken').value,
+            quoteToken: document.getElementById('orderQuoteToken').value,
+            amount: document.getElementById('orderAmount').value
+        };
+        if (type === 'stop-loss' || type === 'oco') order.stopPrice = document.getElementById('orderStopPrice').value;
+        if (type === 'take-profit' || type === 'oco') order.takeProfitPrice = document.getElementById('orderTakeProfitPrice').value;
+        if (type === 'trailing-stop') order.trailPercent = document.getElementById('orderTrailPercent').value;
+        if (type === 'limit') {
+            order.limitPrice = document.getElementById('orderLimitPrice').value;
+            order.chunkAmount = document.getElementById('orderChunkAmount').value;
+            order.repeat = document.getElementById('orderRepeat').value === 'true';
+        }
+        const expiresAt = document.getElementById('orderExpiresAt').value;
+        if (expiresAt) order.expiresAt = new Date(expiresAt).toISOString();
 
-            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/start`, {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/orders`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ strategy: 'prime', config })
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(order)
             });
-
             const result = await response.json();
 
             if (result.success) {
-                this.showToast('Prime Cicada Strategy started successfully', 'success');
-                this.startPrimeResultsPolling();
+                this.showToast(`${type} order placed`, 'success');
+                this.loadOrders();
             } else {
-                this.showToast(`Failed to start strategy: ${result.error}`, 'error');
-                this.updatePrimeStatus({ isRunning: false });
+                this.showToast(`Failed to place order: ${result.error}`, 'error');
             }
         } catch (error) {
-            console.error('Error starting Prime strategy:', error);
-            this.showToast('Error starting Prime Cicada Strategy', 'error');
-            this.updatePrimeStatus({ isRunning: false });
+            console.error('Failed to place order:', error);
+            this.showToast('Failed to place order', 'error');
         }
     }
 
-    async stopPrimeStrategy() {
+    async cancelOrder(id) {
         try {
-            this.showToast('Stopping Prime Cicada Strategy...', 'info');
-            this.updatePrimeStatus({ isRunning: false });
-
-            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/stop`, {
-                method: 'POST'
-            });
-
+            const response = await fetch(`${this.apiBaseUrl}/api/orders/${encodeURIComponent(id)}`, { method: 'DELETE' });
             const result = await response.json();
 
             if (result.success) {
-                this.showToast('Prime Cicada Strategy stopped successfully', 'success');
-                this.stopPrimeResultsPolling();
+                this.showToast('Order cancelled', 'success');
+                this.loadOrders();
             } else {
-                this.showToast(`Failed to stop strategy: ${result.error}`, 'error');
+                this.showToast(`Failed to cancel order: ${result.error}`, 'error');
             }
         } catch (error) {
-            console.error('Error stopping Prime strategy:', error);
-            this.showToast('Error stopping Prime Cicada Strategy', 'error');
+            console.error('Failed to cancel order:', error);
+            this.showToast('Failed to cancel order', 'error');
         }
     }
 
-    async refreshPrimeStatus() {
+    async loadTwapExecutions() {
         try {
-            console.log('Refreshing Prime status...');
-            const response = await fetch(`${this.apiBaseUrl}/api/prime/status`);
-            const data = await response.json();
-            console.log('Prime status response:', data);
+            const response = await fetch(`${this.apiBaseUrl}/api/twap`);
+            const result = await response.json();
 
-            if (data.isRunning && data.strategy === 'PrimeCicadaStrategy') {
-                this.updatePrimeStatus({ isRunning: true });
-                
-                // Get detailed strategy status
-                console.log('Fetching detailed strategy status...');
-                const strategyResponse = await fetch(`${this.apiBaseUrl}/api/arbitrage/strategy-status`);
-                if (strategyResponse.ok) {
-                    const strategyData = await strategyResponse.json();
-                    console.log('Strategy status response:', strategyData);
-                    this.updatePrimeIntervalInfo(strategyData);
-                } else {
-                    console.error('Failed to get strategy status:', strategyResponse.status, strategyResponse.statusText);
-                }
+            if (result.success) {
+                this.displayTwapExecutions(result.executions);
             } else {
-                console.log('Prime strategy not running, clearing interval info');
-                this.updatePrimeStatus({ isRunning: false });
-                this.clearPrimeIntervalInfo();
+                document.getElementById('twapContent').innerHTML = `<div class="no-transactions">Error loading executions: ${result.error}</div>`;
             }
         } catch (error) {
-            console.error('Error refreshing Prime status:', error);
+            console.error('Failed to load TWAP executions:', error);
+            document.getElementById('twapContent').innerHTML = '<div class="no-transactions">Failed to load executions</div>';
         }
     }
 
-    async resetPrimeStrategy() {
-        try {
-            this.showToast('Resetting Prime Cicada Strategy...', 'info');
+    displayTwapExecutions(executions) {
+        const container = document.getElementById('twapContent');
+        const symbol = token => this.getTokenSymbol(token);
 
-            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/reset`, {
-                method: 'POST'
-            });
+        if (executions.length === 0) {
+            container.innerHTML = '<div class="no-transactions">No executions yet</div>';
+            return;
+        }
+
+        container.innerHTML = executions.slice(0, 20).map(execution => {
+            const { params } = execution;
+            const next = execution.status === 'running' && execution.nextSliceAt
+                ? ` · next slice ${new Date(execution.nextSliceAt).toLocaleTimeString()}`
+                : '';
+            const pauses = execution.totalPauses ? ` · ${execution.totalPauses} paused` : '';
+
+            return `
+                <div class="order-item">
+                    <div class="order-header">
+                        <span>${params.mode.toUpperCase()} ${params.amountIn} ${symbol(params.tokenIn)} → ${symbol(params.tokenOut)}</span>
+                        <span class="order-status ${execution.status}">${execution.status}</span>
+                    </div>
+                    <div class="order-details">
+                        <span>${execution.slicesDone}/${params.slices} slices · sold ${execution.executedIn} for ${execution.receivedOut} ${symbol(params.tokenOut)}${pauses}${next}</span>
+                        ${execution.status === 'running' ? `<button class="btn btn-secondary btn-sm twap-cancel" data-id="${execution.id}">Stop</button>` : ''}
+                    </div>
+                    ${execution.error ? `<div class="order-error">${execution.error}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // The volume profile only applies to VWAP
+    updateTwapFields() {
+        const mode = document.getElementById('twapMode').value;
+        document.querySelectorAll('.twap-field').forEach(field => {
+            field.style.display = field.dataset.modes.split(' ').includes(mode) ? '' : 'none';
+        });
+    }
 
+    async startTwap() {
+        const mode = document.getElementById('twapMode').value;
+        const execution = {
+            mode,
+            tokenIn: document.getElementById('twapTokenIn').value,
+            tokenOut: document.getElementById('twapTokenOut').value,
+            amountIn: document.getElementById('twapAmount').value,
+            duration: Math.round(parseFloat(document.getElementById('twapDuration').value) * 60000),
+            slices: document.getElementById('twapSlices').value,
+            maxPriceImpact: document.getElementById('twapMaxImpact').value
+        };
+        if (mode === 'vwap') execution.volumeProfile = document.getElementById('twapVolumeProfile').value;
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/twap`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(execution)
+            });
             const result = await response.json();
 
             if (result.success) {
-                this.showToast('Prime Cicada Strategy reset successfully', 'success');
-                await this.refreshPrimeStatus();
+                this.showToast(`${mode.toUpperCase()} execution started`, 'success');
+                this.loadTwapExecutions();
             } else {
-                this.showToast(`Failed to reset strategy: ${result.error}`, 'error');
+                this.showToast(`Failed to start execution: ${result.error}`, 'error');
             }
         } catch (error) {
-            console.error('Error resetting Prime strategy:', error);
-            this.showToast('Error resetting Prime Cicada Strategy', 'error');
+            console.error('Failed to start TWAP execution:', error);
+            this.showToast('Failed to start execution', 'error');
         }
     }
 
-    updatePrimeStatus(status) {
-        const statusElement = document.getElementById('primeStatus');
-        const startBtn = document.getElementById('startPrimeStrategyBtn');
-        const stopBtn = document.getElementById('stopPrimeStrategyBtn');
+    async cancelTwap(id) {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/twap/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            const result = await response.json();
 
-        if (status.isRunning) {
-            statusElement.innerHTML = '<span class="status-dot online"></span><span>Running</span>';
-            startBtn.disabled = true;
-            stopBtn.disabled = false;
-        } else {
-            statusElement.innerHTML = '<span class="status-dot offline"></span><span>Stopped</span>';
-            startBtn.disabled = false;
-            stopBtn.disabled = true;
+            if (result.success) {
+                this.showToast('Execution stopped', 'success');
+                this.loadTwapExecutions();
+            } else {
+                this.showToast(`Failed to stop execution: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to stop TWAP execution:', error);
+            this.showToast('Failed to stop execution', 'error');
         }
     }
 
-    updatePrimeIntervalInfo(strategyData) {
-        console.log('updatePrimeIntervalInfo called with:', strategyData);
-        
-        if (strategyData && strategyData.success !== false) {
-            // Handle both direct strategy data and API response wrapper
-            const data = strategyData.success !== undefined ? strategyData : strategyData;
-            
-            document.getElementById('currentIntervalNumber').textContent = data.currentInterval || '-';
-            document.getElementById('currentPrimeNumber').textContent = data.primeNumber || '-';
-            document.getElementById('nextPrimeAction').textContent = data.isBuyingTokenB ? 
-                `Buy ${data.tokenB}` : `Sell ${data.tokenB}`;
-            
-            if (data.nextSwapTime) {
-                const nextTime = new Date(data.nextSwapTime);
-                document.getElementById('nextPrimeSwapTime').textContent = nextTime.toLocaleString();
+    async loadRebalanceStatus() {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/rebalance/status`);
+            const result = await response.json();
+
+            if (result.success) {
+                this.displayRebalanceStatus(result);
+            } else {
+                document.getElementById('rebalanceContent').innerHTML = `<div class="no-transactions">Error loading weights: ${result.error}</div>`;
             }
-        } else {
-            console.log('No valid strategy data to display');
+        } catch (error) {
+            console.error('Failed to load rebalance status:', error);
+            document.getElementById('rebalanceContent').innerHTML = '<div class="no-transactions">Failed to load weights</div>';
         }
     }
 
-    clearPrimeIntervalInfo() {
-        document.getElementById('currentIntervalNumber').textContent = '-';
-        document.getElementById('currentPrimeNumber').textContent = '-';
-        document.getElementById('nextPrimeAction').textContent = '-';
-        document.getElementById('nextPrimeSwapTime').textContent = '-';
-    }
+    displayRebalanceStatus(status) {
+        const container = document.getElementById('rebalanceContent');
+        document.getElementById('startRebalanceBtn').disabled = !!status.isRunning;
+        document.getElementById('stopRebalanceBtn').disabled = !status.isRunning;
 
-    startPrimeResultsPolling() {
-        // Poll for results and status every 10 seconds
-        this.primeResultsInterval = setInterval(() => {
-            this.loadPrimeResults();
-            this.refreshPrimeStatus(); // Also refresh the Current Interval data
-        }, 10000);
+        if (!status.isRunning) {
+            container.innerHTML = '<div class="no-transactions">Not running. Set target weights and start rebalancing.</div>';
+            return;
+        }
+        if (!status.weights || status.weights.length === 0) {
+            container.innerHTML = '<div class="no-transactions">Waiting for the first check...</div>';
+            return;
+        }
+
+        const band = status.config.driftBandPercent;
+        const rows = status.weights.map(weight => {
+            const offBand = band > 0 && Math.abs(weight.weight - weight.target) > band;
+            return `
+                <div class="rebalance-weight">
+                    <div class="rebalance-weight-header">
+                        <span>${weight.symbol} · $${weight.valueUsd.toFixed(2)}</span>
+                        <span class="${offBand ? 'off-band' : ''}">${weight.weight.toFixed(1)}% / ${weight.target}%</span>
+                    </div>
+                    <div class="weight-bar">
+                        <div class="weight-fill" style="width: ${Math.min(weight.weight, 100)}%"></div>
+                        <div class="weight-target" style="left: ${weight.target}%"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        const next = status.nextRebalanceTime ? ` · next scheduled ${new Date(status.nextRebalanceTime).toLocaleString()}` : '';
+
+        container.innerHTML = `
+            ${rows}
+            <div class="rebalance-summary">Total $${status.totalValueUsd.toFixed(2)} · ${status.rebalanceCount} rebalance${status.rebalanceCount === 1 ? '' : 's'}${next}</div>
+        `;
     }
 
-    stopPrimeResultsPolling() {
-        if (this.primeResultsInterval) {
-            clearInterval(this.primeResultsInterval);
-            this.primeResultsInterval = null;
+    async startRebalance() {
+        // "GALA:50,GUSDC:30" → class keys; full class keys pass through
+        const targetWeights = {};
+        for (const entry of document.getElementById('rebalanceTargets').value.split(',')) {
+            const [token, weight] = entry.split(':').map(part => part.trim());
+            if (!token) continue;
+            targetWeights[token.includes('|') ? token : `${token}|Unit|none|none`] = parseFloat(weight);
         }
-    }
+        const config = {
+            targetWeights,
+            driftBandPercent: parseFloat(document.getElementById('rebalanceBand').value) || 0,
+            rebalanceInterval: Math.round((parseFloat(document.getElementById('rebalanceIntervalHours').value) || 0) * 3600000),
+            minTradeUsd: parseFloat(document.getElementById('rebalanceMinTrade').value) || 0
+        };
 
-    async loadPrimeResults() {
         try {
-            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/results`);
-            const data = await response.json();
+            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/start`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ strategy: 'rebalance', config })
+            });
+            const result = await response.json();
 
-            if (data.success && data.results) {
-                this.displayPrimeResults(data.results);
+            if (result.success) {
+                this.showToast('Portfolio rebalancing started', 'success');
+                this.loadRebalanceStatus();
+            } else {
+                this.showToast(`Failed to start rebalancing: ${result.error}`, 'error');
             }
         } catch (error) {
-            console.error('Error loading Prime results:', error);
+            console.error('Failed to start rebalancing:', error);
+            this.showToast('Failed to start rebalancing', 'error');
         }
     }
 
-    displayPrimeResults(results) {
-        const resultsContainer = document.getElementById('primeResults');
-        
-        // Filter results for Prime Cicada Strategy
-        const primeResults = results.filter(result => 
-            result.type === 'Prime Cicada Swap'
-        );
+    async stopRebalance() {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/stop`, { method: 'POST' });
+            const result = await response.json();
 
-        if (primeResults.length === 0) {
-            resultsContainer.innerHTML = '<div class="no-results">No results yet</div>';
-            return;
+            if (result.success) {
+                this.showToast('Portfolio rebalancing stopped', 'success');
+                this.loadRebalanceStatus();
+            } else {
+                this.showToast(`Failed to stop rebalancing: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to stop rebalancing:', error);
+            this.showToast('Failed to stop rebalancing', 'error');
         }
-
-        const resultsHtml = primeResults.slice(0, 5).map(result => `
-            <div class="result-item">
-                <div class="result-header">
-                    <span class="result-type">${result.action || 'SWAP'}</span>
-                    <span class="result-time">${new Date(result.timestamp).toLocaleTimeString()}</span>
-                </div>
-                <div class="result-details">
-                    <div class="result-pair">${result.tokenIn} → ${result.tokenOut}</div>
-                    <div class="result-amount">Amount: ${result.amount}</div>
-                    <div class="result-interval">Prime: ${result.primeInterval || 'N/A'}</div>
-                </div>
-            </div>
-        `).join('');
-
-        resultsContainer.innerHTML = resultsHtml;
     }
 
-    showPrimeInfo() {
-        document.getElementById('primeInfoModal').style.display = 'flex';
+    displayTransactionError(error) {
+        const container = document.getElementById('transactionsContent');
+        container.innerHTML = `<div class="no-transactions">Error loading transactions: ${error}</div>`;
     }
 
-    hidePrimeInfo() {
-        document.getElementById('primeInfoModal').style.display = 'none';
-    }
+    formatTime(timestamp) {
+        const date = new Date(timestamp);
+        const now = new Date();
+        const diffMs = now - date;
+        const diffMins = Math.floor(diffMs / 60000);
+        const diffHours = Math.floor(diffMs / 3600000);
+        const diffDays = Math.floor(diffMs / 86400000);
 
-    showTokenSwapInfo() {
-        document.getElementById('tokenSwapInfoModal').style.display = 'flex';
+        if (diffMins < 1) return 'Just now';
+        if (diffMins < 60) return `${diffMins}m ago`;
+        if (diffHours < 24) return `${diffHours}h ago`;
+        if (diffDays < 7) return `${diffDays}d ago`;
+        return date.toLocaleDateString();
     }
 
-    hideTokenSwapInfo() {
-        document.getElementById('tokenSwapInfoModal').style.display = 'none';
+    getTokenSymbol(tokenClassKey) {
+        const symbols = {
+            'GALA|Unit|none|none': 'GALA',
+            'GUSDC|Unit|none|none': 'USDC',
+            'GETH|Unit|none|none': 'ETH',
+            'GUSDT|Unit|none|none': 'USDT',
+            'GWBTC|Unit|none|none': 'WBTC'
+        };
+        return symbols[tokenClassKey] || tokenClassKey;
     }
 
-    // Arbitrage Strategy Management
-    async initializeArbitrageControls() {
-        const startBtn = document.getElementById('startStrategyBtn');
-        const stopBtn = document.getElementById('stopStrategyBtn');
-        const refreshBtn = document.getElementById('refreshStrategyBtn');
-
-        if (startBtn) startBtn.addEventListener('click', () => this.startArbitrageStrategy());
-        if (stopBtn) stopBtn.addEventListener('click', () => {
-            console.log('STOP BUTTON CLICKED: Direct event handler');
-            // Immediately force UI to stopped state
-            this.forceStopButtonState();
-            // Then call the normal stop method
-            this.stopArbitrageStrategy();
-        });
-        if (refreshBtn) refreshBtn.addEventListener('click', () => this.refreshArbitrageStatus());
 
-        // Load initial status
-        await this.refreshArbitrageStatus();
+    showToast(message, type = 'info') {
+        const container = document.getElementById('toastContainer');
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        toast.textContent = message;
+        
+        container.appendChild(toast);
+        
+        setTimeout(() => {
+            toast.remove();
+        }, 5000);
     }
 
-    // Lunar Strategy Management
-    async initializeLunarControls() {
-        const startBtn = document.getElementById('startLunarBtn');
-        const stopBtn = document.getElementById('stopLunarBtn');
-        const refreshBtn = document.getElementById('refreshLunarBtn');
+    showSettings() {
+        document.getElementById('settingsModal').style.display = 'flex';
+    }
 
-        if (startBtn) startBtn.addEventListener('click', () => this.startLunarStrategy());
-        if (stopBtn) stopBtn.addEventListener('click', () => this.stopLunarStrategy());
-        if (refreshBtn) refreshBtn.addEventListener('click', () => this.refreshLunarStatus());
+    hideSettings() {
+        document.getElementById('settingsModal').style.display = 'none';
+    }
 
-        // Load initial lunar phase and status
-        await this.loadLunarPhase();
-        await this.refreshLunarStatus();
+    saveSettings() {
+        this.apiBaseUrl = document.getElementById('apiUrl').value;
+        localStorage.setItem('galaswap_api_url', this.apiBaseUrl);
+        localStorage.setItem('galaswap_log_level', document.getElementById('logLevel').value);
+        
+        this.showToast('Settings saved', 'success');
+        this.hideSettings();
+        this.checkConnection();
     }
 
-    async startArbitrageStrategy() {
-        // Prevent double-clicks
-        if (this.isProcessingArbitrage) {
-            return;
-        }
+    loadSettings() {
+        const savedApiUrl = localStorage.getItem('galaswap_api_url');
+        const savedLogLevel = localStorage.getItem('galaswap_log_level');
+        
+        if (savedApiUrl) {
+            this.apiBaseUrl = savedApiUrl;
+            document.getElementById('apiUrl').value = savedApiUrl;
+        }
+        
+        if (savedLogLevel) {
+            document.getElementById('logLevel').value = savedLogLevel;
+        }
+    }
+
+    showLogs() {
+        // This would typically open a logs window or modal
+        this.showToast('Logs feature coming soon', 'info');
+    }
+
+    showStrategyInfo() {
+        document.getElementById('strategyInfoModal').style.display = 'flex';
+    }
+
+    hideStrategyInfo() {
+        document.getElementById('strategyInfoModal').style.display = 'none';
+    }
+
+    showLunarInfo() {
+        document.getElementById('lunarInfoModal').style.display = 'flex';
+    }
+
+    hideLunarInfo() {
+        document.getElementById('lunarInfoModal').style.display = 'none';
+    }
+
+    // Prime Interval Strategy Management
+    async initializePrimeControls() {
+        const startBtn = document.getElementById('startPrimeStrategyBtn');
+        const stopBtn = document.getElementById('stopPrimeStrategyBtn');
+        const refreshBtn = document.getElementById('refreshPrimeStatusBtn');
+        const resetBtn = document.getElementById('resetPrimeStrategyBtn');
+
+        if (startBtn) startBtn.addEventListener('click', () => this.startPrimeStrategy());
+        if (stopBtn) stopBtn.addEventListener('click', () => this.stopPrimeStrategy());
+        if (refreshBtn) refreshBtn.addEventListener('click', () => this.refreshPrimeStatus());
+        if (resetBtn) resetBtn.addEventListener('click', () => this.resetPrimeStrategy());
+
+        // Load initial status
+        await this.refreshPrimeStatus();
+    }
 
+    async startPrimeStrategy() {
         try {
-            this.isProcessingArbitrage = true;
-            const strategy = document.getElementById('strategySelect').value;
             const config = {
-                minProfitThreshold: parseFloat(document.getElementById('minProfitThreshold').value),
-                maxPositionSize: document.getElementById('maxPositionSize').value,
-                maxSlippage: parseFloat(document.getElementById('maxSlippage').value),
-                scanInterval: parseInt(document.getElementById('scanInterval').value)
+                tokenA: document.getElementById('primeTokenA').value,
+                tokenB: document.getElementById('primeTokenB').value,
+                slippageTolerance: parseFloat(document.getElementById('primeSlippage').value),
+                swapPercentage: parseFloat(document.getElementById('primeSwapPercentage').value),
+                feeTier: parseInt(document.getElementById('primeFeeTier').value),
+                enabled: true
             };
 
-            // Update button states immediately to prevent double-clicks
-            this.updateArbitrageStatus({ isRunning: true, strategy: strategy });
-            this.showToast('Starting arbitrage strategy...', 'info');
+            this.showToast('Starting Prime Cicada Strategy...', 'info');
+            this.updatePrimeStatus({ isRunning: true });
 
             const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/start`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ strategy, config })
+                body: JSON.stringify({ strategy: 'prime', config })
             });
 
             const result = await response.json();
-            console.log('API Response:', result);
 
             if (result.success) {
-                this.showToast(`Arbitrage strategy '${strategy}' started successfully`, 'success');
-                console.log('Strategy started successfully, scheduling page refresh in 3 seconds...');
-                // Start polling for results
-                this.startArbitrageResultsPolling();
-                // Force update button states to running
-                this.updateArbitrageStatus({ isRunning: true, strategy: strategy });
-                // Wait a bit longer before allowing status checks to resume
-                setTimeout(() => {
-                    this.isProcessingArbitrage = false;
-                    this.refreshArbitrageStatus();
-                }, 2000);
-                
-                // Refresh the page after successful strategy start
-                setTimeout(() => {
-                    console.log('Refreshing page now...');
-                    window.location.reload();
-                }, 3000);
+                this.showToast('Prime Cicada Strategy started successfully', 'success');
+                this.startPrimeResultsPolling();
             } else {
                 this.showToast(`Failed to start strategy: ${result.error}`, 'error');
-                // Reset button states on failure
-                this.updateArbitrageStatus({ isRunning: false, strategy: null });
-                setTimeout(() => {
-                    this.isProcessingArbitrage = false;
-                }, 1000);
+                this.updatePrimeStatus({ isRunning: false });
             }
-
         } catch (error) {
-            this.showToast(`Error starting strategy: ${error.message}`, 'error');
-            // Reset button states on error
-            this.updateArbitrageStatus({ isRunning: false, strategy: null });
-            setTimeout(() => {
-                this.isProcessingArbitrage = false;
-            }, 1000);
+            console.error('Error starting Prime strategy:', error);
+            this.showToast('Error starting Prime Cicada Strategy', 'error');
+            this.updatePrimeStatus({ isRunning: false });
         }
     }
 
-    async stopArbitrageStrategy() {
-        // Prevent double-clicks
-        if (this.isProcessingArbitrage) {
-            return;
-        }
-
+    async stopPrimeStrategy() {
         try {
-            this.isProcessingArbitrage = true;
-            
-            // COMPLETELY stop all status checks and polling
-            this.stopStatusChecks();
-            this.stopArbitrageResultsPolling();
-            
-            // Force immediate UI update to stopped state
-            this.forceUpdateArbitrageUI({ isRunning: false, strategy: null });
-            this.showToast('Stopping arbitrage strategy...', 'info');
+            this.showToast('Stopping Prime Cicada Strategy...', 'info');
+            this.updatePrimeStatus({ isRunning: false });
 
             const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/stop`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                }
+                method: 'POST'
             });
 
             const result = await response.json();
 
             if (result.success) {
-                this.showToast('Arbitrage strategy stopped successfully', 'success');
-                // Use direct DOM manipulation for immediate UI update
-                this.forceStopButtonState();
-                this.emergencyStopUI();
+                this.showToast('Prime Cicada Strategy stopped successfully', 'success');
+                this.stopPrimeResultsPolling();
             } else {
                 this.showToast(`Failed to stop strategy: ${result.error}`, 'error');
-                // Use direct DOM manipulation even on failure
-                this.forceStopButtonState();
-                this.emergencyStopUI();
             }
+        } catch (error) {
+            console.error('Error stopping Prime strategy:', error);
+            this.showToast('Error stopping Prime Cicada Strategy', 'error');
+        }
+    }
+
+    async refreshPrimeStatus() {
+        try {
+            console.log('Refreshing Prime status...');
+            const response = await fetch(`${this.apiBaseUrl}/api/prime/status`);
+            const data = await response.json();
+            console.log('Prime status response:', data);
 
+            if (data.isRunning && data.strategy === 'PrimeCicadaStrategy') {
+                this.updatePrimeStatus({ isRunning: true });
+                
+                // Get detailed strategy status
+                console.log('Fetching detailed strategy status...');
+                const strategyResponse = await fetch(`${this.apiBaseUrl}/api/arbitrage/strategy-status`);
+                if (strategyResponse.ok) {
+                    const strategyData = await strategyResponse.json();
+                    console.log('Strategy status response:', strategyData);
+                    this.updatePrimeIntervalInfo(strategyData);
+                } else {
+                    console.error('Failed to get strategy status:', strategyResponse.status, strategyResponse.statusText);
+                }
+            } else {
+                console.log('Prime strategy not running, clearing interval info');
+                this.updatePrimeStatus({ isRunning: false });
+                this.clearPrimeIntervalInfo();
+            }
         } catch (error) {
-            this.showToast(`Error stopping strategy: ${error.message}`, 'error');
-            // Use direct DOM manipulation on error
-            this.forceStopButtonState();
-            this.emergencyStopUI();
-        } finally {
-            // Always reset the processing flag
-            this.isProcessingArbitrage = false;
+            console.error('Error refreshing Prime status:', error);
         }
     }
 
-    async refreshArbitrageStatus() {
+    async resetPrimeStrategy() {
         try {
-            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/status`);
+            this.showToast('Resetting Prime Cicada Strategy...', 'info');
+
+            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/reset`, {
+                method: 'POST'
+            });
+
             const result = await response.json();
 
             if (result.success) {
-                // Only update if we're not currently processing a start/stop operation
-                if (!this.isProcessingArbitrage) {
-                    this.updateArbitrageStatus(result);
-                }
+                this.showToast('Prime Cicada Strategy reset successfully', 'success');
+                await this.refreshPrimeStatus();
             } else {
-                // If status check fails, assume stopped
-                if (!this.isProcessingArbitrage) {
-                    this.updateArbitrageStatus({ isRunning: false, strategy: null });
-                }
+                this.showToast(`Failed to reset strategy: ${result.error}`, 'error');
             }
-
         } catch (error) {
-            console.error('Failed to refresh arbitrage status:', error);
-            // If status check fails, assume stopped
-            if (!this.isProcessingArbitrage) {
-                this.updateArbitrageStatus({ isRunning: false, strategy: null });
-            }
+            console.error('Error resetting Prime strategy:', error);
+            this.showToast('Error resetting Prime Cicada Strategy', 'error');
         }
     }
 
-    updateArbitrageStatus(status) {
-        const statusElement = document.getElementById('strategyStatus');
-        const startBtn = document.getElementById('startStrategyBtn');
-        const stopBtn = document.getElementById('stopStrategyBtn');
+    updatePrimeStatus(status) {
+        const statusElement = document.getElementById('primeStatus');
+        const startBtn = document.getElementById('startPrimeStrategyBtn');
+        const stopBtn = document.getElementById('stopPrimeStrategyBtn');
 
-        console.log('Updating arbitrage status:', status);
+        if (status.isRunning) {
+            statusElement.innerHTML = '<span class="status-dot online"></span><span>Running</span>';
+            startBtn.disabled = true;
+            stopBtn.disabled = false;
+        } else {
+            statusElement.innerHTML = '<span class="status-dot offline"></span><span>Stopped</span>';
+            startBtn.disabled = false;
+            stopBtn.disabled = true;
+        }
+    }
 
-        // Don't show Pool Shark under Arbitrage Strategies
-        if (status.isRunning && status.strategy !== 'TokenSwapStrategy') {
-            statusElement.innerHTML = `
-                <span class="status-dot online"></span>
-                <span>Running: ${status.strategy || 'Unknown Strategy'}</span>
-            `;
-            if (startBtn) {
-                startBtn.disabled = true;
-                startBtn.style.opacity = '0.5';
-                startBtn.style.cursor = 'not-allowed';
-                startBtn.style.pointerEvents = 'none';
-                startBtn.classList.add('disabled');
+    updatePrimeIntervalInfo(strategyData) {
+        console.log('updatePrimeIntervalInfo called with:', strategyData);
+        
+        if (strategyData && strategyData.success !== false) {
+            // Handle both direct strategy data and API response wrapper
+            const data = strategyData.success !== undefined ? strategyData : strategyData;
+            
+            document.getElementById('currentIntervalNumber').textContent = data.currentInterval || '-';
+            document.getElementById('currentPrimeNumber').textContent = data.primeNumber || '-';
+            document.getElementById('nextPrimeAction').textContent = data.isBuyingTokenB ? 
+                `Buy ${data.tokenB}` : `Sell ${data.tokenB}`;
+            
+            if (data.nextSwapTime) {
+                const nextTime = new Date(data.nextSwapTime);
+                document.getElementById('nextPrimeSwapTime').textContent = nextTime.toLocaleString();
             }
-            if (stopBtn) {
-                stopBtn.disabled = false;
-                stopBtn.style.opacity = '1';
-                stopBtn.style.cursor = 'pointer';
-                stopBtn.style.pointerEvents = 'auto';
-                stopBtn.classList.remove('disabled');
-                console.log('Stop button enabled:', stopBtn.disabled, stopBtn.style.opacity);
-            }
-        } else {
-            statusElement.innerHTML = `
-                <span class="status-dot offline"></span>
-                <span>Stopped</span>
-            `;
-            if (startBtn) {
-                startBtn.disabled = false;
-                startBtn.style.opacity = '1';
-                startBtn.style.cursor = 'pointer';
-                startBtn.style.pointerEvents = 'auto';
-                startBtn.classList.remove('disabled');
-            }
-            if (stopBtn) {
-                stopBtn.disabled = true;
-                stopBtn.style.opacity = '0.4';
-                stopBtn.style.cursor = 'not-allowed';
-                stopBtn.style.pointerEvents = 'none';
-                stopBtn.classList.add('disabled');
-                console.log('Stop button disabled:', stopBtn.disabled, stopBtn.style.opacity);
-            }
-        }
-        
-        // Force a reflow to ensure styles are applied
-        if (startBtn) startBtn.offsetHeight;
-        if (stopBtn) stopBtn.offsetHeight;
-        
-        // Additional force update - directly manipulate attributes
-        if (startBtn) {
-            if (status.isRunning) {
-                startBtn.setAttribute('disabled', 'true');
-                startBtn.setAttribute('aria-disabled', 'true');
-            } else {
-                startBtn.removeAttribute('disabled');
-                startBtn.removeAttribute('aria-disabled');
-            }
-        }
-        
-        if (stopBtn) {
-            if (status.isRunning) {
-                stopBtn.removeAttribute('disabled');
-                stopBtn.removeAttribute('aria-disabled');
-            } else {
-                stopBtn.setAttribute('disabled', 'true');
-                stopBtn.setAttribute('aria-disabled', 'true');
-            }
-        }
-    }
-
-    // More aggressive UI update method for stop operations
-    forceUpdateArbitrageUI(status) {
-        const statusElement = document.getElementById('strategyStatus');
-        const startBtn = document.getElementById('startStrategyBtn');
-        const stopBtn = document.getElementById('stopStrategyBtn');
-
-        console.log('FORCE updating arbitrage status:', status);
-
-        if (status.isRunning) {
-            statusElement.innerHTML = `
-                <span class="status-dot online"></span>
-                <span>Running: ${status.strategy || 'Unknown Strategy'}</span>
-            `;
-            if (startBtn) {
-                startBtn.disabled = true;
-                startBtn.style.opacity = '0.5';
-                startBtn.style.cursor = 'not-allowed';
-                startBtn.style.pointerEvents = 'none';
-                startBtn.classList.add('disabled');
-                startBtn.setAttribute('disabled', 'true');
-                startBtn.setAttribute('aria-disabled', 'true');
-            }
-            if (stopBtn) {
-                stopBtn.disabled = false;
-                stopBtn.style.opacity = '1';
-                stopBtn.style.cursor = 'pointer';
-                stopBtn.style.pointerEvents = 'auto';
-                stopBtn.classList.remove('disabled');
-                stopBtn.removeAttribute('disabled');
-                stopBtn.removeAttribute('aria-disabled');
-                console.log('FORCE: Stop button enabled:', stopBtn.disabled, stopBtn.style.opacity);
-            }
-        } else {
-            statusElement.innerHTML = `
-                <span class="status-dot offline"></span>
-                <span>Stopped</span>
-            `;
-            if (startBtn) {
-                startBtn.disabled = false;
-                startBtn.style.opacity = '1';
-                startBtn.style.cursor = 'pointer';
-                startBtn.style.pointerEvents = 'auto';
-                startBtn.classList.remove('disabled');
-                startBtn.removeAttribute('disabled');
-                startBtn.removeAttribute('aria-disabled');
-            }
-            if (stopBtn) {
-                stopBtn.disabled = true;
-                stopBtn.style.opacity = '0.4';
-                stopBtn.style.cursor = 'not-allowed';
-                stopBtn.style.pointerEvents = 'none';
-                stopBtn.classList.add('disabled');
-                stopBtn.setAttribute('disabled', 'true');
-                stopBtn.setAttribute('aria-disabled', 'true');
-                console.log('FORCE: Stop button disabled:', stopBtn.disabled, stopBtn.style.opacity);
-            }
-        }
-        
-        // Force multiple reflows to ensure styles are applied
-        if (startBtn) {
-            startBtn.offsetHeight;
-            startBtn.offsetWidth;
-        }
-        if (stopBtn) {
-            stopBtn.offsetHeight;
-            stopBtn.offsetWidth;
-        }
-        
-        // Force a repaint
-        if (statusElement) {
-            statusElement.offsetHeight;
-        }
-    }
-
-    // Emergency stop method that bypasses all other logic
-    emergencyStopUI() {
-        console.log('EMERGENCY STOP: Forcing UI to stopped state');
-        
-        // Completely stop all intervals
-        if (this.statusCheckInterval) {
-            clearInterval(this.statusCheckInterval);
-            this.statusCheckInterval = null;
-        }
-        if (this.arbitrageResultsInterval) {
-            clearInterval(this.arbitrageResultsInterval);
-            this.arbitrageResultsInterval = null;
-        }
-        
-        // Force UI to stopped state
-        const statusElement = document.getElementById('strategyStatus');
-        const startBtn = document.getElementById('startStrategyBtn');
-        const stopBtn = document.getElementById('stopStrategyBtn');
-
-        if (statusElement) {
-            statusElement.innerHTML = `
-                <span class="status-dot offline"></span>
-                <span>Stopped</span>
-            `;
-        }
-        
-        if (startBtn) {
-            startBtn.disabled = false;
-            startBtn.style.opacity = '1';
-            startBtn.style.cursor = 'pointer';
-            startBtn.style.pointerEvents = 'auto';
-            startBtn.classList.remove('disabled');
-            startBtn.removeAttribute('disabled');
-            startBtn.removeAttribute('aria-disabled');
-        }
-        
-        if (stopBtn) {
-            stopBtn.disabled = true;
-            stopBtn.style.opacity = '0.4';
-            stopBtn.style.cursor = 'not-allowed';
-            stopBtn.style.pointerEvents = 'none';
-            stopBtn.classList.add('disabled');
-            stopBtn.setAttribute('disabled', 'true');
-            stopBtn.setAttribute('aria-disabled', 'true');
-        }
-        
-        // Restart status checks after a delay
-        setTimeout(() => {
-            this.startStatusChecks();
-        }, 10000);
-    }
-
-    // Direct DOM manipulation for immediate stop button fix
-    forceStopButtonState() {
-        console.log('FORCE STOP: Direct DOM manipulation');
-        
-        const startBtn = document.getElementById('startStrategyBtn');
-        const stopBtn = document.getElementById('stopStrategyBtn');
-        const statusElement = document.getElementById('strategyStatus');
-        
-        // Force stop button to be disabled
-        if (stopBtn) {
-            stopBtn.disabled = true;
-            stopBtn.style.opacity = '0.4';
-            stopBtn.style.cursor = 'not-allowed';
-            stopBtn.style.pointerEvents = 'none';
-            stopBtn.classList.add('disabled');
-            stopBtn.setAttribute('disabled', 'true');
-            stopBtn.setAttribute('aria-disabled', 'true');
-            console.log('FORCE STOP: Stop button disabled');
-        }
-        
-        // Force start button to be enabled
-        if (startBtn) {
-            startBtn.disabled = false;
-            startBtn.style.opacity = '1';
-            startBtn.style.cursor = 'pointer';
-            startBtn.style.pointerEvents = 'auto';
-            startBtn.classList.remove('disabled');
-            startBtn.removeAttribute('disabled');
-            startBtn.removeAttribute('aria-disabled');
-            console.log('FORCE STOP: Start button enabled');
-        }
-        
-        // Force status to show stopped
-        if (statusElement) {
-            statusElement.innerHTML = `
-                <span class="status-dot offline"></span>
-                <span>Stopped</span>
-            `;
-            console.log('FORCE STOP: Status set to stopped');
-        }
-        
-        // Force multiple reflows
-        if (startBtn) startBtn.offsetHeight;
-        if (stopBtn) stopBtn.offsetHeight;
-        if (statusElement) statusElement.offsetHeight;
-    }
-
-    async loadArbitrageResults() {
-        try {
-            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/results`);
-            const result = await response.json();
-
-            if (result.success) {
-                this.displayArbitrageResults(result.results);
-            }
-
-        } catch (error) {
-            console.error('Failed to load arbitrage results:', error);
-        }
-    }
-
-    displayArbitrageResults(results) {
-        const container = document.getElementById('strategyResults');
-
-        if (!results || results.length === 0) {
-            container.innerHTML = `
-                <div class="no-results">
-                    <i class="fas fa-info-circle"></i>
-                    <p>No strategy running. Start a strategy to see results.</p>
-                </div>
-            `;
-            return;
-        }
-
-        container.innerHTML = results.map(result => `
-            <div class="strategy-result">
-                <div class="result-header">
-                    <span class="result-type">${result.type || 'Arbitrage Opportunity'}</span>
-                    <span class="result-time">${new Date(result.timestamp).toLocaleTimeString()}</span>
-                </div>
-                <div class="result-details">
-                    ${result.amount ? `<div class="result-detail"><span class="label">Amount:</span><span class="value">${result.amount}</span></div>` : ''}
-                    ${result.profitPercentage ? `<div class="result-detail"><span class="label">Profit:</span><span class="value ${result.profitPercentage > 0 ? 'profit-positive' : 'profit-negative'}">${result.profitPercentage.toFixed(4)}%</span></div>` : ''}
-                    ${result.expectedProfit ? `<div class="result-detail"><span class="label">Expected:</span><span class="value">${result.expectedProfit}</span></div>` : ''}
-                    ${result.tokenIn ? `<div class="result-detail"><span class="label">Token In:</span><span class="value">${result.tokenIn}</span></div>` : ''}
-                    ${result.tokenOut ? `<div class="result-detail"><span class="label">Token Out:</span><span class="value">${result.tokenOut}</span></div>` : ''}
-                </div>
-            </div>
-        `).join('');
-    }
-
-    startArbitrageResultsPolling() {
-        // Poll for results every 5 seconds when strategy is running
-        this.arbitrageResultsInterval = setInterval(() => {
-            this.loadArbitrageResults();
-        }, 5000);
-    }
-
-    stopArbitrageResultsPolling() {
-        if (this.arbitrageResultsInterval) {
-            clearInterval(this.arbitrageResultsInterval);
-            this.arbitrageResultsInterval = null;
-        }
-    }
-
-    startStatusChecks() {
-        // Check arbitrage status every 10 seconds
-        this.statusCheckInterval = setInterval(() => {
-            this.refreshArbitrageStatus();
-        }, 10000);
-    }
-
-    stopStatusChecks() {
-        if (this.statusCheckInterval) {
-            clearInterval(this.statusCheckInterval);
-            this.statusCheckInterval = null;
-        }
-    }
-
-    // Lunar Strategy Methods
-    async startLunarStrategy() {
-        try {
-            const config = {
-                minTradeAmount: document.getElementById('lunarMinTradeAmount').value,
-                maxTradeAmount: document.getElementById('lunarMaxTradeAmount').value,
-                checkInterval: 300000, // 5 minutes
-                maxSlippage: 0.5,
-                enabledTokens: ['GALA', 'USDC'],
-                strategy: document.getElementById('lunarStrategy').value,
-                phaseThreshold: parseFloat(document.getElementById('lunarPhaseThreshold').value),
-                riskManagement: {
-                    stopLossPercentage: parseFloat(document.getElementById('lunarStopLoss').value),
-                    takeProfitPercentage: parseFloat(document.getElementById('lunarTakeProfit').value),
-                    maxPositionSize: 20
-                }
-            };
-
-            this.showToast('Starting lunar strategy...', 'info');
-
-            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/start`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ strategy: 'lunar', config })
-            });
-
-            const result = await response.json();
-
-            if (result.success) {
-                this.showToast('Lunar strategy started successfully', 'success');
-                this.updateLunarStatus({ isRunning: true, strategy: 'lunar' });
-                this.startLunarResultsPolling();
-            } else {
-                this.showToast(`Failed to start lunar strategy: ${result.error}`, 'error');
-            }
-
-        } catch (error) {
-            this.showToast(`Error starting lunar strategy: ${error.message}`, 'error');
-        }
-    }
-
-    async stopLunarStrategy() {
-        try {
-            this.showToast('Stopping lunar strategy...', 'info');
-
-            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/stop`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            const result = await response.json();
-
-            if (result.success) {
-                this.showToast('Lunar strategy stopped successfully', 'success');
-                this.updateLunarStatus({ isRunning: false, strategy: null });
-                this.stopLunarResultsPolling();
-            } else {
-                this.showToast(`Failed to stop lunar strategy: ${result.error}`, 'error');
-            }
-
-        } catch (error) {
-            this.showToast(`Error stopping lunar strategy: ${error.message}`, 'error');
-        }
-    }
-
-    async refreshLunarStatus() {
-        try {
-            const response = await fetch(`${this.apiBaseUrl}/api/lunar/status`);
-            const result = await response.json();
-
-            if (result.success) {
-                this.updateLunarStatus(result);
-            }
-
-        } catch (error) {
-            console.error('Failed to refresh lunar status:', error);
-        }
-    }
-
-    async loadLunarPhase() {
-        try {
-            const response = await fetch(`${this.apiBaseUrl}/api/lunar/phase`);
-            const result = await response.json();
-
-            if (result.success) {
-                this.displayLunarPhase(result.phaseInfo);
-            }
-
-        } catch (error) {
-            console.error('Failed to load lunar phase:', error);
-        }
-    }
-
-    async loadLunarPosition() {
-        try {
-            const response = await fetch(`${this.apiBaseUrl}/api/lunar/position`);
-            const result = await response.json();
-
-            if (result.success) {
-                this.displayLunarPosition(result.position);
-            }
-
-        } catch (error) {
-            console.error('Failed to load lunar position:', error);
+        } else {
+            console.log('No valid strategy data to display');
         }
     }
 
-    updateLunarStatus(status) {
-        const statusElement = document.getElementById('lunarStatus');
-        const startBtn = document.getElementById('startLunarBtn');
-        const stopBtn = document.getElementById('stopLunarBtn');
-
-        if (status.isRunning) {
-            statusElement.innerHTML = `
-                <span class="status-dot online"></span>
-                <span>Running: ${status.strategy || 'Lunar Strategy'}</span>
-            `;
-            if (startBtn) {
-                startBtn.disabled = true;
-                startBtn.style.opacity = '0.5';
-            }
-            if (stopBtn) {
-                stopBtn.disabled = false;
-                stopBtn.style.opacity = '1';
-            }
-        } else {
-            statusElement.innerHTML = `
-                <span class="status-dot offline"></span>
-                <span>Stopped</span>
-            `;
-            if (startBtn) {
-                startBtn.disabled = false;
-                startBtn.style.opacity = '1';
-            }
-            if (stopBtn) {
-                stopBtn.disabled = true;
-                stopBtn.style.opacity = '0.4';
-            }
-        }
+    clearPrimeIntervalInfo() {
+        document.getElementById('currentIntervalNumber').textContent = '-';
+        document.getElementById('currentPrimeNumber').textContent = '-';
+        document.getElementById('nextPrimeAction').textContent = '-';
+        document.getElementById('nextPrimeSwapTime').textContent = '-';
     }
 
-    displayLunarPhase(phaseInfo) {
-        document.getElementById('currentPhaseName').textContent = phaseInfo.phaseName;
-        document.getElementById('currentPhaseValue').textContent = phaseInfo.phase.toFixed(3);
-        document.getElementById('daysToNextPhase').textContent = phaseInfo.daysToNextPhase.toFixed(1) + ' days';
-        
-        let status = '';
-        if (phaseInfo.isNewMoon) status = 'New Moon - Buy Signal';
-        else if (phaseInfo.isFullMoon) status = 'Full Moon - Sell Signal';
-        else if (phaseInfo.isWaxing) status = 'Waxing - Gradual Buy';
-        else if (phaseInfo.isWaning) status = 'Waning - Gradual Sell';
-        else status = 'Neutral';
-        
-        document.getElementById('phaseStatus').textContent = status;
+    startPrimeResultsPolling() {
+        // Poll for results and status every 10 seconds
+        this.primeResultsInterval = setInterval(() => {
+            this.loadPrimeResults();
+            this.refreshPrimeStatus(); // Also refresh the Current Interval data
+        }, 10000);
     }
 
-    displayLunarPosition(position) {
-        const container = document.getElementById('lunarPositionInfo');
-        
-        if (!position) {
-            container.innerHTML = '<div class="no-position">No active position</div>';
-            return;
+    stopPrimeResultsPolling() {
+        if (this.primeResultsInterval) {
+            clearInterval(this.primeResultsInterval);
+            this.primeResultsInterval = null;
         }
-
-        container.innerHTML = `
-            <div class="position-info">
-                <div class="position-header">
-                    <span class="position-pair">${position.tokenIn}/${position.tokenOut}</span>
-                    <span class="position-amount">${position.amount}</span>
-                </div>
-                <div class="position-details">
-                    <div class="position-detail">
-                        <span class="label">Entry Price:</span>
-                        <span class="value">${position.entryPrice}</span>
-                    </div>
-                    <div class="position-detail">
-                        <span class="label">Entry Date:</span>
-                        <span class="value">${new Date(position.entryDate).toLocaleString()}</span>
-                    </div>
-                    <div class="position-detail">
-                        <span class="label">Stop Loss:</span>
-                        <span class="value">${position.stopLoss}</span>
-                    </div>
-                    <div class="position-detail">
-                        <span class="label">Take Profit:</span>
-                        <span class="value">${position.takeProfit}</span>
-                    </div>
-                </div>
-            </div>
-        `;
     }
 
-    async loadLunarResults() {
+    async loadPrimeResults() {
         try {
             const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/results`);
-            const result = await response.json();
+            const data = await response.json();
 
-            if (result.success) {
-                this.displayLunarResults(result.results);
+            if (data.success && data.results) {
+                this.displayPrimeResults(data.results);
             }
-
         } catch (error) {
-            console.error('Failed to load lunar results:', error);
+            console.error('Error loading Prime results:', error);
         }
     }
 
-    displayLunarResults(results) {
-        const container = document.getElementById('lunarResults');
-
-        if (!results || results.length === 0) {
-            container.innerHTML = `
-                <div class="no-results">
-                    <i class="fas fa-moon"></i>
-                    <p>No lunar strategy running. Start a strategy to see results.</p>
-                </div>
-            `;
-            return;
-        }
-
-        // Filter for lunar-related results
-        const lunarResults = results.filter(result => 
-            result.type && (
-                result.type.includes('Lunar') || 
-                result.type.includes('lunar') ||
-                result.lunarPhase
-            )
+    displayPrimeResults(results) {
+        const resultsContainer = document.getElementById('primeResults');
+        
+        // Filter results for Prime Cicada Strategy
+        const primeResults = results.filter(result => 
+            result.type === 'Prime Cicada Swap'
         );
 
-        if (lunarResults.length === 0) {
-            container.innerHTML = `
-                <div class="no-results">
-                    <i class="fas fa-moon"></i>
-                    <p>No lunar strategy results yet.</p>
-                </div>
-            `;
+        if (primeResults.length === 0) {
+            resultsContainer.innerHTML = '<div class="no-results">No results yet</div>';
             return;
         }
 
-        container.innerHTML = lunarResults.map(result => `
-            <div class="lunar-result">
+        const resultsHtml = primeResults.slice(0, 5).map(result => `
+            <div class="result-item">
                 <div class="result-header">
-                    <span class="result-type">${result.type || 'Lunar Signal'}</span>
+                    <span class="result-type">${result.action || 'SWAP'}</span>
                     <span class="result-time">${new Date(result.timestamp).toLocaleTimeString()}</span>
                 </div>
                 <div class="result-details">
-                    ${result.amount ? `<div class="result-detail"><span class="label">Amount:</span><span class="value">${result.amount}</span></div>` : ''}
-                    ${result.profitPercentage ? `<div class="result-detail"><span class="label">Profit:</span><span class="value ${result.profitPercentage > 0 ? 'profit-positive' : 'profit-negative'}">${result.profitPercentage.toFixed(4)}%</span></div>` : ''}
-                    ${result.lunarPhase ? `<div class="result-detail"><span class="label">Lunar Phase:</span><span class="value">${result.lunarPhase}</span></div>` : ''}
-                    ${result.signal ? `<div class="result-detail"><span class="label">Signal:</span><span class="value">${result.signal}</span></div>` : ''}
-                    ${result.confidence ? `<div class="result-detail"><span class="label">Confidence:</span><span class="value">${(result.confidence * 100).toFixed(1)}%</span></div>` : ''}
+                    <div class="result-pair">${result.tokenIn} → ${result.tokenOut}</div>
+                    <div class="result-amount">Amount: ${result.amount}</div>
+                    <div class="result-interval">Prime: ${result.primeInterval || 'N/A'}</div>
                 </div>
             </div>
         `).join('');
+
+        resultsContainer.innerHTML = resultsHtml;
     }
 
-    startLunarResultsPolling() {
-        // Poll for lunar results every 10 seconds when strategy is running
-        this.lunarResultsInterval = setInterval(() => {
-            this.loadLunarResults();
-            this.loadLunarPosition();
-        }, 10000);
+    showPrimeInfo() {
+        document.getElementById('primeInfoModal').style.display = 'flex';
     }
 
-    stopLunarResultsPolling() {
-        if (this.lunarResultsInterval) {
-            clearInterval(this.lunarResultsInterval);
-            this.lunarResultsInterval = null;
-        }
+    hidePrimeInfo() {
+        document.getElementById('primeInfoModal').style.display = 'none';
     }
 
-    // Pool Shark Management
-    async initializeTokenSwapControls() {
-        const getQuoteBtn = document.getElementById('getSwap2QuoteBtn');
-        const executeBtn = document.getElementById('executeSwap2Btn');
-        const startBtn = document.getElementById('startSwap2StrategyBtn');
-        const stopBtn = document.getElementById('stopSwap2StrategyBtn');
-        const refreshBtn = document.getElementById('refreshSwap2StatusBtn');
-
-        if (getQuoteBtn) getQuoteBtn.addEventListener('click', () => this.getSwap2Quote());
-        if (executeBtn) executeBtn.addEventListener('click', () => this.executeSwap2());
-        if (startBtn) startBtn.addEventListener('click', () => this.startSwap2Strategy());
-        if (stopBtn) stopBtn.addEventListener('click', () => this.stopSwap2Strategy());
-        if (refreshBtn) refreshBtn.addEventListener('click', () => this.refreshSwap2Status());
+    showTokenSwapInfo() {
+        document.getElementById('tokenSwapInfoModal').style.display = 'flex';
+    }
 
-        // Load initial status
-        await this.refreshSwap2Status();
+    hideTokenSwapInfo() {
+        document.getElementById('tokenSwapInfoModal').style.display = 'none';
     }
 
-    async getSwap2Quote() {
-        const tokenIn = document.getElementById('swap2TokenIn').value;
-        const tokenOut = document.getElementById('swap2TokenOut').value;
-        const amountIn = document.getElementById('swap2Amount').value;
-        const slippage = document.getElementById('swap2Slippage').value;
-        const feeTier = parseInt(document.getElementById('swap2FeeTier').value);
+    // Arbitrage Strategy Management
+    async initializeArbitrageControls() {
+        const startBtn = document.getElementById('startStrategyBtn');
+        const stopBtn = document.getElementById('stopStrategyBtn');
+        const refreshBtn = document.getElementById('refreshStrategyBtn');
+
+        if (startBtn) startBtn.addEventListener('click', () => this.startArbitrageStrategy());
+        if (stopBtn) stopBtn.addEventListener('click', () => {
+            console.log('STOP BUTTON CLICKED: Direct event handler');
+            // Immediately force UI to stopped state
+            this.forceStopButtonState();
+            // Then call the normal stop method
+            this.stopArbitrageStrategy();
+        });
+        if (refreshBtn) refreshBtn.addEventListener('click', () => this.refreshArbitrageStatus());
 
-        if (!amountIn || parseFloat(amountIn) <= 0) {
-            this.showToast('Please enter a valid amount', 'error');
-            return;
-        }
+        // Fill the strategy dropdown from the registry, then load initial status
+        await this.loadAvailableStrategies();
+        await this.refreshArbitrageStatus();
+    }
 
-        this.showToast('Getting quote...', 'info');
+    async loadAvailableStrategies() {
+        const select = document.getElementById('strategySelect');
+        if (!select) return;
 
         try {
-            const response = await fetch(`${this.apiBaseUrl}/api/quote`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    tokenIn,
-                    tokenOut,
-                    amountIn,
-                    slippageTolerance: parseFloat(slippage),
-                    feeTier
-                })
-            });
-
+            const response = await fetch(`${this.apiBaseUrl}/api/strategies`);
             const data = await response.json();
+            if (!data.success || !Array.isArray(data.strategies)) return;
 
-            if (data.success) {
-                this.currentSwap2Quote = data.quote;
-                this.displaySwap2Quote(data.quote);
-                document.getElementById('executeSwap2Btn').disabled = false;
-                this.showToast('Quote received successfully', 'success');
-            } else {
-                this.showToast(`Quote failed: ${data.error}`, 'error');
+            // Prime Cicada, Pool Sharks and Portfolio Rebalance have their own panels
+            const selectable = data.strategies.filter(s => !s.concurrent && s.category !== 'interval' && s.category !== 'portfolio');
+            if (selectable.length === 0) return;
+
+            const previous = select.value;
+            select.innerHTML = selectable.map(s => 
+                `<option value="${s.name}" title="${s.description}">${s.displayName}</option>`
+            ).join('');
+            if (selectable.some(s => s.name === previous)) {
+                select.value = previous;
             }
         } catch (error) {
-            this.showToast(`Error getting quote: ${error.message}`, 'error');
+            // Keep the built-in options if the registry can't be reached
+            console.error('Failed to load available strategies:', error);
         }
     }
 
-    displaySwap2Quote(quote) {
-        document.getElementById('swap2AmountOut').textContent = quote.amountOut;
-        document.getElementById('swap2PriceImpact').textContent = `${quote.priceImpact}%`;
-        document.getElementById('swap2CurrentPrice').textContent = quote.currentPrice;
-        document.getElementById('swap2NewPrice').textContent = quote.newPrice;
-        document.getElementById('swap2QuoteFeeTier').textContent = `${quote.feeTier} (${(quote.feeTier / 100).toFixed(2)}%)`;
-        
-        document.getElementById('swap2QuoteResults').style.display = 'block';
-    }
+    // Lunar Strategy Management
+    async initializeLunarControls() {
+        const startBtn = document.getElementById('startLunarBtn');
+        const stopBtn = document.getElementById('stopLunarBtn');
+        const refreshBtn = document.getElementById('refreshLunarBtn');
 
-    async executeSwap2() {
-        if (!this.currentSwap2Quote) {
-            this.showToast('Please get a quote first', 'error');
-            return;
-        }
+        if (startBtn) startBtn.addEventListener('click', () => this.startLunarStrategy());
+        if (stopBtn) stopBtn.addEventListener('click', () => this.stopLunarStrategy());
+        if (refreshBtn) refreshBtn.addEventListener('click', () => this.refreshLunarStatus());
 
-        const tokenIn = document.getElementById('swap2TokenIn').value;
-        const tokenOut = document.getElementById('swap2TokenOut').value;
-        const amountIn = document.getElementById('swap2Amount').value;
-        const slippage = document.getElementById('swap2Slippage').value;
-        const feeTier = parseInt(document.getElementById('swap2FeeTier').value);
+        // Load initial lunar phase and status
+        await this.loadLunarPhase();
+        await this.refreshLunarStatus();
+    }
 
-        // Confirmation dialog
-        const confirmMessage = `Execute swap: ${amountIn} ${this.getTokenSymbol(tokenIn)} → ${this.currentSwap2Quote.amountOut} ${this.getTokenSymbol(tokenOut)}?`;
-        if (!confirm(confirmMessage)) {
+    async startArbitrageStrategy() {
+        // Prevent double-clicks
+        if (this.isProcessingArbitrage) {
             return;
         }
 
-        this.showToast('Executing swap...', 'info');
-
         try {
-            const response = await fetch(`${this.apiBaseUrl}/api/swap`, {
+            this.isProcessingArbitrage = true;
+            const strategy = document.getElementById('strategySelect').value;
+            const config = {
+                minProfitThreshold: parseFloat(document.getElementById('minProfitThreshold').value),
+                maxPositionSize: document.getElementById('maxPositionSize').value,
+                maxSlippage: parseFloat(document.getElementById('maxSlippage').value),
+                scanInterval: parseInt(document.getElementById('scanInterval').value)
+            };
+
+            // Update button states immediately to prevent double-clicks
+            this.updateArbitrageStatus({ isRunning: true, strategy: strategy });
+            this.showToast('Starting arbitrage strategy...', 'info');
+
+            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/start`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
+                    'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
-                    tokenIn,
-                    tokenOut,
-                    amountIn,
-                    slippageTolerance: parseFloat(slippage),
-                    feeTier
-                })
+                body: JSON.stringify({ strategy, config })
             });
 
-            const data = await response.json();
+            const result = await response.json();
+            console.log('API Response:', result);
 
-            if (data.success) {
-                this.showToast('Swap executed successfully!', 'success');
-                this.addTransaction({
-                    type: 'Swap (Strategy 2)',
-                    from: `${amountIn} ${this.getTokenSymbol(tokenIn)}`,
-                    to: `${data.result.amountOut} ${this.getTokenSymbol(tokenOut)}`,
-                    hash: data.result.transactionHash,
-                    time: new Date().toLocaleString()
-                });
-                this.loadPortfolio();
-                this.currentSwap2Quote = null;
-                document.getElementById('executeSwap2Btn').disabled = true;
-                document.getElementById('swap2QuoteResults').style.display = 'none';
+            if (result.success) {
+                this.showToast(`Arbitrage strategy '${strategy}' started successfully`, 'success');
+                console.log('Strategy started successfully, scheduling page refresh in 3 seconds...');
+                // Start polling for results
+                this.startArbitrageResultsPolling();
+                // Force update button states to running
+                this.updateArbitrageStatus({ isRunning: true, strategy: strategy });
+                // Wait a bit longer before allowing status checks to resume
+                setTimeout(() => {
+                    this.isProcessingArbitrage = false;
+                    this.refreshArbitrageStatus();
+                }, 2000);
+                
+                // Refresh the page after successful strategy start
+                setTimeout(() => {
+                    console.log('Refreshing page now...');
+                    window.location.reload();
+                }, 3000);
             } else {
-                this.showToast(`Swap failed: ${data.error}`, 'error');
+                this.showToast(`Failed to start strategy: ${result.error}`, 'error');
+                // Reset button states on failure
+                this.updateArbitrageStatus({ isRunning: false, strategy: null });
+                setTimeout(() => {
+                    this.isProcessingArbitrage = false;
+                }, 1000);
             }
+
         } catch (error) {
-            this.showToast(`Error executing swap: ${error.message}`, 'error');
+            this.showToast(`Error starting strategy: ${error.message}`, 'error');
+            // Reset button states on error
+            this.updateArbitrageStatus({ isRunning: false, strategy: null });
+            setTimeout(() => {
+                this.isProcessingArbitrage = false;
+            }, 1000);
         }
     }
 
-    async startSwap2Strategy() {
-        try {
-            const config = {
-                tokenIn: document.getElementById('swap2TokenIn').value,
-                tokenOut: document.getElementById('swap2TokenOut').value,
-                amountIn: document.getElementById('swap2Amount').value,
-                slippageTolerance: parseFloat(document.getElementById('swap2Slippage').value),
-                feeTier: parseInt(document.getElementById('swap2FeeTier').value),
-                intervalSeconds: parseInt(document.getElementById('swap2Interval').value),
-                minAmountOut: document.getElementById('swap2MinAmountOut').value,
-                enabled: true
-            };
-
-            if (!config.amountIn || parseFloat(config.amountIn) <= 0) {
-                this.showToast('Please enter a valid amount', 'error');
-                return;
-            }
-
-            if (!config.minAmountOut || parseFloat(config.minAmountOut) < 0) {
-                this.showToast('Please enter a valid minimum amount out threshold', 'error');
-                return;
-            }
+    async stopArbitrageStrategy() {
+        // Prevent double-clicks
+        if (this.isProcessingArbitrage) {
+            return;
+        }
 
-            this.showToast('Starting Pool Shark...', 'info');
-            this.updateSwap2Status({ isRunning: true });
+        try {
+            this.isProcessingArbitrage = true;
+            
+            // COMPLETELY stop all status checks and polling
+            this.stopStatusChecks();
+            this.stopArbitrageResultsPolling();
+            
+            // Force immediate UI update to stopped state
+            this.forceUpdateArbitrageUI({ isRunning: false, strategy: null });
+            this.showToast('Stopping arbitrage strategy...', 'info');
 
-            const response = await fetch(`${this.apiBaseUrl}/api/token-swap/start`, {
+            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/stop`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ config })
+                }
             });
 
             const result = await response.json();
 
             if (result.success) {
-                this.showToast('Pool Shark started successfully', 'success');
-                this.startSwap2ResultsPolling();
+                this.showToast('Arbitrage strategy stopped successfully', 'success');
+                // Use direct DOM manipulation for immediate UI update
+                this.forceStopButtonState();
+                this.emergencyStopUI();
             } else {
-                this.showToast(`Failed to start strategy: ${result.error}`, 'error');
-                this.updateSwap2Status({ isRunning: false });
+                this.showToast(`Failed to stop strategy: ${result.error}`, 'error');
+                // Use direct DOM manipulation even on failure
+                this.forceStopButtonState();
+                this.emergencyStopUI();
             }
+
         } catch (error) {
-            console.error('Error starting Token Swap strategy:', error);
-            this.showToast('Error starting Pool Shark', 'error');
-            this.updateSwap2Status({ isRunning: false });
+            this.showToast(`Error stopping strategy: ${error.message}`, 'error');
+            // Use direct DOM manipulation on error
+            this.forceStopButtonState();
+            this.emergencyStopUI();
+        } finally {
+            // Always reset the processing flag
+            this.isProcessingArbitrage = false;
         }
     }
 
-    async stopSwap2Strategy() {
+    async refreshArbitrageStatus() {
         try {
-            this.showToast('Stopping Pool Shark...', 'info');
-            this.updateSwap2Status({ isRunning: false });
-
-            const response = await fetch(`${this.apiBaseUrl}/api/token-swap/stop`, {
-                method: 'POST'
-            });
-
+            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/status`);
             const result = await response.json();
 
             if (result.success) {
-                this.showToast('Pool Shark stopped successfully', 'success');
-                this.stopSwap2ResultsPolling();
+                // Only update if we're not currently processing a start/stop operation
+                if (!this.isProcessingArbitrage) {
+                    this.updateArbitrageStatus(result);
+                }
             } else {
-                this.showToast(`Failed to stop strategy: ${result.error}`, 'error');
+                // If status check fails, assume stopped
+                if (!this.isProcessingArbitrage) {
+                    this.updateArbitrageStatus({ isRunning: false, strategy: null });
+                }
             }
+
         } catch (error) {
-            console.error('Error stopping Token Swap strategy:', error);
-            this.showToast('Error stopping Pool Shark', 'error');
+            console.error('Failed to refresh arbitrage status:', error);
+            // If status check fails, assume stopped
+            if (!this.isProcessingArbitrage) {
+                this.updateArbitrageStatus({ isRunning: false, strategy: null });
+            }
         }
     }
 
-    async refreshSwap2Status() {
-        try {
-            const response = await fetch(`${this.apiBaseUrl}/api/token-swap/status`);
-            const result = await response.json();
+    updateArbitrageStatus(status) {
+        const statusElement = document.getElementById('strategyStatus');
+        const startBtn = document.getElementById('startStrategyBtn');
+        const stopBtn = document.getElementById('stopStrategyBtn');
 
-            if (result.success) {
-                this.updateSwap2Status({ isRunning: result.isRunning });
+        console.log('Updating arbitrage status:', status);
+
+        // Don't show Pool Shark under Arbitrage Strategies
+        if (status.isRunning && status.strategy !== 'TokenSwapStrategy') {
+            statusElement.innerHTML = `
+                <span class="status-dot online"></span>
+                <span>Running: ${status.strategy || 'Unknown Strategy'}</span>
+            `;
+            if (startBtn) {
+                startBtn.disabled = true;
+                startBtn.style.opacity = '0.5';
+                startBtn.style.cursor = 'not-allowed';
+                startBtn.style.pointerEvents = 'none';
+                startBtn.classList.add('disabled');
+            }
+            if (stopBtn) {
+                stopBtn.disabled = false;
+                stopBtn.style.opacity = '1';
+                stopBtn.style.cursor = 'pointer';
+                stopBtn.style.pointerEvents = 'auto';
+                stopBtn.classList.remove('disabled');
+                console.log('Stop button enabled:', stopBtn.disabled, stopBtn.style.opacity);
+            }
+        } else {
+            statusElement.innerHTML = `
+                <span class="status-dot offline"></span>
+                <span>Stopped</span>
+            `;
+            if (startBtn) {
+                startBtn.disabled = false;
+                startBtn.style.opacity = '1';
+                startBtn.style.cursor = 'pointer';
+                startBtn.style.pointerEvents = 'auto';
+                startBtn.classList.remove('disabled');
+            }
+            if (stopBtn) {
+                stopBtn.disabled = true;
+                stopBtn.style.opacity = '0.4';
+                stopBtn.style.cursor = 'not-allowed';
+                stopBtn.style.pointerEvents = 'none';
+                stopBtn.classList.add('disabled');
+                console.log('Stop button disabled:', stopBtn.disabled, stopBtn.style.opacity);
+            }
+        }
+        
+        // Force a reflow to ensure styles are applied
+        if (startBtn) startBtn.offsetHeight;
+        if (stopBtn) stopBtn.offsetHeight;
+        
+        // Additional force update - directly manipulate attributes
+        if (startBtn) {
+            if (status.isRunning) {
+                startBtn.setAttribute('disabled', 'true');
+                startBtn.setAttribute('aria-disabled', 'true');
+            } else {
+                startBtn.removeAttribute('disabled');
+                startBtn.removeAttribute('aria-disabled');
+            }
+        }
+        
+        if (stopBtn) {
+            if (status.isRunning) {
+                stopBtn.removeAttribute('disabled');
+                stopBtn.removeAttribute('aria-disabled');
             } else {
-                this.updateSwap2Status({ isRunning: false });
+                stopBtn.setAttribute('disabled', 'true');
+                stopBtn.setAttribute('aria-disabled', 'true');
             }
-        } catch (error) {
-            console.error('Error refreshing Pool Shark status:', error);
-            this.updateSwap2Status({ isRunning: false });
         }
     }
 
-    updateSwap2Status(status) {
-        const statusElement = document.getElementById('tokenSwapStatus');
-        const startBtn = document.getElementById('startSwap2StrategyBtn');
-        const stopBtn = document.getElementById('stopSwap2StrategyBtn');
+    // More aggressive UI update method for stop operations
+    forceUpdateArbitrageUI(status) {
+        const statusElement = document.getElementById('strategyStatus');
+        const startBtn = document.getElementById('startStrategyBtn');
+        const stopBtn = document.getElementById('stopStrategyBtn');
+
+        console.log('FORCE updating arbitrage status:', status);
 
         if (status.isRunning) {
-            statusElement.innerHTML = '<span class="status-dot online"></span><span>Running</span>';
-            if (startBtn) startBtn.disabled = true;
-            if (stopBtn) stopBtn.disabled = false;
+            statusElement.innerHTML = `
+                <span class="status-dot online"></span>
+                <span>Running: ${status.strategy || 'Unknown Strategy'}</span>
+            `;
+            if (startBtn) {
+                startBtn.disabled = true;
+                startBtn.style.opacity = '0.5';
+                startBtn.style.cursor = 'not-allowed';
+                startBtn.style.pointerEvents = 'none';
+                startBtn.classList.add('disabled');
+                startBtn.setAttribute('disabled', 'true');
+                startBtn.setAttribute('aria-disabled', 'true');
+            }
+            if (stopBtn) {
+                stopBtn.disabled = false;
+                stopBtn.style.opacity = '1';
+                stopBtn.style.cursor = 'pointer';
+                stopBtn.style.pointerEvents = 'auto';
+                stopBtn.classList.remove('disabled');
+                stopBtn.removeAttribute('disabled');
+                stopBtn.removeAttribute('aria-disabled');
+                console.log('FORCE: Stop button enabled:', stopBtn.disabled, stopBtn.style.opacity);
+            }
         } else {
-            statusElement.innerHTML = '<span class="status-dot offline"></span><span>Stopped</span>';
-            if (startBtn) startBtn.disabled = false;
-            if (stopBtn) stopBtn.disabled = true;
+            statusElement.innerHTML = `
+                <span class="status-dot offline"></span>
+                <span>Stopped</span>
+            `;
+            if (startBtn) {
+                startBtn.disabled = false;
+                startBtn.style.opacity = '1';
+                startBtn.style.cursor = 'pointer';
+                startBtn.style.pointerEvents = 'auto';
+                startBtn.classList.remove('disabled');
+                startBtn.removeAttribute('disabled');
+                startBtn.removeAttribute('aria-disabled');
+            }
+            if (stopBtn) {
+                stopBtn.disabled = true;
+                stopBtn.style.opacity = '0.4';
+                stopBtn.style.cursor = 'not-allowed';
+                stopBtn.style.pointerEvents = 'none';
+                stopBtn.classList.add('disabled');
+                stopBtn.setAttribute('disabled', 'true');
+                stopBtn.setAttribute('aria-disabled', 'true');
+                console.log('FORCE: Stop button disabled:', stopBtn.disabled, stopBtn.style.opacity);
+            }
+        }
+        
+        // Force multiple reflows to ensure styles are applied
+        if (startBtn) {
+            startBtn.offsetHeight;
+            startBtn.offsetWidth;
+        }
+        if (stopBtn) {
+            stopBtn.offsetHeight;
+            stopBtn.offsetWidth;
+        }
+        
+        // Force a repaint
+        if (statusElement) {
+            statusElement.offsetHeight;
         }
     }
 
-    startSwap2ResultsPolling() {
-        // Poll for results every 10 seconds
-        this.swap2ResultsInterval = setInterval(() => {
-            this.loadSwap2Results();
+    // Emergency stop method that bypasses all other logic
+    emergencyStopUI() {
+        console.log('EMERGENCY STOP: Forcing UI to stopped state');
+        
+        // Completely stop all intervals
+        if (this.statusCheckInterval) {
+            clearInterval(this.statusCheckInterval);
+            this.statusCheckInterval = null;
+        }
+        if (this.arbitrageResultsInterval) {
+            clearInterval(this.arbitrageResultsInterval);
+            this.arbitrageResultsInterval = null;
+        }
+        
+        // Force UI to stopped state
+        const statusElement = document.getElementById('strategyStatus');
+        const startBtn = document.getElementById('startStrategyBtn');
+        const stopBtn = document.getElementById('stopStrategyBtn');
+
+        if (statusElement) {
+            statusElement.innerHTML = `
+                <span class="status-dot offline"></span>
+                <span>Stopped</span>
+            `;
+        }
+        
+        if (startBtn) {
+            startBtn.disabled = false;
+            startBtn.style.opacity = '1';
+            startBtn.style.cursor = 'pointer';
+            startBtn.style.pointerEvents = 'auto';
+            startBtn.classList.remove('disabled');
+            startBtn.removeAttribute('disabled');
+            startBtn.removeAttribute('aria-disabled');
+        }
+        
+        if (stopBtn) {
+            stopBtn.disabled = true;
+            stopBtn.style.opacity = '0.4';
+            stopBtn.style.cursor = 'not-allowed';
+            stopBtn.style.pointerEvents = 'none';
+            stopBtn.classList.add('disabled');
+            stopBtn.setAttribute('disabled', 'true');
+            stopBtn.setAttribute('aria-disabled', 'true');
+        }
+        
+        // Restart status checks after a delay
+        setTimeout(() => {
+            this.startStatusChecks();
         }, 10000);
     }
 
-    stopSwap2ResultsPolling() {
-        if (this.swap2ResultsInterval) {
-            clearInterval(this.swap2ResultsInterval);
-            this.swap2ResultsInterval = null;
+    // Direct DOM manipulation for immediate stop button fix
+    forceStopButtonState() {
+        console.log('FORCE STOP: Direct DOM manipulation');
+        
+        const startBtn = document.getElementById('startStrategyBtn');
+        const stopBtn = document.getElementById('stopStrategyBtn');
+        const statusElement = document.getElementById('strategyStatus');
+        
+        // Force stop button to be disabled
+        if (stopBtn) {
+            stopBtn.disabled = true;
+            stopBtn.style.opacity = '0.4';
+            stopBtn.style.cursor = 'not-allowed';
+            stopBtn.style.pointerEvents = 'none';
+            stopBtn.classList.add('disabled');
+            stopBtn.setAttribute('disabled', 'true');
+            stopBtn.setAttribute('aria-disabled', 'true');
+            console.log('FORCE STOP: Stop button disabled');
+        }
+        
+        // Force start button to be enabled
+        if (startBtn) {
+            startBtn.disabled = false;
+            startBtn.style.opacity = '1';
+            startBtn.style.cursor = 'pointer';
+            startBtn.style.pointerEvents = 'auto';
+            startBtn.classList.remove('disabled');
+            startBtn.removeAttribute('disabled');
+            startBtn.removeAttribute('aria-disabled');
+            console.log('FORCE STOP: Start button enabled');
+        }
+        
+        // Force status to show stopped
+        if (statusElement) {
+            statusElement.innerHTML = `
+                <span class="status-dot offline"></span>
+                <span>Stopped</span>
+            `;
+            console.log('FORCE STOP: Status set to stopped');
         }
+        
+        // Force multiple reflows
+        if (startBtn) startBtn.offsetHeight;
+        if (stopBtn) stopBtn.offsetHeight;
+        if (statusElement) statusElement.offsetHeight;
     }
 
-    async loadSwap2Results() {
+    async loadArbitrageResults() {
         try {
             const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/results`);
-            const data = await response.json();
+            const result = await response.json();
 
-            if (data.success && data.results) {
-                this.displaySwap2Results(data.results);
+            if (result.success) {
+                this.displayArbitrageResults(result.results);
             }
+
         } catch (error) {
-            console.error('Error loading Token Swap results:', error);
+            console.error('Failed to load arbitrage results:', error);
         }
     }
 
-    displaySwap2Results(results) {
-        const resultsContainer = document.getElementById('swap2Results');
-        
-        // Filter results for Pool Shark
-        const swap2Results = results.filter(result => 
-            result.type && result.type.includes('Pool Shark')
-        );
+    displayArbitrageResults(results) {
+        const container = document.getElementById('strategyResults');
 
-        if (swap2Results.length === 0) {
-            resultsContainer.innerHTML = '<div class="no-results">No results yet</div>';
+        if (!results || results.length === 0) {
+            container.innerHTML = `
+                <div class="no-results">
+                    <i class="fas fa-info-circle"></i>
+                    <p>No strategy running. Start a strategy to see results.</p>
+                </div>
+            `;
             return;
         }
 
-        const resultsHtml = swap2Results.slice(-8).map(result => {
-            let statusClass = 'info';
-            let statusIcon = 'fa-info-circle';
-            
-            if (result.action === 'EXECUTED') {
-                statusClass = 'success';
-                statusIcon = 'fa-check-circle';
-            } else if (result.action === 'SKIPPED') {
-                statusClass = 'warning';
-                statusIcon = 'fa-pause-circle';
-            } else if (result.action === 'FAILED' || result.action === 'ERROR' || result.action === 'QUOTE_FAILED') {
-                statusClass = 'error';
-                statusIcon = 'fa-times-circle';
-            }
-            
-            return `
-                <div class="result-item ${statusClass}">
-                    <div class="result-header">
-                        <i class="fas ${statusIcon}"></i>
-                        <span class="result-type">${result.action || 'SWAP'}</span>
-                        <span class="result-time">${new Date(result.timestamp).toLocaleTimeString()}</span>
-                        ${result.swapNumber ? `<span class="result-swap-number">#${result.swapNumber}</span>` : ''}
-                    </div>
-                    <div class="result-details">
-                        <div class="result-pair">${result.tokenIn} → ${result.tokenOut}</div>
-                        <div class="result-amount">Amount: ${result.amount}</div>
-                    </div>
-                    ${result.expectedAmountOut ? `
-                        <div class="result-quote">
-                            <span class="quote-label">Expected:</span>
-                            <span class="quote-value">${result.expectedAmountOut} ${result.tokenOut}</span>
-                            ${result.minAmountOut ? `<span class="quote-threshold">(Min: ${result.minAmountOut})</span>` : ''}
-                        </div>
-                    ` : ''}
-                    ${result.amountOut ? `
-                        <div class="result-executed">
-                            <span class="executed-label">Actual:</span>
-                            <span class="executed-value">${result.amountOut} ${result.tokenOut}</span>
-                        </div>
-                    ` : ''}
-                    ${result.transactionHash ? `
-                        <div class="result-tx">
-                            <span class="tx-label">TX:</span>
-                            <span class="tx-hash">${result.transactionHash.substring(0, 10)}...</span>
-                        </div>
-                    ` : ''}
-                    ${result.reason ? `<div class="result-reason">${result.reason}</div>` : ''}
+        container.innerHTML = results.map(result => `
+            <div class="strategy-result">
+                <div class="result-header">
+                    <span class="result-type">${result.type || 'Arbitrage Opportunity'}</span>
+                    <span class="result-time">${new Date(result.timestamp).toLocaleTimeString()}</span>
                 </div>
-            `;
-        }).join('');
+                <div class="result-details">
+                    ${result.amount ? `<div class="result-detail"><span class="label">Amount:</span><span class="value">${result.amount}</span></div>` : ''}
+                    ${result.profitPercentage ? `<div class="result-detail"><span class="label">Profit:</span><span class="value ${result.profitPercentage > 0 ? 'profit-positive' : 'profit-negative'}">${result.profitPercentage.toFixed(4)}%</span></div>` : ''}
+                    ${result.expectedProfit ? `<div class="result-detail"><span class="label">Expected:</span><span class="value">${result.expectedProfit}</span></div>` : ''}
+                    ${result.tokenIn ? `<div class="result-detail"><span class="label">Token In:</span><span class="value">${result.tokenIn}</span></div>` : ''}
+                    ${result.tokenOut ? `<div class="result-detail"><span class="label">Token Out:</span><span class="value">${result.tokenOut}</span></div>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
 
-        resultsContainer.innerHTML = resultsHtml;
+    startArbitrageResultsPolling() {
+        // Poll for results every 5 seconds when strategy is running
+        this.arbitrageResultsInterval = setInterval(() => {
+            this.loadArbitrageResults();
+        }, 5000);
     }
 
-    // Pool Shark 2 Management
-    async initializeTokenSwap2Controls() {
-        const getQuoteBtn = document.getElementById('getSwap3QuoteBtn');
-        const executeBtn = document.getElementById('executeSwap3Btn');
-        const startBtn = document.getElementById('startSwap3StrategyBtn');
-        const stopBtn = document.getElementById('stopSwap3StrategyBtn');
-        const refreshBtn = document.getElementById('refreshSwap3StatusBtn');
+    stopArbitrageResultsPolling() {
+        if (this.arbitrageResultsInterval) {
+            clearInterval(this.arbitrageResultsInterval);
+            this.arbitrageResultsInterval = null;
+        }
+    }
 
-        if (getQuoteBtn) getQuoteBtn.addEventListener('click', () => this.getSwap3Quote());
-        if (executeBtn) executeBtn.addEventListener('click', () => this.executeSwap3());
-        if (startBtn) startBtn.addEventListener('click', () => this.startSwap3Strategy());
-        if (stopBtn) stopBtn.addEventListener('click', () => this.stopSwap3Strategy());
-        if (refreshBtn) refreshBtn.addEventListener('click', () => this.refreshSwap3Status());
+    startStatusChecks() {
+        // Check arbitrage status every 10 seconds
+        this.statusCheckInterval = setInterval(() => {
+            this.refreshArbitrageStatus();
+        }, 10000);
+    }
 
-        // Info modal
-        const infoBtn = document.getElementById('showTokenSwap2Info');
-        if (infoBtn) {
-            infoBtn.addEventListener('click', () => this.showModal('tokenSwap2InfoModal'));
+    stopStatusChecks() {
+        if (this.statusCheckInterval) {
+            clearInterval(this.statusCheckInterval);
+            this.statusCheckInterval = null;
         }
-
-        // Initial status check
-        this.refreshSwap3Status();
     }
 
-    async getSwap3Quote() {
+    // Lunar Strategy Methods
+    async startLunarStrategy() {
         try {
-            const tokenIn = document.getElementById('swap3TokenIn').value;
-            const tokenOut = document.getElementById('swap3TokenOut').value;
-            const amountIn = document.getElementById('swap3Amount').value;
-            const slippageTolerance = parseFloat(document.getElementById('swap3Slippage').value);
-            const feeTier = parseInt(document.getElementById('swap3FeeTier').value);
-
-            if (!amountIn || parseFloat(amountIn) <= 0) {
-                this.showToast('Please enter a valid amount', 'error');
-                return;
-            }
+            const config = {
+                minTradeAmount: document.getElementById('lunarMinTradeAmount').value,
+                maxTradeAmount: document.getElementById('lunarMaxTradeAmount').value,
+                checkInterval: 300000, // 5 minutes
+                maxSlippage: 0.5,
+                enabledTokens: ['GALA', 'USDC'],
+                strategy: document.getElementById('lunarStrategy').value,
+                phaseThreshold: parseFloat(document.getElementById('lunarPhaseThreshold').value),
+                riskManagement: {
+                    stopLossPercentage: parseFloat(document.getElementById('lunarStopLoss').value),
+                    takeProfitPercentage: parseFloat(document.getElementById('lunarTakeProfit').value),
+                    maxPositionSize: 20
+                }
+            };
 
-            this.showToast('Getting quote...', 'info');
+            this.showToast('Starting lunar strategy...', 'info');
 
-            const response = await fetch(`${this.apiBaseUrl}/api/quote`, {
+            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/start`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
-                    tokenIn,
-                    tokenOut,
-                    amountIn,
-                    slippageTolerance,
-                    feeTier
-                })
+                body: JSON.stringify({ strategy: 'lunar', config })
             });
 
             const result = await response.json();
 
             if (result.success) {
-                this.displaySwap3Quote(result.quote);
-                this.showToast('Quote retrieved successfully', 'success');
+                this.showToast('Lunar strategy started successfully', 'success');
+                this.updateLunarStatus({ isRunning: true, strategy: 'lunar' });
+                this.startLunarResultsPolling();
             } else {
-                this.showToast(`Failed to get quote: ${result.error}`, 'error');
+                this.showToast(`Failed to start lunar strategy: ${result.error}`, 'error');
             }
+
         } catch (error) {
-            console.error('Error getting quote:', error);
-            this.showToast('Error getting quote', 'error');
+            this.showToast(`Error starting lunar strategy: ${error.message}`, 'error');
         }
     }
 
-    displaySwap3Quote(quote) {
-        document.getElementById('swap3QuoteAmountOut').textContent = quote.amountOut || '-';
-        document.getElementById('swap3QuotePriceImpact').textContent = quote.priceImpact ? `${quote.priceImpact}%` : '-';
-        document.getElementById('swap3QuoteFeeTier').textContent = quote.feeTier ? `${quote.feeTier / 10000}%` : '-';
-    }
-
-    async executeSwap3() {
+    async stopLunarStrategy() {
         try {
-            const tokenIn = document.getElementById('swap3TokenIn').value;
-            const tokenOut = document.getElementById('swap3TokenOut').value;
-            const amountIn = document.getElementById('swap3Amount').value;
-            const slippageTolerance = parseFloat(document.getElementById('swap3Slippage').value);
-            const feeTier = parseInt(document.getElementById('swap3FeeTier').value);
-
-            if (!amountIn || parseFloat(amountIn) <= 0) {
-                this.showToast('Please enter a valid amount', 'error');
-                return;
-            }
-
-            this.showToast('Executing swap...', 'info');
+            this.showToast('Stopping lunar strategy...', 'info');
 
-            const response = await fetch(`${this.apiBaseUrl}/api/swap`, {
+            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/stop`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    tokenIn,
-                    tokenOut,
-                    amountIn,
-                    slippageTolerance,
-                    feeTier
-                })
+                }
             });
 
             const result = await response.json();
 
             if (result.success) {
-                this.showToast('Swap executed successfully', 'success');
-                this.refreshSwap3Status();
-                this.loadSwap3Results();
+                this.showToast('Lunar strategy stopped successfully', 'success');
+                this.updateLunarStatus({ isRunning: false, strategy: null });
+                this.stopLunarResultsPolling();
             } else {
-                this.showToast(`Swap failed: ${result.error}`, 'error');
+                this.showToast(`Failed to stop lunar strategy: ${result.error}`, 'error');
             }
+
         } catch (error) {
-            console.error('Error executing swap:', error);
-            this.showToast('Error executing swap', 'error');
+            this.showToast(`Error stopping lunar strategy: ${error.message}`, 'error');
         }
     }
 
-    async startSwap3Strategy() {
+    async refreshLunarStatus() {
         try {
-            const config = {
-                tokenIn: document.getElementById('swap3TokenIn').value,
-                tokenOut: document.getElementById('swap3TokenOut').value,
-                amountIn: document.getElementById('swap3Amount').value,
-                slippageTolerance: parseFloat(document.getElementById('swap3Slippage').value),
-                feeTier: parseInt(document.getElementById('swap3FeeTier').value),
-                intervalSeconds: parseInt(document.getElementById('swap3Interval').value),
-                minAmountOut: document.getElementById('swap3MinAmountOut').value,
-                enabled: true
-            };
-
-            if (!config.amountIn || parseFloat(config.amountIn) <= 0) {
-                this.showToast('Please enter a valid amount', 'error');
-                return;
-            }
-
-            if (!config.minAmountOut || parseFloat(config.minAmountOut) < 0) {
-                this.showToast('Please enter a valid minimum amount out threshold', 'error');
-                return;
-            }
-
-            this.showToast('Starting Pool Shark 2...', 'info');
-            this.updateSwap3Status({ isRunning: true });
-
-            const response = await fetch(`${this.apiBaseUrl}/api/token-swap-2/start`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ config })
-            });
-
+            const response = await fetch(`${this.apiBaseUrl}/api/lunar/status`);
             const result = await response.json();
 
             if (result.success) {
-                this.showToast('Pool Shark 2 started successfully', 'success');
-                this.startSwap3ResultsPolling();
-            } else {
-                this.showToast(`Failed to start strategy: ${result.error}`, 'error');
-                this.updateSwap3Status({ isRunning: false });
+                this.updateLunarStatus(result);
             }
+
         } catch (error) {
-            console.error('Error starting Pool Shark 2 strategy:', error);
-            this.showToast('Error starting Pool Shark 2', 'error');
-            this.updateSwap3Status({ isRunning: false });
+            console.error('Failed to refresh lunar status:', error);
         }
     }
 
-    async stopSwap3Strategy() {
+    async loadLunarPhase() {
         try {
-            this.showToast('Stopping Pool Shark 2...', 'info');
-
-            const response = await fetch(`${this.apiBaseUrl}/api/token-swap-2/stop`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            });
-
+            const response = await fetch(`${this.apiBaseUrl}/api/lunar/phase`);
             const result = await response.json();
 
             if (result.success) {
-                this.showToast('Pool Shark 2 stopped successfully', 'success');
-                this.updateSwap3Status({ isRunning: false });
-                this.stopSwap3ResultsPolling();
-            } else {
-                this.showToast(`Failed to stop strategy: ${result.error}`, 'error');
+                this.displayLunarPhase(result.phaseInfo);
             }
+
         } catch (error) {
-            console.error('Error stopping Pool Shark 2 strategy:', error);
-            this.showToast('Error stopping Pool Shark 2', 'error');
+            console.error('Failed to load lunar phase:', error);
         }
     }
 
-    async refreshSwap3Status() {
+    async loadLunarPosition() {
         try {
-            const response = await fetch(`${this.apiBaseUrl}/api/token-swap-2/status`);
+            const response = await fetch(`${this.apiBaseUrl}/api/lunar/position`);
             const result = await response.json();
 
             if (result.success) {
-                this.updateSwap3Status(result);
+                this.displayLunarPosition(result.position);
             }
+
         } catch (error) {
-            console.error('Error refreshing Pool Shark 2 status:', error);
+            console.error('Failed to load lunar position:', error);
         }
     }
 
-    updateSwap3Status(status) {
-        const statusElement = document.getElementById('swap3Status');
-        const startBtn = document.getElementById('startSwap3StrategyBtn');
-        const stopBtn = document.getElementById('stopSwap3StrategyBtn');
+    updateLunarStatus(status) {
+        const statusElement = document.getElementById('lunarStatus');
+        const startBtn = document.getElementById('startLunarBtn');
+        const stopBtn = document.getElementById('stopLunarBtn');
 
         if (status.isRunning) {
             statusElement.innerHTML = `
                 <span class="status-dot online"></span>
-                <span>Running</span>
+                <span>Running: ${status.strategy || 'Lunar Strategy'}</span>
             `;
             if (startBtn) {
                 startBtn.disabled = true;
                 startBtn.style.opacity = '0.5';
-                startBtn.style.cursor = 'not-allowed';
-                startBtn.style.pointerEvents = 'none';
-                startBtn.classList.add('disabled');
             }
             if (stopBtn) {
                 stopBtn.disabled = false;
                 stopBtn.style.opacity = '1';
-                stopBtn.style.cursor = 'pointer';
-                stopBtn.style.pointerEvents = 'auto';
-                stopBtn.classList.remove('disabled');
             }
         } else {
             statusElement.innerHTML = `
@@ -2117,401 +2087,352 @@ class GalaSwapWebInterface {
             if (startBtn) {
                 startBtn.disabled = false;
                 startBtn.style.opacity = '1';
-                startBtn.style.cursor = 'pointer';
-                startBtn.style.pointerEvents = 'auto';
-                startBtn.classList.remove('disabled');
             }
             if (stopBtn) {
                 stopBtn.disabled = true;
-                stopBtn.style.opacity = '0.5';
-                stopBtn.style.cursor = 'not-allowed';
-                stopBtn.style.pointerEvents = 'none';
-                stopBtn.classList.add('disabled');
+                stopBtn.style.opacity = '0.4';
             }
         }
     }
 
-    startSwap3ResultsPolling() {
-        if (this.swap3ResultsInterval) {
-            clearInterval(this.swap3ResultsInterval);
-        }
+    displayLunarPhase(phaseInfo) {
+        document.getElementById('currentPhaseName').textContent = phaseInfo.phaseName;
+        document.getElementById('currentPhaseValue').textContent = phaseInfo.phase.toFixed(3);
+        document.getElementById('daysToNextPhase').textContent = phaseInfo.daysToNextPhase.toFixed(1) + ' days';
         
-        this.swap3ResultsInterval = setInterval(() => {
-            this.loadSwap3Results();
-        }, 5000);
+        let status = '';
+        if (phaseInfo.isNewMoon) status = 'New Moon - Buy Signal';
+        else if (phaseInfo.isFullMoon) status = 'Full Moon - Sell Signal';
+        else if (phaseInfo.isWaxing) status = 'Waxing - Gradual Buy';
+        else if (phaseInfo.isWaning) status = 'Waning - Gradual Sell';
+        else status = 'Neutral';
+        
+        document.getElementById('phaseStatus').textContent = status;
     }
 
-    stopSwap3ResultsPolling() {
-        if (this.swap3ResultsInterval) {
-            clearInterval(this.swap3ResultsInterval);
-            this.swap3ResultsInterval = null;
+    displayLunarPosition(position) {
+        const container = document.getElementById('lunarPositionInfo');
+        
+        if (!position) {
+            container.innerHTML = '<div class="no-position">No active position</div>';
+            return;
         }
+
+        container.innerHTML = `
+            <div class="position-info">
+                <div class="position-header">
+                    <span class="position-pair">${position.tokenIn}/${position.tokenOut}</span>
+                    <span class="position-amount">${position.amount}</span>
+                </div>
+                <div class="position-details">
+                    <div class="position-detail">
+                        <span class="label">Entry Price:</span>
+                        <span class="value">${position.entryPrice}</span>
+                    </div>
+                    <div class="position-detail">
+                        <span class="label">Entry Date:</span>
+                        <span class="value">${new Date(position.entryDate).toLocaleString()}</span>
+                    </div>
+                    <div class="position-detail">
+                        <span class="label">Stop Loss:</span>
+                        <span class="value">${position.stopLoss}</span>
+                    </div>
+                    <div class="position-detail">
+                        <span class="label">Take Profit:</span>
+                        <span class="value">${position.takeProfit}</span>
+                    </div>
+                </div>
+            </div>
+        `;
     }
 
-    async loadSwap3Results() {
+    async loadLunarResults() {
         try {
-            const response = await fetch(`${this.apiBaseUrl}/api/transactions?limit=50`);
-            const data = await response.json();
+            const response = await fetch(`${this.apiBaseUrl}/api/arbitrage/results`);
+            const result = await response.json();
 
-            if (data.success) {
-                this.displaySwap3Results(data.results);
+            if (result.success) {
+                this.displayLunarResults(result.results);
             }
+
         } catch (error) {
-            console.error('Error loading Pool Shark 2 results:', error);
+            console.error('Failed to load lunar results:', error);
         }
     }
 
-    displaySwap3Results(results) {
-        const resultsContainer = document.getElementById('swap3Results');
-        
-        // Filter results for Pool Shark 2
-        const swap3Results = results.filter(result => 
-            result.type && result.type.includes('Pool Shark 2')
-        );
+    displayLunarResults(results) {
+        const container = document.getElementById('lunarResults');
 
-        if (swap3Results.length === 0) {
-            resultsContainer.innerHTML = '<div class="no-results">No results yet</div>';
+        if (!results || results.length === 0) {
+            container.innerHTML = `
+                <div class="no-results">
+                    <i class="fas fa-moon"></i>
+                    <p>No lunar strategy running. Start a strategy to see results.</p>
+                </div>
+            `;
             return;
         }
 
-        const resultsHtml = swap3Results.slice(-8).map(result => {
-            let statusClass = 'info';
-            let statusIcon = 'fa-info-circle';
-            
-            if (result.action === 'EXECUTED') {
-                statusClass = 'success';
-                statusIcon = 'fa-check-circle';
-            } else if (result.action === 'SKIPPED') {
-                statusClass = 'warning';
-                statusIcon = 'fa-pause-circle';
-            } else if (result.action === 'FAILED' || result.action === 'ERROR' || result.action === 'QUOTE_FAILED') {
-                statusClass = 'error';
-                statusIcon = 'fa-times-circle';
-            }
-            
-            return `
-                <div class="result-item ${statusClass}">
-                    <div class="result-header">
-                        <i class="fas ${statusIcon}"></i>
-                        <span class="result-type">${result.action || 'SWAP'}</span>
-                        <span class="result-time">${new Date(result.timestamp).toLocaleTimeString()}</span>
-                        ${result.swapNumber ? `<span class="result-swap-number">#${result.swapNumber}</span>` : ''}
-                    </div>
-                    <div class="result-details">
-                        <div class="result-pair">${result.tokenIn} → ${result.tokenOut}</div>
-                        <div class="result-amount">Amount: ${result.amount}</div>
-                    </div>
-                    ${result.expectedAmountOut ? `
-                        <div class="result-quote">
-                            <span class="quote-label">Expected:</span>
-                            <span class="quote-value">${result.expectedAmountOut} ${result.tokenOut}</span>
-                            ${result.minAmountOut ? `<span class="quote-threshold">(Min: ${result.minAmountOut})</span>` : ''}
-                        </div>
-                    ` : ''}
-                    ${result.amountOut ? `
-                        <div class="result-executed">
-                            <span class="executed-label">Actual:</span>
-                            <span class="executed-value">${result.amountOut} ${result.tokenOut}</span>
-                        </div>
-                    ` : ''}
-                    ${result.transactionHash ? `
-                        <div class="result-tx">
-                            <span class="tx-label">TX:</span>
-                            <span class="tx-hash">${result.transactionHash.substring(0, 10)}...</span>
-                        </div>
-                    ` : ''}
-                    ${result.reason ? `<div class="result-reason">${result.reason}</div>` : ''}
+        // Filter for lunar-related results
+        const lunarResults = results.filter(result => 
+            result.type && (
+                result.type.includes('Lunar') || 
+                result.type.includes('lunar') ||
+                result.lunarPhase
+            )
+        );
+
+        if (lunarResults.length === 0) {
+            container.innerHTML = `
+                <div class="no-results">
+                    <i class="fas fa-moon"></i>
+                    <p>No lunar strategy results yet.</p>
                 </div>
             `;
-        }).join('');
+            return;
+        }
 
-        resultsContainer.innerHTML = resultsHtml;
+        container.innerHTML = lunarResults.map(result => `
+            <div class="lunar-result">
+                <div class="result-header">
+                    <span class="result-type">${result.type || 'Lunar Signal'}</span>
+                    <span class="result-time">${new Date(result.timestamp).toLocaleTimeString()}</span>
+                </div>
+                <div class="result-details">
+                    ${result.amount ? `<div class="result-detail"><span class="label">Amount:</span><span class="value">${result.amount}</span></div>` : ''}
+                    ${result.profitPercentage ? `<div class="result-detail"><span class="label">Profit:</span><span class="value ${result.profitPercentage > 0 ? 'profit-positive' : 'profit-negative'}">${result.profitPercentage.toFixed(4)}%</span></div>` : ''}
+                    ${result.lunarPhase ? `<div class="result-detail"><span class="label">Lunar Phase:</span><span class="value">${result.lunarPhase}</span></div>` : ''}
+                    ${result.signal ? `<div class="result-detail"><span class="label">Signal:</span><span class="value">${result.signal}</span></div>` : ''}
+                    ${result.confidence ? `<div class="result-detail"><span class="label">Confidence:</span><span class="value">${(result.confidence * 100).toFixed(1)}%</span></div>` : ''}
+                </div>
+            </div>
+        `).join('');
     }
 
-    // Pool Shark 3 Functions
-    setupSwap4EventListeners() {
-        const startBtn = document.getElementById('startSwap4StrategyBtn');
-        const stopBtn = document.getElementById('stopSwap4StrategyBtn');
-        const refreshBtn = document.getElementById('refreshSwap4StatusBtn');
-
-        if (startBtn) startBtn.addEventListener('click', () => this.startSwap4Strategy());
-        if (stopBtn) stopBtn.addEventListener('click', () => this.stopSwap4Strategy());
-        if (refreshBtn) refreshBtn.addEventListener('click', () => this.refreshSwap4Status());
+    startLunarResultsPolling() {
+        // Poll for lunar results every 10 seconds when strategy is running
+        this.lunarResultsInterval = setInterval(() => {
+            this.loadLunarResults();
+            this.loadLunarPosition();
+        }, 10000);
+    }
 
-        // Info modal
-        const infoBtn = document.getElementById('showTokenSwap3Info');
-        if (infoBtn) {
-            infoBtn.addEventListener('click', () => this.showModal('tokenSwap3InfoModal'));
+    stopLunarResultsPolling() {
+        if (this.lunarResultsInterval) {
+            clearInterval(this.lunarResultsInterval);
+            this.lunarResultsInterval = null;
         }
-
-        // Initial status check
-        this.refreshSwap4Status();
     }
 
-    async startSwap4Strategy() {
-        try {
-            const config = {
-                tokenIn: document.getElementById('swap4TokenIn').value,
-                tokenOut: document.getElementById('swap4TokenOut').value,
-                amountIn: document.getElementById('swap4Amount').value,
-                slippageTolerance: parseFloat(document.getElementById('swap4Slippage').value),
-                feeTier: parseInt(document.getElementById('swap4FeeTier').value),
-                intervalSeconds: parseInt(document.getElementById('swap4Interval').value),
-                minAmountOut: document.getElementById('swap4MinAmountOut').value,
-                enabled: true
-            };
+    // Pool Shark Management
+    async initializeTokenSwapControls() {
+        this.poolSharkCards = new Map(); // Rendered instance cards by Pool Shark ID
+
+        const getQuoteBtn = document.getElementById('getPoolSharkQuoteBtn');
+        const executeBtn = document.getElementById('executePoolSharkSwapBtn');
+        const createBtn = document.getElementById('createPoolSharkBtn');
+        const refreshBtn = document.getElementById('refreshPoolSharksBtn');
+
+        if (getQuoteBtn) getQuoteBtn.addEventListener('click', () => this.getPoolSharkQuote());
+        if (executeBtn) executeBtn.addEventListener('click', () => this.executePoolSharkSwap());
+        if (createBtn) createBtn.addEventListener('click', () => this.createPoolShark());
+        if (refreshBtn) refreshBtn.addEventListener('click', () => this.loadPoolSharks());
+
+        // Load existing instances, then keep their status and results fresh
+        await this.loadPoolSharks();
+        this.startPoolSharkPolling();
+    }
+
+    getPoolSharkFormConfig() {
+        return {
+            tokenIn: document.getElementById('poolSharkTokenIn').value,
+            tokenOut: document.getElementById('poolSharkTokenOut').value,
+            amountIn: document.getElementById('poolSharkAmount').value,
+            slippageTolerance: parseFloat(document.getElementById('poolSharkSlippage').value),
+            feeTier: parseInt(document.getElementById('poolSharkFeeTier').value),
+            intervalSeconds: parseInt(document.getElementById('poolSharkInterval').value),
+            minAmountOut: document.getElementById('poolSharkMinAmountOut').value,
+            enabled: true
+        };
+    }
 
-            if (!config.amountIn || parseFloat(config.amountIn) <= 0) {
-                this.showToast('Please enter a valid amount', 'error');
-                return;
-            }
+    validatePoolSharkConfig(config) {
+        if (!config.amountIn || parseFloat(config.amountIn) <= 0) {
+            this.showToast('Please enter a valid amount', 'error');
+            return false;
+        }
 
-            if (!config.minAmountOut || parseFloat(config.minAmountOut) < 0) {
-                this.showToast('Please enter a valid minimum amount out threshold', 'error');
-                return;
-            }
+        if (!config.minAmountOut || parseFloat(config.minAmountOut) < 0) {
+            this.showToast('Please enter a valid minimum amount out threshold', 'error');
+            return false;
+        }
 
-            this.showToast('Starting Pool Shark 3...', 'info');
+        if (config.tokenIn === config.tokenOut) {
+            this.showToast('From and To tokens must be different', 'error');
+            return false;
+        }
 
-            const response = await fetch(`${this.apiBaseUrl}/api/token-swap-3/start`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ config })
-            });
+        return true;
+    }
 
-            const result = await response.json();
+    async getPoolSharkQuote() {
+        const { tokenIn, tokenOut, amountIn, slippageTolerance, feeTier } = this.getPoolSharkFormConfig();
 
-            if (result.success) {
-                this.showToast('Pool Shark 3 started successfully!', 'success');
-                this.refreshSwap4Status();
-                this.startSwap4ResultsPolling();
-            } else {
-                this.showToast(`Failed to start Pool Shark 3: ${result.error}`, 'error');
-            }
-        } catch (error) {
-            console.error('Error starting Pool Shark 3:', error);
-            this.showToast('Error starting Pool Shark 3', 'error');
+        if (!amountIn || parseFloat(amountIn) <= 0) {
+            this.showToast('Please enter a valid amount', 'error');
+            return;
         }
-    }
 
-    async stopSwap4Strategy() {
-        try {
-            this.showToast('Stopping Pool Shark 3...', 'info');
+        this.showToast('Getting quote...', 'info');
 
-            const response = await fetch(`${this.apiBaseUrl}/api/token-swap-3/stop`, {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/quote`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                }
+                },
+                body: JSON.stringify({
+                    tokenIn,
+                    tokenOut,
+                    amountIn,
+                    slippageTolerance,
+                    feeTier
+                })
             });
 
-            const result = await response.json();
+            const data = await response.json();
 
-            if (result.success) {
-                this.showToast('Pool Shark 3 stopped successfully!', 'success');
-                this.refreshSwap4Status();
-                this.stopSwap4ResultsPolling();
+            if (data.success) {
+                this.currentPoolSharkQuote = data.quote;
+                this.displayPoolSharkQuote(data.quote);
+                document.getElementById('executePoolSharkSwapBtn').disabled = false;
+                this.showToast('Quote received successfully', 'success');
             } else {
-                this.showToast(`Failed to stop Pool Shark 3: ${result.error}`, 'error');
+                this.showToast(`Quote failed: ${data.error}`, 'error');
             }
         } catch (error) {
-            console.error('Error stopping Pool Shark 3:', error);
-            this.showToast('Error stopping Pool Shark 3', 'error');
+            this.showToast(`Error getting quote: ${error.message}`, 'error');
         }
     }
 
-    async refreshSwap4Status() {
-        try {
-            const response = await fetch(`${this.apiBaseUrl}/api/token-swap-3/status`);
-            const result = await response.json();
-
-            if (result.success) {
-                this.updateSwap4Status(result);
-            }
-        } catch (error) {
-            console.error('Error refreshing Pool Shark 3 status:', error);
-        }
+    displayPoolSharkQuote(quote) {
+        document.getElementById('poolSharkAmountOut').textContent = quote.amountOut;
+        document.getElementById('poolSharkPriceImpact').textContent = `${quote.priceImpact}%`;
+        document.getElementById('poolSharkCurrentPrice').textContent = quote.currentPrice;
+        document.getElementById('poolSharkNewPrice').textContent = quote.newPrice;
+        document.getElementById('poolSharkQuoteFeeTier').textContent = `${quote.feeTier} (${(quote.feeTier / 100).toFixed(2)}%)`;
+        
+        document.getElementById('poolSharkQuoteResults').style.display = 'block';
     }
 
-    updateSwap4Status(status) {
-        const statusElement = document.getElementById('swap4Status');
-        const startBtn = document.getElementById('startSwap4StrategyBtn');
-        const stopBtn = document.getElementById('stopSwap4StrategyBtn');
-
-        if (status.isRunning) {
-            statusElement.innerHTML = `
-                <span class="status-dot online"></span>
-                <span>Running</span>
-            `;
-            if (startBtn) {
-                startBtn.disabled = true;
-                startBtn.style.opacity = '0.5';
-            }
-            if (stopBtn) {
-                stopBtn.disabled = false;
-                stopBtn.style.opacity = '1';
-            }
-        } else {
-            statusElement.innerHTML = `
-                <span class="status-dot offline"></span>
-                <span>Stopped</span>
-            `;
-            if (startBtn) {
-                startBtn.disabled = false;
-                startBtn.style.opacity = '1';
-            }
-            if (stopBtn) {
-                stopBtn.disabled = true;
-                stopBtn.style.opacity = '0.5';
-            }
+    async executePoolSharkSwap() {
+        if (!this.currentPoolSharkQuote) {
+            this.showToast('Please get a quote first', 'error');
+            return;
         }
-    }
 
-    startSwap4ResultsPolling() {
-        this.stopSwap4ResultsPolling();
-        this.swap4ResultsInterval = setInterval(() => {
-            this.loadSwap4Results();
-        }, 5000);
-    }
+        const { tokenIn, tokenOut, amountIn, slippageTolerance, feeTier } = this.getPoolSharkFormConfig();
 
-    stopSwap4ResultsPolling() {
-        if (this.swap4ResultsInterval) {
-            clearInterval(this.swap4ResultsInterval);
-            this.swap4ResultsInterval = null;
+        // Confirmation dialog
+        const confirmMessage = `Execute swap: ${amountIn} ${this.getTokenSymbol(tokenIn)} → ${this.currentPoolSharkQuote.amountOut} ${this.getTokenSymbol(tokenOut)}?`;
+        if (!confirm(confirmMessage)) {
+            return;
         }
-    }
 
-    async loadSwap4Results() {
+        this.showToast('Executing swap...', 'info');
+
         try {
-            const response = await fetch(`${this.apiBaseUrl}/api/transactions?limit=50`);
+            const response = await fetch(`${this.apiBaseUrl}/api/swap`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    tokenIn,
+                    tokenOut,
+                    amountIn,
+                    slippageTolerance,
+                    feeTier
+                })
+            });
+
             const data = await response.json();
 
             if (data.success) {
-                this.displaySwap4Results(data.results);
+                this.showToast('Swap executed successfully!', 'success');
+                this.addTransaction({
+                    type: 'Swap (Pool Shark)',
+                    from: `${amountIn} ${this.getTokenSymbol(tokenIn)}`,
+                    to: `${data.result.amountOut} ${this.getTokenSymbol(tokenOut)}`,
+                    hash: data.result.transactionHash,
+                    time: new Date().toLocaleString()
+                });
+                this.loadPortfolio();
+                this.currentPoolSharkQuote = null;
+                document.getElementById('executePoolSharkSwapBtn').disabled = true;
+                document.getElementById('poolSharkQuoteResults').style.display = 'none';
+            } else if (data.riskLimit) {
+                this.showToast(`Swap blocked by risk limit: ${data.error}`, 'error');
+                this.loadTransactionHistory();
+                this.loadRiskStatus();
+            } else {
+                this.showToast(`Swap failed: ${data.error}`, 'error');
             }
         } catch (error) {
-            console.error('Error loading Pool Shark 3 results:', error);
+            this.showToast(`Error executing swap: ${error.message}`, 'error');
         }
     }
 
-    displaySwap4Results(results) {
-        const resultsContainer = document.getElementById('swap4Results');
-        
-        // Filter results for Pool Shark 3
-        const swap4Results = results.filter(result => 
-            result.type && result.type.includes('Pool Shark 3')
-        );
+    async createPoolShark() {
+        const id = document.getElementById('poolSharkId').value.trim();
+        const config = this.getPoolSharkFormConfig();
 
-        if (swap4Results.length === 0) {
-            resultsContainer.innerHTML = '<div class="no-results">No results yet</div>';
+        if (!/^[a-z0-9_-]+$/i.test(id)) {
+            this.showToast('Pool Shark ID may only contain letters, numbers, dashes and underscores', 'error');
             return;
         }
 
-        const resultsHtml = swap4Results.slice(-8).map(result => {
-            let statusClass = 'info';
-            let statusIcon = 'fa-info-circle';
-            
-            if (result.action === 'EXECUTED') {
-                statusClass = 'success';
-                statusIcon = 'fa-check-circle';
-            } else if (result.action === 'SKIPPED') {
-                statusClass = 'warning';
-                statusIcon = 'fa-pause-circle';
-            } else if (result.action === 'FAILED' || result.action === 'ERROR' || result.action === 'QUOTE_FAILED') {
-                statusClass = 'error';
-                statusIcon = 'fa-times-circle';
-            }
-            
-            return `
-                <div class="result-item ${statusClass}">
-                    <div class="result-header">
-                        <i class="fas ${statusIcon}"></i>
-                        <span class="result-type">${result.action || 'SWAP'}</span>
-                        <span class="result-time">${new Date(result.timestamp).toLocaleTimeString()}</span>
-                        ${result.swapNumber ? `<span class="result-swap-number">#${result.swapNumber}</span>` : ''}
-                    </div>
-                    <div class="result-details">
-                        <div class="result-pair">${result.tokenIn} → ${result.tokenOut}</div>
-                        <div class="result-amount">Amount: ${result.amount}</div>
-                    </div>
-                    ${result.expectedAmountOut ? `
-                        <div class="result-quote">
-                            <span class="quote-label">Expected:</span>
-                            <span class="quote-value">${result.expectedAmountOut} ${result.tokenOut}</span>
-                            ${result.minAmountOut ? `<span class="quote-threshold">(Min: ${result.minAmountOut})</span>` : ''}
-                        </div>
-                    ` : ''}
-                    ${result.amountOut ? `
-                        <div class="result-executed">
-                            <span class="executed-label">Actual:</span>
-                            <span class="executed-value">${result.amountOut} ${result.tokenOut}</span>
-                        </div>
-                    ` : ''}
-                    ${result.transactionHash ? `
-                        <div class="result-tx">
-                            <span class="tx-label">TX:</span>
-                            <span class="tx-hash">${result.transactionHash.substring(0, 10)}...</span>
-                        </div>
-                    ` : ''}
-                    ${result.reason ? `<div class="result-reason">${result.reason}</div>` : ''}
-                </div>
-            `;
-        }).join('');
-
-        resultsContainer.innerHTML = resultsHtml;
-    }
-
-    // Pool Shark 4 Functions
-    setupSwap5EventListeners() {
-        const startBtn = document.getElementById('startSwap5StrategyBtn');
-        const stopBtn = document.getElementById('stopSwap5StrategyBtn');
-        const refreshBtn = document.getElementById('refreshSwap5StatusBtn');
-
-        if (startBtn) startBtn.addEventListener('click', () => this.startSwap5Strategy());
-        if (stopBtn) stopBtn.addEventListener('click', () => this.stopSwap5Strategy());
-        if (refreshBtn) refreshBtn.addEventListener('click', () => this.refreshSwap5Status());
-
-        // Info modal
-        const infoBtn = document.getElementById('showTokenSwap4Info');
-        if (infoBtn) {
-            infoBtn.addEventListener('click', () => this.showModal('tokenSwap4InfoModal'));
+        if (!this.validatePoolSharkConfig(config)) {
+            return;
         }
 
-        // Initial status check
-        this.refreshSwap5Status();
-    }
-
-    async startSwap5Strategy() {
         try {
-            const config = {
-                tokenIn: document.getElementById('swap5TokenIn').value,
-                tokenOut: document.getElementById('swap5TokenOut').value,
-                amountIn: document.getElementById('swap5Amount').value,
-                slippageTolerance: parseFloat(document.getElementById('swap5Slippage').value),
-                feeTier: parseInt(document.getElementById('swap5FeeTier').value),
-                intervalSeconds: parseInt(document.getElementById('swap5Interval').value),
-                minAmountOut: document.getElementById('swap5MinAmountOut').value,
-                enabled: true
-            };
+            const response = await fetch(`${this.apiBaseUrl}/api/pool-sharks`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ id, config })
+            });
 
-            if (!config.amountIn || parseFloat(config.amountIn) <= 0) {
-                this.showToast('Please enter a valid amount', 'error');
-                return;
-            }
+            const result = await response.json();
 
-            if (!config.minAmountOut || parseFloat(config.minAmountOut) < 0) {
-                this.showToast('Please enter a valid minimum amount out threshold', 'error');
-                return;
+            if (result.success) {
+                this.showToast(`Pool Shark '${id}' created`, 'success');
+                document.getElementById('poolSharkId').value = '';
+                await this.loadPoolSharks();
+            } else {
+                this.showToast(`Failed to create Pool Shark: ${result.error}`, 'error');
             }
+        } catch (error) {
+            console.error('Error creating Pool Shark:', error);
+            this.showToast('Error creating Pool Shark', 'error');
+        }
+    }
+
+    async startPoolShark(id) {
+        const config = this.getPoolSharkCardConfig(id);
+        if (!this.validatePoolSharkConfig(config)) {
+            return;
+        }
 
-            this.showToast('Starting Pool Shark 4...', 'info');
+        try {
+            this.showToast(`Starting Pool Shark '${id}'...`, 'info');
 
-            const response = await fetch(`${this.apiBaseUrl}/api/token-swap-4/start`, {
+            const response = await fetch(`${this.apiBaseUrl}/api/pool-sharks/${encodeURIComponent(id)}/start`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({ config })
             });
@@ -2519,132 +2440,247 @@ class GalaSwapWebInterface {
             const result = await response.json();
 
             if (result.success) {
-                this.showToast('Pool Shark 4 started successfully!', 'success');
-                this.refreshSwap5Status();
-                this.startSwap5ResultsPolling();
+                this.showToast(`Pool Shark '${id}' started successfully`, 'success');
             } else {
-                this.showToast(`Failed to start Pool Shark 4: ${result.error}`, 'error');
+                this.showToast(`Failed to start Pool Shark '${id}': ${result.error}`, 'error');
             }
         } catch (error) {
-            console.error('Error starting Pool Shark 4:', error);
-            this.showToast('Error starting Pool Shark 4', 'error');
+            console.error(`Error starting Pool Shark '${id}':`, error);
+            this.showToast(`Error starting Pool Shark '${id}'`, 'error');
         }
+
+        await this.loadPoolSharks();
     }
 
-    async stopSwap5Strategy() {
+    async stopPoolShark(id) {
         try {
-            this.showToast('Stopping Pool Shark 4...', 'info');
+            this.showToast(`Stopping Pool Shark '${id}'...`, 'info');
 
-            const response = await fetch(`${this.apiBaseUrl}/api/token-swap-4/stop`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                }
+            const response = await fetch(`${this.apiBaseUrl}/api/pool-sharks/${encodeURIComponent(id)}/stop`, {
+                method: 'POST'
             });
 
             const result = await response.json();
 
             if (result.success) {
-                this.showToast('Pool Shark 4 stopped successfully!', 'success');
-                this.refreshSwap5Status();
-                this.stopSwap5ResultsPolling();
+                this.showToast(`Pool Shark '${id}' stopped successfully`, 'success');
             } else {
-                this.showToast(`Failed to stop Pool Shark 4: ${result.error}`, 'error');
+                this.showToast(`Failed to stop Pool Shark '${id}': ${result.error}`, 'error');
             }
         } catch (error) {
-            console.error('Error stopping Pool Shark 4:', error);
-            this.showToast('Error stopping Pool Shark 4', 'error');
+            console.error(`Error stopping Pool Shark '${id}':`, error);
+            this.showToast(`Error stopping Pool Shark '${id}'`, 'error');
         }
+
+        await this.loadPoolSharks();
     }
 
-    async refreshSwap5Status() {
-        try {
-            const response = await fetch(`${this.apiBaseUrl}/api/token-swap-4/status`);
+    async deletePoolShark(id) {
+        if (!confirm(`Delete Pool Shark '${id}'? It will be stopped if running.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/pool-sharks/${encodeURIComponent(id)}`, {
+                method: 'DELETE'
+            });
+
             const result = await response.json();
 
             if (result.success) {
-                this.updateSwap5Status(result);
+                this.showToast(`Pool Shark '${id}' deleted`, 'success');
+            } else {
+                this.showToast(`Failed to delete Pool Shark '${id}': ${result.error}`, 'error');
             }
         } catch (error) {
-            console.error('Error refreshing Pool Shark 4 status:', error);
+            console.error(`Error deleting Pool Shark '${id}':`, error);
+            this.showToast(`Error deleting Pool Shark '${id}'`, 'error');
         }
+
+        await this.loadPoolSharks();
     }
 
-    updateSwap5Status(status) {
-        const statusElement = document.getElementById('swap5Status');
-        const startBtn = document.getElementById('startSwap5StrategyBtn');
-        const stopBtn = document.getElementById('stopSwap5StrategyBtn');
+    async loadPoolSharks() {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/pool-sharks`);
+            const data = await response.json();
 
-        if (status.isRunning) {
-            statusElement.innerHTML = `
-                <span class="status-dot online"></span>
-                <span>Running</span>
-            `;
-            if (startBtn) {
-                startBtn.disabled = true;
-                startBtn.style.opacity = '0.5';
-            }
-            if (stopBtn) {
-                stopBtn.disabled = false;
-                stopBtn.style.opacity = '1';
-            }
-        } else {
-            statusElement.innerHTML = `
-                <span class="status-dot offline"></span>
-                <span>Stopped</span>
-            `;
-            if (startBtn) {
-                startBtn.disabled = false;
-                startBtn.style.opacity = '1';
-            }
-            if (stopBtn) {
-                stopBtn.disabled = true;
-                stopBtn.style.opacity = '0.5';
+            if (data.success && Array.isArray(data.poolSharks)) {
+                this.renderPoolSharks(data.poolSharks);
             }
+        } catch (error) {
+            console.error('Error loading Pool Sharks:', error);
         }
     }
 
-    startSwap5ResultsPolling() {
-        this.stopSwap5ResultsPolling();
-        this.swap5ResultsInterval = setInterval(() => {
-            this.loadSwap5Results();
-        }, 5000);
+    startPoolSharkPolling() {
+        this.stopPoolSharkPolling();
+        // Poll for status and results every 10 seconds
+        this.poolSharkInterval = setInterval(() => {
+            this.loadPoolSharks();
+        }, 10000);
     }
 
-    stopSwap5ResultsPolling() {
-        if (this.swap5ResultsInterval) {
-            clearInterval(this.swap5ResultsInterval);
-            this.swap5ResultsInterval = null;
+    stopPoolSharkPolling() {
+        if (this.poolSharkInterval) {
+            clearInterval(this.poolSharkInterval);
+            this.poolSharkInterval = null;
         }
     }
 
-    async loadSwap5Results() {
-        try {
-            const response = await fetch(`${this.apiBaseUrl}/api/transactions?limit=50`);
-            const data = await response.json();
+    renderPoolSharks(poolSharks) {
+        const container = document.getElementById('poolSharkInstances');
+        if (!container) return;
 
-            if (data.success) {
-                this.displaySwap5Results(data.results);
+        // Drop cards for deleted instances
+        const ids = new Set(poolSharks.map(poolShark => poolShark.id));
+        for (const [id, card] of this.poolSharkCards) {
+            if (!ids.has(id)) {
+                card.remove();
+                this.poolSharkCards.delete(id);
             }
-        } catch (error) {
-            console.error('Error loading Pool Shark 4 results:', error);
         }
+
+        const emptyMessage = container.querySelector('.no-results');
+        if (emptyMessage) emptyMessage.style.display = poolSharks.length === 0 ? '' : 'none';
+
+        // Cards are built once so in-progress edits survive polling
+        poolSharks.forEach(poolShark => {
+            let card = this.poolSharkCards.get(poolShark.id);
+            if (!card) {
+                card = this.createPoolSharkCard(poolShark);
+                container.appendChild(card);
+                this.poolSharkCards.set(poolShark.id, card);
+            }
+            this.updatePoolSharkCard(card, poolShark);
+        });
+
+        // Panel header shows how many instances are running
+        const running = poolSharks.filter(poolShark => poolShark.isRunning).length;
+        const statusElement = document.getElementById('tokenSwapStatus');
+        if (statusElement) {
+            statusElement.innerHTML = running > 0
+                ? `<span class="status-dot online"></span><span>${running} Running</span>`
+                : '<span class="status-dot offline"></span><span>Stopped</span>';
+        }
+    }
+
+    createPoolSharkCard(poolShark) {
+        const { id, config } = poolShark;
+        const tokenOptions = (selected) => ['GALA|Unit|none|none', 'GUSDC|Unit|none|none', 'GETH|Unit|none|none', 'GUSDT|Unit|none|none']
+            .map(token => `<option value="${token}" ${token === selected ? 'selected' : ''}>${this.getTokenSymbol(token)}</option>`)
+            .join('');
+        const feeTierOptions = [[500, '0.05% (Low)'], [3000, '0.30% (Medium)'], [10000, '1.00% (High)']]
+            .map(([tier, label]) => `<option value="${tier}" ${tier === config.feeTier ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        const card = document.createElement('div');
+        card.className = 'pool-shark-instance';
+        card.dataset.poolSharkId = id;
+        card.innerHTML = `
+            <div class="pool-shark-instance-header">
+                <h4><i class="fas fa-fish"></i> ${id}</h4>
+                <span class="status-indicator pool-shark-status">
+                    <span class="status-dot offline"></span>
+                    <span>Stopped</span>
+                </span>
+            </div>
+            <div class="config-grid">
+                <div class="config-item">
+                    <label for="poolShark-${id}-tokenIn">From Token</label>
+                    <select id="poolShark-${id}-tokenIn" class="config-select" data-field="tokenIn">${tokenOptions(config.tokenIn)}</select>
+                </div>
+                <div class="config-item">
+                    <label for="poolShark-${id}-tokenOut">To Token</label>
+                    <select id="poolShark-${id}-tokenOut" class="config-select" data-field="tokenOut">${tokenOptions(config.tokenOut)}</select>
+                </div>
+                <div class="config-item">
+                    <label for="poolShark-${id}-amountIn">Amount</label>
+                    <input type="number" id="poolShark-${id}-amountIn" value="${config.amountIn}" step="0.000001" min="0" class="config-input" data-field="amountIn">
+                </div>
+                <div class="config-item">
+                    <label for="poolShark-${id}-slippageTolerance">Slippage Tolerance (%)</label>
+                    <input type="number" id="poolShark-${id}-slippageTolerance" value="${config.slippageTolerance}" step="0.1" min="0.1" max="50" class="config-input" data-field="slippageTolerance">
+                </div>
+                <div class="config-item">
+                    <label for="poolShark-${id}-feeTier">Fee Tier</label>
+                    <select id="poolShark-${id}-feeTier" class="config-select" data-field="feeTier">${feeTierOptions}</select>
+                </div>
+                <div class="config-item">
+                    <label for="poolShark-${id}-intervalSeconds">Auto Swap Interval (seconds)</label>
+                    <input type="number" id="poolShark-${id}-intervalSeconds" value="${config.intervalSeconds}" step="1" min="5" max="300" class="config-input" data-field="intervalSeconds">
+                </div>
+                <div class="config-item">
+                    <label for="poolShark-${id}-minAmountOut">Min Amount Out Threshold</label>
+                    <input type="number" id="poolShark-${id}-minAmountOut" value="${config.minAmountOut}" step="0.000001" min="0" class="config-input" data-field="minAmountOut">
+                </div>
+            </div>
+            <div class="control-buttons">
+                <button class="btn btn-success pool-shark-start">
+                    <i class="fas fa-play"></i> Start
+                </button>
+                <button class="btn btn-danger pool-shark-stop" disabled>
+                    <i class="fas fa-stop"></i> Stop
+                </button>
+                <button class="btn btn-secondary pool-shark-delete">
+                    <i class="fas fa-trash"></i> Delete
+                </button>
+                <span class="pool-shark-swap-count"></span>
+            </div>
+            <div class="results-container pool-shark-results">
+                <div class="no-results">No results yet</div>
+            </div>
+        `;
+
+        card.querySelector('.pool-shark-start').addEventListener('click', () => this.startPoolShark(id));
+        card.querySelector('.pool-shark-stop').addEventListener('click', () => this.stopPoolShark(id));
+        card.querySelector('.pool-shark-delete').addEventListener('click', () => this.deletePoolShark(id));
+
+        return card;
     }
 
-    displaySwap5Results(results) {
-        const resultsContainer = document.getElementById('swap5Results');
-        
-        // Filter results for Pool Shark 4
-        const swap5Results = results.filter(result => 
-            result.type && result.type.includes('Pool Shark 4')
-        );
+    getPoolSharkCardConfig(id) {
+        const card = this.poolSharkCards.get(id);
+        const field = (name) => card.querySelector(`[data-field="${name}"]`).value;
+
+        return {
+            tokenIn: field('tokenIn'),
+            tokenOut: field('tokenOut'),
+            amountIn: field('amountIn'),
+            slippageTolerance: parseFloat(field('slippageTolerance')),
+            feeTier: parseInt(field('feeTier')),
+            intervalSeconds: parseInt(field('intervalSeconds')),
+            minAmountOut: field('minAmountOut'),
+            enabled: true
+        };
+    }
+
+    updatePoolSharkCard(card, poolShark) {
+        const statusElement = card.querySelector('.pool-shark-status');
+        const startBtn = card.querySelector('.pool-shark-start');
+        const stopBtn = card.querySelector('.pool-shark-stop');
+
+        if (poolShark.isRunning) {
+            statusElement.innerHTML = '<span class="status-dot online"></span><span>Running</span>';
+            startBtn.disabled = true;
+            stopBtn.disabled = false;
+        } else {
+            statusElement.innerHTML = '<span class="status-dot offline"></span><span>Stopped</span>';
+            startBtn.disabled = false;
+            stopBtn.disabled = true;
+        }
+
+        card.querySelector('.pool-shark-swap-count').textContent = poolShark.isRunning ? `Swaps: ${poolShark.swapCount}` : '';
+        this.displayPoolSharkResults(card.querySelector('.pool-shark-results'), poolShark.results || []);
+    }
 
-        if (swap5Results.length === 0) {
+    displayPoolSharkResults(resultsContainer, results) {
+        if (results.length === 0) {
             resultsContainer.innerHTML = '<div class="no-results">No results yet</div>';
             return;
         }
 
-        const resultsHtml = swap5Results.slice(-8).map(result => {
+        const resultsHtml = results.slice(-8).map(result => {
             let statusClass = 'info';
             let statusIcon = 'fa-info-circle';
             
@@ -2698,239 +2734,268 @@ class GalaSwapWebInterface {
         resultsContainer.innerHTML = resultsHtml;
     }
 
-    // Pool Shark 5 Functions
-    setupSwap6EventListeners() {
-        const startBtn = document.getElementById('startSwap6StrategyBtn');
-        const stopBtn = document.getElementById('stopSwap6StrategyBtn');
-        const refreshBtn = document.getElementById('refreshSwap6StatusBtn');
-
-        if (startBtn) startBtn.addEventListener('click', () => this.startSwap6Strategy());
-        if (stopBtn) stopBtn.addEventListener('click', () => this.stopSwap6Strategy());
-        if (refreshBtn) refreshBtn.addEventListener('click', () => this.refreshSwap6Status());
+    // Liquidity Position Management
+    async initializeLiquidityControls() {
+        const openBtn = document.getElementById('openPositionBtn');
+        const refreshBtn = document.getElementById('refreshPositionsBtn');
 
-        // Info modal
-        const infoBtn = document.getElementById('showTokenSwap5Info');
-        if (infoBtn) {
-            infoBtn.addEventListener('click', () => this.showModal('tokenSwap5InfoModal'));
-        }
+        if (openBtn) openBtn.addEventListener('click', () => this.openPosition());
+        if (refreshBtn) refreshBtn.addEventListener('click', () => this.loadPositions());
 
-        // Initial status check
-        this.refreshSwap6Status();
+        await this.loadPositions();
     }
 
-    async startSwap6Strategy() {
-        try {
-            const config = {
-                tokenIn: document.getElementById('swap6TokenIn').value,
-                tokenOut: document.getElementById('swap6TokenOut').value,
-                amountIn: document.getElementById('swap6Amount').value,
-                slippageTolerance: parseFloat(document.getElementById('swap6Slippage').value),
-                feeTier: parseInt(document.getElementById('swap6FeeTier').value),
-                intervalSeconds: parseInt(document.getElementById('swap6Interval').value),
-                minAmountOut: document.getElementById('swap6MinAmountOut').value,
-                enabled: true
-            };
+    async openPosition() {
+        const token0 = document.getElementById('liquidityToken0').value;
+        const token1 = document.getElementById('liquidityToken1').value;
+        const fee = parseInt(document.getElementById('liquidityFeeTier').value);
+        const minPrice = document.getElementById('liquidityMinPrice').value;
+        const maxPrice = document.getElementById('liquidityMaxPrice').value;
+        const amount0 = document.getElementById('liquidityAmount0').value || '0';
+        const amount1 = document.getElementById('liquidityAmount1').value || '0';
+        const slippageTolerance = parseFloat(document.getElementById('liquiditySlippage').value);
 
-            if (!config.amountIn || parseFloat(config.amountIn) <= 0) {
-                this.showToast('Please enter a valid amount', 'error');
-                return;
-            }
+        if (token0 === token1) {
+            this.showToast('Token 0 and Token 1 must be different', 'error');
+            return;
+        }
 
-            if (!config.minAmountOut || parseFloat(config.minAmountOut) < 0) {
-                this.showToast('Please enter a valid minimum amount out threshold', 'error');
-                return;
-            }
+        if (!minPrice || !maxPrice || parseFloat(minPrice) <= 0 || parseFloat(maxPrice) <= parseFloat(minPrice)) {
+            this.showToast('Please enter a price range with max price above min price', 'error');
+            return;
+        }
+
+        if (parseFloat(amount0) <= 0 && parseFloat(amount1) <= 0) {
+            this.showToast('Please enter an amount for at least one token', 'error');
+            return;
+        }
 
-            this.showToast('Starting Pool Shark 5...', 'info');
+        const confirmMessage = `Open ${this.getTokenSymbol(token0)}/${this.getTokenSymbol(token1)} position from ${minPrice} to ${maxPrice} with ${amount0} ${this.getTokenSymbol(token0)} and ${amount1} ${this.getTokenSymbol(token1)}?`;
+        if (!confirm(confirmMessage)) {
+            return;
+        }
+
+        this.showToast('Opening position...', 'info');
 
-            const response = await fetch(`${this.apiBaseUrl}/api/token-swap-5/start`, {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/positions`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
+                    'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ config })
+                body: JSON.stringify({ token0, token1, fee, minPrice, maxPrice, amount0, amount1, slippageTolerance })
             });
 
-            const result = await response.json();
+            const data = await response.json();
 
-            if (result.success) {
-                this.showToast('Pool Shark 5 started successfully!', 'success');
-                this.refreshSwap6Status();
-                this.startSwap6ResultsPolling();
+            if (data.success) {
+                this.showToast(`Position ${data.result.positionId || ''} opened`, 'success');
+                this.loadPortfolio();
+                await this.loadPositions();
             } else {
-                this.showToast(`Failed to start Pool Shark 5: ${result.error}`, 'error');
+                this.showToast(`Failed to open position: ${data.error}`, 'error');
             }
         } catch (error) {
-            console.error('Error starting Pool Shark 5:', error);
-            this.showToast('Error starting Pool Shark 5', 'error');
+            this.showToast(`Error opening position: ${error.message}`, 'error');
         }
     }
 
-    async stopSwap6Strategy() {
+    async loadPositions() {
         try {
-            this.showToast('Stopping Pool Shark 5...', 'info');
-
-            const response = await fetch(`${this.apiBaseUrl}/api/token-swap-5/stop`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                }
-            });
-
-            const result = await response.json();
+            const response = await fetch(`${this.apiBaseUrl}/api/positions`);
+            const data = await response.json();
 
-            if (result.success) {
-                this.showToast('Pool Shark 5 stopped successfully!', 'success');
-                this.refreshSwap6Status();
-                this.stopSwap6ResultsPolling();
-            } else {
-                this.showToast(`Failed to stop Pool Shark 5: ${result.error}`, 'error');
+            if (data.success && Array.isArray(data.positions)) {
+                this.renderPositions(data.positions);
             }
         } catch (error) {
-            console.error('Error stopping Pool Shark 5:', error);
-            this.showToast('Error stopping Pool Shark 5', 'error');
+            console.error('Error loading liquidity positions:', error);
         }
     }
 
-    async refreshSwap6Status() {
+    renderPositions(positions) {
+        const container = document.getElementById('liquidityPositions');
+        if (!container) return;
+
+        if (positions.length === 0) {
+            container.innerHTML = '<div class="no-results">No liquidity positions</div>';
+        } else {
+            container.innerHTML = '';
+            positions.forEach(position => container.appendChild(this.createPositionCard(position)));
+        }
+
+        // Panel header shows how many positions are earning fees
+        const inRange = positions.filter(position => position.inRange).length;
+        const statusElement = document.getElementById('liquidityStatus');
+        if (statusElement) {
+            statusElement.innerHTML = positions.length > 0
+                ? `<span class="status-dot ${inRange > 0 ? 'online' : 'offline'}"></span><span>${inRange}/${positions.length} In Range</span>`
+                : '<span class="status-dot offline"></span><span>No positions</span>';
+        }
+    }
+
+    createPositionCard(position) {
+        const symbol0 = position.token0Symbol || this.getTokenSymbol(position.token0);
+        const symbol1 = position.token1Symbol || this.getTokenSymbol(position.token1);
+        const rangeStatus = position.inRange === null
+            ? '<span class="status-dot offline"></span><span>Unknown</span>'
+            : position.inRange
+                ? '<span class="status-dot online"></span><span>In Range</span>'
+                : '<span class="status-dot offline"></span><span>Out of Range</span>';
+
+        const card = document.createElement('div');
+        card.className = 'pool-shark-instance';
+        card.dataset.positionId = position.positionId;
+        card.innerHTML = `
+            <div class="pool-shark-instance-header">
+                <h4><i class="fas fa-water"></i> ${symbol0}/${symbol1} (${(position.fee / 10000).toFixed(2)}%)</h4>
+                <span class="status-indicator">${rangeStatus}</span>
+            </div>
+            <div class="liquidity-position-details">
+                <div><span class="label">Range:</span>${position.priceLower} – ${position.priceUpper}</div>
+                <div><span class="label">Current Price:</span>${position.currentPrice ?? 'N/A'}</div>
+                <div><span class="label">Liquidity:</span>${position.liquidity}</div>
+                <div><span class="label">Fees Owed:</span>${position.tokensOwed0} ${symbol0} / ${position.tokensOwed1} ${symbol1}</div>
+                <div><span class="label">Position ID:</span>${position.positionId}</div>
+            </div>
+            <div class="config-grid">
+                <div class="config-item">
+                    <label for="position-${position.positionId}-percentage">Remove (%)</label>
+                    <input type="number" id="position-${position.positionId}-percentage" value="100" step="1" min="1" max="100" class="config-input" data-field="percentage">
+                </div>
+                <div class="config-item">
+                    <label for="position-${position.positionId}-slippage">Slippage Tolerance (%)</label>
+                    <input type="number" id="position-${position.positionId}-slippage" value="0.5" step="0.1" min="0.1" max="50" class="config-input" data-field="slippageTolerance">
+                </div>
+            </div>
+            <div class="control-buttons">
+                <button class="btn btn-secondary position-estimate">
+                    <i class="fas fa-calculator"></i> Estimate
+                </button>
+                <button class="btn btn-warning position-remove">
+                    <i class="fas fa-minus-circle"></i> Remove
+                </button>
+                <button class="btn btn-success position-collect">
+                    <i class="fas fa-coins"></i> Collect Fees
+                </button>
+                <button class="btn btn-danger position-close">
+                    <i class="fas fa-times-circle"></i> Close
+                </button>
+                <span class="liquidity-position-estimate"></span>
+            </div>
+        `;
+
+        const field = (name) => card.querySelector(`[data-field="${name}"]`).value;
+        card.querySelector('.position-estimate').addEventListener('click', () => this.estimatePositionRemoval(card, position, parseFloat(field('percentage'))));
+        card.querySelector('.position-remove').addEventListener('click', () => this.removePositionLiquidity(position, parseFloat(field('percentage')), parseFloat(field('slippageTolerance'))));
+        card.querySelector('.position-collect').addEventListener('click', () => this.collectPositionFees(position));
+        card.querySelector('.position-close').addEventListener('click', () => this.closePosition(position, parseFloat(field('slippageTolerance'))));
+
+        return card;
+    }
+
+    async estimatePositionRemoval(card, position, percentage) {
         try {
-            const response = await fetch(`${this.apiBaseUrl}/api/token-swap-5/status`);
-            const result = await response.json();
+            const response = await fetch(`${this.apiBaseUrl}/api/positions/${encodeURIComponent(position.positionId)}/estimate?percentage=${percentage}`);
+            const data = await response.json();
 
-            if (result.success) {
-                this.updateSwap6Status(result);
+            if (data.success) {
+                const symbol0 = position.token0Symbol || this.getTokenSymbol(position.token0);
+                const symbol1 = position.token1Symbol || this.getTokenSymbol(position.token1);
+                card.querySelector('.liquidity-position-estimate').textContent =
+                    `${percentage}% returns ~${data.estimate.amount0} ${symbol0} + ${data.estimate.amount1} ${symbol1}`;
+            } else {
+                this.showToast(`Estimate failed: ${data.error}`, 'error');
             }
         } catch (error) {
-            console.error('Error refreshing Pool Shark 5 status:', error);
+            this.showToast(`Error estimating removal: ${error.message}`, 'error');
         }
     }
 
-    updateSwap6Status(status) {
-        const statusElement = document.getElementById('swap6Status');
-        const startBtn = document.getElementById('startSwap6StrategyBtn');
-        const stopBtn = document.getElementById('stopSwap6StrategyBtn');
+    async removePositionLiquidity(position, percentage, slippageTolerance) {
+        if (!(percentage > 0 && percentage <= 100)) {
+            this.showToast('Removal percentage must be between 0 and 100', 'error');
+            return;
+        }
 
-        if (status.isRunning) {
-            statusElement.innerHTML = `
-                <span class="status-dot online"></span>
-                <span>Running</span>
-            `;
-            if (startBtn) {
-                startBtn.disabled = true;
-                startBtn.style.opacity = '0.5';
-            }
-            if (stopBtn) {
-                stopBtn.disabled = false;
-                stopBtn.style.opacity = '1';
-            }
-        } else {
-            statusElement.innerHTML = `
-                <span class="status-dot offline"></span>
-                <span>Stopped</span>
-            `;
-            if (startBtn) {
-                startBtn.disabled = false;
-                startBtn.style.opacity = '1';
-            }
-            if (stopBtn) {
-                stopBtn.disabled = true;
-                stopBtn.style.opacity = '0.5';
-            }
+        if (!confirm(`Remove ${percentage}% of liquidity from position ${position.positionId}?`)) {
+            return;
         }
-    }
 
-    startSwap6ResultsPolling() {
-        this.stopSwap6ResultsPolling();
-        this.swap6ResultsInterval = setInterval(() => {
-            this.loadSwap6Results();
-        }, 5000);
-    }
+        this.showToast('Removing liquidity...', 'info');
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/positions/${encodeURIComponent(position.positionId)}/remove`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ percentage, slippageTolerance })
+            });
+
+            const data = await response.json();
 
-    stopSwap6ResultsPolling() {
-        if (this.swap6ResultsInterval) {
-            clearInterval(this.swap6ResultsInterval);
-            this.swap6ResultsInterval = null;
+            if (data.success) {
+                this.showToast('Liquidity removed successfully', 'success');
+                this.loadPortfolio();
+            } else {
+                this.showToast(`Failed to remove liquidity: ${data.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`Error removing liquidity: ${error.message}`, 'error');
         }
+
+        await this.loadPositions();
     }
 
-    async loadSwap6Results() {
+    async collectPositionFees(position) {
+        this.showToast('Collecting fees...', 'info');
+
         try {
-            const response = await fetch(`${this.apiBaseUrl}/api/transactions?limit=50`);
+            const response = await fetch(`${this.apiBaseUrl}/api/positions/${encodeURIComponent(position.positionId)}/collect`, {
+                method: 'POST'
+            });
+
             const data = await response.json();
 
             if (data.success) {
-                this.displaySwap6Results(data.results);
+                this.showToast('Fees collected successfully', 'success');
+                this.loadPortfolio();
+            } else {
+                this.showToast(`Failed to collect fees: ${data.error}`, 'error');
             }
         } catch (error) {
-            console.error('Error loading Pool Shark 5 results:', error);
+            this.showToast(`Error collecting fees: ${error.message}`, 'error');
         }
-    }
 
-    displaySwap6Results(results) {
-        const resultsContainer = document.getElementById('swap6Results');
-        
-        // Filter results for Pool Shark 5
-        const swap6Results = results.filter(result => 
-            result.type && result.type.includes('Pool Shark 5')
-        );
+        await this.loadPositions();
+    }
 
-        if (swap6Results.length === 0) {
-            resultsContainer.innerHTML = '<div class="no-results">No results yet</div>';
+    async closePosition(position, slippageTolerance) {
+        if (!confirm(`Close position ${position.positionId}? All liquidity will be removed and fees collected.`)) {
             return;
         }
 
-        const resultsHtml = swap6Results.slice(-8).map(result => {
-            let statusClass = 'info';
-            let statusIcon = 'fa-info-circle';
-            
-            if (result.action === 'EXECUTED') {
-                statusClass = 'success';
-                statusIcon = 'fa-check-circle';
-            } else if (result.action === 'SKIPPED') {
-                statusClass = 'warning';
-                statusIcon = 'fa-pause-circle';
-            } else if (result.action === 'FAILED' || result.action === 'ERROR' || result.action === 'QUOTE_FAILED') {
-                statusClass = 'error';
-                statusIcon = 'fa-times-circle';
+        this.showToast('Closing position...', 'info');
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/positions/${encodeURIComponent(position.positionId)}?slippageTolerance=${slippageTolerance}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showToast(`Position ${position.positionId} closed`, 'success');
+                this.loadPortfolio();
+            } else {
+                this.showToast(`Failed to close position: ${data.error}`, 'error');
             }
-            
-            return `
-                <div class="result-item ${statusClass}">
-                    <div class="result-header">
-                        <i class="fas ${statusIcon}"></i>
-                        <span class="result-type">${result.action || 'SWAP'}</span>
-                        <span class="result-time">${new Date(result.timestamp).toLocaleTimeString()}</span>
-                        ${result.swapNumber ? `<span class="result-swap-number">#${result.swapNumber}</span>` : ''}
-                    </div>
-                    <div class="result-details">
-                        <div class="result-pair">${result.tokenIn} → ${result.tokenOut}</div>
-                        <div class="result-amount">Amount: ${result.amount}</div>
-                    </div>
-                    ${result.expectedAmountOut ? `
-                        <div class="result-quote">
-                            <span class="quote-label">Expected:</span>
-                            <span class="quote-value">${result.expectedAmountOut} ${result.tokenOut}</span>
-                            ${result.minAmountOut ? `<span class="quote-threshold">(Min: ${result.minAmountOut})</span>` : ''}
-                        </div>
-                    ` : ''}
-                    ${result.amountOut ? `
-                        <div class="result-executed">
-                            <span class="executed-label">Actual:</span>
-                            <span class="executed-value">${result.amountOut} ${result.tokenOut}</span>
-                        </div>
-                    ` : ''}
-                    ${result.transactionHash ? `
-                        <div class="result-tx">
-                            <span class="tx-label">TX:</span>
-                            <span class="tx-hash">${result.transactionHash.substring(0, 10)}...</span>
-                        </div>
-                    ` : ''}
-                    ${result.reason ? `<div class="result-reason">${result.reason}</div>` : ''}
-                </div>
-            `;
-        }).join('');
+        } catch (error) {
+            this.showToast(`Error closing position: ${error.message}`, 'error');
+        }
 
-        resultsContainer.innerHTML = resultsHtml;
+        await this.loadPositions();
     }
 }
 
@@ -3203,9 +3268,15 @@ class TrophyRoomManager {
                 console.log(`❌ Transaction ${tx.transactionHash || tx.hash || 'unknown'} excluded: failed transaction`);
                 return false;
             }
+
+            // Blocked swaps were never sent
+            if (tx.status === 'blocked') {
+                return false;
+            }
             
             // Exclude transactions without a valid hash (likely failed or incomplete)
-            if (!tx.transactionHash && !tx.hash) {
+            // Paper trades never have a hash, so they are kept and tagged instead
+            if (!tx.transactionHash && !tx.hash && !tx.simulated) {
                 console.log(`❌ Transaction excluded: no transaction hash (likely failed or incomplete)`);
                 return false;
             }
@@ -3248,9 +3319,17 @@ class TrophyRoomManager {
         return filtered;
     }
 
+    // Rank by realized cost-basis PnL where the server has recorded it;
+    // older records only carry the per-swap estimate
+    withRealizedPnl(transactions) {
+        return transactions.map(tx => tx.realizedPnl
+            ? { ...tx, pnl: tx.realizedPnl, pnlPercentage: tx.realizedPnlPercentage }
+            : tx);
+    }
+
     updateTrophyRoom() {
         // Get transactions from the main interface
-        const allTransactions = window.galaSwapInterface?.transactions || [];
+        const allTransactions = this.withRealizedPnl(window.galaSwapInterface?.transactions || []);
         this.trophyTransactions = this.filterHighPerformingTransactions(allTransactions);
         
         this.updateTrophyStats();
@@ -3346,10 +3425,10 @@ class TrophyRoomManager {
                 <span class="trophy-rank">${this.getTrophyEmoji(rank)}</span>
                 <div class="trophy-pair">
                     <div class="trophy-pair-main">${tx.tokenIn} → ${tx.tokenOut}</div>
-                    <div class="trophy-pair-details">${tx.amountIn} → ${tx.amountOut}</div>
+                    <div class="trophy-pair-details">${tx.amountIn} → ${tx.amountOut}${tx.strategy ? ` · ${tx.strategy}` : ''}</div>
                 </div>
                 <div class="trophy-hash">
-                    ${tx.transactionHash ? `<a href="https://galascan.gala.com/transaction/${tx.transactionHash}" target="_blank" title="View on GalaScan">${tx.transactionHash.substring(0, 8)}...${tx.transactionHash.substring(tx.transactionHash.length - 6)}</a>` : '<span style="color: #ff4757;">No Hash</span>'}
+                    ${tx.transactionHash ? `<a href="https://galascan.gala.com/transaction/${tx.transactionHash}" target="_blank" title="View on GalaScan">${tx.transactionHash.substring(0, 8)}...${tx.transactionHash.substring(tx.transactionHash.length - 6)}</a>` : tx.simulated ? '<span class="simulated-badge">PAPER</span>' : '<span style="color: #ff4757;">No Hash</span>'}
                 </div>
                 <div class="trophy-cost">${tx.amountIn} ${tx.tokenIn}</div>
                 <span class="trophy-pnl ${pnlClass}">${tx.pnlPercentage}</span>
@@ -3441,7 +3520,7 @@ class TrophyRoomManager {
 
     updateGraveyard() {
         // Get transactions from the main interface
-        const allTransactions = window.galaSwapInterface?.transactions || [];
+        const allTransactions = this.withRealizedPnl(window.galaSwapInterface?.transactions || []);
         console.log(`Graveyard: Processing ${allTransactions.length} transactions`);
         this.graveyardTransactions = this.filterWorstPerformingTransactions(allTransactions);
         console.log(`Graveyard: Found ${this.graveyardTransactions.length} worst-performing transactions`);
@@ -3535,7 +3614,7 @@ class TrophyRoomManager {
                     <div class="graveyard-pair-details">${tx.amountIn} → ${tx.amountOut}</div>
                 </div>
                 <div class="graveyard-hash">
-                    ${tx.transactionHash ? `<a href="https://galascan.gala.com/transaction/${tx.transactionHash}" target="_blank" title="View on GalaScan">${tx.transactionHash.substring(0, 8)}...${tx.transactionHash.substring(tx.transactionHash.length - 6)}</a>` : '<span style="color: #ff4757;">No Hash</span>'}
+                    ${tx.transactionHash ? `<a href="https://galascan.gala.com/transaction/${tx.transactionHash}" target="_blank" title="View on GalaScan">${tx.transactionHash.substring(0, 8)}...${tx.transactionHash.substring(tx.transactionHash.length - 6)}</a>` : tx.simulated ? '<span class="simulated-badge">PAPER</span>' : '<span style="color: #ff4757;">No Hash</span>'}
                 </div>
                 <div class="graveyard-cost">${tx.amountIn} ${tx.tokenIn}</div>
                 <span class="graveyard-pnl ${pnlClass}">${tx.pnlPercentage}</span>
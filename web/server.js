@@ -7,6 +7,7 @@ const { CicadaBot } = require('../dist/src/CicadaBot');
 const { loadConfig, validateConfig } = require('../dist/src/utils/config');
 const { Logger } = require('../dist/src/utils/logger');
 const { COMMON_TOKENS, FEE_TIERS } = require('../dist/src/constants/tokens');
+const { createPriceOracle } = require('../dist/src/pricing/PriceOracle');
 
 // ---------------- Leaderboard helpers ----------------
 const candidatePaths = (filename) => [
@@ -25,10 +26,8 @@ function resolveExistingPath(filename) {
 
 let BALANCES_CSV = resolveExistingPath('balances.csv');
 let STARTING_BALANCES_CSV = resolveExistingPath('startingbalances.csv');
-const COINGECKO_GALA_PRICE_URL = 'https://api.coingecko.com/api/v3/simple/price?ids=gala&vs_currencies=usd';
-const PRICE_CACHE_TTL_MS = 60 * 1000;
-
-let galaPriceCache = { price: 0, ts: 0 };
+// Prices the leaderboard before the bot (and its oracle) is initialized
+const standalonePriceOracle = createPriceOracle();
 
 function safeParseFloat(value) {
     if (value === undefined || value === null) return 0.0;
@@ -66,21 +65,16 @@ function readCsvToMap(filePath) {
     return result;
 }
 
-async function fetchGalaPrice() {
-    const now = Date.now();
-    if (now - galaPriceCache.ts < PRICE_CACHE_TTL_MS) {
-        return galaPriceCache.price;
-    }
-    try {
-        const fetch = require('node-fetch');
-        const resp = await fetch(COINGECKO_GALA_PRICE_URL, { timeout: 10000 });
-        const data = await resp.json();
-        const price = safeParseFloat(data?.gala?.usd);
-        galaPriceCache = { price, ts: now };
-        return price;
-    } catch (e) {
-        return galaPriceCache.price || 0.0;
-    }
+// 'route' lets the bot route across every fee tier and intermediate token;
+// 'best' quotes every fee tier of the direct pool
+function parseFeeTier(feeTier) {
+    if (feeTier === 'route' || feeTier === 'best') return feeTier;
+    return parseInt(feeTier) || FEE_TIERS.LOW;
+}
+
+async function fetchGalaPrice(priceOracle) {
+    const quote = await priceOracle.getPrice('GALA');
+    return { price: quote.price || 0.0, quote };
 }
 
 function computeLeaderboard(currentMap, startingMap, galaPrice) {
@@ -165,7 +159,66 @@ class WebServer {
                 connected: status.connected,
                 walletAddress: status.walletAddress,
                 errorCount: status.errorCount,
-                lastActivity: status.lastActivity
+                lastActivity: status.lastActivity,
+                paperTrading: status.paperTrading,
+                circuitBreaker: status.circuitBreaker
+            });
+        });
+
+        // Kill switch: trip the circuit breaker and stop every strategy
+        this.app.post('/api/kill', async (req, res) => {
+            try {
+                if (!this.bot) {
+                    return res.status(500).json({ 
+                        success: false, 
+                        error: 'Bot not initialized' 
+                    });
+                }
+
+                const reason = req.body && req.body.reason ? `Kill switch: ${req.body.reason}` : 'Kill switch';
+                Logger.warn('🛑 Kill switch pulled via API', { reason });
+                const circuitBreaker = await this.bot.kill(reason);
+                res.json({
+                    success: true,
+                    circuitBreaker
+                });
+            } catch (error) {
+                Logger.error('Kill switch API error', error);
+                res.status(500).json({ 
+                    success: false, 
+                    error: error.message || 'Failed to stop trading' 
+                });
+            }
+        });
+
+        // Circuit breaker state
+        this.app.get('/api/circuit-breaker', (req, res) => {
+            if (!this.bot) {
+                return res.status(500).json({ 
+                    success: false, 
+                    error: 'Bot not initialized' 
+                });
+            }
+
+            res.json({
+                success: true,
+                circuitBreaker: this.bot.getCircuitBreakerState()
+            });
+        });
+
+        // Re-arm a tripped circuit breaker
+        this.app.post('/api/circuit-breaker/reset', (req, res) => {
+            if (!this.bot) {
+                return res.status(500).json({ 
+                    success: false, 
+                    error: 'Bot not initialized' 
+                });
+            }
+
+            Logger.info('Circuit breaker reset via API');
+            res.json({
+                success: true,
+                circuitBreaker: this.bot.resetCircuitBreaker()
             });
         });
 
@@ -179,23 +232,31 @@ class WebServer {
                     });
                 }
 
-                const { tokenIn, tokenOut, amountIn, slippageTolerance, feeTier } = req.body;
+                const { tokenIn, tokenOut, amountIn, amountOut, slippageTolerance, feeTier } = req.body;
 
-                if (!tokenIn || !tokenOut || !amountIn) {
+                // amountIn sells an exact amount; amountOut buys an exact amount
+                if (!tokenIn || !tokenOut || (!amountIn && !amountOut)) {
                     return res.status(400).json({ 
                         success: false, 
                         error: 'Missing required parameters' 
                     });
                 }
 
-                Logger.info('Getting quote via API', { tokenIn, tokenOut, amountIn });
+                if (amountIn && amountOut) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'Provide either amountIn or amountOut, not both' 
+                    });
+                }
+
+                Logger.info('Getting quote via API', { tokenIn, tokenOut, amountIn, amountOut });
 
                 const quote = await this.bot.getQuote({
                     tokenIn,
                     tokenOut,
-                    amountIn,
+                    ...(amountOut ? { amountOut } : { amountIn }),
                     slippageTolerance: slippageTolerance || 0.5,
-                    feeTier: feeTier || FEE_TIERS.LOW
+                    feeTier: parseFeeTier(feeTier)
                 });
 
                 res.json({
@@ -222,29 +283,39 @@ class WebServer {
                     });
                 }
 
-                const { tokenIn, tokenOut, amountIn, slippageTolerance, feeTier } = req.body;
+                const { tokenIn, tokenOut, amountIn, amountOut, slippageTolerance, feeTier } = req.body;
 
-                if (!tokenIn || !tokenOut || !amountIn) {
+                // amountIn sells an exact amount; amountOut buys an exact amount
+                if (!tokenIn || !tokenOut || (!amountIn && !amountOut)) {
                     return res.status(400).json({ 
                         success: false, 
                         error: 'Missing required parameters' 
                     });
                 }
 
-                Logger.info('Executing swap via API', { tokenIn, tokenOut, amountIn });
+                if (amountIn && amountOut) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'Provide either amountIn or amountOut, not both' 
+                    });
+                }
+
+                Logger.info('Executing swap via API', { tokenIn, tokenOut, amountIn, amountOut });
 
                 const result = await this.bot.executeSwap({
                     tokenIn,
                     tokenOut,
-                    amountIn,
+                    ...(amountOut ? { amountOut } : { amountIn }),
                     slippageTolerance: slippageTolerance || 1.0,
-                    feeTier: feeTier || FEE_TIERS.LOW
+                    feeTier: parseFeeTier(feeTier),
+                    strategy: 'manual'
                 });
 
                 res.json({
                     success: result.success,
                     result: result.success ? result : null,
-                    error: result.success ? null : result.error
+                    error: result.success ? null : result.error,
+                    ...(result.riskLimit ? { riskLimit: result.riskLimit } : {})
                 });
 
             } catch (error) {
@@ -461,9 +532,9 @@ class WebServer {
                 }
 
                 const currentStrategy = this.bot.getCurrentStrategy();
-                // Only show as running if it's an actual arbitrage strategy (not Prime or Lunar) and is actually running
+                // Only show as running if it's an actual arbitrage strategy (not Prime, Lunar or Rebalance) and is actually running
                 const isArbitrageRunning = currentStrategy && 
-                    !['PrimeCicadaStrategy', 'LunarPhaseStrategy'].includes(currentStrategy.constructor.name) &&
+                    !['PrimeCicadaStrategy', 'LunarPhaseStrategy', 'RebalanceStrategy'].includes(currentStrategy.constructor.name) &&
                     currentStrategy.isRunning;
                 
                 res.json({
@@ -665,8 +736,8 @@ class WebServer {
             }
         });
 
-        // Pool Shark Endpoints
-        this.app.post('/api/token-swap/start', async (req, res) => {
+        // Portfolio Rebalance: current against target weights while it runs
+        this.app.get('/api/rebalance/status', async (req, res) => {
             try {
                 if (!this.bot) {
                     return res.status(500).json({ 
@@ -675,26 +746,25 @@ class WebServer {
                     });
                 }
 
-                const { config } = req.body;
-                Logger.info('Starting Pool Shark via API', config);
+                const currentStrategy = this.bot.getCurrentStrategy();
+                const isRebalanceRunning = currentStrategy && currentStrategy.constructor.name === 'RebalanceStrategy' && currentStrategy.isRunning;
 
-                await this.bot.startArbitrageStrategy('token-swap', config);
-                
                 res.json({
                     success: true,
-                    message: 'Pool Shark started successfully'
+                    ...(isRebalanceRunning ? currentStrategy.getStatus() : { isRunning: false })
                 });
 
             } catch (error) {
-                Logger.error('Pool Shark start API error', error);
+                Logger.error('Rebalance status API error', error);
                 res.status(500).json({ 
                     success: false, 
-                    error: error.message || 'Failed to start Pool Shark' 
+                    error: 'Failed to get rebalance status' 
                 });
             }
         });
 
-        this.app.post('/api/token-swap/stop', async (req, res) => {
+        // Pool Shark Endpoints
+        this.app.get('/api/pool-sharks', async (req, res) => {
             try {
                 if (!this.bot) {
                     return res.status(500).json({ 
@@ -703,24 +773,21 @@ class WebServer {
                     });
                 }
 
-                Logger.info('Stopping Pool Shark via API');
-                await this.bot.stopArbitrageStrategy('token-swap');
-                
                 res.json({
                     success: true,
-                    message: 'Pool Shark stopped successfully'
+                    poolSharks: this.bot.listPoolSharks()
                 });
 
             } catch (error) {
-                Logger.error('Pool Shark stop API error', error);
+                Logger.error('Pool Shark list API error', error);
                 res.status(500).json({ 
                     success: false, 
-                    error: error.message || 'Failed to stop Pool Shark' 
+                    error: 'Failed to list Pool Sharks' 
                 });
             }
         });
 
-        this.app.get('/api/token-swap/status', async (req, res) => {
+        this.app.post('/api/pool-sharks', async (req, res) => {
             try {
                 if (!this.bot) {
                     return res.status(500).json({ 
@@ -729,27 +796,26 @@ class WebServer {
                     });
                 }
 
-                const tokenSwapStrategy = this.bot.getStrategy('token-swap');
-                const isTokenSwapRunning = tokenSwapStrategy !== null && tokenSwapStrategy.isRunning;
+                const { id, config } = req.body;
+                Logger.info('Creating Pool Shark via API', { id, config });
+
+                const poolShark = this.bot.createPoolShark(id, config || {});
                 
-                res.json({
+                res.status(201).json({
                     success: true,
-                    isRunning: isTokenSwapRunning,
-                    strategy: isTokenSwapRunning ? 'TokenSwapStrategy' : null,
-                    resultsCount: isTokenSwapRunning ? this.bot.getArbitrageResults().filter(r => r.type && r.type.includes('Pool Shark')).length : 0
+                    poolShark
                 });
 
             } catch (error) {
-                Logger.error('Pool Shark status API error', error);
-                res.status(500).json({ 
+                Logger.error('Pool Shark create API error', error);
+                res.status(400).json({ 
                     success: false, 
-                    error: 'Failed to get Pool Shark status' 
+                    error: error.message || 'Failed to create Pool Shark' 
                 });
             }
         });
 
-        // Pool Shark 2 Endpoints
-        this.app.post('/api/token-swap-2/start', async (req, res) => {
+        this.app.get('/api/pool-sharks/:id', async (req, res) => {
             try {
                 if (!this.bot) {
                     return res.status(500).json({ 
@@ -758,26 +824,30 @@ class WebServer {
                     });
                 }
 
-                const { config } = req.body;
-                Logger.info('Starting Pool Shark 2 via API', config);
-
-                await this.bot.startArbitrageStrategy('token-swap-2', config);
+                const poolShark = this.bot.getPoolShark(req.params.id);
                 
+                if (!poolShark) {
+                    return res.status(404).json({ 
+                        success: false, 
+                        error: 'Pool Shark not found' 
+                    });
+                }
+
                 res.json({
                     success: true,
-                    message: 'Pool Shark 2 started successfully'
+                    poolShark
                 });
 
             } catch (error) {
-                Logger.error('Pool Shark 2 start API error', error);
+                Logger.error('Pool Shark status API error', error);
                 res.status(500).json({ 
                     success: false, 
-                    error: error.message || 'Failed to start Pool Shark 2' 
+                    error: 'Failed to get Pool Shark' 
                 });
             }
         });
 
-        this.app.post('/api/token-swap-2/stop', async (req, res) => {
+        this.app.put('/api/pool-sharks/:id', async (req, res) => {
             try {
                 if (!this.bot) {
                     return res.status(500).json({ 
@@ -786,24 +856,33 @@ class WebServer {
                     });
                 }
 
-                Logger.info('Stopping Pool Shark 2 via API');
-                await this.bot.stopArbitrageStrategy('token-swap-2');
+                if (!this.bot.getPoolShark(req.params.id)) {
+                    return res.status(404).json({ 
+                        success: false, 
+                        error: 'Pool Shark not found' 
+                    });
+                }
+
+                const { config } = req.body;
+                Logger.info('Updating Pool Shark via API', { id: req.params.id, config });
+
+                const poolShark = this.bot.updatePoolShark(req.params.id, config || {});
                 
                 res.json({
                     success: true,
-                    message: 'Pool Shark 2 stopped successfully'
+                    poolShark
                 });
 
             } catch (error) {
-                Logger.error('Pool Shark 2 stop API error', error);
-                res.status(500).json({ 
+                Logger.error('Pool Shark update API error', error);
+                res.status(400).json({ 
                     success: false, 
-                    error: error.message || 'Failed to stop Pool Shark 2' 
+                    error: error.message || 'Failed to update Pool Shark' 
                 });
             }
         });
 
-        this.app.get('/api/token-swap-2/status', async (req, res) => {
+        this.app.delete('/api/pool-sharks/:id', async (req, res) => {
             try {
                 if (!this.bot) {
                     return res.status(500).json({ 
@@ -812,27 +891,31 @@ class WebServer {
                     });
                 }
 
-                const tokenSwap2Strategy = this.bot.getStrategy('token-swap-2');
-                const isTokenSwap2Running = tokenSwap2Strategy !== null && tokenSwap2Strategy.isRunning;
+                Logger.info('Deleting Pool Shark via API', { id: req.params.id });
+                const deleted = await this.bot.deletePoolShark(req.params.id);
                 
+                if (!deleted) {
+                    return res.status(404).json({ 
+                        success: false, 
+                        error: 'Pool Shark not found' 
+                    });
+                }
+
                 res.json({
                     success: true,
-                    isRunning: isTokenSwap2Running,
-                    strategy: isTokenSwap2Running ? 'TokenSwap2Strategy' : null,
-                    resultsCount: isTokenSwap2Running ? this.bot.getArbitrageResults().filter(r => r.type && r.type.includes('Pool Shark 2')).length : 0
+                    message: `Pool Shark '${req.params.id}' deleted`
                 });
 
             } catch (error) {
-                Logger.error('Pool Shark 2 status API error', error);
+                Logger.error('Pool Shark delete API error', error);
                 res.status(500).json({ 
                     success: false, 
-                    error: 'Failed to get Pool Shark 2 status' 
+                    error: error.message || 'Failed to delete Pool Shark' 
                 });
             }
         });
 
-        // Pool Shark 3 Endpoints
-        this.app.post('/api/token-swap-3/start', async (req, res) => {
+        this.app.post('/api/pool-sharks/:id/start', async (req, res) => {
             try {
                 if (!this.bot) {
                     return res.status(500).json({ 
@@ -841,26 +924,34 @@ class WebServer {
                     });
                 }
 
-                const { config } = req.body;
-                Logger.info('Starting Pool Shark 3 via API', config);
+                if (!this.bot.getPoolShark(req.params.id)) {
+                    return res.status(404).json({ 
+                        success: false, 
+                        error: 'Pool Shark not found' 
+                    });
+                }
+
+                const { config } = req.body || {};
+                Logger.info('Starting Pool Shark via API', { id: req.params.id, config });
 
-                await this.bot.startArbitrageStrategy('token-swap-3', config);
+                const poolShark = await this.bot.startPoolShark(req.params.id, config);
                 
                 res.json({
                     success: true,
-                    message: 'Pool Shark 3 started successfully'
+                    message: `Pool Shark '${req.params.id}' started successfully`,
+                    poolShark
                 });
 
             } catch (error) {
-                Logger.error('Pool Shark 3 start API error', error);
+                Logger.error('Pool Shark start API error', error);
                 res.status(500).json({ 
                     success: false, 
-                    error: error.message || 'Failed to start Pool Shark 3' 
+                    error: error.message || 'Failed to start Pool Shark' 
                 });
             }
         });
 
-        this.app.post('/api/token-swap-3/stop', async (req, res) => {
+        this.app.post('/api/pool-sharks/:id/stop', async (req, res) => {
             try {
                 if (!this.bot) {
                     return res.status(500).json({ 
@@ -869,24 +960,33 @@ class WebServer {
                     });
                 }
 
-                Logger.info('Stopping Pool Shark 3 via API');
-                await this.bot.stopArbitrageStrategy('token-swap-3');
+                if (!this.bot.getPoolShark(req.params.id)) {
+                    return res.status(404).json({ 
+                        success: false, 
+                        error: 'Pool Shark not found' 
+                    });
+                }
+
+                Logger.info('Stopping Pool Shark via API', { id: req.params.id });
+                const poolShark = await this.bot.stopPoolShark(req.params.id);
                 
                 res.json({
                     success: true,
-                    message: 'Pool Shark 3 stopped successfully'
+                    message: `Pool Shark '${req.params.id}' stopped successfully`,
+                    poolShark
                 });
 
             } catch (error) {
-                Logger.error('Pool Shark 3 stop API error', error);
+                Logger.error('Pool Shark stop API error', error);
                 res.status(500).json({ 
                     success: false, 
-                    error: error.message || 'Failed to stop Pool Shark 3' 
+                    error: error.message || 'Failed to stop Pool Shark' 
                 });
             }
         });
 
-        this.app.get('/api/token-swap-3/status', async (req, res) => {
+        // Liquidity position endpoints
+        this.app.get('/api/positions', async (req, res) => {
             try {
                 if (!this.bot) {
                     return res.status(500).json({ 
@@ -895,27 +995,23 @@ class WebServer {
                     });
                 }
 
-                const tokenSwap3Strategy = this.bot.getStrategy('token-swap-3');
-                const isTokenSwap3Running = tokenSwap3Strategy !== null && tokenSwap3Strategy.isRunning;
-                
+                const positions = await this.bot.getLiquidityPositions();
                 res.json({
                     success: true,
-                    isRunning: isTokenSwap3Running,
-                    strategy: isTokenSwap3Running ? 'TokenSwap3Strategy' : null,
-                    resultsCount: isTokenSwap3Running ? this.bot.getArbitrageResults().filter(r => r.type && r.type.includes('Pool Shark 3')).length : 0
+                    positions
                 });
 
             } catch (error) {
-                Logger.error('Pool Shark 3 status API error', error);
+                Logger.error('Positions API error', error);
                 res.status(500).json({ 
                     success: false, 
-                    error: 'Failed to get Pool Shark 3 status' 
+                    error: error.message 
                 });
             }
         });
 
-        // Pool Shark 4 Endpoints
-        this.app.post('/api/token-swap-4/start', async (req, res) => {
+        // Open a position, or add to one with positionId
+        this.app.post('/api/positions', async (req, res) => {
             try {
                 if (!this.bot) {
                     return res.status(500).json({ 
@@ -924,26 +1020,46 @@ class WebServer {
                     });
                 }
 
-                const { config } = req.body;
-                Logger.info('Starting Pool Shark 4 via API', config);
+                const { token0, token1, fee, minPrice, maxPrice, tickLower, tickUpper, amount0, amount1, slippageTolerance, positionId } = req.body || {};
 
-                await this.bot.startArbitrageStrategy('token-swap-4', config);
-                
-                res.json({
-                    success: true,
-                    message: 'Pool Shark 4 started successfully'
+                if (!token0 || !token1 || !fee || amount0 === undefined || amount1 === undefined) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'Missing required parameters' 
+                    });
+                }
+
+                Logger.info('Adding liquidity via API', { token0, token1, fee, minPrice, maxPrice, tickLower, tickUpper, amount0, amount1, positionId });
+
+                const result = await this.bot.addLiquidity({
+                    token0,
+                    token1,
+                    fee: parseInt(fee),
+                    ...(tickLower !== undefined && tickUpper !== undefined
+                        ? { tickLower: parseInt(tickLower), tickUpper: parseInt(tickUpper) }
+                        : { minPrice: String(minPrice), maxPrice: String(maxPrice) }),
+                    amount0Desired: String(amount0),
+                    amount1Desired: String(amount1),
+                    ...(slippageTolerance !== undefined ? { slippageTolerance: parseFloat(slippageTolerance) } : {}),
+                    ...(positionId ? { positionId } : {})
+                });
+
+                res.status(result.success ? 200 : 500).json({
+                    success: result.success,
+                    result: result.success ? result : null,
+                    error: result.success ? null : result.error
                 });
 
             } catch (error) {
-                Logger.error('Pool Shark 4 start API error', error);
+                Logger.error('Add liquidity API error', error);
                 res.status(500).json({ 
                     success: false, 
-                    error: error.message || 'Failed to start Pool Shark 4' 
+                    error: error.message 
                 });
             }
         });
 
-        this.app.post('/api/token-swap-4/stop', async (req, res) => {
+        this.app.get('/api/positions/:id', async (req, res) => {
             try {
                 if (!this.bot) {
                     return res.status(500).json({ 
@@ -952,24 +1068,30 @@ class WebServer {
                     });
                 }
 
-                Logger.info('Stopping Pool Shark 4 via API');
-                await this.bot.stopArbitrageStrategy('token-swap-4');
-                
+                const position = await this.bot.getLiquidityPosition(req.params.id);
+                if (!position) {
+                    return res.status(404).json({ 
+                        success: false, 
+                        error: 'Position not found' 
+                    });
+                }
+
                 res.json({
                     success: true,
-                    message: 'Pool Shark 4 stopped successfully'
+                    position
                 });
 
             } catch (error) {
-                Logger.error('Pool Shark 4 stop API error', error);
+                Logger.error('Position API error', error);
                 res.status(500).json({ 
                     success: false, 
-                    error: error.message || 'Failed to stop Pool Shark 4' 
+                    error: error.message 
                 });
             }
         });
 
-        this.app.get('/api/token-swap-4/status', async (req, res) => {
+        // Tokens a removal would return, ?percentage= (default 100)
+        this.app.get('/api/positions/:id/estimate', async (req, res) => {
             try {
                 if (!this.bot) {
                     return res.status(500).json({ 
@@ -978,27 +1100,26 @@ class WebServer {
                     });
                 }
 
-                const tokenSwap4Strategy = this.bot.getStrategy('token-swap-4');
-                const isTokenSwap4Running = tokenSwap4Strategy !== null && tokenSwap4Strategy.isRunning;
-                
+                const percentage = req.query.percentage ? parseFloat(req.query.percentage) : 100;
+                const estimate = await this.bot.estimateRemoveLiquidity(req.params.id, percentage);
+
                 res.json({
                     success: true,
-                    isRunning: isTokenSwap4Running,
-                    strategy: isTokenSwap4Running ? 'TokenSwap4Strategy' : null,
-                    resultsCount: isTokenSwap4Running ? this.bot.getArbitrageResults().filter(r => r.type && r.type.includes('Pool Shark 4')).length : 0
+                    percentage,
+                    estimate
                 });
 
             } catch (error) {
-                Logger.error('Pool Shark 4 status API error', error);
+                Logger.error('Estimate removal API error', error);
                 res.status(500).json({ 
                     success: false, 
-                    error: 'Failed to get Pool Shark 4 status' 
+                    error: error.message 
                 });
             }
         });
 
-        // Pool Shark 5 Endpoints
-        this.app.post('/api/token-swap-5/start', async (req, res) => {
+        // Withdraw { percentage, slippageTolerance } of a position's liquidity
+        this.app.post('/api/positions/:id/remove', async (req, res) => {
             try {
                 if (!this.bot) {
                     return res.status(500).json({ 
@@ -1007,26 +1128,31 @@ class WebServer {
                     });
                 }
 
-                const { config } = req.body;
-                Logger.info('Starting Pool Shark 5 via API', config);
+                const { percentage, slippageTolerance } = req.body || {};
+                Logger.info('Removing liquidity via API', { positionId: req.params.id, percentage });
 
-                await this.bot.startArbitrageStrategy('token-swap-5', config);
-                
-                res.json({
-                    success: true,
-                    message: 'Pool Shark 5 started successfully'
+                const result = await this.bot.removeLiquidity(
+                    req.params.id,
+                    percentage !== undefined ? parseFloat(percentage) : 100,
+                    slippageTolerance !== undefined ? parseFloat(slippageTolerance) : undefined
+                );
+
+                res.status(result.success ? 200 : 500).json({
+                    success: result.success,
+                    result: result.success ? result : null,
+                    error: result.success ? null : result.error
                 });
 
             } catch (error) {
-                Logger.error('Pool Shark 5 start API error', error);
+                Logger.error('Remove liquidity API error', error);
                 res.status(500).json({ 
                     success: false, 
-                    error: error.message || 'Failed to start Pool Shark 5' 
+                    error: error.message 
                 });
             }
         });
 
-        this.app.post('/api/token-swap-5/stop', async (req, res) => {
+        this.app.post('/api/positions/:id/collect', async (req, res) => {
             try {
                 if (!this.bot) {
                     return res.status(500).json({ 
@@ -1035,24 +1161,26 @@ class WebServer {
                     });
                 }
 
-                Logger.info('Stopping Pool Shark 5 via API');
-                await this.bot.stopArbitrageStrategy('token-swap-5');
-                
-                res.json({
-                    success: true,
-                    message: 'Pool Shark 5 stopped successfully'
+                Logger.info('Collecting fees via API', { positionId: req.params.id });
+                const result = await this.bot.collectFees(req.params.id);
+
+                res.status(result.success ? 200 : 500).json({
+                    success: result.success,
+                    result: result.success ? result : null,
+                    error: result.success ? null : result.error
                 });
 
             } catch (error) {
-                Logger.error('Pool Shark 5 stop API error', error);
+                Logger.error('Collect fees API error', error);
                 res.status(500).json({ 
                     success: false, 
-                    error: error.message || 'Failed to stop Pool Shark 5' 
+                    error: error.message 
                 });
             }
         });
 
-        this.app.get('/api/token-swap-5/status', async (req, res) => {
+        // Close: withdraw all liquidity and collect fees
+        this.app.delete('/api/positions/:id', async (req, res) => {
             try {
                 if (!this.bot) {
                     return res.status(500).json({ 
@@ -1061,21 +1189,21 @@ class WebServer {
                     });
                 }
 
-                const tokenSwap5Strategy = this.bot.getStrategy('token-swap-5');
-                const isTokenSwap5Running = tokenSwap5Strategy !== null && tokenSwap5Strategy.isRunning;
-                
-                res.json({
-                    success: true,
-                    isRunning: isTokenSwap5Running,
-                    strategy: isTokenSwap5Running ? 'TokenSwap5Strategy' : null,
-                    resultsCount: isTokenSwap5Running ? this.bot.getArbitrageResults().filter(r => r.type && r.type.includes('Pool Shark 5')).length : 0
+                const slippageTolerance = req.query.slippageTolerance ? parseFloat(req.query.slippageTolerance) : undefined;
+                Logger.info('Closing position via API', { positionId: req.params.id });
+                const result = await this.bot.closePosition(req.params.id, slippageTolerance);
+
+                res.status(result.success ? 200 : 500).json({
+                    success: result.success,
+                    result: result.success ? result : null,
+                    error: result.success ? null : result.error
                 });
 
             } catch (error) {
-                Logger.error('Pool Shark 5 status API error', error);
+                Logger.error('Close position API error', error);
                 res.status(500).json({ 
                     success: false, 
-                    error: 'Failed to get Pool Shark 5 status' 
+                    error: error.message 
                 });
             }
         });
@@ -1089,17 +1217,81 @@ class WebServer {
             });
         });
 
+        // Available strategies endpoint (metadata from the strategy registry)
+        this.app.get('/api/strategies', (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    strategies: CicadaBot.getAvailableStrategies()
+                });
+            } catch (error) {
+                Logger.error('Strategies API error', error);
+                res.status(500).json({ 
+                    success: false, 
+                    error: 'Failed to list strategies' 
+                });
+            }
+        });
+
+        // Per-strategy performance from attributed transactions
+        this.app.get('/api/strategies/:name/performance', (req, res) => {
+            try {
+                if (!this.bot) {
+                    return res.status(500).json({ 
+                        success: false, 
+                        error: 'Bot not initialized' 
+                    });
+                }
+
+                const { from, to } = req.query;
+                const performance = this.bot.getStrategyPerformance(req.params.name, { from, to });
+
+                res.json({
+                    success: true,
+                    performance
+                });
+            } catch (error) {
+                Logger.error('Strategy performance API error', error);
+                res.status(500).json({ 
+                    success: false, 
+                    error: 'Failed to get strategy performance' 
+                });
+            }
+        });
+
+        // Oracle prices with their sources, rejections and fallback flags
+        this.app.get('/api/prices', async (req, res) => {
+            try {
+                const priceOracle = this.bot ? this.bot.getPriceOracle() : standalonePriceOracle;
+                const tokens = req.query.tokens
+                    ? String(req.query.tokens).split(',').map(token => token.trim()).filter(Boolean)
+                    : ['GALA', 'USDC', 'USDT', 'ETH', 'WBTC'];
+                const prices = await priceOracle.getPrices(tokens);
+                res.json({ success: true, prices });
+            } catch (error) {
+                Logger.error('Prices API error', error);
+                res.status(500).json({ success: false, error: 'Failed to get prices' });
+            }
+        });
+
         // Leaderboard endpoints
         this.app.get('/api/leaderboard', async (req, res) => {
             try {
                 // Resolve paths on each request in case files are created later
                 BALANCES_CSV = resolveExistingPath('balances.csv');
                 STARTING_BALANCES_CSV = resolveExistingPath('startingbalances.csv');
-                const galaPrice = await fetchGalaPrice();
+                const { price: galaPrice, quote } = await fetchGalaPrice(this.bot ? this.bot.getPriceOracle() : standalonePriceOracle);
                 const current = readCsvToMap(BALANCES_CSV);
                 const starting = readCsvToMap(STARTING_BALANCES_CSV);
                 const leaderboard = computeLeaderboard(current, starting, galaPrice);
-                res.json({ success: true, galaPrice, leaderboard, paths: { balances: BALANCES_CSV, starting: STARTING_BALANCES_CSV } });
+                res.json({
+                    success: true,
+                    galaPrice,
+                    galaPriceSources: quote.sources,
+                    galaPriceFallback: quote.fallback || quote.stale,
+                    leaderboard,
+                    paths: { balances: BALANCES_CSV, starting: STARTING_BALANCES_CSV }
+                });
             } catch (error) {
                 Logger.error('Leaderboard API error', error);
                 res.status(500).json({ success: false, error: 'Failed to compute leaderboard' });
@@ -1144,15 +1336,30 @@ class WebServer {
                     });
                 }
 
-                const { limit = 50 } = req.query;
-                Logger.info('Getting transaction history via API', { limit });
+                const { limit = 50, offset = 0, from, to, strategy, tokenIn, tokenOut, pair, status, type, pnl } = req.query;
+                Logger.info('Getting transaction history via API', req.query);
 
-                const transactions = this.bot.getTransactionHistory(parseInt(limit));
+                const page = this.bot.queryTransactions({
+                    from,
+                    to,
+                    strategy,
+                    tokenIn,
+                    tokenOut,
+                    pair,
+                    status,
+                    type,
+                    pnl,
+                    limit: parseInt(limit) || 50,
+                    offset: parseInt(offset) || 0
+                });
                 
                 res.json({
                     success: true,
-                    transactions,
-                    count: transactions.length
+                    transactions: page.transactions,
+                    count: page.transactions.length,
+                    total: page.total,
+                    limit: page.limit,
+                    offset: page.offset
                 });
 
             } catch (error) {
@@ -1164,6 +1371,320 @@ class WebServer {
             }
         });
 
+        // Risk limits and today's usage against them
+        this.app.get('/api/risk', async (req, res) => {
+            try {
+                if (!this.bot) {
+                    return res.status(500).json({ 
+                        success: false, 
+                        error: 'Bot not initialized' 
+                    });
+                }
+
+                const status = await this.bot.getRiskStatus();
+                res.json({
+                    success: true,
+                    ...status
+                });
+            } catch (error) {
+                Logger.error('Risk status API error', error);
+                res.status(500).json({ 
+                    success: false, 
+                    error: error.message || 'Failed to get risk status' 
+                });
+            }
+        });
+
+        // Per-strategy budgets and how much of the wallet they reserve
+        this.app.get('/api/allocations', async (req, res) => {
+            try {
+                if (!this.bot) {
+                    return res.status(500).json({ 
+                        success: false, 
+                        error: 'Bot not initialized' 
+                    });
+                }
+
+                const status = await this.bot.getAllocationStatus();
+                res.json({
+                    success: true,
+                    ...status
+                });
+            } catch (error) {
+                Logger.error('Allocations API error', error);
+                res.status(500).json({ 
+                    success: false, 
+                    error: error.message || 'Failed to get allocations' 
+                });
+            }
+        });
+
+        // Set one token's budget for a strategy (amount 0 releases it)
+        this.app.put('/api/allocations/:strategy', async (req, res) => {
+            try {
+                if (!this.bot) {
+                    return res.status(500).json({ 
+                        success: false, 
+                        error: 'Bot not initialized' 
+                    });
+                }
+
+                const { token, amount } = req.body;
+                if (!token || amount === undefined || amount === '') {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'Missing required parameters: token, amount' 
+                    });
+                }
+
+                Logger.info('Setting strategy allocation via API', { strategy: req.params.strategy, token, amount });
+                const budget = await this.bot.setAllocation(req.params.strategy, token, String(amount));
+                res.json({
+                    success: true,
+                    budget
+                });
+            } catch (error) {
+                Logger.error('Allocation update API error', error);
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message || 'Failed to set allocation' 
+                });
+            }
+        });
+
+        // Release every budget of a strategy
+        this.app.delete('/api/allocations/:strategy', (req, res) => {
+            if (!this.bot) {
+                return res.status(500).json({ 
+                    success: false, 
+                    error: 'Bot not initialized' 
+                });
+            }
+
+            if (!this.bot.removeAllocations(req.params.strategy)) {
+                return res.status(404).json({ 
+                    success: false, 
+                    error: 'Strategy has no allocations' 
+                });
+            }
+
+            res.json({ success: true });
+        });
+
+        // Conditional orders, newest first
+        this.app.get('/api/orders', (req, res) => {
+            if (!this.bot) {
+                return res.status(500).json({ 
+                    success: false, 
+                    error: 'Bot not initialized' 
+                });
+            }
+
+            const { status, strategy } = req.query;
+            res.json({
+                success: true,
+                orders: this.bot.getOrders({ status, strategy })
+            });
+        });
+
+        // Place a stop-loss, take-profit, trailing-stop, OCO or limit order
+        this.app.post('/api/orders', async (req, res) => {
+            try {
+                if (!this.bot) {
+                    return res.status(500).json({ 
+                        success: false, 
+                        error: 'Bot not initialized' 
+                    });
+                }
+
+                const { type, token, quoteToken, amount, stopPrice, takeProfitPrice, trailPercent, limitPrice, chunkAmount, repeat, expiresAt, slippageTolerance, feeTier, strategy } = req.body;
+                Logger.info('Placing order via API', { type, token, quoteToken, amount });
+
+                const order = await this.bot.placeOrder({
+                    type,
+                    token,
+                    quoteToken,
+                    amount: amount !== undefined ? String(amount) : amount,
+                    ...(stopPrice !== undefined && stopPrice !== '' ? { stopPrice: String(stopPrice) } : {}),
+                    ...(takeProfitPrice !== undefined && takeProfitPrice !== '' ? { takeProfitPrice: String(takeProfitPrice) } : {}),
+                    ...(trailPercent !== undefined && trailPercent !== '' ? { trailPercent: parseFloat(trailPercent) } : {}),
+                    ...(limitPrice !== undefined && limitPrice !== '' ? { limitPrice: String(limitPrice) } : {}),
+                    ...(chunkAmount !== undefined && chunkAmount !== '' ? { chunkAmount: String(chunkAmount) } : {}),
+                    ...(repeat ? { repeat: true } : {}),
+                    ...(expiresAt ? { expiresAt } : {}),
+                    ...(slippageTolerance !== undefined ? { slippageTolerance: parseFloat(slippageTolerance) } : {}),
+                    ...(feeTier !== undefined ? { feeTier: parseFeeTier(feeTier) } : {}),
+                    strategy: strategy || 'manual'
+                });
+                res.json({
+                    success: true,
+                    order
+                });
+            } catch (error) {
+                Logger.error('Order placement API error', error);
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message || 'Failed to place order' 
+                });
+            }
+        });
+
+        this.app.get('/api/orders/:id', (req, res) => {
+            if (!this.bot) {
+                return res.status(500).json({ 
+                    success: false, 
+                    error: 'Bot not initialized' 
+                });
+            }
+
+            const order = this.bot.getOrder(req.params.id);
+            if (!order) {
+                return res.status(404).json({ 
+                    success: false, 
+                    error: 'Order not found' 
+                });
+            }
+
+            res.json({
+                success: true,
+                order
+            });
+        });
+
+        // Cancel an open order
+        this.app.delete('/api/orders/:id', (req, res) => {
+            try {
+                if (!this.bot) {
+                    return res.status(500).json({ 
+                        success: false, 
+                        error: 'Bot not initialized' 
+                    });
+                }
+
+                const order = this.bot.cancelOrder(req.params.id);
+                if (!order) {
+                    return res.status(404).json({ 
+                        success: false, 
+                        error: 'Order not found' 
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    order
+                });
+            } catch (error) {
+                Logger.error('Order cancel API error', error);
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message || 'Failed to cancel order' 
+                });
+            }
+        });
+
+        // TWAP/VWAP executions, newest first
+        this.app.get('/api/twap', (req, res) => {
+            if (!this.bot) {
+                return res.status(500).json({ 
+                    success: false, 
+                    error: 'Bot not initialized' 
+                });
+            }
+
+            res.json({
+                success: true,
+                executions: this.bot.getTwapExecutions()
+            });
+        });
+
+        // Sell a large amount in slices spread over a duration
+        this.app.post('/api/twap', (req, res) => {
+            try {
+                if (!this.bot) {
+                    return res.status(500).json({ 
+                        success: false, 
+                        error: 'Bot not initialized' 
+                    });
+                }
+
+                const { tokenIn, tokenOut, amountIn, duration, slices, mode, volumeProfile, maxPriceImpact, maxPauses, slippageTolerance, feeTier, strategy } = req.body;
+                Logger.info('Starting TWAP execution via API', { tokenIn, tokenOut, amountIn, duration, slices, mode });
+
+                const execution = this.bot.executeTwap({
+                    tokenIn,
+                    tokenOut,
+                    amountIn: amountIn !== undefined ? String(amountIn) : amountIn,
+                    duration: parseInt(duration),
+                    slices: parseInt(slices),
+                    maxPriceImpact: parseFloat(maxPriceImpact),
+                    ...(mode ? { mode } : {}),
+                    // Comma-separated weights from a form, or an array
+                    ...(volumeProfile ? { volumeProfile: (Array.isArray(volumeProfile) ? volumeProfile : String(volumeProfile).split(',')).map(weight => parseFloat(weight)) } : {}),
+                    ...(maxPauses !== undefined && maxPauses !== '' ? { maxPauses: parseInt(maxPauses) } : {}),
+                    ...(slippageTolerance !== undefined ? { slippageTolerance: parseFloat(slippageTolerance) } : {}),
+                    ...(feeTier !== undefined ? { feeTier: parseFeeTier(feeTier) } : {}),
+                    strategy: strategy || 'manual'
+                });
+                res.json({
+                    success: true,
+                    execution
+                });
+            } catch (error) {
+                Logger.error('TWAP start API error', error);
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message || 'Failed to start execution' 
+                });
+            }
+        });
+
+        // Stop a running execution; the unsold rest stays in the wallet
+        this.app.delete('/api/twap/:id', (req, res) => {
+            if (!this.bot) {
+                return res.status(500).json({ 
+                    success: false, 
+                    error: 'Bot not initialized' 
+                });
+            }
+
+            const execution = this.bot.cancelTwap(req.params.id);
+            if (!execution) {
+                return res.status(404).json({ 
+                    success: false, 
+                    error: 'Execution not found' 
+                });
+            }
+
+            res.json({
+                success: true,
+                execution
+            });
+        });
+
+        // Cost-basis PnL report (realized, unrealized and open lots)
+        this.app.get('/api/pnl', async (req, res) => {
+            try {
+                if (!this.bot) {
+                    return res.status(500).json({ 
+                        success: false, 
+                        error: 'Bot not initialized' 
+                    });
+                }
+
+                const report = await this.bot.getPnLReport(req.query.method);
+                res.json({
+                    success: true,
+                    ...report
+                });
+            } catch (error) {
+                Logger.error('PnL report API error', error);
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message || 'Failed to build PnL report' 
+                });
+            }
+        });
+
         // Get specific transaction endpoint
         this.app.get('/api/transactions/:id', async (req, res) => {
             try {
@@ -1293,6 +1814,12 @@ class WebServer {
             
             this.isInitialized = true;
             Logger.info('Bot initialized successfully for web server');
+
+            // Opt-in: restart strategies from the last snapshot in data/
+            if (config.autoResumeStrategies) {
+                const resumed = await this.bot.resumeStrategies();
+                Logger.info(`Resumed ${resumed} strategies from the last snapshot`);
+            }
             
         } catch (error) {
             Logger.error('Failed to initialize bot for web server', error);